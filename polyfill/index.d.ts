@@ -29,6 +29,72 @@ export namespace Temporal {
     overflow?: 'constrain' | 'reject';
   };
 
+  /**
+   * Options for parsing strings with `from()`.
+   * */
+  export type ParseOptions = {
+    /**
+     * How to deal with strings that are not valid ISO 8601 or RFC 9557
+     *
+     * - In `'strict'` mode, such strings cause `from()` to throw a RangeError.
+     * - In `'lenient'` mode, common variants are normalized before parsing:
+     *   surrounding whitespace, `/` or `.` as date separators, single-digit
+     *   months, days and hours, times with only some of their separators, a
+     *   space instead of `T`, and a UTC offset such as ` +0000` or a ` UTC`,
+     *   ` GMT` or ` Z` designator after a space. For `ZonedDateTime.from()`, an
+     *   offset or designator without a time zone annotation becomes the time
+     *   zone.
+     *
+     * Strings that are valid in strict mode are parsed the same way in both
+     * modes. The default is `'strict'`.
+     */
+    parse?: 'strict' | 'lenient';
+  };
+
+  /**
+   * Options for converting to and from the serial dates of spreadsheets such as
+   * Excel, LibreOffice and Google Sheets, which count days with the time of day
+   * as a fraction. Times are rounded to the millisecond when converting from a
+   * serial date.
+   */
+  export type ExcelSerialOptions = {
+    /**
+     * The date system of the spreadsheet. In `'1900'`, serial 1 is
+     * 1900-01-01, and serial 60 is February 29, 1900, which didn't exist but
+     * is counted for compatibility with Lotus 1-2-3. In `'1904'`, serial 0 is
+     * 1904-01-01. The default is `'1900'`.
+     */
+    dateSystem?: '1900' | '1904';
+    /**
+     * How to deal with serial 60 in the 1900 date system when converting from
+     * a serial date: `'constrain'` gives February 28, 1900, and `'reject'`
+     * throws a RangeError. The default is `'constrain'`.
+     */
+    overflow?: 'constrain' | 'reject';
+  };
+
+  /**
+   * The RangeError that `from()` and other parsing functions throw for a
+   * string that doesn't fit the ISO 8601 and RFC 9557 grammars, or that has a
+   * value out of range in one of its components.
+   * */
+  export interface ParseError extends RangeError {
+    /** The string that couldn't be parsed */
+    input: string;
+    /** The index of the first character of the string that is wrong */
+    offset: number;
+    /**
+     * The part of the string that is wrong, such as `'year'`, `'month'`,
+     * `'day'`, `'hour'`, `'offset'`, `'time zone'`, `'annotation'`, or
+     * `'calendar key'`, or for durations a unit such as `'hours'`
+     */
+    component: string;
+    /** What the grammar allows at `offset` */
+    expected: string;
+    /** A way to fix the string, if there is an obvious one */
+    suggestion: string | undefined;
+  }
+
   /**
    * Options for assigning fields using `Duration.prototype.with()` or entire
    * objects with `Duration.from()`, and for arithmetic with
@@ -187,7 +253,17 @@ export namespace Temporal {
     calendarName?: 'auto' | 'always' | 'never' | 'critical';
   };
 
-  export type CalendarTypeToStringOptions = Partial<ToStringPrecisionOptions & ShowCalendarOption>;
+  export type DateFormatOption = {
+    /**
+     * How the date is written: as a calendar date (`2024-01-31`), which is the
+     * default, as an ISO 8601 week date (`2024-W05-3`), or as an ordinal date
+     * (`2024-031`). Dates are always ISO dates, whatever the calendar.
+     * `from()` accepts all three.
+     */
+    dateFormat?: 'calendar' | 'week' | 'ordinal';
+  };
+
+  export type CalendarTypeToStringOptions = Partial<ToStringPrecisionOptions & ShowCalendarOption & DateFormatOption>;
 
   export type ZonedDateTimeToStringOptions = Partial<
     CalendarTypeToStringOptions & {
@@ -197,9 +273,10 @@ export namespace Temporal {
   >;
 
   export type InstantToStringOptions = Partial<
-    ToStringPrecisionOptions & {
-      timeZone: TimeZoneLike;
-    }
+    ToStringPrecisionOptions &
+      DateFormatOption & {
+        timeZone: TimeZoneLike;
+      }
   >;
 
   /**
@@ -515,7 +592,7 @@ export namespace Temporal {
    * See https://tc39.es/proposal-temporal/docs/duration.html for more details.
    */
   export class Duration {
-    static from(item: Temporal.Duration | DurationLike | string): Temporal.Duration;
+    static from(item: Temporal.Duration | DurationLike | string, options?: ParseOptions): Temporal.Duration;
     static compare(
       one: Temporal.Duration | DurationLike | string,
       two: Temporal.Duration | DurationLike | string,
@@ -576,7 +653,22 @@ export namespace Temporal {
   export class Instant {
     static fromEpochMilliseconds(epochMilliseconds: number): Temporal.Instant;
     static fromEpochNanoseconds(epochNanoseconds: bigint): Temporal.Instant;
-    static from(item: Temporal.Instant | string): Temporal.Instant;
+    /** Creates an instant from seconds since the Unix epoch, which may be fractional. */
+    static fromEpochSeconds(epochSeconds: number): Temporal.Instant;
+    /** Creates an instant from a spreadsheet serial date, taken to be in UTC. */
+    static fromExcelSerial(serial: number, options?: ExcelSerialOptions): Temporal.Instant;
+    /** Creates an instant from a Windows FILETIME, in 100 ns ticks since 1601-01-01. */
+    static fromFileTime(fileTime: bigint): Temporal.Instant;
+    /** Creates an instant from .NET `DateTime` ticks, in 100 ns since 0001-01-01 UTC. */
+    static fromDotNetTicks(ticks: bigint): Temporal.Instant;
+    /**
+     * Creates an instant from a 64-bit NTP timestamp. As in RFC 4330,
+     * timestamps from 2036 on are those whose most significant bit is not set.
+     */
+    static fromNTPTimestamp(timestamp: bigint): Temporal.Instant;
+    /** Creates an instant from seconds since 2001-01-01, as counted by Cocoa's `NSDate`. */
+    static fromCocoaSeconds(seconds: number): Temporal.Instant;
+    static from(item: Temporal.Instant | string, options?: ParseOptions): Temporal.Instant;
     static compare(one: Temporal.Instant | string, two: Temporal.Instant | string): ComparisonResult;
     constructor(epochNanoseconds: bigint);
     readonly epochMilliseconds: number;
@@ -600,6 +692,19 @@ export namespace Temporal {
       roundTo: RoundTo<'hour' | 'minute' | 'second' | 'millisecond' | 'microsecond' | 'nanosecond'>
     ): Temporal.Instant;
     toZonedDateTimeISO(tzLike: TimeZoneLike): Temporal.ZonedDateTime;
+    toEpochSeconds(): number;
+    /** Returns the serial date of this instant in UTC. */
+    toExcelSerial(options?: Pick<ExcelSerialOptions, 'dateSystem'>): number;
+    /** Returns the FILETIME of this instant, truncated to the 100 ns tick. */
+    toFileTime(): bigint;
+    /** Returns the .NET ticks of this instant, truncated to the 100 ns tick. */
+    toDotNetTicks(): bigint;
+    /**
+     * Returns the 64-bit NTP timestamp of this instant. Throws a RangeError for
+     * instants before 1968-01-20T03:14:08Z or from 2104-02-26T09:42:24Z on.
+     */
+    toNTPTimestamp(): bigint;
+    toCocoaSeconds(): number;
     toLocaleString(locales?: globalThis.Intl.LocalesArgument, options?: globalThis.Intl.DateTimeFormatOptions): string;
     toJSON(): string;
     toString(options?: InstantToStringOptions): string;
@@ -632,7 +737,12 @@ export namespace Temporal {
    * See https://tc39.es/proposal-temporal/docs/date.html for more details.
    */
   export class PlainDate {
-    static from(item: Temporal.PlainDate | PlainDateLike | string, options?: AssignmentOptions): Temporal.PlainDate;
+    /** Creates a PlainDate in the ISO 8601 calendar from a spreadsheet serial date, dropping the time of day. */
+    static fromExcelSerial(serial: number, options?: ExcelSerialOptions): Temporal.PlainDate;
+    static from(
+      item: Temporal.PlainDate | PlainDateLike | string,
+      options?: AssignmentOptions & ParseOptions
+    ): Temporal.PlainDate;
     static compare(
       one: Temporal.PlainDate | PlainDateLike | string,
       two: Temporal.PlainDate | PlainDateLike | string
@@ -678,9 +788,11 @@ export namespace Temporal {
     ): Temporal.ZonedDateTime;
     toPlainYearMonth(): Temporal.PlainYearMonth;
     toPlainMonthDay(): Temporal.PlainMonthDay;
+    /** Returns the spreadsheet serial date of this date, as a whole number. */
+    toExcelSerial(options?: Pick<ExcelSerialOptions, 'dateSystem'>): number;
     toLocaleString(locales?: globalThis.Intl.LocalesArgument, options?: globalThis.Intl.DateTimeFormatOptions): string;
     toJSON(): string;
-    toString(options?: ShowCalendarOption): string;
+    toString(options?: ShowCalendarOption & DateFormatOption): string;
     valueOf(): never;
     readonly [Symbol.toStringTag]: 'Temporal.PlainDate';
   }
@@ -712,9 +824,11 @@ export namespace Temporal {
    * See https://tc39.es/proposal-temporal/docs/datetime.html for more details.
    */
   export class PlainDateTime {
+    /** Creates a PlainDateTime in the ISO 8601 calendar from a spreadsheet serial date and time. */
+    static fromExcelSerial(serial: number, options?: ExcelSerialOptions): Temporal.PlainDateTime;
     static from(
       item: Temporal.PlainDateTime | PlainDateTimeLike | string,
-      options?: AssignmentOptions
+      options?: AssignmentOptions & ParseOptions
     ): Temporal.PlainDateTime;
     static compare(
       one: Temporal.PlainDateTime | PlainDateTimeLike | string,
@@ -781,6 +895,7 @@ export namespace Temporal {
     toZonedDateTime(tzLike: TimeZoneLike, options?: ToInstantOptions): Temporal.ZonedDateTime;
     toPlainDate(): Temporal.PlainDate;
     toPlainTime(): Temporal.PlainTime;
+    toExcelSerial(options?: Pick<ExcelSerialOptions, 'dateSystem'>): number;
     toLocaleString(locales?: globalThis.Intl.LocalesArgument, options?: globalThis.Intl.DateTimeFormatOptions): string;
     toJSON(): string;
     toString(options?: CalendarTypeToStringOptions): string;
@@ -808,7 +923,7 @@ export namespace Temporal {
   export class PlainMonthDay {
     static from(
       item: Temporal.PlainMonthDay | PlainMonthDayLike | string,
-      options?: AssignmentOptions
+      options?: AssignmentOptions & ParseOptions
     ): Temporal.PlainMonthDay;
     constructor(isoMonth: number, isoDay: number, calendar?: string, referenceISOYear?: number);
     readonly monthCode: string;
@@ -849,7 +964,10 @@ export namespace Temporal {
    * See https://tc39.es/proposal-temporal/docs/time.html for more details.
    */
   export class PlainTime {
-    static from(item: Temporal.PlainTime | PlainTimeLike | string, options?: AssignmentOptions): Temporal.PlainTime;
+    static from(
+      item: Temporal.PlainTime | PlainTimeLike | string,
+      options?: AssignmentOptions & ParseOptions
+    ): Temporal.PlainTime;
     static compare(
       one: Temporal.PlainTime | PlainTimeLike | string,
       two: Temporal.PlainTime | PlainTimeLike | string
@@ -890,10 +1008,43 @@ export namespace Temporal {
     readonly [Symbol.toStringTag]: 'Temporal.PlainTime';
   }
 
+  /**
+   * A user-defined time zone. This is not part of the proposal; objects
+   * implementing this protocol can be used anywhere a time zone ID is
+   * accepted, and are stored in the resulting `Temporal.ZonedDateTime`.
+   */
+  export interface TimeZoneProtocol {
+    /** Identifier used in string output and when comparing time zones. */
+    id: string;
+    /**
+     * Returns the UTC offset at `instant` in nanoseconds. Must be an integer
+     * of magnitude less than 24 hours.
+     */
+    getOffsetNanosecondsFor(instant: Temporal.Instant): number;
+    /**
+     * Returns the exact times, in ascending order, that correspond to the
+     * wall-clock time `dateTime`: none if it is skipped, two or more if it
+     * is repeated.
+     */
+    getPossibleInstantsFor(dateTime: Temporal.PlainDateTime): Iterable<Temporal.Instant>;
+    /** Returns the first offset transition after `startingPoint`, or `null` if there is none. */
+    getNextTransition(startingPoint: Temporal.Instant): Temporal.Instant | null;
+    /** Returns the last offset transition before `startingPoint`, or `null` if there is none. */
+    getPreviousTransition(startingPoint: Temporal.Instant): Temporal.Instant | null;
+  }
+
   /**
    * Any of these types can be passed to Temporal methods instead of a time zone ID.
+   *
+   * As a non-standard extension, time zone IDs may also be POSIX TZ strings
+   * such as `'EST5EDT,M3.2.0,M11.1.0'` or `'<+0330>-3:30'`, if they are not
+   * the names of time zones. Strings without DST rules must quote the name
+   * with `<...>`, and `UTC`, `GMT` and `UT` only name offset zero, so that
+   * `'UTC+8'` isn't mistaken for UTC+08:00. Windows time zone names such as
+   * `'Pacific Standard Time'` are also accepted, and are replaced by IANA
+   * time zone IDs.
    * */
-  export type TimeZoneLike = string | ZonedDateTime;
+  export type TimeZoneLike = string | TimeZoneProtocol | ZonedDateTime;
 
   export type PlainYearMonthLike = {
     era?: string | undefined;
@@ -914,7 +1065,7 @@ export namespace Temporal {
   export class PlainYearMonth {
     static from(
       item: Temporal.PlainYearMonth | PlainYearMonthLike | string,
-      options?: AssignmentOptions
+      options?: AssignmentOptions & ParseOptions
     ): Temporal.PlainYearMonth;
     static compare(
       one: Temporal.PlainYearMonth | PlainYearMonthLike | string,
@@ -975,13 +1126,13 @@ export namespace Temporal {
   export class ZonedDateTime {
     static from(
       item: Temporal.ZonedDateTime | ZonedDateTimeLike | string,
-      options?: ZonedDateTimeAssignmentOptions
+      options?: ZonedDateTimeAssignmentOptions & ParseOptions
     ): ZonedDateTime;
     static compare(
       one: Temporal.ZonedDateTime | ZonedDateTimeLike | string,
       two: Temporal.ZonedDateTime | ZonedDateTimeLike | string
     ): ComparisonResult;
-    constructor(epochNanoseconds: bigint, timeZone: string, calendar?: string);
+    constructor(epochNanoseconds: bigint, timeZone: string | TimeZoneProtocol, calendar?: string);
     readonly era: string | undefined;
     readonly eraYear: number | undefined;
     readonly year: number;
@@ -1048,6 +1199,112 @@ export namespace Temporal {
     readonly [Symbol.toStringTag]: 'Temporal.ZonedDateTime';
   }
 
+  /**
+   * A `Temporal.TimeZoneProvider` holds compiled time zone data in the Time
+   * Zone Information Format (TZif, RFC 8536) as produced by the `zic`
+   * compiler, for example the files under `/usr/share/zoneinfo`.
+   *
+   * Once installed, named time zones defined in the provider are answered
+   * from its data instead of from `Intl.DateTimeFormat`. Time zones that the
+   * provider doesn't define still use `Intl.DateTimeFormat`.
+   */
+  export class TimeZoneProvider {
+    /**
+     * Makes `provider` the source of time zone data for all named time zones
+     * it defines. Pass `null` to go back to using only `Intl.DateTimeFormat`.
+     *
+     * @returns the previously installed provider, or `null` if there was none
+     */
+    static install(provider: Temporal.TimeZoneProvider | null): Temporal.TimeZoneProvider | null;
+    constructor();
+    /**
+     * Defines a named time zone from the contents of a TZif file. Throws a
+     * `RangeError` if the data is malformed or if the identifier is already
+     * defined in this provider.
+     */
+    addTZif(timeZoneId: string, data: ArrayBuffer | ArrayBufferView | ArrayLike<number>): void;
+    /**
+     * Defines `timeZoneId` as an alias of `targetTimeZoneId`, which must
+     * already be defined in this provider.
+     */
+    addLink(timeZoneId: string, targetTimeZoneId: string): void;
+    /**
+     * Defines a named time zone, under its `id`, that is implemented by a
+     * user-defined object. Parsing a string that names this time zone gives a
+     * `Temporal.ZonedDateTime` that uses the object.
+     */
+    addTimeZone(timeZone: TimeZoneProtocol): void;
+    readonly [Symbol.toStringTag]: 'Temporal.TimeZoneProvider';
+  }
+
+  export interface ClockOptions {
+    /**
+     * The clock's first reading. If omitted, the clock starts at the current
+     * system time.
+     */
+    instant?: Temporal.Instant | Temporal.ZonedDateTime | string;
+    /**
+     * How fast the clock runs compared to the system clock: 0 for a clock
+     * that only changes when it's told to, 1 for real time, 2 for twice as
+     * fast. Defaults to 0 if `instant` is given, and to 1 otherwise.
+     */
+    rate?: number;
+    /**
+     * The time zone that `Temporal.Now` uses by default. If omitted, the
+     * system's time zone is used.
+     */
+    timeZone?: TimeZoneLike;
+  }
+
+  /**
+   * A `Temporal.Clock` is a source of the current time and time zone for
+   * `Temporal.Now`, for example to freeze time in tests.
+   *
+   * Once installed, or while a callback passed to `run()` is executing, all
+   * `Temporal.Now` functions read the clock instead of the system.
+   */
+  export class Clock {
+    /**
+     * Makes `clock` the source of the current time and time zone for
+     * `Temporal.Now`, except within `run()` callbacks of other clocks. Pass
+     * `null` to go back to using the system clock.
+     *
+     * @returns the previously installed clock, or `null` if there was none
+     */
+    static install(clock: Temporal.Clock | null): Temporal.Clock | null;
+    constructor(options?: ClockOptions);
+    /** How fast the clock runs compared to the system clock. */
+    readonly rate: number;
+    /** The clock's current reading. */
+    instant(): Temporal.Instant;
+    /** The identifier of the time zone that `Temporal.Now` uses by default. */
+    timeZoneId(): string;
+    /**
+     * Moves the clock forward, or backward if `duration` is negative. Only
+     * time units are allowed, like in `Temporal.Instant.prototype.add()`.
+     */
+    advance(duration: Temporal.Duration | DurationLike | string): void;
+    /** Sets the clock's reading. */
+    setInstant(instant: Temporal.Instant | Temporal.ZonedDateTime | string): void;
+    /** Changes how fast the clock runs from its current reading on. */
+    setRate(rate: number): void;
+    /**
+     * Changes the time zone that `Temporal.Now` uses by default. `undefined`
+     * means the system's time zone.
+     */
+    setTimeZone(tzLike: TimeZoneLike | undefined): void;
+    /**
+     * Calls `callback` with `args`, and makes `Temporal.Now` use this clock
+     * until it returns. Where the host supports it, this includes
+     * continuations of asynchronous work started by `callback`, so that
+     * concurrent callbacks can use different clocks.
+     *
+     * @returns the return value of `callback`
+     */
+    run<R, A extends unknown[]>(callback: (...args: A) => R, ...args: A): R;
+    readonly [Symbol.toStringTag]: 'Temporal.Clock';
+  }
+
   /**
    * The `Temporal.Now` object has several methods which give information about
    * the current date, time, and time zone.
@@ -1069,6 +1326,17 @@ export namespace Temporal {
      * */
     instant: () => Temporal.Instant;
 
+    /**
+     * Get a reading of a monotonic clock, for measuring elapsed time.
+     *
+     * This method is not part of the proposal. It gives the time since an
+     * arbitrary starting point, in seconds and smaller units, from a
+     * high-resolution timer that doesn't go backwards when the system clock is
+     * adjusted. It isn't affected by `Temporal.Clock`. Subtract two readings
+     * to get the time elapsed between them.
+     */
+    monotonic: () => Temporal.Duration;
+
     /**
      * Get the current calendar date and clock time in a specific time zone,
      * using the ISO 8601 calendar.
@@ -1128,6 +1396,784 @@ export namespace Temporal {
 
     readonly [Symbol.toStringTag]: 'Temporal.Now';
   };
+
+  /**
+   * A change in a time zone's UTC offset, as returned by
+   * `Temporal.TimeZones.getTransitions()`.
+   */
+  export interface TimeZoneTransition {
+    /** The exact time at which the new offset takes effect. */
+    instant: Temporal.Instant;
+    offsetBefore: string;
+    offsetAfter: string;
+    offsetNanosecondsBefore: number;
+    offsetNanosecondsAfter: number;
+    /**
+     * How far wall-clock time jumps at the transition: positive when clocks
+     * are set forward, negative when they are set back.
+     */
+    wallClockChange: Temporal.Duration;
+  }
+
+  /**
+   * Information about a time zone at a particular exact time, as returned by
+   * `Temporal.TimeZones.getOffsetInfo()`.
+   */
+  export interface TimeZoneOffsetInfo {
+    offset: string;
+    offsetNanoseconds: number;
+    /** The UTC offset that applies when DST is not in effect. */
+    standardOffset: string;
+    standardOffsetNanoseconds: number;
+    /**
+     * Whether DST is in effect. This is exact for time zones defined by TZif
+     * data in the installed `Temporal.TimeZoneProvider`, and otherwise
+     * estimated from the offsets before and after.
+     */
+    dst: boolean;
+    /**
+     * Short name such as `'CEST'`, or a UTC offset for time zones that don't
+     * have one. `undefined` for custom time zone objects.
+     */
+    abbreviation: string | undefined;
+    /** Localized long name such as `'Central European Summer Time'`, if known. */
+    name: string | undefined;
+  }
+
+  /**
+   * How a wall-clock time maps to exact times in a time zone, as returned by
+   * `Temporal.TimeZones.getLocalTimeInfo()`.
+   */
+  export interface TimeZoneLocalTimeInfo {
+    /**
+     * `'gap'` if the wall-clock time is skipped by a transition, `'overlap'`
+     * if it is repeated by one, and `'unique'` otherwise.
+     */
+    status: 'unique' | 'gap' | 'overlap';
+    /** Every exact time at which the wall-clock time occurs, in order. */
+    candidates: Temporal.ZonedDateTime[];
+    /** The result of `disambiguation: 'earlier'`. */
+    earlier: Temporal.ZonedDateTime;
+    /** The result of `disambiguation: 'later'`. */
+    later: Temporal.ZonedDateTime;
+    /** The transition that causes the gap or overlap, or `null` if unique. */
+    transition: TimeZoneTransition | null;
+  }
+
+  /**
+   * Information about a time zone as a whole, as returned by
+   * `Temporal.TimeZones.getZoneInfo()`.
+   */
+  export interface TimeZoneZoneInfo {
+    id: string;
+    /** The identifier that `equals()` uses when comparing time zones. */
+    primaryId: string;
+    /** Other identifiers for the same time zone, not including `primaryId`. */
+    aliases: string[];
+    /**
+     * ISO 3166 country codes of the countries whose clocks follow this time
+     * zone, from the IANA database's zone1970.tab file. The most populous
+     * comes first.
+     */
+    countries: string[];
+    /** Coordinates of the time zone's principal location, in degrees. */
+    latitude: number | undefined;
+    longitude: number | undefined;
+    /** Comment from zone1970.tab, if any, e.g. `'Eastern (most areas)'` */
+    comment: string | undefined;
+  }
+
+  /**
+   * Memory limits of the time zone offset cache, used by
+   * `Temporal.TimeZones.setCacheLimits()`.
+   */
+  export interface TimeZoneCacheLimits {
+    /**
+     * Number of time zones whose offsets are remembered. The least recently
+     * used time zone is forgotten first. 0 disables the cache. Default 64.
+     */
+    maxTimeZones?: number;
+    /**
+     * Number of periods of constant offset remembered per time zone, at least
+     * 2. The periods farthest from the most recently used one are forgotten
+     * first. Default 1024.
+     */
+    maxIntervalsPerTimeZone?: number;
+  }
+
+  /**
+   * The `Temporal.TimeZones` object has functions that give information about
+   * time zones. It is not part of the proposal.
+   */
+  export const TimeZones: {
+    /**
+     * Discards all offsets remembered by the time zone offset cache.
+     */
+    clearCache(): void;
+    /**
+     * Gives the IANA time zone ID that corresponds to a Windows time zone
+     * name, such as `'Pacific Standard Time'`, according to CLDR. Names are
+     * case-insensitive.
+     *
+     * @param {string} windowsName - Windows time zone name
+     * @param {string} [territory] - two-letter region code or three-digit UN
+     * M.49 code, for choosing the time zone used in that territory. If the
+     * Windows time zone isn't used there, the default for the name is given.
+     */
+    fromWindowsZone(windowsName: string, territory?: string): string;
+    /**
+     * Tells whether a wall-clock time in a time zone is skipped or repeated
+     * by a transition, and gives every exact time at which it occurs.
+     *
+     * @param {TimeZoneLike} tzLike - time zone to look up
+     * @param dateTime - wall-clock time to look up
+     */
+    getLocalTimeInfo(
+      tzLike: TimeZoneLike,
+      dateTime: Temporal.PlainDateTime | PlainDateTimeLike | string
+    ): TimeZoneLocalTimeInfo;
+    /**
+     * Gives the offset, DST status and names of a time zone at an exact time.
+     *
+     * @param {TimeZoneLike} tzLike - time zone to look up
+     * @param instant - exact time at which to look it up
+     * @param locales - locales for the localized name
+     */
+    getOffsetInfo(
+      tzLike: TimeZoneLike,
+      instant: Temporal.Instant | Temporal.ZonedDateTime | string,
+      locales?: globalThis.Intl.LocalesArgument
+    ): TimeZoneOffsetInfo;
+    /**
+     * Lists the transitions of a time zone that occur between `start`
+     * (inclusive) and `end` (exclusive), in chronological order. Transitions
+     * are computed lazily as the iterator is consumed.
+     *
+     * @param {TimeZoneLike} tzLike - time zone whose transitions to list
+     * @param start - beginning of the range
+     * @param end - end of the range, which must not be before `start`
+     */
+    getTransitions(
+      tzLike: TimeZoneLike,
+      start: Temporal.Instant | Temporal.ZonedDateTime | string,
+      end: Temporal.Instant | Temporal.ZonedDateTime | string
+    ): IterableIterator<TimeZoneTransition>;
+    /**
+     * Gives a time zone's identifiers, and the countries and location that the
+     * IANA time zone database lists for it.
+     *
+     * @param {TimeZoneLike} tzLike - time zone to look up
+     */
+    getZoneInfo(tzLike: TimeZoneLike): TimeZoneZoneInfo;
+    /**
+     * Changes the memory limits of the cache of offsets of time zones that are
+     * computed with `Intl.DateTimeFormat`. Omitted limits are unchanged.
+     * Returns the previous limits.
+     */
+    setCacheLimits(limits: TimeZoneCacheLimits): Required<TimeZoneCacheLimits>;
+    /**
+     * Chooses how far transition searches go in time zones computed with
+     * `Intl.DateTimeFormat`. In `'default'` mode, they go back to 1847 and
+     * forward to 3 years after the later of the current date and the starting
+     * point. In `'deterministic'` mode, they go back to 1800 and use 2100
+     * instead of the current date, so the results don't depend on the clock.
+     * Returns the previous mode.
+     */
+    setTransitionSearchMode(mode: 'default' | 'deterministic'): 'default' | 'deterministic';
+    /**
+     * Gives the Windows time zone name that corresponds to a time zone,
+     * according to CLDR, or `undefined` if there is none, e.g. for offset time
+     * zones.
+     *
+     * @param {TimeZoneLike} tzLike - time zone to look up
+     */
+    toWindowsZone(tzLike: TimeZoneLike): string | undefined;
+    /**
+     * Fills the time zone offset cache for a time zone between `start` and
+     * `end`, so that later operations in that range are fast. Time zones that
+     * aren't computed with `Intl.DateTimeFormat` aren't cached.
+     *
+     * @param {TimeZoneLike} tzLike - time zone whose offsets to cache
+     * @param start - beginning of the range
+     * @param end - end of the range, which must not be before `start`
+     */
+    warmCache(
+      tzLike: TimeZoneLike,
+      start: Temporal.Instant | Temporal.ZonedDateTime | string,
+      end: Temporal.Instant | Temporal.ZonedDateTime | string
+    ): void;
+    readonly [Symbol.toStringTag]: 'Temporal.TimeZones';
+  };
+
+  /**
+   * Time scales that `Temporal.TimeScales` can convert to and from: UTC,
+   * International Atomic Time, GPS time, and Terrestrial Time.
+   */
+  export type TimeScale = 'utc' | 'tai' | 'gps' | 'tt';
+
+  /**
+   * A change in the difference between TAI and UTC, as returned by
+   * `Temporal.TimeScales.getLeapSeconds()`.
+   */
+  export interface LeapSecond {
+    /** The exact time after the leap second, usually midnight UTC. */
+    instant: Temporal.Instant;
+    /** TAI - UTC, in seconds, from `instant` on. */
+    taiOffset: number;
+  }
+
+  /**
+   * A leap second table, as returned by `Temporal.TimeScales.getLeapSeconds()`
+   * and accepted by `Temporal.TimeScales.setLeapSeconds()`.
+   */
+  export interface LeapSecondTable {
+    /**
+     * Leap seconds in order, starting with TAI - UTC of 10 seconds on
+     * 1972-01-01. Each must change TAI - UTC by one second.
+     */
+    leapSeconds: LeapSecond[];
+    /** When the table stops being guaranteed to be complete, if known. */
+    expires?: Temporal.Instant | undefined;
+  }
+
+  /**
+   * The `Temporal.TimeScales` object has functions that convert exact times
+   * to and from time scales that count leap seconds. It is not part of the
+   * proposal.
+   */
+  export const TimeScales: {
+    /**
+     * Gives the time elapsed between two exact times, including any leap
+     * seconds in between. Strings may have 60 as the seconds value during a
+     * leap second. Takes the same options as `Temporal.Instant.prototype.until()`.
+     *
+     * @param start - beginning of the time span
+     * @param end - end of the time span
+     */
+    elapsed(
+      start: Temporal.Instant | Temporal.ZonedDateTime | string,
+      end: Temporal.Instant | Temporal.ZonedDateTime | string,
+      options?: DifferenceOptions<TimeUnit>
+    ): Temporal.Duration;
+    /**
+     * Gives the exact time at which a clock on a time scale shows a given
+     * date and time. During a leap second, there is no corresponding exact
+     * time; the time one second earlier is given, or with `leapSecond:
+     * 'reject'`, a RangeError is thrown.
+     *
+     * @param dateTime - reading of the time scale's clock
+     * @param {TimeScale} scale - time scale of `dateTime`
+     */
+    fromTimeScale(
+      dateTime: Temporal.PlainDateTime | PlainDateTimeLike | string,
+      scale: TimeScale,
+      options?: { leapSecond?: 'constrain' | 'reject' }
+    ): Temporal.Instant;
+    /**
+     * Gives the leap second table in use.
+     */
+    getLeapSeconds(): LeapSecondTable;
+    /**
+     * Parses an ISO 8601 string with a UTC offset, like
+     * `Temporal.Instant.from()`, except that a seconds value of 60 is kept if
+     * it is a leap second, and rejected otherwise. Gives the reading of a
+     * clock on the time scale at that time. During a leap second, this is
+     * distinct from the readings on either side of it, except in UTC, where
+     * leap seconds are rejected.
+     *
+     * @param {string} isoString - string to parse
+     * @param {TimeScale} [scale] - time scale of the result, `'tai'` if omitted
+     */
+    parse(isoString: string, scale?: TimeScale): Temporal.PlainDateTime;
+    /**
+     * Replaces the leap second table, for example with a newer version of the
+     * IERS's leap-seconds.list file than the one that is built in. `null`
+     * restores the built-in table. Returns the previous table.
+     *
+     * @param table - contents of a leap-seconds.list file, or a table object
+     */
+    setLeapSeconds(table: string | LeapSecondTable | null): LeapSecondTable;
+    /**
+     * Gives the reading of a clock on a time scale at an exact time. Before
+     * 1972, TAI - UTC is taken to be 10 seconds.
+     *
+     * @param instant - exact time to convert
+     * @param {TimeScale} scale - time scale of the result
+     */
+    toTimeScale(instant: Temporal.Instant | Temporal.ZonedDateTime | string, scale: TimeScale): Temporal.PlainDateTime;
+    readonly [Symbol.toStringTag]: 'Temporal.TimeScales';
+  };
+
+  /**
+   * Formats of dates in Internet message and HTTP headers:
+   * - `'rfc5322'`: RFC 5322 (and RFC 2822), e.g. `Tue, 1 Jul 2003 10:52:37 +0200`
+   * - `'imf-fixdate'`: RFC 7231, e.g. `Sun, 06 Nov 1994 08:49:37 GMT`
+   * - `'rfc850'`: obsolete RFC 850, e.g. `Sunday, 06-Nov-94 08:49:37 GMT`
+   * - `'asctime'`: obsolete C `asctime()`, e.g. `Sun Nov  6 08:49:37 1994`
+   */
+  export type MessageDateStyle = 'rfc5322' | 'imf-fixdate' | 'rfc850' | 'asctime';
+
+  /**
+   * The `Temporal.MessageDates` object has functions that parse and format
+   * dates in Internet message and HTTP headers. It is not part of the
+   * proposal.
+   */
+  export const MessageDates: {
+    /**
+     * Formats an exact time for a header. Only `'rfc5322'` keeps the UTC
+     * offset of a `Temporal.ZonedDateTime`, rounded to the minute; the other
+     * styles are always in UTC. Fractions of a second are dropped.
+     *
+     * @param item - exact time to format
+     */
+    format(item: Temporal.Instant | Temporal.ZonedDateTime | string, options?: { style?: MessageDateStyle }): string;
+    /**
+     * Parses a date from a header in any of the formats of
+     * `MessageDateStyle`, including the obsolete syntax of RFC 5322 with
+     * comments, two-digit years, and named zones such as `EST`. Throws a
+     * RangeError naming the problem if the date is malformed.
+     *
+     * @param {string} string - date to parse
+     */
+    parseInstant(string: string): Temporal.Instant;
+    /**
+     * Like `parseInstant()`, but keeps the UTC offset of the date in the
+     * time zone of the result. Named zones are taken to be fixed offsets.
+     * Dates in GMT or UT, and `-0000`, which means that the local time zone
+     * is unknown, give a result in UTC.
+     *
+     * @param {string} string - date to parse
+     */
+    parseZonedDateTime(string: string): Temporal.ZonedDateTime;
+    readonly [Symbol.toStringTag]: 'Temporal.MessageDates';
+  };
+
+  export interface PatternOptions {
+    /**
+     * Whether the pattern uses LDML pattern letters, like `yyyy-MM-dd`, or
+     * `strftime()` conversions, like `%Y-%m-%d`. The default is `'ldml'`.
+     */
+    syntax?: 'ldml' | 'strftime';
+    /**
+     * Locale of month, weekday, era, and time zone names, and of AM and PM.
+     * The default is `'en'`, so that output doesn't depend on the host.
+     */
+    locale?: string;
+  }
+
+  export interface PatternParseOptions extends PatternOptions, AssignmentOptions {
+    /**
+     * In `'strict'` mode, which is the default, numbers must have the width
+     * that the pattern gives them, names must have the pattern's length, and
+     * literal text must match exactly. In `'lenient'` mode, numbers can have
+     * fewer digits, short and long names are both accepted in any case, any
+     * amount of whitespace matches whitespace, and offsets can have any form.
+     */
+    parse?: 'strict' | 'lenient';
+    /**
+     * How to deal with out-of-range fields, such as month 13. The default is
+     * `'reject'`, which throws a RangeError, as parsing ISO 8601 strings does.
+     * In `'constrain'` mode, they are clamped to the nearest in-range value.
+     */
+    overflow?: 'constrain' | 'reject';
+    /**
+     * Last year of the hundred years that two-digit years are in. The default
+     * is 2049, so `'50'` is 1950 and `'49'` is 2049.
+     */
+    pivotYear?: number;
+  }
+
+  /**
+   * Any Temporal object that has date or time fields.
+   */
+  export type PatternFormattable =
+    | Temporal.Instant
+    | Temporal.ZonedDateTime
+    | Temporal.PlainDateTime
+    | Temporal.PlainDate
+    | Temporal.PlainTime
+    | Temporal.PlainYearMonth
+    | Temporal.PlainMonthDay;
+
+  /**
+   * The `Temporal.Patterns` object has functions that format Temporal objects
+   * with exact layouts given by patterns. It is not part of the proposal.
+   */
+  export const Patterns: {
+    /**
+     * Formats `item` with an LDML or `strftime()` pattern. Fields are in the
+     * item's calendar, and a `Temporal.Instant` is formatted in UTC. Temporal
+     * properties can also be written in braces, like `{monthCode}` or
+     * `%{monthCode}`. Throws a TypeError if the pattern has a field that the
+     * type doesn't have, such as hours on `Temporal.PlainDate`.
+     *
+     * @param item - object to format
+     * @param {string} pattern - layout of the result
+     */
+    format(item: PatternFormattable, pattern: string, options?: PatternOptions): string;
+    /**
+     * Parses `string` with an LDML or `strftime()` pattern, into the Temporal
+     * type that the pattern's fields make: a `Temporal.Instant` for `%s`, a
+     * `Temporal.ZonedDateTime` if there is a time zone or UTC offset, and
+     * otherwise a `Temporal.PlainDateTime`, `Temporal.PlainDate`,
+     * `Temporal.PlainTime`, `Temporal.PlainYearMonth`, or
+     * `Temporal.PlainMonthDay`, all in the ISO 8601 calendar. Throws a
+     * RangeError that gives the position in `string` where parsing failed.
+     *
+     * @param {string} string - text to parse
+     * @param {string} pattern - layout of the text
+     */
+    parse(string: string, pattern: string, options?: PatternParseOptions): PatternFormattable;
+    readonly [Symbol.toStringTag]: 'Temporal.Patterns';
+  };
+
+  /**
+   * A timer set with `Temporal.Timers.setTimer()`.
+   */
+  export interface Timer {
+    /** The exact time at which the timer fires. */
+    readonly instant: Temporal.Instant;
+    /** Whether the timer has neither fired nor been cancelled. */
+    readonly pending: boolean;
+    /**
+     * Stops the timer from firing.
+     *
+     * @returns `true` if the timer was pending, `false` otherwise
+     */
+    cancel(): boolean;
+  }
+
+  /**
+   * The `Temporal.Timers` object has functions that run code at an exact
+   * time. It is not part of the proposal.
+   */
+  export const Timers: {
+    /**
+     * Calls `callback` once the current time reaches `when`, or soon if it
+     * has already passed. The timer follows the `Temporal.Clock` that
+     * `Temporal.Now` uses when it is set, if any: it fires when the clock is
+     * advanced or set past `when`, and `Temporal.Now` reads from that clock
+     * while `callback` runs. Otherwise it follows the system clock, however
+     * far away `when` is.
+     *
+     * @param when - exact time at which to call `callback`
+     * @param callback - function to call, with no arguments
+     */
+    setTimer(when: Temporal.Instant | Temporal.ZonedDateTime | string, callback: () => void): Timer;
+    readonly [Symbol.toStringTag]: 'Temporal.Timers';
+  };
+
+  export type IntervalEndpoint =
+    | Temporal.Instant
+    | Temporal.ZonedDateTime
+    | Temporal.PlainDateTime
+    | Temporal.PlainDate;
+
+  export type IntervalLike<T extends IntervalEndpoint> =
+    | Temporal.Interval<T>
+    | { start: T | string; end: T | string }
+    | { start: T | string; duration: Temporal.Duration | DurationLike | string }
+    | { duration: Temporal.Duration | DurationLike | string; end: T | string };
+
+  export type IntervalToStringOptions = ZonedDateTimeToStringOptions & {
+    /**
+     * Which ISO 8601 form to write: the start and end (`'start/end'`, the
+     * default), the start and a duration (`'start/duration'`), or a duration
+     * and the end (`'duration/end'`).
+     */
+    format?: 'start/end' | 'start/duration' | 'duration/end';
+    /** The largest unit in the duration, as in `until()`. */
+    largestUnit?: LargestUnit<DateTimeUnit>;
+  };
+
+  /**
+   * A `Temporal.Interval` is an ISO 8601 time interval: the time from a start
+   * up to, but not including, an end. Both endpoints are the same type, which
+   * is `Temporal.Instant`, `Temporal.ZonedDateTime`,
+   * `Temporal.PlainDateTime`, or `Temporal.PlainDate`, and they are compared
+   * the way that type's `compare()` compares them. It is not part of the
+   * proposal.
+   */
+  export class Interval<T extends IntervalEndpoint = IntervalEndpoint> {
+    /**
+     * Creates an interval from an ISO 8601 string like
+     * `2024-02-10T09:00Z/2024-02-10T17:00Z`, `2024-02-10T09:00Z/PT8H`,
+     * `PT8H/2024-02-10T17:00Z`, or `2024-02-10T09:00Z/17:00`, or from an
+     * object with two of `start`, `end`, and `duration`. The type of the
+     * endpoints is the one that the start string, or the end string if there
+     * is no start, has the fields of, and an end of another type throws. Days
+     * and longer units of a duration are added to a `Temporal.Instant` in
+     * UTC.
+     */
+    static from<T extends IntervalEndpoint = IntervalEndpoint>(item: IntervalLike<T> | string): Temporal.Interval<T>;
+    /**
+     * Compares two intervals by their starts, and then by their ends.
+     *
+     * @returns -1, 0, or 1
+     */
+    static compare<T extends IntervalEndpoint>(
+      one: IntervalLike<T> | string,
+      two: IntervalLike<T> | string
+    ): ComparisonResult;
+    constructor(start: T, end: T);
+    readonly start: T;
+    readonly end: T;
+    /**
+     * Tells whether a point in time is in the interval, including its start
+     * but not its end, or whether another interval is entirely within it.
+     */
+    contains(item: T | IntervalLike<T> | string): boolean;
+    /** Tells whether the two intervals share any time. Empty intervals overlap nothing. */
+    overlaps(other: IntervalLike<T> | string): boolean;
+    /** Gives the time that the two intervals share, or `null` if they don't overlap. */
+    intersection(other: IntervalLike<T> | string): Temporal.Interval<T> | null;
+    /**
+     * Gives the time covered by either interval, or `null` if they neither
+     * overlap nor meet.
+     */
+    union(other: IntervalLike<T> | string): Temporal.Interval<T> | null;
+    /**
+     * Gives the time between the two intervals, or `null` if they overlap or
+     * meet.
+     */
+    gap(other: IntervalLike<T> | string): Temporal.Interval<T> | null;
+    /** Gives the length of the interval, like `start.until(end, options)`. */
+    toDuration(options?: DifferenceOptions<DateTimeUnit>): Temporal.Duration;
+    /**
+     * Tells whether the two intervals have the same endpoints, including
+     * their calendars and time zones.
+     */
+    equals(other: IntervalLike<T> | string): boolean;
+    toString(options?: IntervalToStringOptions): string;
+    toJSON(): string;
+    valueOf(): never;
+    readonly [Symbol.toStringTag]: 'Temporal.Interval';
+  }
+
+  export type RepeatingIntervalLike<T extends IntervalEndpoint> =
+    | Temporal.RepeatingInterval<T>
+    | (Exclude<IntervalLike<T>, Temporal.Interval<T>> & { recurrences?: number });
+
+  /**
+   * A `Temporal.RepeatingInterval` is an ISO 8601 repeating interval: a
+   * duration that is repeated a number of times, or without end, from an
+   * anchor. Each occurrence starts where the previous one ends. If the
+   * duration is negative, the anchor is the end of the first occurrence and
+   * occurrences go back in time from it. It is not part of the proposal.
+   */
+  export class RepeatingInterval<T extends IntervalEndpoint = IntervalEndpoint> {
+    /**
+     * Creates a repeating interval from an ISO 8601 string like
+     * `R5/2024-01-01T09:00[Europe/Paris]/P1W`, where the number after `R` is
+     * the number of occurrences and can be left out for an unbounded number,
+     * or from an object with two of `start`, `end`, and `duration`, and
+     * optionally `recurrences`. A duration and an end, like `R5/P1W/2024-01-01`,
+     * repeat back from the end.
+     */
+    static from<T extends IntervalEndpoint = IntervalEndpoint>(
+      item: RepeatingIntervalLike<T> | string
+    ): Temporal.RepeatingInterval<T>;
+    constructor(anchor: T, duration: Temporal.Duration, recurrences?: number);
+    /** The start of the first occurrence, or its end if `duration` is negative. */
+    readonly anchor: T;
+    readonly duration: Temporal.Duration;
+    /** The number of occurrences, which is `Infinity` if unbounded. */
+    readonly recurrences: number;
+    /**
+     * Gives the occurrences one at a time. Each one is the anchor plus a
+     * multiple of the duration, added the way that the type's `add()` adds
+     * it, so `Temporal.ZonedDateTime` occurrences keep their wall-clock time
+     * across DST.
+     */
+    occurrences(): IterableIterator<Temporal.Interval<T>>;
+    toString(options?: ZonedDateTimeToStringOptions): string;
+    toJSON(): string;
+    readonly [Symbol.toStringTag]: 'Temporal.RepeatingInterval';
+  }
+
+  export type RecurrenceFrequency = 'secondly' | 'minutely' | 'hourly' | 'daily' | 'weekly' | 'monthly' | 'yearly';
+
+  export type RecurrenceRuleLike = {
+    freq: RecurrenceFrequency | string;
+    interval?: number;
+    count?: number;
+    until?: Temporal.PlainDate | Temporal.PlainDateTime | Temporal.ZonedDateTime | Temporal.Instant | string;
+    bySecond?: number[];
+    byMinute?: number[];
+    byHour?: number[];
+    /** Weekdays like `'MO'`, with an optional ordinal like `'-1FR'` */
+    byDay?: string[];
+    byMonthDay?: number[];
+    byYearDay?: number[];
+    byWeekNo?: number[];
+    byMonth?: number[];
+    bySetPos?: number[];
+    wkst?: string;
+  };
+
+  export type RecurrenceOptions = {
+    /**
+     * How to resolve occurrences of a `Temporal.ZonedDateTime` start that
+     * fall into a DST gap or overlap. The default is `'compatible'`.
+     */
+    disambiguation?: 'compatible' | 'earlier' | 'later' | 'reject';
+    /** Occurrences to leave out, like the EXDATE property of iCalendar. */
+    exdates?: Iterable<
+      Temporal.PlainDate | Temporal.PlainDateTime | Temporal.ZonedDateTime | Temporal.Instant | string
+    >;
+    /** Occurrences to add, like the RDATE property of iCalendar. */
+    rdates?: Iterable<Temporal.PlainDate | Temporal.PlainDateTime | Temporal.ZonedDateTime | Temporal.Instant | string>;
+  };
+
+  /**
+   * A `Temporal.RecurrenceRule` is a recurrence rule as written in the RRULE
+   * property of RFC 5545 (iCalendar), like `FREQ=MONTHLY;BYDAY=-1FR`. It gives
+   * the dates and times that the rule selects from a start, in the ISO 8601
+   * calendar. It is not part of the proposal.
+   */
+  export class RecurrenceRule {
+    /**
+     * Creates a recurrence rule from an RRULE value, with or without the
+     * `RRULE:` prefix, or from an object with the parts of the rule.
+     */
+    static from(item: Temporal.RecurrenceRule | RecurrenceRuleLike | string): Temporal.RecurrenceRule;
+    constructor(rule: string);
+    readonly freq: RecurrenceFrequency;
+    readonly interval: number;
+    readonly count: number | undefined;
+    /**
+     * The last possible occurrence: a `Temporal.PlainDate` or
+     * `Temporal.PlainDateTime` if it is written in floating time, or a
+     * `Temporal.Instant` if it is written in UTC.
+     */
+    readonly until: Temporal.PlainDate | Temporal.PlainDateTime | Temporal.Instant | undefined;
+    readonly wkst: string | undefined;
+    readonly bySecond: number[] | undefined;
+    readonly byMinute: number[] | undefined;
+    readonly byHour: number[] | undefined;
+    readonly byDay: string[] | undefined;
+    readonly byMonthDay: number[] | undefined;
+    readonly byYearDay: number[] | undefined;
+    readonly byWeekNo: number[] | undefined;
+    readonly byMonth: number[] | undefined;
+    readonly bySetPos: number[] | undefined;
+    /**
+     * Gives the occurrences of the rule from `start` in order, one at a
+     * time. `start` is always the first occurrence, as DTSTART is in
+     * iCalendar, and counts towards `count`. Occurrences keep the wall-clock
+     * time of a `Temporal.ZonedDateTime` start.
+     */
+    occurrences<T extends Temporal.PlainDate | Temporal.PlainDateTime | Temporal.ZonedDateTime>(
+      start: T,
+      options?: RecurrenceOptions
+    ): IterableIterator<T>;
+    toString(): string;
+    toJSON(): string;
+    readonly [Symbol.toStringTag]: 'Temporal.RecurrenceRule';
+  }
+
+  export type ICalendarValue =
+    | Temporal.PlainDate
+    | Temporal.PlainDateTime
+    | Temporal.ZonedDateTime
+    | Temporal.Instant
+    | Temporal.Duration;
+
+  export type ICalendarParseOptions = {
+    /**
+     * How to resolve local times with a TZID that fall into a DST gap or
+     * overlap. The default, `'compatible'`, is what RFC 5545 requires: a time
+     * in a gap uses the UTC offset from before the gap, and a time in an
+     * overlap is the first of the two.
+     */
+    disambiguation?: 'compatible' | 'earlier' | 'later' | 'reject';
+    /**
+     * Time zones that TZID parameters can refer to, as VTIMEZONE components
+     * or as time zone objects, such as those from `parseTimeZone()`. A TZID
+     * that isn't the `id` of any of them must be a time zone identifier.
+     */
+    timeZones?: Iterable<string | TimeZoneProtocol>;
+  };
+
+  /**
+   * The `Temporal.ICalendar` object has functions that convert between
+   * Temporal objects and the values of iCalendar (RFC 5545) properties. It is
+   * not part of the proposal.
+   */
+  export const ICalendar: {
+    /**
+     * Writes a content line such as `DTSTART;TZID=America/New_York:20240310T030000`.
+     * A `Temporal.PlainDate` is a DATE value, a `Temporal.PlainDateTime` is
+     * in floating time, a `Temporal.Instant` is in UTC, and a
+     * `Temporal.ZonedDateTime` has a TZID parameter unless its time zone is
+     * UTC or an offset, in which case it is written in UTC. An array is
+     * written as a list of values, which must all have the same parameters.
+     * Throws a RangeError for fractions of a second, years outside 0000-9999,
+     * and durations with years or months.
+     *
+     * @param {string} name - name of the property, such as `'DTSTART'`
+     * @param item - value or values of the property
+     */
+    format(name: string, item: ICalendarValue | ICalendarValue[]): string;
+    /**
+     * Parses the value of a content line such as `DTSTART;VALUE=DATE:20240310`,
+     * or a bare value such as `20240310T020000Z`. DATE values give a
+     * `Temporal.PlainDate`, DATE-TIME values a `Temporal.PlainDateTime` in
+     * floating time, a `Temporal.Instant` in UTC, or a
+     * `Temporal.ZonedDateTime` with a TZID parameter, and DURATION values a
+     * `Temporal.Duration`. Folded lines are unfolded.
+     *
+     * @param {string} line - content line to parse
+     */
+    parse(line: string, options?: ICalendarParseOptions): ICalendarValue;
+    /**
+     * Like `parse()`, but for properties with a list of values, such as
+     * EXDATE and RDATE.
+     *
+     * @param {string} line - content line to parse
+     */
+    parseList(line: string, options?: ICalendarParseOptions): ICalendarValue[];
+    /**
+     * Creates a custom time zone from a VTIMEZONE component, from its
+     * `BEGIN:VTIMEZONE` line to its `END:VTIMEZONE` line. The `id` of the
+     * time zone is the TZID of the component, and its UTC offsets follow the
+     * STANDARD and DAYLIGHT components.
+     *
+     * @param {string} component - VTIMEZONE component
+     */
+    parseTimeZone(component: string): TimeZoneProtocol;
+    readonly [Symbol.toStringTag]: 'Temporal.ICalendar';
+  };
+
+  export type RangeMode = 'standard' | 'expanded';
+
+  /**
+   * The `Temporal.Limits` object controls the range of dates and times. It is
+   * not part of the proposal.
+   */
+  export const Limits: {
+    /**
+     * Returns the current range mode, and the earliest and latest
+     * `Temporal.Instant` in that mode. Plain dates and date-times reach one
+     * day further on each side.
+     */
+    getRange(): { mode: RangeMode; earliest: Temporal.Instant; latest: Temporal.Instant };
+    /**
+     * Sets the range mode, and returns the previous one. In the `'standard'`
+     * mode, the default, dates and times are limited to 10^8 days around
+     * 1970-01-01, as in the proposal. In the `'expanded'` mode, the limit is
+     * 10^13 days, about 27 billion years, and years with more than six digits
+     * can be parsed. `Temporal.ZonedDateTime`, named time zones and calendars
+     * other than ISO 8601 keep the standard range. The mode applies to strings,
+     * property bags, numbers and constructor arguments; Instant, PlainDate,
+     * PlainDateTime and PlainYearMonth objects keep the range they were created
+     * in, and pass it on to the results of their operations.
+     *
+     * @param {string} mode - `'standard'` or `'expanded'`
+     */
+    setRangeMode(mode: RangeMode): RangeMode;
+    readonly [Symbol.toStringTag]: 'Temporal.Limits';
+  };
 }
 
 declare namespace Intl {
@@ -0,0 +1,92 @@
+import {
+  // error constructors
+  RangeError as RangeErrorCtor,
+  TypeError as TypeErrorCtor,
+
+  // class static functions and methods
+  NumberIsFinite
+} from './primordials.mjs';
+
+import * as ES from './ecmascript.mjs';
+import { GetIntrinsic, MakeIntrinsicClass } from './intrinsicclass.mjs';
+import { CLOCK_STATE, CLOCK_TIMERS, EPOCHNANOSECONDS, CreateSlots, GetSlot, SetSlot } from './slots.mjs';
+import { RearmClockTimers, SetClockReading } from './timers.mjs';
+
+function ToClockRate(rate) {
+  rate = ES.ToNumber(rate);
+  if (!NumberIsFinite(rate) || rate < 0) {
+    throw new RangeErrorCtor(`clock rate must be a finite number ≥ 0, not ${rate}`);
+  }
+  return rate;
+}
+
+function ToClockTimeZone(temporalTimeZoneLike) {
+  if (temporalTimeZoneLike === undefined) return undefined;
+  return ES.ToTemporalTimeZoneSlotValue(temporalTimeZoneLike);
+}
+
+export class Clock {
+  constructor(options = undefined) {
+    options = ES.GetOptionsObject(options);
+    const instant = options.instant;
+    let epochNs;
+    if (instant !== undefined) epochNs = GetSlot(ES.ToTemporalInstant(instant), EPOCHNANOSECONDS);
+    // A clock that starts at a given instant stands still unless told otherwise
+    let rate = options.rate;
+    rate = rate === undefined ? (instant === undefined ? 1 : 0) : ToClockRate(rate);
+    const timeZone = ToClockTimeZone(options.timeZone);
+    CreateSlots(this);
+    ES.SetClockState(this, epochNs, rate, timeZone);
+    SetSlot(this, CLOCK_TIMERS, []);
+  }
+  get rate() {
+    if (!ES.IsTemporalClock(this)) throw new TypeErrorCtor('invalid receiver');
+    return GetSlot(this, CLOCK_STATE).rate;
+  }
+  instant() {
+    if (!ES.IsTemporalClock(this)) throw new TypeErrorCtor('invalid receiver');
+    const Instant = GetIntrinsic('%Temporal.Instant%');
+    return new Instant(ES.GetClockEpochNanoseconds(this));
+  }
+  timeZoneId() {
+    if (!ES.IsTemporalClock(this)) throw new TypeErrorCtor('invalid receiver');
+    const { timeZone } = GetSlot(this, CLOCK_STATE);
+    return ES.ToTemporalTimeZoneIdentifier(timeZone ?? ES.DefaultTimeZone());
+  }
+  advance(duration) {
+    if (!ES.IsTemporalClock(this)) throw new TypeErrorCtor('invalid receiver');
+    const result = ES.AddDurationToInstant('add', this.instant(), duration);
+    SetClockReading(this, GetSlot(result, EPOCHNANOSECONDS));
+  }
+  setInstant(instant) {
+    if (!ES.IsTemporalClock(this)) throw new TypeErrorCtor('invalid receiver');
+    const epochNs = GetSlot(ES.ToTemporalInstant(instant), EPOCHNANOSECONDS);
+    SetClockReading(this, epochNs);
+  }
+  setRate(rate) {
+    if (!ES.IsTemporalClock(this)) throw new TypeErrorCtor('invalid receiver');
+    rate = ToClockRate(rate);
+    const { timeZone } = GetSlot(this, CLOCK_STATE);
+    ES.SetClockState(this, ES.GetClockEpochNanoseconds(this), rate, timeZone);
+    RearmClockTimers(this);
+  }
+  setTimeZone(temporalTimeZoneLike) {
+    if (!ES.IsTemporalClock(this)) throw new TypeErrorCtor('invalid receiver');
+    const timeZone = ToClockTimeZone(temporalTimeZoneLike);
+    const { rate } = GetSlot(this, CLOCK_STATE);
+    ES.SetClockState(this, ES.GetClockEpochNanoseconds(this), rate, timeZone);
+  }
+  run(callback, ...args) {
+    if (!ES.IsTemporalClock(this)) throw new TypeErrorCtor('invalid receiver');
+    if (typeof callback !== 'function') throw new TypeErrorCtor('callback must be a function');
+    return ES.RunWithClock(this, callback, args);
+  }
+
+  static install(clock) {
+    if (clock === undefined) clock = null;
+    if (clock !== null && !ES.IsTemporalClock(clock)) throw new TypeErrorCtor('expected a Temporal.Clock or null');
+    return ES.InstallClock(clock);
+  }
+}
+
+MakeIntrinsicClass(Clock, 'Temporal.Clock');
@@ -35,6 +35,7 @@ import {
   CreateSlots,
   GetSlot,
   ISO_DATE,
+  RANGE,
   SetSlot,
   TIME_ZONE
 } from './slots.mjs';
@@ -257,8 +258,9 @@ export class Duration {
       // Delegate the date part addition to the calendar
       const isoRelativeToDate = GetSlot(plainRelativeTo, ISO_DATE);
       const calendar = GetSlot(plainRelativeTo, CALENDAR);
+      const range = GetSlot(plainRelativeTo, RANGE);
       const dateDuration = ES.AdjustDateDurationRecord(duration.date, targetTime.deltaDays);
-      const targetDate = ES.CalendarDateAdd(calendar, isoRelativeToDate, dateDuration, 'constrain');
+      const targetDate = ES.CalendarDateAdd(calendar, isoRelativeToDate, dateDuration, 'constrain', range);
 
       const isoDateTime = ES.CombineISODateAndTimeRecord(isoRelativeToDate, ES.MidnightTimeRecord());
       const targetDateTime = ES.CombineISODateAndTimeRecord(targetDate, targetTime);
@@ -269,7 +271,8 @@ export class Duration {
         largestUnit,
         roundingIncrement,
         smallestUnit,
-        roundingMode
+        roundingMode,
+        range
       );
       return ES.TemporalDurationFromInternal(duration, largestUnit);
     }
@@ -316,12 +319,13 @@ export class Duration {
       // Delegate the date part addition to the calendar
       const isoRelativeToDate = GetSlot(plainRelativeTo, ISO_DATE);
       const calendar = GetSlot(plainRelativeTo, CALENDAR);
+      const range = GetSlot(plainRelativeTo, RANGE);
       const dateDuration = ES.AdjustDateDurationRecord(duration.date, targetTime.deltaDays);
-      const targetDate = ES.CalendarDateAdd(calendar, isoRelativeToDate, dateDuration, 'constrain');
+      const targetDate = ES.CalendarDateAdd(calendar, isoRelativeToDate, dateDuration, 'constrain', range);
 
       const isoDateTime = ES.CombineISODateAndTimeRecord(isoRelativeToDate, ES.MidnightTimeRecord());
       const targetDateTime = ES.CombineISODateAndTimeRecord(targetDate, targetTime);
-      return ES.DifferencePlainDateTimeWithTotal(isoDateTime, targetDateTime, calendar, unit);
+      return ES.DifferencePlainDateTimeWithTotal(isoDateTime, targetDateTime, calendar, unit, range);
     }
 
     // No reference date to calculate difference relative to
@@ -372,8 +376,8 @@ export class Duration {
   valueOf() {
     ES.ValueOfThrows('Duration');
   }
-  static from(item) {
-    return ES.ToTemporalDuration(item);
+  static from(item, options = undefined) {
+    return ES.ToTemporalDuration(item, options);
   }
   static compare(one, two, options = undefined) {
     one = ES.ToTemporalDuration(one);
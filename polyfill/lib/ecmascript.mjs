@@ -18,6 +18,7 @@ import {
   TypeError as TypeErrorCtor,
 
   // class static functions and methods
+  ArrayFrom,
   ArrayPrototypeConcat,
   ArrayPrototypeEvery,
   ArrayPrototypeFilter,
@@ -29,6 +30,7 @@ import {
   ArrayPrototypePush,
   ArrayPrototypeReduce,
   ArrayPrototypeSort,
+  ArrayPrototypeSplice,
   DateNow,
   DatePrototypeGetTime,
   DatePrototypeGetUTCFullYear,
@@ -45,10 +47,17 @@ import {
   IntlDateTimeFormatPrototypeGetFormat,
   IntlDateTimeFormatPrototypeResolvedOptions,
   IntlSupportedValuesOf,
+  MapIteratorPrototypeNext,
+  MapPrototypeClear,
+  MapPrototypeDelete,
+  MapPrototypeEntries,
   MapPrototypeGet,
+  MapPrototypeGetSize,
   MapPrototypeHas,
+  MapPrototypeKeys,
   MapPrototypeSet,
   MathAbs,
+  MathCeil,
   MathFloor,
   MathMax,
   MathMin,
@@ -97,6 +106,18 @@ import {
   TruncatingDivModByPowerOf10
 } from './math.mjs';
 import { TimeDuration } from './timeduration.mjs';
+import {
+  AnnotationsStart,
+  CreateDurationError,
+  CreateISOStringError,
+  CreateParseError,
+  CreateShortFormCalendarError,
+  CreateUTCDesignatorError,
+  RemoveLenientSuggestion
+} from './parseerror.mjs';
+import { ParsePOSIXTZString } from './posixtz.mjs';
+import { GetTZifNextTransition, GetTZifOffsetSeconds, GetTZifPreviousTransition } from './tzif.mjs';
+import { WINDOWS_ZONES } from './windowszones.mjs';
 import {
   CreateSlots,
   GetSlot,
@@ -109,6 +130,7 @@ import {
   DATE_BRAND,
   YEAR_MONTH_BRAND,
   MONTH_DAY_BRAND,
+  RANGE,
   TIME_ZONE,
   CALENDAR,
   YEARS,
@@ -120,7 +142,12 @@ import {
   SECONDS,
   MILLISECONDS,
   MICROSECONDS,
-  NANOSECONDS
+  NANOSECONDS,
+  TIME_ZONE_RECORDS,
+  CLOCK_STATE,
+  INTERVAL_START,
+  REPEATING_ANCHOR,
+  RECURRENCE_RULE
 } from './slots.mjs';
 
 import bigInt from 'big-integer';
@@ -137,12 +164,44 @@ const NS_MAX = bigInt(DAY_NANOS).multiply(1e8);
 const DATETIME_NS_MIN = NS_MIN.subtract(DAY_NANOS).add(bigInt.one);
 const DATETIME_NS_MAX = NS_MAX.add(DAY_NANOS).subtract(bigInt.one);
 // The pattern of leap years in the ISO 8601 calendar repeats every 400 years.
-// The constant below is the number of nanoseconds in 400 years. It is used to
-// avoid overflows when dealing with values at the edge legacy Date's range.
-const MS_IN_400_YEAR_CYCLE = (400 * 365 + 97) * DAY_MS;
-const YEAR_MIN = -271821;
-const YEAR_MAX = 275760;
+// The constants below are the numbers of days, milliseconds and nanoseconds in
+// 400 years. They are used to avoid overflows when dealing with values at and
+// beyond the edges of legacy Date's range.
+const DAYS_IN_400_YEAR_CYCLE = 400 * 365 + 97;
+const MS_IN_400_YEAR_CYCLE = DAYS_IN_400_YEAR_CYCLE * DAY_MS;
+const NS_IN_400_YEAR_CYCLE = bigInt(MS_IN_400_YEAR_CYCLE).multiply(1e6);
+// The ranges of dates and times in the two range modes; see SetRangeMode. The
+// expanded range is 10 trillion days, about 27 billion years, before or after
+// the epoch, so that epoch days are still exact as Numbers.
+const STANDARD_RANGE = {
+  days: 1e8,
+  nsMin: NS_MIN,
+  nsMax: NS_MAX,
+  dateTimeNsMin: DATETIME_NS_MIN,
+  dateTimeNsMax: DATETIME_NS_MAX,
+  yearMin: -271821,
+  monthMin: 4,
+  yearMax: 275760,
+  monthMax: 9
+};
+const EXPANDED_NS_MIN = bigInt(DAY_NANOS).multiply(-1e13);
+const EXPANDED_NS_MAX = bigInt(DAY_NANOS).multiply(1e13);
+const EXPANDED_RANGE = {
+  days: 1e13,
+  nsMin: EXPANDED_NS_MIN,
+  nsMax: EXPANDED_NS_MAX,
+  dateTimeNsMin: EXPANDED_NS_MIN.subtract(DAY_NANOS).add(bigInt.one),
+  dateTimeNsMax: EXPANDED_NS_MAX.add(DAY_NANOS).subtract(bigInt.one),
+  yearMin: -27379068100,
+  monthMin: 2,
+  yearMax: 27379072039,
+  monthMax: 11
+};
 const BEFORE_FIRST_DST = DateUTC(1847, 0, 1); // 1847-01-01T00:00:00Z
+// Stand-ins for BEFORE_FIRST_DST and the current time in the deterministic
+// transition search mode. Some zones' LMT ended in 1844.
+const EARLIEST_HISTORY = DateUTC(1800, 0, 1); // 1800-01-01T00:00:00Z
+const DETERMINISTIC_PRESENT = DateUTC(2100, 0, 1); // 2100-01-01T00:00:00Z
 
 const BUILTIN_CALENDAR_IDS = [
   'iso8601',
@@ -290,7 +349,7 @@ const BUILTIN_CASTS = new MapCtor([
   ['microsecond', ToIntegerWithTruncation],
   ['nanosecond', ToIntegerWithTruncation],
   ['offset', ToOffsetString],
-  ['timeZone', ToTemporalTimeZoneIdentifier]
+  ['timeZone', ToTemporalTimeZoneSlotValue]
 ]);
 
 const BUILTIN_DEFAULTS = new MapCtor([
@@ -394,6 +453,26 @@ export function IsTemporalZonedDateTime(item) {
   return HasSlot(item, EPOCHNANOSECONDS, TIME_ZONE, CALENDAR);
 }
 
+export function IsTemporalTimeZoneProvider(item) {
+  return HasSlot(item, TIME_ZONE_RECORDS);
+}
+
+export function IsTemporalClock(item) {
+  return HasSlot(item, CLOCK_STATE);
+}
+
+export function IsTemporalInterval(item) {
+  return HasSlot(item, INTERVAL_START);
+}
+
+export function IsTemporalRepeatingInterval(item) {
+  return HasSlot(item, REPEATING_ANCHOR);
+}
+
+export function IsTemporalRecurrenceRule(item) {
+  return HasSlot(item, RECURRENCE_RULE);
+}
+
 export function RejectTemporalLikeObject(item) {
   if (HasSlot(item, CALENDAR) || HasSlot(item, TIME_ZONE)) {
     throw new TypeErrorCtor('with() does not support a calendar or timeZone property');
@@ -420,7 +499,8 @@ export function FormatCalendarAnnotation(id, showCalendar) {
 // place: ParseISODateTime. In the code it's more convenient to split up
 // ParseISODateTime for the YYYY-MM, MM-DD, and THH:MM:SS parse goals, so it's
 // repeated four times.
-function processAnnotations(annotations) {
+function processAnnotations(annotations, isoString) {
+  const start = isoString.length - annotations.length;
   let calendar;
   let calendarWasCritical = false;
   // Avoid the user code minefield of matchAll.
@@ -433,46 +513,130 @@ function processAnnotations(annotations) {
         calendar = value;
         calendarWasCritical = critical === '!';
       } else if (critical === '!' || calendarWasCritical) {
-        throw new RangeErrorCtor(
-          `Invalid annotations in ${annotations}: more than one u-ca present with critical flag`
-        );
+        throw CreateParseError('ISO 8601 string', isoString, {
+          offset: start + match.index,
+          component: 'calendar key',
+          expected: 'only one u-ca annotation when one of them has the critical flag "!"',
+          suggestion: 'remove all but one u-ca annotation'
+        });
       }
     } else if (critical === '!') {
-      throw new RangeErrorCtor(`Unrecognized annotation: !${key}=${value}`);
+      throw CreateParseError('ISO 8601 string', isoString, {
+        offset: start + match.index,
+        component: 'annotation',
+        expected: `a known annotation key, since [!${key}=${value}] has the critical flag "!"`,
+        suggestion: 'remove the "!" to ignore the annotation'
+      });
     }
   }
   return calendar;
 }
 
-export function ParseISODateTime(isoString) {
+// -000000 is not a valid year, nor is it with more digits in the expanded range
+// mode
+function IsNegativeZeroYear(yearString) {
+  return Call(RegExpPrototypeTest, /^-0+$/, [yearString]);
+}
+
+// Whether a suggested rewrite of a string that failed to parse as the goal
+// parses; see parseerror.mjs
+function ParsesAsGoal(string, goal) {
+  try {
+    switch (goal) {
+      case 'time':
+        ProbeParse(ParseTemporalTimeString, string);
+        break;
+      case 'year-month':
+        ProbeParse(ParseTemporalYearMonthString, string);
+        break;
+      case 'month-day':
+        ProbeParse(ParseTemporalMonthDayString, string);
+        break;
+      case 'duration':
+        ProbeParse(ParseTemporalDurationStringRaw, string);
+        break;
+      default:
+        ProbeParse(ParseISODateTime, string);
+    }
+  } catch {
+    return false;
+  }
+  return true;
+}
+
+// parseerror.mjs doesn't import this module, to avoid a cycle
+const PARSE_ERROR_HELPERS = {
+  GetRangeMode,
+  ISODaysInMonth,
+  ISOWeeksInYear,
+  LeapYear,
+  Parses: ParsesAsGoal,
+  probing: false
+};
+
+// Parses a string only to find out whether it has some form. The caller
+// catches the error, so the string isn't diagnosed when it doesn't parse.
+function ProbeParse(parseFn, string) {
+  const wasProbing = PARSE_ERROR_HELPERS.probing;
+  PARSE_ERROR_HELPERS.probing = true;
+  try {
+    return parseFn(string);
+  } finally {
+    PARSE_ERROR_HELPERS.probing = wasProbing;
+  }
+}
+
+// The goal is the form that the string was meant to be in, which only matters
+// for the error if it can't be parsed; see parseerror.mjs
+export function ParseISODateTime(isoString, goal = 'date-time') {
   // ZDT is the superset of fields for every other Temporal type
-  const match = Call(RegExpPrototypeExec, PARSE.zoneddatetime, [isoString]);
-  if (!match) throw new RangeErrorCtor(`invalid ISO 8601 string: ${isoString}`);
-  const calendar = processAnnotations(match[16]);
+  const regex = rangeMode === 'expanded' ? PARSE.expandedZoneddatetime : PARSE.zoneddatetime;
+  const match = Call(RegExpPrototypeExec, regex, [isoString]);
+  if (!match) throw CreateISOStringError(PARSE_ERROR_HELPERS, isoString, goal);
+  const calendar = processAnnotations(match[22], isoString);
   let yearString = match[1];
-  if (yearString === '-000000') throw new RangeErrorCtor(`invalid ISO 8601 string: ${isoString}`);
-  const year = +yearString;
-  const month = +(match[2] ?? match[4] ?? 1);
-  const day = +(match[3] ?? match[5] ?? 1);
-  const hasTime = match[6] !== undefined;
-  const hour = +(match[6] ?? 0);
-  const minute = +(match[7] ?? match[10] ?? 0);
-  let second = +(match[8] ?? match[11] ?? 0);
-  if (second === 60) second = 59;
-  const fraction = (match[9] ?? match[12] ?? '') + '000000000';
+  if (IsNegativeZeroYear(yearString)) throw CreateISOStringError(PARSE_ERROR_HELPERS, isoString, goal);
+  let year = +yearString;
+  let month = +(match[2] ?? match[4] ?? 1);
+  let day = +(match[3] ?? match[5] ?? 1);
+  const week = match[6] ?? match[8];
+  const dayOfYear = match[10] ?? match[11];
+  try {
+    if (week !== undefined) {
+      RejectToRange(+week, 1, ISOWeeksInYear(year));
+      ({ year, month, day } = ISOWeekDateToISODate(year, +week, +(match[7] ?? match[9])));
+    } else if (dayOfYear !== undefined) {
+      RejectToRange(+dayOfYear, 1, LeapYear(year) ? 366 : 365);
+      ({ month, day } = BalanceISODate(year, 1, +dayOfYear));
+    }
+  } catch (e) {
+    throw CreateISOStringError(PARSE_ERROR_HELPERS, isoString, goal, e);
+  }
+  const hasTime = match[12] !== undefined;
+  const hour = +(match[12] ?? 0);
+  const minute = +(match[13] ?? match[16] ?? 0);
+  let second = +(match[14] ?? match[17] ?? 0);
+  // Leap seconds are constrained, but Temporal.TimeScales needs to know
+  const leapSecond = second === 60;
+  if (leapSecond) second = 59;
+  const fraction = (match[15] ?? match[18] ?? '') + '000000000';
   const millisecond = +Call(StringPrototypeSlice, fraction, [0, 3]);
   const microsecond = +Call(StringPrototypeSlice, fraction, [3, 6]);
   const nanosecond = +Call(StringPrototypeSlice, fraction, [6, 9]);
   let offset;
   let z = false;
-  if (match[13]) {
+  if (match[19]) {
     offset = undefined;
     z = true;
-  } else if (match[14]) {
-    offset = match[14];
+  } else if (match[20]) {
+    offset = match[20];
+  }
+  const tzAnnotation = match[21];
+  try {
+    RejectDateTime(year, month, day, hour, minute, second, millisecond, microsecond, nanosecond);
+  } catch (e) {
+    throw CreateISOStringError(PARSE_ERROR_HELPERS, isoString, goal, e);
   }
-  const tzAnnotation = match[15];
-  RejectDateTime(year, month, day, hour, minute, second, millisecond, microsecond, nanosecond);
   return {
     year,
     month,
@@ -481,19 +645,34 @@ export function ParseISODateTime(isoString) {
     tzAnnotation,
     offset,
     z,
-    calendar
+    calendar,
+    leapSecond
   };
 }
 
 export function ParseTemporalInstantString(isoString) {
   const result = ParseISODateTime(isoString);
-  if (!result.z && !result.offset) throw new RangeErrorCtor('Temporal.Instant requires a time zone offset');
+  if (!result.z && !result.offset) {
+    throw CreateParseError('ISO 8601 string', isoString, {
+      offset: AnnotationsStart(isoString),
+      component: 'offset',
+      expected: '"Z" or a UTC offset for Temporal.Instant',
+      suggestion: 'add "Z" for UTC, or an offset such as +01:00'
+    });
+  }
   return result;
 }
 
 export function ParseTemporalZonedDateTimeString(isoString) {
   const result = ParseISODateTime(isoString);
-  if (!result.tzAnnotation) throw new RangeErrorCtor('Temporal.ZonedDateTime requires a time zone ID in brackets');
+  if (!result.tzAnnotation) {
+    throw CreateParseError('ISO 8601 string', isoString, {
+      offset: AnnotationsStart(isoString),
+      component: 'time zone',
+      expected: 'a time zone annotation in brackets for Temporal.ZonedDateTime',
+      suggestion: 'add a time zone such as [Europe/Paris] or [UTC]'
+    });
+  }
   return result;
 }
 
@@ -509,7 +688,7 @@ export function ParseTemporalTimeString(isoString) {
   const match = Call(RegExpPrototypeExec, PARSE.time, [isoString]);
   let hour, minute, second, millisecond, microsecond, nanosecond;
   if (match) {
-    processAnnotations(match[10]); // ignore found calendar
+    processAnnotations(match[10], isoString); // ignore found calendar
     hour = +(match[1] ?? 0);
     minute = +(match[2] ?? match[5] ?? 0);
     second = +(match[3] ?? match[6] ?? 0);
@@ -518,50 +697,67 @@ export function ParseTemporalTimeString(isoString) {
     millisecond = +Call(StringPrototypeSlice, fraction, [0, 3]);
     microsecond = +Call(StringPrototypeSlice, fraction, [3, 6]);
     nanosecond = +Call(StringPrototypeSlice, fraction, [6, 9]);
-    if (match[8]) throw new RangeErrorCtor('Z designator not supported for PlainTime');
+    if (match[8]) throw CreateUTCDesignatorError(isoString, 'Temporal.PlainTime');
   } else {
-    const { time, z } = ParseISODateTime(isoString);
-    if (time === 'start-of-day') throw new RangeErrorCtor(`time is missing in string: ${isoString}`);
-    if (z) throw new RangeErrorCtor('Z designator not supported for PlainTime');
+    const { time, z } = ParseISODateTime(isoString, 'time');
+    if (time === 'start-of-day') {
+      throw CreateParseError('ISO 8601 string', isoString, {
+        offset: AnnotationsStart(isoString),
+        component: 'time',
+        expected: '"T" and a time',
+        suggestion: 'add a time such as T12:00 after the date'
+      });
+    }
+    if (z) throw CreateUTCDesignatorError(isoString, 'Temporal.PlainTime');
     ({ hour, minute, second, millisecond, microsecond, nanosecond } = time);
   }
-  RejectTime(hour, minute, second, millisecond, microsecond, nanosecond);
+  try {
+    RejectTime(hour, minute, second, millisecond, microsecond, nanosecond);
+  } catch (e) {
+    throw CreateISOStringError(PARSE_ERROR_HELPERS, isoString, 'time', e);
+  }
   // if it's a date-time string, OK
   if (Call(RegExpPrototypeTest, /[tT ][0-9][0-9]/, [isoString])) {
     return { hour, minute, second, millisecond, microsecond, nanosecond };
   }
   // Reject strings that are ambiguous with PlainMonthDay or PlainYearMonth.
   try {
-    const { month, day } = ParseTemporalMonthDayString(isoString);
+    const { month, day } = ProbeParse(ParseTemporalMonthDayString, isoString);
     RejectISODate(1972, month, day);
   } catch {
     try {
-      const { year, month } = ParseTemporalYearMonthString(isoString);
+      const { year, month } = ProbeParse(ParseTemporalYearMonthString, isoString);
       RejectISODate(year, month, 1);
     } catch {
       return { hour, minute, second, millisecond, microsecond, nanosecond };
     }
   }
-  throw new RangeErrorCtor(`invalid ISO 8601 time-only string ${isoString}; may need a T prefix`);
+  throw CreateParseError('ISO 8601 string', isoString, {
+    offset: 0,
+    component: 'time',
+    expected: '"T" before a time that could also be read as a date',
+    suggestion: `write "T${isoString}"`
+  });
 }
 
 export function ParseTemporalYearMonthString(isoString) {
-  const match = Call(RegExpPrototypeExec, PARSE.yearmonth, [isoString]);
+  const regex = rangeMode === 'expanded' ? PARSE.expandedYearmonth : PARSE.yearmonth;
+  const match = Call(RegExpPrototypeExec, regex, [isoString]);
   let year, month, calendar, referenceISODay;
   if (match) {
-    calendar = processAnnotations(match[3]);
+    calendar = processAnnotations(match[3], isoString);
     let yearString = match[1];
-    if (yearString === '-000000') throw new RangeErrorCtor(`invalid ISO 8601 string: ${isoString}`);
+    if (IsNegativeZeroYear(yearString)) throw CreateISOStringError(PARSE_ERROR_HELPERS, isoString, 'year-month');
     year = +yearString;
     month = +match[2];
     referenceISODay = 1;
     if (calendar !== undefined && calendar !== 'iso8601') {
-      throw new RangeErrorCtor('YYYY-MM format is only valid with iso8601 calendar');
+      throw CreateShortFormCalendarError(PARSE_ERROR_HELPERS, isoString, 'YYYY-MM', calendar);
     }
   } else {
     let z;
-    ({ year, month, calendar, day: referenceISODay, z } = ParseISODateTime(isoString));
-    if (z) throw new RangeErrorCtor('Z designator not supported for PlainYearMonth');
+    ({ year, month, calendar, day: referenceISODay, z } = ParseISODateTime(isoString, 'year-month'));
+    if (z) throw CreateUTCDesignatorError(isoString, 'Temporal.PlainYearMonth');
   }
   return { year, month, calendar, referenceISODay };
 }
@@ -570,20 +766,88 @@ export function ParseTemporalMonthDayString(isoString) {
   const match = Call(RegExpPrototypeExec, PARSE.monthday, [isoString]);
   let month, day, calendar, referenceISOYear;
   if (match) {
-    calendar = processAnnotations(match[3]);
+    calendar = processAnnotations(match[3], isoString);
     month = +match[1];
     day = +match[2];
     if (calendar !== undefined && calendar !== 'iso8601') {
-      throw new RangeErrorCtor('MM-DD format is only valid with iso8601 calendar');
+      throw CreateShortFormCalendarError(PARSE_ERROR_HELPERS, isoString, 'MM-DD', calendar);
     }
   } else {
     let z;
-    ({ month, day, calendar, year: referenceISOYear, z } = ParseISODateTime(isoString));
-    if (z) throw new RangeErrorCtor('Z designator not supported for PlainMonthDay');
+    ({ month, day, calendar, year: referenceISOYear, z } = ParseISODateTime(isoString, 'month-day'));
+    if (z) throw CreateUTCDesignatorError(isoString, 'Temporal.PlainMonthDay');
   }
   return { month, day, calendar, referenceISOYear };
 }
 
+// Rewrites the common variants of ISO 8601 strings that from() accepts with
+// { parse: 'lenient' } into the form that the strict grammar accepts: / or .
+// as date separators, single-digit months, days and hours, a time with only
+// some of its separators, a space instead of T, and a UTC offset or UTC, GMT
+// or Z designator after a space. Annotations are kept as they are. If a
+// ZonedDateTime string has an offset or designator but no time zone
+// annotation, the offset (or UTC) becomes its time zone.
+function NormalizeLenientISOString(isoString, zoned) {
+  let string = Call(StringPrototypeReplace, isoString, [/\s+/g, ' ']);
+  string = Call(StringPrototypeReplace, string, [/^ | $/g, '']);
+  let annotations = '';
+  const bracket = Call(StringPrototypeIndexOf, string, ['[']);
+  if (bracket !== -1) {
+    annotations = Call(StringPrototypeSlice, string, [bracket]);
+    string = Call(StringPrototypeReplace, Call(StringPrototypeSlice, string, [0, bracket]), [/ $/, '']);
+  }
+
+  let result = '';
+  let match = Call(RegExpPrototypeExec, PARSE.lenientDate, [string]);
+  if (match) {
+    const [all, year, , month, day] = match;
+    result = `${year}-${ToZeroPaddedDecimalString(+month, 2)}`;
+    if (day !== undefined) result += `-${ToZeroPaddedDecimalString(+day, 2)}`;
+    string = Call(StringPrototypeSlice, string, [all.length]);
+    match = Call(RegExpPrototypeExec, PARSE.lenientTime, [string]);
+  } else {
+    match = Call(RegExpPrototypeExec, PARSE.lenientTimeOnly, [string]);
+  }
+  if (match) {
+    const [all, hour, minute, second, fraction = ''] = match;
+    result += `T${ToZeroPaddedDecimalString(+hour, 2)}`;
+    if (minute !== undefined) result += `:${minute}`;
+    if (second !== undefined) result += `:${second}${fraction}`;
+    string = Call(StringPrototypeSlice, string, [all.length]);
+
+    match = Call(RegExpPrototypeExec, PARSE.lenientUTCOffset, [string]);
+    if (match) {
+      const [, utc, sign, offsetHour, offsetMinute = '00'] = match;
+      const offset = utc ? 'Z' : `${sign}${ToZeroPaddedDecimalString(+offsetHour, 2)}:${offsetMinute}`;
+      result += offset;
+      string = '';
+      if (zoned && !Call(RegExpPrototypeTest, /^\[!?[^=\]]*\]/, [annotations])) {
+        annotations = `[${utc ? 'UTC' : offset}]${annotations}`;
+      }
+    }
+  }
+  return result + string + annotations;
+}
+
+// Parses an ISO string passed to from() with one of the ParseTemporal...String
+// functions. So that valid strings don't change the observable reads of the
+// options, the parse option is only read when the strict grammar rejects the
+// string. In lenient mode, the string is then normalized and parsed again, and
+// if that fails too, the error for the original string is thrown.
+function ParseISOStringWithOptions(parseFn, isoString, options, zoned = false) {
+  try {
+    return parseFn(isoString);
+  } catch (e) {
+    if (!(e instanceof RangeErrorCtor) || Type(options) !== 'Object') throw e;
+    if (GetOption(options, 'parse', ['strict', 'lenient'], 'strict') !== 'lenient') throw e;
+    try {
+      return ProbeParse(parseFn, NormalizeLenientISOString(isoString, zoned));
+    } catch {
+      throw RemoveLenientSuggestion(e);
+    }
+  }
+}
+
 const TIMEZONE_IDENTIFIER = new RegExpCtor(`^${PARSE.timeZoneID.source}$`, 'i');
 const OFFSET_IDENTIFIER = new RegExpCtor(`^${PARSE.offsetIdentifier.source}$`);
 
@@ -620,7 +884,7 @@ export function ParseTemporalTimeZoneStringRaw(timeZoneString) {
   }
   try {
     // Try parsing ISO string instead
-    const { tzAnnotation, offset, z } = ParseISODateTime(timeZoneString);
+    const { tzAnnotation, offset, z } = ProbeParse(ParseISODateTime, timeZoneString);
     if (z || tzAnnotation || offset) {
       return { tzAnnotation, offset, z };
     }
@@ -640,9 +904,9 @@ export function ParseTemporalTimeZoneString(stringIdent) {
 
 export function ParseTemporalDurationStringRaw(isoString) {
   const match = Call(RegExpPrototypeExec, PARSE.duration, [isoString]);
-  if (!match) throw new RangeErrorCtor(`invalid duration: ${isoString}`);
+  if (!match) throw CreateDurationError(PARSE_ERROR_HELPERS, isoString);
   if (Call(ArrayPrototypeEvery, match, [(part, i) => i < 2 || part === undefined])) {
-    throw new RangeErrorCtor(`invalid duration: ${isoString}`);
+    throw CreateDurationError(PARSE_ERROR_HELPERS, isoString);
   }
   const sign = match[1] === '-' ? -1 : 1;
   const years = match[2] === undefined ? 0 : ToIntegerWithTruncation(match[2]) * sign;
@@ -662,14 +926,14 @@ export function ParseTemporalDurationStringRaw(isoString) {
 
   if (fHours !== undefined) {
     if (minutesStr ?? fMinutes ?? secondsStr ?? fSeconds ?? false) {
-      throw new RangeErrorCtor('only the smallest unit can be fractional');
+      throw CreateDurationError(PARSE_ERROR_HELPERS, isoString);
     }
     excessNanoseconds = ToIntegerWithTruncation(Call(StringPrototypeSlice, fHours + '000000000', [0, 9])) * 3600 * sign;
   } else {
     minutes = minutesStr === undefined ? 0 : ToIntegerWithTruncation(minutesStr) * sign;
     if (fMinutes !== undefined) {
       if (secondsStr ?? fSeconds ?? false) {
-        throw new RangeErrorCtor('only the smallest unit can be fractional');
+        throw CreateDurationError(PARSE_ERROR_HELPERS, isoString);
       }
       excessNanoseconds =
         ToIntegerWithTruncation(Call(StringPrototypeSlice, fMinutes + '000000000', [0, 9])) * 60 * sign;
@@ -778,7 +1042,7 @@ export function AdjustDateDurationRecord({ years, months, weeks, days }, newDays
   };
 }
 
-function ZeroDateDuration() {
+export function ZeroDateDuration() {
   return { years: 0, months: 0, weeks: 0, days: 0 };
 }
 
@@ -834,6 +1098,10 @@ export function GetTemporalShowCalendarNameOption(options) {
   return GetOption(options, 'calendarName', ['auto', 'always', 'never', 'critical'], 'auto');
 }
 
+export function GetTemporalDateFormatOption(options) {
+  return GetOption(options, 'dateFormat', ['calendar', 'week', 'ordinal'], 'calendar');
+}
+
 export function GetTemporalShowTimeZoneNameOption(options) {
   return GetOption(options, 'timeZoneName', ['auto', 'never', 'critical'], 'auto');
 }
@@ -968,8 +1236,9 @@ export function GetTemporalRelativeToOption(options) {
     }
     if (IsTemporalDate(relativeTo)) return { plainRelativeTo: relativeTo };
     if (IsTemporalDateTime(relativeTo)) {
+      const isoDate = GetSlot(relativeTo, ISO_DATE_TIME).isoDate;
       return {
-        plainRelativeTo: CreateTemporalDate(GetSlot(relativeTo, ISO_DATE_TIME).isoDate, GetSlot(relativeTo, CALENDAR))
+        plainRelativeTo: CreateTemporalDate(isoDate, GetSlot(relativeTo, CALENDAR), GetSlot(relativeTo, RANGE))
       };
     }
     calendar = GetTemporalCalendarIdentifierWithISODefault(relativeTo);
@@ -987,7 +1256,7 @@ export function GetTemporalRelativeToOption(options) {
     let tzAnnotation, z, year, month, day;
     ({ year, month, day, time, calendar, tzAnnotation, offset, z } = ParseISODateTime(RequireString(relativeTo)));
     if (tzAnnotation) {
-      timeZone = ToTemporalTimeZoneIdentifier(tzAnnotation);
+      timeZone = ToTemporalTimeZoneSlotValue(tzAnnotation);
       if (z) {
         offsetBehaviour = 'exact';
       } else if (!offset) {
@@ -1121,7 +1390,7 @@ export function ToTemporalDate(item, options = undefined) {
   if (Type(item) === 'Object') {
     if (IsTemporalDate(item)) {
       GetTemporalOverflowOption(GetOptionsObject(options));
-      return CreateTemporalDate(GetSlot(item, ISO_DATE), GetSlot(item, CALENDAR));
+      return CreateTemporalDate(GetSlot(item, ISO_DATE), GetSlot(item, CALENDAR), GetSlot(item, RANGE));
     }
     if (IsTemporalZonedDateTime(item)) {
       const isoDateTime = GetISODateTimeFor(GetSlot(item, TIME_ZONE), GetSlot(item, EPOCHNANOSECONDS));
@@ -1131,7 +1400,7 @@ export function ToTemporalDate(item, options = undefined) {
     }
     if (IsTemporalDateTime(item)) {
       GetTemporalOverflowOption(GetOptionsObject(options)); // validate and ignore
-      return CreateTemporalDate(GetSlot(item, ISO_DATE_TIME).isoDate, GetSlot(item, CALENDAR));
+      return CreateTemporalDate(GetSlot(item, ISO_DATE_TIME).isoDate, GetSlot(item, CALENDAR), GetSlot(item, RANGE));
     }
     const calendar = GetTemporalCalendarIdentifierWithISODefault(item);
     const fields = PrepareCalendarFields(calendar, item, ['year', 'month', 'monthCode', 'day'], [], []);
@@ -1139,16 +1408,20 @@ export function ToTemporalDate(item, options = undefined) {
     const isoDate = CalendarDateFromFields(calendar, fields, overflow);
     return CreateTemporalDate(isoDate, calendar);
   }
-  let { year, month, day, calendar, z } = ParseTemporalDateString(RequireString(item));
-  if (z) throw new RangeErrorCtor('Z designator not supported for PlainDate');
+  let { year, month, day, calendar, z } = ParseISOStringWithOptions(
+    ParseTemporalDateString,
+    RequireString(item),
+    options
+  );
+  if (z) throw CreateUTCDesignatorError(item, 'Temporal.PlainDate');
   if (!calendar) calendar = 'iso8601';
   calendar = CanonicalizeCalendar(calendar);
   GetTemporalOverflowOption(GetOptionsObject(options)); // validate and ignore
   return CreateTemporalDate({ year, month, day }, calendar);
 }
 
-export function InterpretTemporalDateTimeFields(calendar, fields, overflow) {
-  const isoDate = CalendarDateFromFields(calendar, fields, overflow);
+export function InterpretTemporalDateTimeFields(calendar, fields, overflow, range = GetRange()) {
+  const isoDate = CalendarDateFromFields(calendar, fields, overflow, range);
   const time = RegulateTime(
     fields.hour,
     fields.minute,
@@ -1167,7 +1440,7 @@ export function ToTemporalDateTime(item, options = undefined) {
   if (Type(item) === 'Object') {
     if (IsTemporalDateTime(item)) {
       GetTemporalOverflowOption(GetOptionsObject(options));
-      return CreateTemporalDateTime(GetSlot(item, ISO_DATE_TIME), GetSlot(item, CALENDAR));
+      return CreateTemporalDateTime(GetSlot(item, ISO_DATE_TIME), GetSlot(item, CALENDAR), GetSlot(item, RANGE));
     }
     if (IsTemporalZonedDateTime(item)) {
       const isoDateTime = GetISODateTimeFor(GetSlot(item, TIME_ZONE), GetSlot(item, EPOCHNANOSECONDS));
@@ -1178,7 +1451,8 @@ export function ToTemporalDateTime(item, options = undefined) {
       GetTemporalOverflowOption(GetOptionsObject(options));
       return CreateTemporalDateTime(
         CombineISODateAndTimeRecord(GetSlot(item, ISO_DATE), MidnightTimeRecord()),
-        GetSlot(item, CALENDAR)
+        GetSlot(item, CALENDAR),
+        GetSlot(item, RANGE)
       );
     }
 
@@ -1194,8 +1468,12 @@ export function ToTemporalDateTime(item, options = undefined) {
     ({ isoDate, time } = InterpretTemporalDateTimeFields(calendar, fields, overflow));
   } else {
     let z, year, month, day;
-    ({ year, month, day, time, calendar, z } = ParseTemporalDateTimeString(RequireString(item)));
-    if (z) throw new RangeErrorCtor('Z designator not supported for PlainDateTime');
+    ({ year, month, day, time, calendar, z } = ParseISOStringWithOptions(
+      ParseTemporalDateTimeString,
+      RequireString(item),
+      options
+    ));
+    if (z) throw CreateUTCDesignatorError(item, 'Temporal.PlainDateTime');
     if (time === 'start-of-day') time = MidnightTimeRecord();
     RejectDateTime(
       year,
@@ -1217,7 +1495,7 @@ export function ToTemporalDateTime(item, options = undefined) {
   return CreateTemporalDateTime(isoDateTime, calendar);
 }
 
-export function ToTemporalDuration(item) {
+export function ToTemporalDuration(item, options = undefined) {
   const TemporalDuration = GetIntrinsic('%Temporal.Duration%');
   if (IsTemporalDuration(item)) {
     return new TemporalDuration(
@@ -1234,7 +1512,7 @@ export function ToTemporalDuration(item) {
     );
   }
   if (Type(item) !== 'Object') {
-    return ParseTemporalDurationString(RequireString(item));
+    return ParseISOStringWithOptions(ParseTemporalDurationString, RequireString(item), options);
   }
   const result = {
     years: 0,
@@ -1270,15 +1548,18 @@ export function ToTemporalDuration(item) {
   );
 }
 
-export function ToTemporalInstant(item) {
+export function ToTemporalInstant(item, options = undefined) {
   const TemporalInstant = GetIntrinsic('%Temporal.Instant%');
   if (Type(item === 'Object')) {
-    if (IsTemporalInstant(item) || IsTemporalZonedDateTime(item)) {
-      return new TemporalInstant(GetSlot(item, EPOCHNANOSECONDS));
-    }
+    if (IsTemporalInstant(item)) return CreateTemporalInstant(GetSlot(item, EPOCHNANOSECONDS), GetSlot(item, RANGE));
+    if (IsTemporalZonedDateTime(item)) return new TemporalInstant(GetSlot(item, EPOCHNANOSECONDS));
     item = ToPrimitive(item, StringCtor);
   }
-  const { year, month, day, time, offset, z } = ParseTemporalInstantString(RequireString(item));
+  const { year, month, day, time, offset, z } = ParseISOStringWithOptions(
+    ParseTemporalInstantString,
+    RequireString(item),
+    options
+  );
   const {
     hour = 0,
     minute = 0,
@@ -1327,7 +1608,11 @@ export function ToTemporalMonthDay(item, options = undefined) {
     return CreateTemporalMonthDay(isoDate, calendar);
   }
 
-  let { month, day, referenceISOYear, calendar } = ParseTemporalMonthDayString(RequireString(item));
+  let { month, day, referenceISOYear, calendar } = ParseISOStringWithOptions(
+    ParseTemporalMonthDayString,
+    RequireString(item),
+    options
+  );
   if (calendar === undefined) calendar = 'iso8601';
   calendar = CanonicalizeCalendar(calendar);
 
@@ -1362,7 +1647,7 @@ export function ToTemporalTime(item, options = undefined) {
     const overflow = GetTemporalOverflowOption(GetOptionsObject(options));
     time = RegulateTime(hour, minute, second, millisecond, microsecond, nanosecond, overflow);
   } else {
-    time = ParseTemporalTimeString(RequireString(item));
+    time = ParseISOStringWithOptions(ParseTemporalTimeString, RequireString(item), options);
     GetTemporalOverflowOption(GetOptionsObject(options));
   }
   return CreateTemporalTime(time);
@@ -1377,7 +1662,7 @@ export function ToTemporalYearMonth(item, options = undefined) {
   if (Type(item) === 'Object') {
     if (IsTemporalYearMonth(item)) {
       GetTemporalOverflowOption(GetOptionsObject(options));
-      return CreateTemporalYearMonth(GetSlot(item, ISO_DATE), GetSlot(item, CALENDAR));
+      return CreateTemporalYearMonth(GetSlot(item, ISO_DATE), GetSlot(item, CALENDAR), GetSlot(item, RANGE));
     }
     const calendar = GetTemporalCalendarIdentifierWithISODefault(item);
     const fields = PrepareCalendarFields(calendar, item, ['year', 'month', 'monthCode'], [], []);
@@ -1386,7 +1671,11 @@ export function ToTemporalYearMonth(item, options = undefined) {
     return CreateTemporalYearMonth(isoDate, calendar);
   }
 
-  let { year, month, referenceISODay, calendar } = ParseTemporalYearMonthString(RequireString(item));
+  let { year, month, referenceISODay, calendar } = ParseISOStringWithOptions(
+    ParseTemporalYearMonthString,
+    RequireString(item),
+    options
+  );
   if (calendar === undefined) calendar = 'iso8601';
   calendar = CanonicalizeCalendar(calendar);
 
@@ -1439,13 +1728,13 @@ export function InterpretISODateTimeOffset(
       time.microsecond,
       time.nanosecond - offsetNs
     );
-    CheckISODaysRange(balanced.isoDate);
+    CheckISODaysRange(balanced.isoDate, STANDARD_RANGE);
     const epochNs = GetUTCEpochNanoseconds(balanced);
-    ValidateEpochNanoseconds(epochNs);
+    ValidateEpochNanoseconds(epochNs, STANDARD_RANGE);
     return epochNs;
   }
 
-  CheckISODaysRange(isoDate);
+  CheckISODaysRange(isoDate, STANDARD_RANGE);
   const utcEpochNs = GetUTCEpochNanoseconds(dt);
 
   // "prefer" or "reject"
@@ -1464,7 +1753,9 @@ export function InterpretISODateTimeOffset(
   if (offsetOpt === 'reject') {
     const offsetStr = FormatUTCOffsetNanoseconds(offsetNs);
     const dtStr = ISODateTimeToString(dt, 'iso8601', 'auto');
-    throw new RangeErrorCtor(`Offset ${offsetStr} is invalid for ${dtStr} in ${timeZone}`);
+    throw new RangeErrorCtor(
+      `Offset ${offsetStr} is invalid for ${dtStr} in ${ToTemporalTimeZoneIdentifier(timeZone)}`
+    );
   }
   // fall through: offsetOpt === 'prefer', but the offset doesn't match
   // so fall back to use the time zone instead.
@@ -1507,10 +1798,13 @@ export function ToTemporalZonedDateTime(item, options = undefined) {
     ({ isoDate, time } = InterpretTemporalDateTimeFields(calendar, fields, overflow));
   } else {
     let tzAnnotation, z, year, month, day;
-    ({ year, month, day, time, tzAnnotation, offset, z, calendar } = ParseTemporalZonedDateTimeString(
-      RequireString(item)
+    ({ year, month, day, time, tzAnnotation, offset, z, calendar } = ParseISOStringWithOptions(
+      ParseTemporalZonedDateTimeString,
+      RequireString(item),
+      options,
+      true
     ));
-    timeZone = ToTemporalTimeZoneIdentifier(tzAnnotation);
+    timeZone = ToTemporalTimeZoneSlotValue(tzAnnotation);
     if (z) {
       offsetBehaviour = 'exact';
     } else if (!offset) {
@@ -1540,13 +1834,14 @@ export function ToTemporalZonedDateTime(item, options = undefined) {
   return CreateTemporalZonedDateTime(epochNanoseconds, timeZone, calendar);
 }
 
-export function CreateTemporalDateSlots(result, isoDate, calendar) {
-  RejectDateRange(isoDate);
+export function CreateTemporalDateSlots(result, isoDate, calendar, range = GetRange()) {
+  RejectDateRange(isoDate, GetRangeForCalendar(calendar, range));
 
   CreateSlots(result);
   SetSlot(result, ISO_DATE, isoDate);
   SetSlot(result, CALENDAR, calendar);
   SetSlot(result, DATE_BRAND, true);
+  SetSlot(result, RANGE, range);
 
   if (typeof __debug__ !== 'undefined' && __debug__) {
     const repr = TemporalDateToString(result, 'auto');
@@ -1559,19 +1854,20 @@ export function CreateTemporalDateSlots(result, isoDate, calendar) {
   }
 }
 
-export function CreateTemporalDate(isoDate, calendar = 'iso8601') {
+export function CreateTemporalDate(isoDate, calendar = 'iso8601', range = GetRange()) {
   const TemporalPlainDate = GetIntrinsic('%Temporal.PlainDate%');
   const result = ObjectCreate(TemporalPlainDate.prototype);
-  CreateTemporalDateSlots(result, isoDate, calendar);
+  CreateTemporalDateSlots(result, isoDate, calendar, range);
   return result;
 }
 
-export function CreateTemporalDateTimeSlots(result, isoDateTime, calendar) {
-  RejectDateTimeRange(isoDateTime);
+export function CreateTemporalDateTimeSlots(result, isoDateTime, calendar, range = GetRange()) {
+  RejectDateTimeRange(isoDateTime, GetRangeForCalendar(calendar, range));
 
   CreateSlots(result);
   SetSlot(result, ISO_DATE_TIME, isoDateTime);
   SetSlot(result, CALENDAR, calendar);
+  SetSlot(result, RANGE, range);
 
   if (typeof __debug__ !== 'undefined' && __debug__) {
     let repr = ISODateTimeToString(isoDateTime, calendar, 'auto');
@@ -1584,15 +1880,15 @@ export function CreateTemporalDateTimeSlots(result, isoDateTime, calendar) {
   }
 }
 
-export function CreateTemporalDateTime(isoDateTime, calendar = 'iso8601') {
+export function CreateTemporalDateTime(isoDateTime, calendar = 'iso8601', range = GetRange()) {
   const TemporalPlainDateTime = GetIntrinsic('%Temporal.PlainDateTime%');
   const result = ObjectCreate(TemporalPlainDateTime.prototype);
-  CreateTemporalDateTimeSlots(result, isoDateTime, calendar);
+  CreateTemporalDateTimeSlots(result, isoDateTime, calendar, range);
   return result;
 }
 
 export function CreateTemporalMonthDaySlots(result, isoDate, calendar) {
-  RejectDateRange(isoDate);
+  RejectDateRange(isoDate, GetRangeForCalendar(calendar, GetRange()));
 
   CreateSlots(result);
   SetSlot(result, ISO_DATE, isoDate);
@@ -1638,13 +1934,14 @@ export function CreateTemporalTime(time) {
   return result;
 }
 
-export function CreateTemporalYearMonthSlots(result, isoDate, calendar) {
-  RejectYearMonthRange(isoDate);
+export function CreateTemporalYearMonthSlots(result, isoDate, calendar, range = GetRange()) {
+  RejectYearMonthRange(isoDate, GetRangeForCalendar(calendar, range));
 
   CreateSlots(result);
   SetSlot(result, ISO_DATE, isoDate);
   SetSlot(result, CALENDAR, calendar);
   SetSlot(result, YEAR_MONTH_BRAND, true);
+  SetSlot(result, RANGE, range);
 
   if (typeof __debug__ !== 'undefined' && __debug__) {
     const repr = TemporalYearMonthToString(result, 'auto');
@@ -1657,15 +1954,40 @@ export function CreateTemporalYearMonthSlots(result, isoDate, calendar) {
   }
 }
 
-export function CreateTemporalYearMonth(isoDate, calendar) {
+export function CreateTemporalYearMonth(isoDate, calendar, range = GetRange()) {
   const TemporalPlainYearMonth = GetIntrinsic('%Temporal.PlainYearMonth%');
   const result = ObjectCreate(TemporalPlainYearMonth.prototype);
-  CreateTemporalYearMonthSlots(result, isoDate, calendar);
+  CreateTemporalYearMonthSlots(result, isoDate, calendar, range);
+  return result;
+}
+
+export function CreateTemporalInstantSlots(result, epochNanoseconds, range = GetRange()) {
+  ValidateEpochNanoseconds(epochNanoseconds, range);
+
+  CreateSlots(result);
+  SetSlot(result, EPOCHNANOSECONDS, epochNanoseconds);
+  SetSlot(result, RANGE, range);
+
+  if (typeof __debug__ !== 'undefined' && __debug__) {
+    const repr = ISODateTimeToString(GetISOPartsFromEpoch(epochNanoseconds), 'iso8601', 'auto', 'never') + 'Z';
+    ObjectDefineProperty(result, '_repr_', {
+      value: `Temporal.Instant <${repr}>`,
+      writable: false,
+      enumerable: false,
+      configurable: false
+    });
+  }
+}
+
+export function CreateTemporalInstant(epochNanoseconds, range = GetRange()) {
+  const TemporalInstant = GetIntrinsic('%Temporal.Instant%');
+  const result = ObjectCreate(TemporalInstant.prototype);
+  CreateTemporalInstantSlots(result, epochNanoseconds, range);
   return result;
 }
 
 export function CreateTemporalZonedDateTimeSlots(result, epochNanoseconds, timeZone, calendar) {
-  ValidateEpochNanoseconds(epochNanoseconds);
+  ValidateEpochNanoseconds(epochNanoseconds, STANDARD_RANGE);
 
   CreateSlots(result);
   SetSlot(result, EPOCHNANOSECONDS, epochNanoseconds);
@@ -1713,9 +2035,9 @@ export function CalendarMergeFields(calendar, fields, additionalFields) {
   return merged;
 }
 
-export function CalendarDateAdd(calendar, isoDate, dateDuration, overflow) {
+export function CalendarDateAdd(calendar, isoDate, dateDuration, overflow, range = GetRange()) {
   const result = calendarImplForID(calendar).dateAdd(isoDate, dateDuration, overflow);
-  RejectDateRange(result);
+  RejectDateRange(result, GetRangeForCalendar(calendar, range));
   return result;
 }
 
@@ -1736,10 +2058,10 @@ export function ToTemporalCalendarIdentifier(calendarLike) {
   }
   let calendar;
   try {
-    ({ calendar } = ParseISODateTime(identifier));
+    ({ calendar } = ProbeParse(ParseISODateTime, identifier));
   } catch {
     try {
-      ({ calendar } = ParseTemporalYearMonthString(identifier));
+      ({ calendar } = ProbeParse(ParseTemporalYearMonthString, identifier));
     } catch {
       ({ calendar } = ParseTemporalMonthDayString(identifier));
     }
@@ -1759,20 +2081,20 @@ export function CalendarEquals(one, two) {
   return CanonicalizeCalendar(one) === CanonicalizeCalendar(two);
 }
 
-export function CalendarDateFromFields(calendar, fields, overflow) {
+export function CalendarDateFromFields(calendar, fields, overflow, range = GetRange()) {
   const calendarImpl = calendarImplForID(calendar);
   calendarImpl.resolveFields(fields, 'date');
   const result = calendarImpl.dateToISO(fields, overflow);
-  RejectDateRange(result);
+  RejectDateRange(result, GetRangeForCalendar(calendar, range));
   return result;
 }
 
-export function CalendarYearMonthFromFields(calendar, fields, overflow) {
+export function CalendarYearMonthFromFields(calendar, fields, overflow, range = GetRange()) {
   const calendarImpl = calendarImplForID(calendar);
   calendarImpl.resolveFields(fields, 'year-month');
   fields.day = 1;
   const result = calendarImpl.dateToISO(fields, overflow);
-  RejectYearMonthRange(result);
+  RejectYearMonthRange(result, GetRangeForCalendar(calendar, range));
   return result;
 }
 
@@ -1780,28 +2102,63 @@ export function CalendarMonthDayFromFields(calendar, fields, overflow) {
   const calendarImpl = calendarImplForID(calendar);
   calendarImpl.resolveFields(fields, 'month-day');
   const result = calendarImpl.monthDayToISOReferenceDate(fields, overflow);
-  RejectDateRange(result);
+  RejectDateRange(result, GetRangeForCalendar(calendar, GetRange()));
   return result;
 }
 
-export function ToTemporalTimeZoneIdentifier(temporalTimeZoneLike) {
+export function ObjectImplementsTemporalTimeZoneProtocol(object) {
+  if (IsTemporalZonedDateTime(object)) return false;
+  const props = [
+    'id',
+    'getOffsetNanosecondsFor',
+    'getPossibleInstantsFor',
+    'getNextTransition',
+    'getPreviousTransition'
+  ];
+  return Call(ArrayPrototypeEvery, props, [(prop) => prop in object]);
+}
+
+// The TIME_ZONE slot holds either a string identifier of a built-in time zone,
+// or an object implementing the time zone protocol
+export function ToTemporalTimeZoneSlotValue(temporalTimeZoneLike) {
   if (Type(temporalTimeZoneLike) === 'Object') {
     if (IsTemporalZonedDateTime(temporalTimeZoneLike)) return GetSlot(temporalTimeZoneLike, TIME_ZONE);
+    if (ObjectImplementsTemporalTimeZoneProtocol(temporalTimeZoneLike)) return temporalTimeZoneLike;
   }
   const timeZoneString = RequireString(temporalTimeZoneLike);
 
+  // Windows time zone names such as "Pacific Standard Time" usually aren't
+  // valid time zone strings, because they contain spaces
+  if (!Call(RegExpPrototypeTest, TIMEZONE_IDENTIFIER, [timeZoneString])) {
+    const windowsIdentifier = GetWindowsTimeZoneIdentifier(timeZoneString);
+    const record = windowsIdentifier && GetAvailableNamedTimeZoneIdentifier(windowsIdentifier);
+    if (record) return record.identifier;
+  }
+
   const { tzName, offsetMinutes } = ParseTemporalTimeZoneString(timeZoneString);
   if (offsetMinutes !== undefined) {
     return FormatOffsetTimeZoneIdentifier(offsetMinutes);
   }
   // if offsetMinutes is undefined, then tzName must be present
+  const customTimeZone = GetProviderCustomTimeZone(tzName);
+  if (customTimeZone) return customTimeZone;
   const record = GetAvailableNamedTimeZoneIdentifier(tzName);
   if (!record) throw new RangeErrorCtor(`Unrecognized time zone ${tzName}`);
   return record.identifier;
 }
 
+export function ToTemporalTimeZoneIdentifier(timeZone) {
+  if (Type(timeZone) === 'String') return timeZone;
+  const identifier = timeZone.id;
+  if (Type(identifier) !== 'String') throw new TypeErrorCtor('time zone id must be a string');
+  return identifier;
+}
+
 export function TimeZoneEquals(one, two) {
   if (one === two) return true;
+  if (Type(one) === 'Object' || Type(two) === 'Object') {
+    return ToTemporalTimeZoneIdentifier(one) === ToTemporalTimeZoneIdentifier(two);
+  }
   const offsetMinutes1 = ParseTimeZoneIdentifier(one).offsetMinutes;
   const offsetMinutes2 = ParseTimeZoneIdentifier(two).offsetMinutes;
   if (offsetMinutes1 === undefined && offsetMinutes2 === undefined) {
@@ -1821,12 +2178,108 @@ export function TimeZoneEquals(one, two) {
 }
 
 export function GetOffsetNanosecondsFor(timeZone, epochNs) {
+  if (Type(timeZone) === 'Object') return GetCustomTimeZoneOffsetNanoseconds(timeZone, epochNs);
+
   const offsetMinutes = ParseTimeZoneIdentifier(timeZone).offsetMinutes;
   if (offsetMinutes !== undefined) return offsetMinutes * 60e9;
 
+  ValidateEpochNanoseconds(epochNs, STANDARD_RANGE);
   return GetNamedTimeZoneOffsetNanoseconds(timeZone, epochNs);
 }
 
+function GetCustomTimeZoneOffsetNanoseconds(timeZone, epochNs) {
+  const TemporalInstant = GetIntrinsic('%Temporal.Instant%');
+  const getOffsetNanosecondsFor = GetMethod(timeZone, 'getOffsetNanosecondsFor');
+  const offsetNs = Call(getOffsetNanosecondsFor, timeZone, [new TemporalInstant(epochNs)]);
+  if (Type(offsetNs) !== 'Number') throw new TypeErrorCtor('getOffsetNanosecondsFor must return a number');
+  if (!IsIntegralNumber(offsetNs) || MathAbs(offsetNs) >= DAY_NANOS) {
+    throw new RangeErrorCtor(`getOffsetNanosecondsFor returned ${offsetNs}; must be an integer less than 24 hours`);
+  }
+  return offsetNs;
+}
+
+function GetCustomTimeZonePossibleEpochNanoseconds(timeZone, isoDateTime) {
+  const getPossibleInstantsFor = GetMethod(timeZone, 'getPossibleInstantsFor');
+  const dateTime = CreateTemporalDateTime(isoDateTime);
+  const possibleInstants = ArrayFrom(Call(getPossibleInstantsFor, timeZone, [dateTime]));
+  const utcns = GetUTCEpochNanoseconds(isoDateTime);
+  return Call(ArrayPrototypeMap, possibleInstants, [
+    (instant) => {
+      if (!IsTemporalInstant(instant)) {
+        throw new TypeErrorCtor('getPossibleInstantsFor must return an array of Temporal.Instant');
+      }
+      const epochNs = GetSlot(instant, EPOCHNANOSECONDS);
+      if (epochNs.minus(utcns).abs().geq(DAY_NANOS)) {
+        throw new RangeErrorCtor('getPossibleInstantsFor returned an instant more than 24 hours away');
+      }
+      return epochNs;
+    }
+  ]);
+}
+
+export function GetTimeZoneTransition(timeZone, epochNs, direction) {
+  if (Type(timeZone) === 'Object') {
+    const methodName = direction === 'next' ? 'getNextTransition' : 'getPreviousTransition';
+    const TemporalInstant = GetIntrinsic('%Temporal.Instant%');
+    const result = Call(GetMethod(timeZone, methodName), timeZone, [new TemporalInstant(epochNs)]);
+    if (result === null) return null;
+    if (!IsTemporalInstant(result)) throw new TypeErrorCtor(`${methodName} must return a Temporal.Instant or null`);
+    const resultNs = GetSlot(result, EPOCHNANOSECONDS);
+    if (direction === 'next' ? resultNs.leq(epochNs) : resultNs.geq(epochNs)) {
+      const where = direction === 'next' ? 'after' : 'before';
+      throw new RangeErrorCtor(`${methodName} must return an instant ${where} the starting point`);
+    }
+    return resultNs;
+  }
+
+  // Offset time zones or UTC have no transitions
+  if (IsOffsetTimeZoneIdentifier(timeZone) || timeZone === 'UTC') return null;
+
+  return direction === 'next'
+    ? GetNamedTimeZoneNextTransition(timeZone, epochNs)
+    : GetNamedTimeZonePreviousTransition(timeZone, epochNs);
+}
+
+// Returns a function that finds the transitions of timeZone in the range
+// [startNs, endNs) one by one. Each call returns the next transition as
+// { epochNs, offsetNsBefore, offsetNsAfter }, or null once there are no more.
+// A search in a time zone backed by Intl.DateTimeFormat keeps the periods of
+// constant offset that it has learned, so that each step goes on from the
+// previous one even if the cache is disabled.
+export function CreateTimeZoneTransitionSearch(timeZone, startNs, endNs) {
+  // Start just before startNs, so that a transition at startNs is found
+  let epochNs = startNs.minus(1);
+  let offsetNs = undefined;
+  let done = false;
+
+  let intervals = undefined;
+  if (
+    Type(timeZone) === 'String' &&
+    !IsOffsetTimeZoneIdentifier(timeZone) &&
+    timeZone !== 'UTC' &&
+    !GetTimeZoneData(timeZone)
+  ) {
+    intervals = GetOffsetIntervals(timeZone);
+  }
+  const getOffset = (ns) =>
+    intervals ? GetNamedTimeZoneOffsetNanoseconds(timeZone, ns, intervals) : GetOffsetNanosecondsFor(timeZone, ns);
+
+  return () => {
+    if (done) return null;
+    const transitionNs = intervals
+      ? GetNamedTimeZoneNextTransition(timeZone, epochNs, intervals)
+      : GetTimeZoneTransition(timeZone, epochNs, 'next');
+    if (transitionNs === null || transitionNs.geq(endNs)) {
+      done = true;
+      return null;
+    }
+    const offsetNsBefore = offsetNs ?? getOffset(transitionNs.minus(1));
+    offsetNs = getOffset(transitionNs);
+    epochNs = transitionNs;
+    return { epochNs: transitionNs, offsetNsBefore, offsetNsAfter: offsetNs };
+  };
+}
+
 export function FormatUTCOffsetNanoseconds(offsetNs) {
   const sign = offsetNs < 0 ? '-' : '+';
   const absoluteNs = MathAbs(offsetNs);
@@ -1876,10 +2329,10 @@ export function DisambiguatePossibleEpochNanoseconds(possibleEpochNs, timeZone,
   const utcns = GetUTCEpochNanoseconds(isoDateTime);
 
   const dayBefore = utcns.minus(DAY_NANOS);
-  ValidateEpochNanoseconds(dayBefore);
+  ValidateEpochNanoseconds(dayBefore, STANDARD_RANGE);
   const offsetBefore = GetOffsetNanosecondsFor(timeZone, dayBefore);
   const dayAfter = utcns.plus(DAY_NANOS);
-  ValidateEpochNanoseconds(dayAfter);
+  ValidateEpochNanoseconds(dayAfter, STANDARD_RANGE);
   const offsetAfter = GetOffsetNanosecondsFor(timeZone, dayAfter);
   const nanoseconds = offsetAfter - offsetBefore;
   assert(MathAbs(nanoseconds) <= DAY_NANOS, 'UTC offset shift longer than 24 hours');
@@ -1917,6 +2370,11 @@ export function DisambiguatePossibleEpochNanoseconds(possibleEpochNs, timeZone,
 }
 
 export function GetPossibleEpochNanoseconds(timeZone, isoDateTime) {
+  if (Type(timeZone) === 'Object') {
+    CheckISODaysRange(isoDateTime.isoDate, STANDARD_RANGE);
+    return GetCustomTimeZonePossibleEpochNanoseconds(timeZone, isoDateTime);
+  }
+
   const offsetMinutes = ParseTimeZoneIdentifier(timeZone).offsetMinutes;
   if (offsetMinutes !== undefined) {
     const balanced = BalanceISODateTime(
@@ -1930,13 +2388,13 @@ export function GetPossibleEpochNanoseconds(timeZone, isoDateTime) {
       isoDateTime.time.microsecond,
       isoDateTime.time.nanosecond
     );
-    CheckISODaysRange(balanced.isoDate);
+    CheckISODaysRange(balanced.isoDate, STANDARD_RANGE);
     const epochNs = GetUTCEpochNanoseconds(balanced);
-    ValidateEpochNanoseconds(epochNs);
+    ValidateEpochNanoseconds(epochNs, STANDARD_RANGE);
     return [epochNs];
   }
 
-  CheckISODaysRange(isoDateTime.isoDate);
+  CheckISODaysRange(isoDateTime.isoDate, STANDARD_RANGE);
   return GetNamedTimeZoneEpochNanoseconds(timeZone, isoDateTime);
 }
 
@@ -1948,12 +2406,17 @@ export function GetStartOfDay(timeZone, isoDate) {
 
   // Otherwise, 00:00:00 lies within a DST gap. Compute an epochNs that's
   // guaranteed to be before the transition
-  assert(!IsOffsetTimeZoneIdentifier(timeZone), 'should only be reached with named time zone');
+  assert(Type(timeZone) === 'Object' || !IsOffsetTimeZoneIdentifier(timeZone), 'offset time zones have no gaps');
 
   const utcns = GetUTCEpochNanoseconds(isoDateTime);
   const dayBefore = utcns.minus(DAY_NANOS);
-  ValidateEpochNanoseconds(dayBefore);
-  return GetNamedTimeZoneNextTransition(timeZone, dayBefore);
+  ValidateEpochNanoseconds(dayBefore, STANDARD_RANGE);
+  const transition = GetTimeZoneTransition(timeZone, dayBefore, 'next');
+  if (transition === null) {
+    const id = ToTemporalTimeZoneIdentifier(timeZone);
+    throw new RangeErrorCtor(`time zone ${id} has no possible instants at midnight, but no transition after it`);
+  }
+  return transition;
 }
 
 export function ISOYearString(year) {
@@ -1996,15 +2459,14 @@ export function FormatTimeString(hour, minute, second, subSecondNanoseconds, pre
   return result;
 }
 
-export function TemporalInstantToString(instant, timeZone, precision) {
-  let outputTimeZone = timeZone;
-  if (outputTimeZone === undefined) outputTimeZone = 'UTC';
+export function TemporalInstantToString(instant, timeZone, precision, dateFormat = 'calendar') {
   const epochNs = GetSlot(instant, EPOCHNANOSECONDS);
-  const iso = GetISODateTimeFor(outputTimeZone, epochNs);
-  const dateTimeString = ISODateTimeToString(iso, 'iso8601', precision, 'never');
+  // UTC without a time zone, so that this works outside the standard range
+  const iso = timeZone === undefined ? GetISOPartsFromEpoch(epochNs) : GetISODateTimeFor(timeZone, epochNs);
+  const dateTimeString = ISODateTimeToString(iso, 'iso8601', precision, 'never', dateFormat);
   let timeZoneString = 'Z';
   if (timeZone !== undefined) {
-    const offsetNs = GetOffsetNanosecondsFor(outputTimeZone, epochNs);
+    const offsetNs = GetOffsetNanosecondsFor(timeZone, epochNs);
     timeZoneString = FormatDateTimeUTCOffsetRounded(offsetNs);
   }
   return `${dateTimeString}${timeZoneString}`;
@@ -2062,13 +2524,28 @@ export function TemporalDurationToString(duration, precision) {
   return result;
 }
 
-export function TemporalDateToString(date, showCalendar = 'auto') {
-  const { year, month, day } = GetSlot(date, ISO_DATE);
-  const yearString = ISOYearString(year);
-  const monthString = ISODateTimePartString(month);
-  const dayString = ISODateTimePartString(day);
+// Formats an ISO date as a calendar date (YYYY-MM-DD), a week date
+// (YYYY-Www-D), or an ordinal date (YYYY-DDD)
+export function ISODateToString(isoDate, dateFormat = 'calendar') {
+  if (dateFormat === 'week') {
+    const { dayOfWeek, weekOfYear } = calendarImplForID('iso8601').isoToDate(isoDate, {
+      dayOfWeek: true,
+      weekOfYear: true
+    });
+    return `${ISOYearString(weekOfYear.year)}-W${ISODateTimePartString(weekOfYear.week)}-${dayOfWeek}`;
+  }
+  if (dateFormat === 'ordinal') {
+    const { dayOfYear } = calendarImplForID('iso8601').isoToDate(isoDate, { dayOfYear: true });
+    return `${ISOYearString(isoDate.year)}-${ToZeroPaddedDecimalString(dayOfYear, 3)}`;
+  }
+  const { year, month, day } = isoDate;
+  return `${ISOYearString(year)}-${ISODateTimePartString(month)}-${ISODateTimePartString(day)}`;
+}
+
+export function TemporalDateToString(date, showCalendar = 'auto', dateFormat = 'calendar') {
+  const dateString = ISODateToString(GetSlot(date, ISO_DATE), dateFormat);
   const calendar = FormatCalendarAnnotation(GetSlot(date, CALENDAR), showCalendar);
-  return `${yearString}-${monthString}-${dayString}${calendar}`;
+  return `${dateString}${calendar}`;
 }
 
 export function TimeRecordToString({ hour, minute, second, millisecond, microsecond, nanosecond }, precision) {
@@ -2076,18 +2553,16 @@ export function TimeRecordToString({ hour, minute, second, millisecond, microsec
   return FormatTimeString(hour, minute, second, subSecondNanoseconds, precision);
 }
 
-export function ISODateTimeToString(isoDateTime, calendar, precision, showCalendar = 'auto') {
+export function ISODateTimeToString(isoDateTime, calendar, precision, showCalendar = 'auto', dateFormat = 'calendar') {
   const {
-    isoDate: { year, month, day },
+    isoDate,
     time: { hour, minute, second, millisecond, microsecond, nanosecond }
   } = isoDateTime;
-  const yearString = ISOYearString(year);
-  const monthString = ISODateTimePartString(month);
-  const dayString = ISODateTimePartString(day);
+  const dateString = ISODateToString(isoDate, dateFormat);
   const subSecondNanoseconds = millisecond * 1e6 + microsecond * 1e3 + nanosecond;
   const timeString = FormatTimeString(hour, minute, second, subSecondNanoseconds, precision);
   const calendarString = FormatCalendarAnnotation(calendar, showCalendar);
-  return `${yearString}-${monthString}-${dayString}T${timeString}${calendarString}`;
+  return `${dateString}T${timeString}${calendarString}`;
 }
 
 export function TemporalMonthDayToString(monthDay, showCalendar = 'auto') {
@@ -2126,7 +2601,8 @@ export function TemporalZonedDateTimeToString(
   showCalendar = 'auto',
   showTimeZone = 'auto',
   showOffset = 'auto',
-  options = undefined
+  options = undefined,
+  dateFormat = 'calendar'
 ) {
   let epochNs = GetSlot(zdt, EPOCHNANOSECONDS);
 
@@ -2138,13 +2614,13 @@ export function TemporalZonedDateTimeToString(
   const tz = GetSlot(zdt, TIME_ZONE);
   const offsetNs = GetOffsetNanosecondsFor(tz, epochNs);
   const iso = GetISODateTimeFor(tz, epochNs);
-  let dateTimeString = ISODateTimeToString(iso, 'iso8601', precision, 'never');
+  let dateTimeString = ISODateTimeToString(iso, 'iso8601', precision, 'never', dateFormat);
   if (showOffset !== 'never') {
     dateTimeString += FormatDateTimeUTCOffsetRounded(offsetNs);
   }
   if (showTimeZone !== 'never') {
     const flag = showTimeZone === 'critical' ? '!' : '';
-    dateTimeString += `[${flag}${tz}]`;
+    dateTimeString += `[${flag}${ToTemporalTimeZoneIdentifier(tz)}]`;
   }
   dateTimeString += FormatCalendarAnnotation(GetSlot(zdt, CALENDAR), showCalendar);
   return dateTimeString;
@@ -2168,10 +2644,132 @@ export function ParseDateTimeUTCOffset(string) {
   return offsetNanoseconds;
 }
 
+// Named time zones are answered by Intl.DateTimeFormat, unless a
+// Temporal.TimeZoneProvider is installed and has data for the zone. The
+// provider may also define custom time zone objects, which are looked up by
+// their identifier when parsing, but otherwise bypass these functions.
+let installedTimeZoneProvider = null;
+
+export function InstallTimeZoneProvider(provider) {
+  const previous = installedTimeZoneProvider;
+  installedTimeZoneProvider = provider;
+  return previous;
+}
+
+function GetProviderRecord(identifier) {
+  if (installedTimeZoneProvider === null) return undefined;
+  const records = GetSlot(installedTimeZoneProvider, TIME_ZONE_RECORDS);
+  return Call(MapPrototypeGet, records, [ASCIILowercase(identifier)]);
+}
+
+function GetProviderTimeZoneRecord(identifier) {
+  const record = GetProviderRecord(identifier);
+  return record?.zone ? record : undefined;
+}
+
+export function GetProviderCustomTimeZone(identifier) {
+  return GetProviderRecord(identifier)?.timeZone;
+}
+
+// Returns all identifiers in the installed provider, including links, that
+// refer to the time zone with the given primary identifier
+export function GetProviderTimeZoneIdentifiers(primaryIdentifier) {
+  const result = [];
+  if (installedTimeZoneProvider === null) return result;
+  const records = GetSlot(installedTimeZoneProvider, TIME_ZONE_RECORDS);
+  const entriesIterator = Call(MapPrototypeEntries, records, []);
+  for (;;) {
+    const iterResult = Call(MapIteratorPrototypeNext, entriesIterator, []);
+    if (iterResult.done) break;
+    const { identifier, primaryIdentifier: recordPrimary } = iterResult.value[1];
+    if (ASCIILowercase(recordPrimary) === ASCIILowercase(primaryIdentifier)) {
+      Call(ArrayPrototypePush, result, [identifier]);
+    }
+  }
+  return result;
+}
+
+// POSIX TZ strings such as EST5EDT,M3.2.0,M11.1.0 are available as time zone
+// identifiers when they don't name a time zone. Their rules are stored as
+// TZif-style zone data without transitions, so only the footer rule applies.
+const posixTimeZoneCache = new MapCtor();
+const UTC_NAMES = new SetCtor(['utc', 'gmt', 'ut']);
+
+// Strings like UTC+8 and GMT+1 look like offsets from UTC, but POSIX inverts
+// their sign. To avoid surprises, POSIX strings without DST must write the
+// name in the quoted <...> form, and UTC, GMT or UT can only name offset zero.
+function IsUnambiguousPOSIXTZRule(identifier, rule) {
+  if (rule.dstName === undefined && identifier[0] !== '<') return false;
+  return rule.stdOffset === 0 || !Call(SetPrototypeHas, UTC_NAMES, [ASCIILowercase(rule.stdName)]);
+}
+
+function GetPOSIXTimeZoneIdentifier(identifier) {
+  if (!Call(MapPrototypeHas, posixTimeZoneCache, [identifier])) {
+    let rule;
+    try {
+      rule = ParsePOSIXTZString(identifier);
+    } catch {
+      return undefined;
+    }
+    if (!IsUnambiguousPOSIXTZRule(identifier, rule)) return undefined;
+    if (MathAbs(rule.stdOffset) >= 86400 || MathAbs(rule.dstOffset) >= 86400) return undefined;
+    Call(MapPrototypeSet, posixTimeZoneCache, [identifier, { transitions: [], transitionTypes: [], types: [], rule }]);
+  }
+  return { identifier, primaryIdentifier: identifier };
+}
+
+let windowsTimeZonesCache = undefined;
+
+// Returns a Map from ASCII-lowercased Windows time zone names to records of the
+// name, and of the IANA identifiers that CLDR maps it to in each territory
+export function GetWindowsTimeZones() {
+  if (windowsTimeZonesCache) return windowsTimeZonesCache;
+  windowsTimeZonesCache = new MapCtor();
+  const lines = Call(StringPrototypeSplit, WINDOWS_ZONES, ['\n']);
+  for (let ix = 0; ix < lines.length; ix++) {
+    const [name, territory, identifiers] = Call(StringPrototypeSplit, lines[ix], ['\t']);
+    const key = ASCIILowercase(name);
+    let record = Call(MapPrototypeGet, windowsTimeZonesCache, [key]);
+    if (!record) {
+      record = { name, identifiers: ObjectCreate(null) };
+      Call(MapPrototypeSet, windowsTimeZonesCache, [key, record]);
+    }
+    record.identifiers[territory] = Call(StringPrototypeSplit, identifiers, [' ']);
+  }
+  return windowsTimeZonesCache;
+}
+
+// Returns the IANA identifier for a Windows time zone name in the territory
+// given by an uppercase ISO 3166 code, falling back to the default mapping for
+// territories that CLDR doesn't list
+export function GetWindowsTimeZoneIdentifier(name, territory = '001') {
+  const record = Call(MapPrototypeGet, GetWindowsTimeZones(), [ASCIILowercase(name)]);
+  if (!record) return undefined;
+  return (record.identifiers[territory] ?? record.identifiers['001'])[0];
+}
+
+// Returns the TZif-style zone data for named time zones whose offsets the
+// polyfill computes itself instead of asking Intl.DateTimeFormat, or undefined
+export function GetTimeZoneData(identifier) {
+  return GetProviderTimeZoneRecord(identifier)?.zone ?? Call(MapPrototypeGet, posixTimeZoneCache, [identifier]);
+}
+
+function TransitionSecondsToEpochNs(epochSeconds) {
+  if (epochSeconds === null) return null;
+  const epochNanoseconds = bigInt(epochSeconds).multiply(1e9);
+  if (epochNanoseconds.lesser(NS_MIN) || epochNanoseconds.greater(NS_MAX)) return null;
+  return epochNanoseconds;
+}
+
 let canonicalTimeZoneIdsCache = undefined;
 const isTZIDSep = ObjectAssign(ObjectCreate(null), { '/': true, '-': true, _: true });
 
 export function GetAvailableNamedTimeZoneIdentifier(identifier) {
+  const providerRecord = GetProviderTimeZoneRecord(identifier);
+  if (providerRecord) {
+    return { identifier: providerRecord.identifier, primaryIdentifier: providerRecord.primaryIdentifier };
+  }
+
   // The most common case is when the identifier is a canonical time zone ID.
   // Fast-path that case by caching all canonical IDs. For old ECMAScript
   // implementations lacking this API, set the cache to `null` to avoid retries.
@@ -2200,7 +2798,11 @@ export function GetAvailableNamedTimeZoneIdentifier(identifier) {
     const formatter = getIntlDateTimeFormatEnUsForTimeZone(identifier);
     primaryIdentifier = Call(IntlDateTimeFormatPrototypeResolvedOptions, formatter, []).timeZone;
   } catch {
-    return undefined;
+    // Windows names such as UTC-02 are also valid identifiers. They name time
+    // zones, so they take precedence over POSIX TZ strings.
+    const windowsIdentifier = GetWindowsTimeZoneIdentifier(identifier);
+    if (windowsIdentifier !== undefined) return GetAvailableNamedTimeZoneIdentifier(windowsIdentifier);
+    return GetPOSIXTimeZoneIdentifier(identifier);
   }
 
   // Some legacy identifiers are aliases in ICU but not legal IANA identifiers.
@@ -2283,11 +2885,174 @@ function GetNamedTimeZoneOffsetNanosecondsImpl(id, epochMilliseconds) {
   return (utc - epochMilliseconds) * 1e6;
 }
 
-export function GetNamedTimeZoneOffsetNanoseconds(id, epochNanoseconds) {
+// Offsets of time zones backed by Intl.DateTimeFormat are memoized per time
+// zone, in a sorted array of disjoint intervals { startMs, endMs, offsetNs }
+// of epoch milliseconds with a constant UTC offset. The intervals are learned
+// one aligned week at a time, by getting the offset at both ends of the week
+// and bisecting if they differ. This assumes that an offset never lasts less
+// than a week. Two adjacent intervals with different offsets have a transition
+// between them.
+const OFFSET_CHUNK_MS = DAY_MS * 7;
+const offsetIntervalsCache = new MapCtor();
+let offsetIntervalsCacheLimits = { maxTimeZones: 64, maxIntervalsPerTimeZone: 1024 };
+let offsetIntervalsMostRecentId = undefined;
+
+export function GetTimeZoneCacheLimits() {
+  return { ...offsetIntervalsCacheLimits };
+}
+
+// Lowering the limits discards whole time zones' intervals until the cache
+// fits within them
+export function SetTimeZoneCacheLimits(maxTimeZones, maxIntervalsPerTimeZone) {
+  offsetIntervalsCacheLimits = { maxTimeZones, maxIntervalsPerTimeZone };
+  const ids = Call(MapPrototypeKeys, offsetIntervalsCache, []);
+  const evict = [];
+  let excess = Call(MapPrototypeGetSize, offsetIntervalsCache, []) - maxTimeZones;
+  for (;;) {
+    const iterResult = Call(MapIteratorPrototypeNext, ids, []);
+    if (iterResult.done) break;
+    const intervals = Call(MapPrototypeGet, offsetIntervalsCache, [iterResult.value]);
+    if (excess-- > 0 || intervals.length > maxIntervalsPerTimeZone) Call(ArrayPrototypePush, evict, [iterResult.value]);
+  }
+  for (let ix = 0; ix < evict.length; ix++) Call(MapPrototypeDelete, offsetIntervalsCache, [evict[ix]]);
+  offsetIntervalsMostRecentId = undefined;
+}
+
+export function ClearTimeZoneCache() {
+  Call(MapPrototypeClear, offsetIntervalsCache, []);
+  offsetIntervalsMostRecentId = undefined;
+}
+
+// Returns the time zone's array of intervals. If the cache is disabled, the
+// array is only used for the duration of one operation.
+function GetOffsetIntervals(id) {
+  let intervals = Call(MapPrototypeGet, offsetIntervalsCache, [id]);
+  if (intervals) {
+    // Keep the Map in least-recently-used order
+    if (id !== offsetIntervalsMostRecentId) {
+      Call(MapPrototypeDelete, offsetIntervalsCache, [id]);
+      Call(MapPrototypeSet, offsetIntervalsCache, [id, intervals]);
+      offsetIntervalsMostRecentId = id;
+    }
+    return intervals;
+  }
+  intervals = [];
+  const { maxTimeZones } = offsetIntervalsCacheLimits;
+  if (maxTimeZones === 0) return intervals;
+  while (Call(MapPrototypeGetSize, offsetIntervalsCache, []) >= maxTimeZones) {
+    const oldest = Call(MapIteratorPrototypeNext, Call(MapPrototypeKeys, offsetIntervalsCache, []), []).value;
+    Call(MapPrototypeDelete, offsetIntervalsCache, [oldest]);
+  }
+  Call(MapPrototypeSet, offsetIntervalsCache, [id, intervals]);
+  offsetIntervalsMostRecentId = id;
+  return intervals;
+}
+
+// Returns the index of the last interval starting at or before epochMs, or -1
+function FindOffsetInterval(intervals, epochMs) {
+  let low = 0;
+  let high = intervals.length;
+  while (low < high) {
+    const middle = MathFloor((low + high) / 2);
+    if (intervals[middle].startMs <= epochMs) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low - 1;
+}
+
+// Inserts an interval, merging it with any intervals of the same offset that it
+// overlaps or touches. If there are too many intervals, the ones farthest away
+// from the new one are discarded.
+function AddOffsetInterval(intervals, startMs, endMs, offsetNs) {
+  let ix = FindOffsetInterval(intervals, startMs);
+  if (ix >= 0 && intervals[ix].endMs >= startMs - 1 && intervals[ix].offsetNs === offsetNs) {
+    startMs = intervals[ix].startMs;
+    endMs = MathMax(endMs, intervals[ix].endMs);
+    Call(ArrayPrototypeSplice, intervals, [ix, 1]);
+  } else {
+    ix++;
+  }
+  while (ix < intervals.length && intervals[ix].startMs <= endMs + 1 && intervals[ix].offsetNs === offsetNs) {
+    endMs = MathMax(endMs, intervals[ix].endMs);
+    Call(ArrayPrototypeSplice, intervals, [ix, 1]);
+  }
+  Call(ArrayPrototypeSplice, intervals, [ix, 0, { startMs, endMs, offsetNs }]);
+
+  const { maxIntervalsPerTimeZone } = offsetIntervalsCacheLimits;
+  while (intervals.length > maxIntervalsPerTimeZone) {
+    if (ix > intervals.length - 1 - ix) {
+      Call(ArrayPrototypeSplice, intervals, [0, 1]);
+      ix--;
+    } else {
+      Call(ArrayPrototypeSplice, intervals, [intervals.length - 1, 1]);
+    }
+  }
+}
+
+// Returns the index of the interval containing epochMs, learning the offsets in
+// the surrounding chunk first if necessary
+function GetOffsetIntervalIndex(id, intervals, epochMs) {
+  let ix = FindOffsetInterval(intervals, epochMs);
+  if (ix >= 0 && intervals[ix].endMs >= epochMs) return ix;
+
+  const leftMs = MathMax(MathFloor(epochMs / OFFSET_CHUNK_MS) * OFFSET_CHUNK_MS, -MS_MAX);
+  const rightMs = MathMin(leftMs + OFFSET_CHUNK_MS, MS_MAX);
+  const getOffset = (ms) => {
+    const jx = FindOffsetInterval(intervals, ms);
+    if (jx >= 0 && intervals[jx].endMs >= ms) return intervals[jx].offsetNs;
+    return GetNamedTimeZoneOffsetNanosecondsImpl(id, ms);
+  };
+  LearnOffsetIntervals(id, intervals, leftMs, rightMs, getOffset(leftMs), getOffset(rightMs));
+  return FindOffsetInterval(intervals, epochMs);
+}
+
+// Bisects between two epoch milliseconds with known offsets until every
+// transition between them is found. There may be more than one, for example
+// when double summer time starts a few days after summer time.
+function LearnOffsetIntervals(id, intervals, leftMs, rightMs, leftOffsetNs, rightOffsetNs) {
+  if (leftOffsetNs === rightOffsetNs) {
+    AddOffsetInterval(intervals, leftMs, rightMs, leftOffsetNs);
+    return;
+  }
+  if (rightMs - leftMs === 1) {
+    AddOffsetInterval(intervals, leftMs, leftMs, leftOffsetNs);
+    AddOffsetInterval(intervals, rightMs, rightMs, rightOffsetNs);
+    return;
+  }
+  const middleMs = MathFloor((leftMs + rightMs) / 2);
+  const middleOffsetNs = GetNamedTimeZoneOffsetNanosecondsImpl(id, middleMs);
+  LearnOffsetIntervals(id, intervals, leftMs, middleMs, leftOffsetNs, middleOffsetNs);
+  LearnOffsetIntervals(id, intervals, middleMs, rightMs, middleOffsetNs, rightOffsetNs);
+}
+
+// Learns the offsets of a time zone backed by Intl.DateTimeFormat between two
+// exact times, so that later operations in that range don't need to format
+// dates. Other time zones aren't cached, so there's nothing to do for them.
+export function WarmTimeZoneCache(timeZone, startNs, endNs) {
+  if (Type(timeZone) !== 'String' || IsOffsetTimeZoneIdentifier(timeZone) || GetTimeZoneData(timeZone)) return;
+  const intervals = GetOffsetIntervals(timeZone);
+  const endMs = epochNsToMs(endNs, 'ceil');
+  let epochMs = epochNsToMs(startNs, 'floor');
+  while (epochMs <= endMs) {
+    const ix = GetOffsetIntervalIndex(timeZone, intervals, epochMs);
+    epochMs = intervals[ix].endMs + 1;
+  }
+}
+
+// intervals can be passed in by a caller that keeps its own, such as a
+// transition search
+export function GetNamedTimeZoneOffsetNanoseconds(id, epochNanoseconds, intervals = undefined) {
+  const zone = GetTimeZoneData(id);
+  if (zone) return GetTZifOffsetSeconds(zone, epochNsToSeconds(epochNanoseconds, 'floor')) * 1e9;
+
   // Optimization: We get the offset nanoseconds only with millisecond
   // resolution, assuming that time zone offset changes don't happen in the
   // middle of a millisecond
-  return GetNamedTimeZoneOffsetNanosecondsImpl(id, epochNsToMs(epochNanoseconds, 'floor'));
+  intervals ??= GetOffsetIntervals(id);
+  return intervals[GetOffsetIntervalIndex(id, intervals, epochNsToMs(epochNanoseconds, 'floor'))].offsetNs;
 }
 
 export function FormatOffsetTimeZoneIdentifier(offsetMinutes) {
@@ -2304,7 +3069,11 @@ export function FormatDateTimeUTCOffsetRounded(offsetNanoseconds) {
   return FormatOffsetTimeZoneIdentifier(offsetNanoseconds / 60e9);
 }
 
-function GetUTCEpochMilliseconds({
+// Returns the milliseconds since the epoch of the date and time moved by a
+// multiple of 400 years into the first 400 years after 0000, and the number
+// of 400-year cycles that it was moved by. Outside the range of legacy Date,
+// their sum can't be represented exactly as a Number.
+function GetReducedUTCEpochMilliseconds({
   isoDate: { year, month, day },
   time: { hour, minute, second, millisecond /* ignored: microsecond, nanosecond */ }
 }) {
@@ -2321,17 +3090,32 @@ function GetUTCEpochMilliseconds({
   Call(DatePrototypeSetUTCHours, legacyDate, [hour, minute, second, millisecond]);
   Call(DatePrototypeSetUTCFullYear, legacyDate, [reducedYear, month - 1, day]);
   const ms = Call(DatePrototypeGetTime, legacyDate, []);
+  return { ms, yearCycles };
+}
+
+function GetUTCEpochMilliseconds(isoDateTime) {
+  const { ms, yearCycles } = GetReducedUTCEpochMilliseconds(isoDateTime);
   return ms + MS_IN_400_YEAR_CYCLE * yearCycles;
 }
 
-function GetUTCEpochNanoseconds(isoDateTime) {
-  const ms = GetUTCEpochMilliseconds(isoDateTime);
+export function GetUTCEpochNanoseconds(isoDateTime) {
+  const { ms, yearCycles } = GetReducedUTCEpochMilliseconds(isoDateTime);
   const subMs = isoDateTime.time.microsecond * 1e3 + isoDateTime.time.nanosecond;
-  return bigInt(ms).multiply(1e6).plus(subMs);
+  const ns = bigInt(ms).multiply(1e6).plus(subMs);
+  if (yearCycles === 0) return ns;
+  return ns.plus(NS_IN_400_YEAR_CYCLE.multiply(yearCycles));
 }
 
 export function GetISOPartsFromEpoch(epochNanoseconds) {
-  const { quotient, remainder } = bigInt(epochNanoseconds).divmod(1e6);
+  // Outside the range of legacy Date, move the exact time by a multiple of 400
+  // years, and add the years back at the end, as in GetUTCEpochMilliseconds
+  let reducedNs = bigInt(epochNanoseconds);
+  let yearCycles = 0;
+  if (reducedNs.lesser(NS_MIN) || reducedNs.greater(NS_MAX)) {
+    yearCycles = reducedNs.divide(NS_IN_400_YEAR_CYCLE).toJSNumber();
+    reducedNs = reducedNs.minus(NS_IN_400_YEAR_CYCLE.multiply(yearCycles));
+  }
+  const { quotient, remainder } = reducedNs.divmod(1e6);
   let epochMilliseconds = +quotient;
   let nanos = +remainder;
   if (nanos < 0) {
@@ -2342,7 +3126,7 @@ export function GetISOPartsFromEpoch(epochNanoseconds) {
   const nanosecond = nanos % 1e3;
 
   const item = new DateCtor(epochMilliseconds);
-  const year = Call(DatePrototypeGetUTCFullYear, item, []);
+  const year = Call(DatePrototypeGetUTCFullYear, item, []) + 400 * yearCycles;
   const month = Call(DatePrototypeGetUTCMonth, item, []) + 1;
   const day = Call(DatePrototypeGetUTCDate, item, []);
   const hour = Call(DatePrototypeGetUTCHours, item, []);
@@ -2351,61 +3135,107 @@ export function GetISOPartsFromEpoch(epochNanoseconds) {
   const millisecond = Call(DatePrototypeGetUTCMilliseconds, item, []);
 
   return {
-    epochMilliseconds,
+    epochMilliseconds: epochMilliseconds + MS_IN_400_YEAR_CYCLE * yearCycles,
     isoDate: { year, month, day },
     time: { hour, minute, second, millisecond, microsecond, nanosecond }
   };
 }
 
-export function GetNamedTimeZoneDateTimeParts(id, epochNanoseconds) {
-  const {
-    epochMilliseconds,
-    time: { millisecond, microsecond, nanosecond }
-  } = GetISOPartsFromEpoch(epochNanoseconds);
-  const { year, month, day, hour, minute, second } = GetFormatterParts(id, epochMilliseconds);
-  return BalanceISODateTime(year, month, day, hour, minute, second, millisecond, microsecond, nanosecond);
+// In the 'standard' range mode, dates and times are limited to the range in the
+// proposal, and in the 'expanded' mode to EXPANDED_RANGE. ZonedDateTime, named
+// time zones and calendars other than ISO 8601 keep the standard range in both
+// modes, because they use Intl.DateTimeFormat, which only works in the range of
+// legacy Date.
+// The mode applies to values coming from outside: strings, property bags,
+// numbers and constructor arguments. Instant, PlainDate, PlainDateTime and
+// PlainYearMonth objects record the range they were created in, in the RANGE
+// slot, and operations on them use that range, so that changing the mode later
+// doesn't make existing objects unusable.
+let rangeMode = 'standard';
+
+export function SetRangeMode(mode) {
+  const previous = rangeMode;
+  rangeMode = mode;
+  return previous;
+}
+
+export function GetRangeMode() {
+  return rangeMode;
+}
+
+export function GetRange() {
+  return rangeMode === 'expanded' ? EXPANDED_RANGE : STANDARD_RANGE;
+}
+
+// The range of a result computed from two objects, e.g. the difference of an
+// object created in the expanded mode and one created in the standard mode
+export function WiderRange(one, two) {
+  return one === EXPANDED_RANGE || two === EXPANDED_RANGE ? EXPANDED_RANGE : STANDARD_RANGE;
+}
+
+function GetRangeForCalendar(calendar, range) {
+  return calendar === 'iso8601' ? range : STANDARD_RANGE;
+}
+
+// Transition searches in time zones backed by Intl.DateTimeFormat can't go on
+// forever, so they stop at BEFORE_FIRST_DST and at 3 years after the present.
+// In 'deterministic' mode they use fixed dates instead of the current date, so
+// that the results don't depend on when they are computed.
+let transitionSearchMode = 'default';
+
+export function SetTransitionSearchMode(mode) {
+  const previous = transitionSearchMode;
+  transitionSearchMode = mode;
+  return previous;
+}
+
+function GetTransitionSearchBounds() {
+  if (transitionSearchMode === 'deterministic') {
+    return { earliestMs: EARLIEST_HISTORY, presentMs: DETERMINISTIC_PRESENT };
+  }
+  return { earliestMs: BEFORE_FIRST_DST, presentMs: DateNow() };
 }
 
-export function GetNamedTimeZoneNextTransition(id, epochNanoseconds) {
+export function GetNamedTimeZoneNextTransition(id, epochNanoseconds, intervals = undefined) {
+  const zone = GetTimeZoneData(id);
+  if (zone) {
+    const epochSeconds = epochNsToSeconds(epochNanoseconds, 'floor');
+    return TransitionSecondsToEpochNs(GetTZifNextTransition(zone, epochSeconds));
+  }
+
   // Optimization: we floor the instant to the previous millisecond boundary
   // so that we can do Number math instead of BigInt math. This assumes that
   // time zone transitions don't happen in the middle of a millisecond.
-  const epochMilliseconds = epochNsToMs(epochNanoseconds, 'floor');
-  if (epochMilliseconds < BEFORE_FIRST_DST) {
-    return GetNamedTimeZoneNextTransition(id, bigInt(BEFORE_FIRST_DST).multiply(1e6));
+  let epochMilliseconds = epochNsToMs(epochNanoseconds, 'floor');
+  const { earliestMs, presentMs } = GetTransitionSearchBounds();
+  if (epochMilliseconds < earliestMs) {
+    return GetNamedTimeZoneNextTransition(id, bigInt(earliestMs).multiply(1e6), intervals);
   }
 
   // Optimization: the farthest that we'll look for a next transition is 3 years
-  // after the later of epochNanoseconds or the current time. If there are no
+  // after the later of epochMilliseconds or the present. If there are no
   // transitions found before then, we'll assume that there will not be any more
   // transitions after that.
-  const now = DateNow();
-  const base = MathMax(epochMilliseconds, now);
+  const base = MathMax(epochMilliseconds, presentMs);
   const uppercap = base + DAY_MS * 366 * 3;
-  let leftMs = epochMilliseconds;
-  let leftOffsetNs = GetNamedTimeZoneOffsetNanosecondsImpl(id, leftMs);
-  let rightMs = leftMs;
-  let rightOffsetNs = leftOffsetNs;
-  while (leftOffsetNs === rightOffsetNs && leftMs < uppercap) {
-    rightMs = leftMs + DAY_MS * 2 * 7;
-    if (rightMs > MS_MAX) return null;
-    rightOffsetNs = GetNamedTimeZoneOffsetNanosecondsImpl(id, rightMs);
-    if (leftOffsetNs === rightOffsetNs) {
-      leftMs = rightMs;
-    }
+  intervals ??= GetOffsetIntervals(id);
+  let ix = GetOffsetIntervalIndex(id, intervals, epochMilliseconds);
+  const offsetNs = intervals[ix].offsetNs;
+  for (;;) {
+    epochMilliseconds = intervals[ix].endMs + 1;
+    if (epochMilliseconds > uppercap || epochMilliseconds > MS_MAX) return null;
+    ix = GetOffsetIntervalIndex(id, intervals, epochMilliseconds);
+    if (intervals[ix].offsetNs !== offsetNs) return bigInt(epochMilliseconds).multiply(1e6);
   }
-  if (leftOffsetNs === rightOffsetNs) return null;
-  const result = bisect(
-    (epochMs) => GetNamedTimeZoneOffsetNanosecondsImpl(id, epochMs),
-    leftMs,
-    rightMs,
-    leftOffsetNs,
-    rightOffsetNs
-  );
-  return bigInt(result).multiply(1e6);
 }
 
 export function GetNamedTimeZonePreviousTransition(id, epochNanoseconds) {
+  const zone = GetTimeZoneData(id);
+  if (zone) {
+    const epochSeconds = epochNsToSeconds(epochNanoseconds, 'ceil');
+    return TransitionSecondsToEpochNs(GetTZifPreviousTransition(zone, epochSeconds));
+  }
+
   // Optimization: we raise the instant to the next millisecond boundary so
   // that we can do Number math instead of BigInt math. This assumes that time
   // zone transitions don't happen in the middle of a millisecond.
@@ -2414,11 +3244,11 @@ export function GetNamedTimeZonePreviousTransition(id, epochNanoseconds) {
   // Optimization: if the instant is more than 3 years in the future and there
   // are no transitions between the present day and 3 years from now, assume
   // there are none after.
-  const now = DateNow();
-  const lookahead = now + DAY_MS * 366 * 3;
+  const { earliestMs, presentMs } = GetTransitionSearchBounds();
+  const lookahead = presentMs + DAY_MS * 366 * 3;
   if (epochMilliseconds > lookahead) {
     const prevBeforeLookahead = GetNamedTimeZonePreviousTransition(id, bigInt(lookahead).multiply(1e6));
-    if (prevBeforeLookahead === null || prevBeforeLookahead.lt(bigInt(now).multiply(1e6))) {
+    if (prevBeforeLookahead === null || prevBeforeLookahead.lt(bigInt(presentMs).multiply(1e6))) {
       return prevBeforeLookahead;
     }
   }
@@ -2429,8 +3259,9 @@ export function GetNamedTimeZonePreviousTransition(id, epochNanoseconds) {
   // that fit neither of these. Their irregular DST transitions are
   // precomputed until 2087 in the current time zone database, so requesting
   // the previous transition for an instant far in the future may take an
-  // extremely long time as it loops backward 2 weeks at a time.
-  if (id === 'Africa/Casablanca' || id === 'Africa/El_Aaiun') {
+  // extremely long time as it loops backward a week at a time. The
+  // deterministic present is already after 2087, so this isn't needed there.
+  if (transitionSearchMode === 'default' && (id === 'Africa/Casablanca' || id === 'Africa/El_Aaiun')) {
     const lastPrecomputed = DateUTC(2088, 0, 1); // 2088-01-01T00Z
     if (lastPrecomputed < epochMilliseconds) {
       return GetNamedTimeZonePreviousTransition(id, bigInt(lastPrecomputed).multiply(1e6));
@@ -2438,27 +3269,17 @@ export function GetNamedTimeZonePreviousTransition(id, epochNanoseconds) {
   }
 
   let rightMs = epochMilliseconds - 1;
-  if (rightMs < BEFORE_FIRST_DST) return null;
-  let rightOffsetNs = GetNamedTimeZoneOffsetNanosecondsImpl(id, rightMs);
-  let leftMs = rightMs;
-  let leftOffsetNs = rightOffsetNs;
-  while (rightOffsetNs === leftOffsetNs && rightMs > BEFORE_FIRST_DST) {
-    leftMs = rightMs - DAY_MS * 2 * 7;
-    if (leftMs < BEFORE_FIRST_DST) return null;
-    leftOffsetNs = GetNamedTimeZoneOffsetNanosecondsImpl(id, leftMs);
-    if (rightOffsetNs === leftOffsetNs) {
-      rightMs = leftMs;
-    }
+  if (rightMs < earliestMs) return null;
+  const intervals = GetOffsetIntervals(id);
+  let ix = GetOffsetIntervalIndex(id, intervals, rightMs);
+  const offsetNs = intervals[ix].offsetNs;
+  for (;;) {
+    const transitionMs = intervals[ix].startMs;
+    rightMs = transitionMs - 1;
+    if (rightMs < earliestMs) return null;
+    ix = GetOffsetIntervalIndex(id, intervals, rightMs);
+    if (intervals[ix].offsetNs !== offsetNs) return bigInt(transitionMs).multiply(1e6);
   }
-  if (rightOffsetNs === leftOffsetNs) return null;
-  const result = bisect(
-    (epochMs) => GetNamedTimeZoneOffsetNanosecondsImpl(id, epochMs),
-    leftMs,
-    rightMs,
-    leftOffsetNs,
-    rightOffsetNs
-  );
-  return bigInt(result).multiply(1e6);
 }
 
 export function GetFormatterParts(timeZone, epochMilliseconds) {
@@ -2510,9 +3331,8 @@ function GetNamedTimeZoneEpochNanoseconds(id, isoDateTime) {
   const candidates = Call(ArrayPrototypeMap, found, [
     (offsetNanoseconds) => {
       const epochNanoseconds = bigInt(ns).minus(offsetNanoseconds);
-      const parts = GetNamedTimeZoneDateTimeParts(id, epochNanoseconds);
-      if (CompareISODateTime(isoDateTime, parts) !== 0) return undefined;
-      ValidateEpochNanoseconds(epochNanoseconds);
+      if (GetNamedTimeZoneOffsetNanoseconds(id, epochNanoseconds) !== offsetNanoseconds) return undefined;
+      ValidateEpochNanoseconds(epochNanoseconds, STANDARD_RANGE);
       return epochNanoseconds;
     }
   ]);
@@ -2527,6 +3347,19 @@ export function LeapYear(year) {
   return isDiv4 && (!isDiv100 || isDiv400);
 }
 
+// ISO week-numbering years have 53 weeks if they start on a Thursday, or on a
+// Wednesday in a leap year
+export function ISOWeeksInYear(year) {
+  const jan1 = calendarImplForID('iso8601').isoToDate({ year, month: 1, day: 1 }, { dayOfWeek: true });
+  return jan1.dayOfWeek === 4 || (jan1.dayOfWeek === 3 && LeapYear(year)) ? 53 : 52;
+}
+
+// Week 1 of an ISO week-numbering year is the week with January 4 in it
+export function ISOWeekDateToISODate(yearOfWeek, week, dayOfWeek) {
+  const jan4 = calendarImplForID('iso8601').isoToDate({ year: yearOfWeek, month: 1, day: 4 }, { dayOfWeek: true });
+  return BalanceISODate(yearOfWeek, 1, 4 - jan4.dayOfWeek + (week - 1) * 7 + dayOfWeek);
+}
+
 export function ISODaysInMonth(year, month) {
   const DoM = {
     standard: [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31],
@@ -2691,7 +3524,9 @@ export function DateDurationDays(dateDuration, plainRelativeTo) {
 
   // balance years, months, and weeks down to days
   const isoDate = GetSlot(plainRelativeTo, ISO_DATE);
-  const later = CalendarDateAdd(GetSlot(plainRelativeTo, CALENDAR), isoDate, yearsMonthsWeeksDuration, 'constrain');
+  const calendar = GetSlot(plainRelativeTo, CALENDAR);
+  const range = GetSlot(plainRelativeTo, RANGE);
+  const later = CalendarDateAdd(calendar, isoDate, yearsMonthsWeeksDuration, 'constrain', range);
   const epochDaysEarlier = ISODateToEpochDays(isoDate.year, isoDate.month - 1, isoDate.day);
   const epochDaysLater = ISODateToEpochDays(later.year, later.month - 1, later.day);
   const yearsMonthsWeeksInDays = epochDaysLater - epochDaysEarlier;
@@ -2733,9 +3568,9 @@ export function RejectISODate(year, month, day) {
   RejectToRange(day, 1, ISODaysInMonth(year, month));
 }
 
-function RejectDateRange(isoDate) {
+function RejectDateRange(isoDate, range = GetRange()) {
   // Noon avoids trouble at edges of DateTime range (excludes midnight)
-  RejectDateTimeRange(CombineISODateAndTimeRecord(isoDate, NoonTimeRecord()));
+  RejectDateTimeRange(CombineISODateAndTimeRecord(isoDate, NoonTimeRecord()), range);
 }
 
 export function RejectTime(hour, minute, second, millisecond, microsecond, nanosecond) {
@@ -2752,31 +3587,35 @@ export function RejectDateTime(year, month, day, hour, minute, second, milliseco
   RejectTime(hour, minute, second, millisecond, microsecond, nanosecond);
 }
 
-export function RejectDateTimeRange(isoDateTime) {
+export function RejectDateTimeRange(isoDateTime, range = GetRange()) {
+  // Years too large for the 400-year cycles to be exact are out of any range
+  if (!NumberIsSafeInteger(isoDateTime.isoDate.year)) {
+    throw new RangeErrorCtor('date/time value is outside of supported range');
+  }
   const ns = GetUTCEpochNanoseconds(isoDateTime);
-  if (ns.lesser(DATETIME_NS_MIN) || ns.greater(DATETIME_NS_MAX)) {
+  if (ns.lesser(range.dateTimeNsMin) || ns.greater(range.dateTimeNsMax)) {
     // Because PlainDateTime's range is wider than Instant's range, the line
     // below will always throw. Calling `ValidateEpochNanoseconds` avoids
     // repeating the same error message twice.
-    ValidateEpochNanoseconds(ns);
+    ValidateEpochNanoseconds(ns, range);
   }
 }
 
 // In the spec, IsValidEpochNanoseconds returns a boolean and call sites are
 // responsible for throwing. In the polyfill, ValidateEpochNanoseconds takes its
 // place so that we can DRY the throwing code.
-export function ValidateEpochNanoseconds(epochNanoseconds) {
-  if (epochNanoseconds.lesser(NS_MIN) || epochNanoseconds.greater(NS_MAX)) {
+export function ValidateEpochNanoseconds(epochNanoseconds, range = GetRange()) {
+  if (epochNanoseconds.lesser(range.nsMin) || epochNanoseconds.greater(range.nsMax)) {
     throw new RangeErrorCtor('date/time value is outside of supported range');
   }
 }
 
-function RejectYearMonthRange({ year, month }) {
-  RejectToRange(year, YEAR_MIN, YEAR_MAX);
-  if (year === YEAR_MIN) {
-    RejectToRange(month, 4, 12);
-  } else if (year === YEAR_MAX) {
-    RejectToRange(month, 1, 9);
+function RejectYearMonthRange({ year, month }, range = GetRange()) {
+  RejectToRange(year, range.yearMin, range.yearMax);
+  if (year === range.yearMin) {
+    RejectToRange(month, range.monthMin, 12);
+  } else if (year === range.yearMax) {
+    RejectToRange(month, 1, range.monthMax);
   }
 }
 
@@ -2963,20 +3802,19 @@ function CombineDateAndTimeDuration(dateDuration, timeDuration) {
 
 // Caution: month is 0-based
 export function ISODateToEpochDays(year, month, day) {
-  return (
-    GetUTCEpochMilliseconds({
-      isoDate: { year, month: month + 1, day },
-      time: { hour: 0, minute: 0, second: 0, millisecond: 0 }
-    }) / DAY_MS
-  );
+  const { ms, yearCycles } = GetReducedUTCEpochMilliseconds({
+    isoDate: { year, month: month + 1, day },
+    time: { hour: 0, minute: 0, second: 0, millisecond: 0 }
+  });
+  return ms / DAY_MS + DAYS_IN_400_YEAR_CYCLE * yearCycles;
 }
 
 // This is needed before calling GetUTCEpochNanoseconds, because it uses MakeDay
 // which is ill-defined in how it handles large year numbers. If the issue
 // https://github.com/tc39/ecma262/issues/1087 is fixed, this can be removed
 // with no observable changes.
-function CheckISODaysRange({ year, month, day }) {
-  if (MathAbs(ISODateToEpochDays(year, month - 1, day)) > 1e8) {
+function CheckISODaysRange({ year, month, day }, range = GetRange()) {
+  if (!(MathAbs(ISODateToEpochDays(year, month - 1, day)) <= range.days)) {
     throw new RangeErrorCtor('date/time value is outside the supported range');
   }
 }
@@ -2993,7 +3831,7 @@ function DifferenceTime(time1, time2) {
   return timeDuration;
 }
 
-function DifferenceInstant(ns1, ns2, increment, smallestUnit, roundingMode) {
+export function DifferenceInstant(ns1, ns2, increment, smallestUnit, roundingMode) {
   const diff = { date: ZeroDateDuration(), time: TimeDuration.fromEpochNsDiff(ns2, ns1) };
   return RoundTimeDuration(diff, increment, smallestUnit, roundingMode);
 }
@@ -3098,7 +3936,8 @@ function NudgeToCalendarUnit(
   calendar,
   increment,
   unit,
-  roundingMode
+  roundingMode,
+  range = GetRange()
 ) {
   // unit must be day, week, month, or year
   // timeZone may be undefined
@@ -3125,7 +3964,7 @@ function NudgeToCalendarUnit(
     }
     case 'week': {
       const yearsMonths = AdjustDateDurationRecord(duration.date, 0, 0);
-      const weeksStart = CalendarDateAdd(calendar, isoDateTime.isoDate, yearsMonths, 'constrain');
+      const weeksStart = CalendarDateAdd(calendar, isoDateTime.isoDate, yearsMonths, 'constrain', range);
       const weeksEnd = BalanceISODate(weeksStart.year, weeksStart.month, weeksStart.day + duration.date.days);
       const untilResult = CalendarDateUntil(calendar, weeksStart, weeksEnd, 'week');
       const weeks = RoundNumberToIncrement(duration.date.weeks + untilResult.weeks, increment, 'trunc');
@@ -3151,8 +3990,8 @@ function NudgeToCalendarUnit(
   if (sign === -1) assert(r1 <= 0 && r1 > r2, `negative ordering of r1, r2: 0 ≥ ${r1} > ${r2}`);
 
   // Apply to origin, output PlainDateTimes
-  const start = CalendarDateAdd(calendar, isoDateTime.isoDate, startDuration, 'constrain');
-  const end = CalendarDateAdd(calendar, isoDateTime.isoDate, endDuration, 'constrain');
+  const start = CalendarDateAdd(calendar, isoDateTime.isoDate, startDuration, 'constrain', range);
+  const end = CalendarDateAdd(calendar, isoDateTime.isoDate, endDuration, 'constrain', range);
 
   // Convert to epoch-nanoseconds
   let startEpochNs, endEpochNs;
@@ -3293,7 +4132,8 @@ function BubbleRelativeDuration(
   timeZone,
   calendar,
   largestUnit,
-  smallestUnit
+  smallestUnit,
+  range = GetRange()
 ) {
   // smallestUnit is day or larger
 
@@ -3339,7 +4179,7 @@ function BubbleRelativeDuration(
     }
 
     // Compute end-of-unit in epoch-nanoseconds
-    const end = CalendarDateAdd(calendar, isoDateTime.isoDate, endDuration, 'constrain');
+    const end = CalendarDateAdd(calendar, isoDateTime.isoDate, endDuration, 'constrain', range);
     const endDateTime = CombineISODateAndTimeRecord(end, isoDateTime.time);
     let endEpochNs;
     if (timeZone) {
@@ -3372,7 +4212,8 @@ function RoundRelativeDuration(
   largestUnit,
   increment,
   smallestUnit,
-  roundingMode
+  roundingMode,
+  range = GetRange()
 ) {
   // The duration must already be balanced. This should be achieved by calling
   // one of the non-rounding since/until internal methods prior. It's okay to
@@ -3395,7 +4236,8 @@ function RoundRelativeDuration(
       calendar,
       increment,
       smallestUnit,
-      roundingMode
+      roundingMode,
+      range
     ));
   } else if (timeZone) {
     // Special-case for rounding time units within a zoned day
@@ -3428,14 +4270,15 @@ function RoundRelativeDuration(
       timeZone,
       calendar,
       largestUnit, // where to STOP bubbling
-      LargerOfTwoTemporalUnits(smallestUnit, 'day') // where to START bubbling-up from
+      LargerOfTwoTemporalUnits(smallestUnit, 'day'), // where to START bubbling-up from
+      range
     );
   }
 
   return duration;
 }
 
-function TotalRelativeDuration(duration, destEpochNs, isoDateTime, timeZone, calendar, unit) {
+function TotalRelativeDuration(duration, destEpochNs, isoDateTime, timeZone, calendar, unit, range = GetRange()) {
   // The duration must already be balanced. This should be achieved by calling
   // one of the non-rounding since/until internal methods prior. It's okay to
   // have a bottom-heavy weeks because weeks don't bubble-up into months. It's
@@ -3445,7 +4288,19 @@ function TotalRelativeDuration(duration, destEpochNs, isoDateTime, timeZone, cal
   if (IsCalendarUnit(unit) || (timeZone && unit === 'day')) {
     // Rounding an irregular-length unit? Use epoch-nanosecond-bounding technique
     const sign = InternalDurationSign(duration) < 0 ? -1 : 1;
-    return NudgeToCalendarUnit(sign, duration, destEpochNs, isoDateTime, timeZone, calendar, 1, unit, 'trunc').total;
+    const nudge = NudgeToCalendarUnit(
+      sign,
+      duration,
+      destEpochNs,
+      isoDateTime,
+      timeZone,
+      calendar,
+      1,
+      unit,
+      'trunc',
+      range
+    );
+    return nudge.total;
   }
   // Rounding uniform-length days/hours/minutes/etc units. Simple nanosecond
   // math. years/months/weeks unchanged
@@ -3460,7 +4315,8 @@ export function DifferencePlainDateTimeWithRounding(
   largestUnit,
   roundingIncrement,
   smallestUnit,
-  roundingMode
+  roundingMode,
+  range = GetRange()
 ) {
   if (CompareISODateTime(isoDateTime1, isoDateTime2) == 0) {
     return { date: ZeroDateDuration(), time: TimeDuration.ZERO };
@@ -3480,11 +4336,12 @@ export function DifferencePlainDateTimeWithRounding(
     largestUnit,
     roundingIncrement,
     smallestUnit,
-    roundingMode
+    roundingMode,
+    range
   );
 }
 
-export function DifferencePlainDateTimeWithTotal(isoDateTime1, isoDateTime2, calendar, unit) {
+export function DifferencePlainDateTimeWithTotal(isoDateTime1, isoDateTime2, calendar, unit, range = GetRange()) {
   if (CompareISODateTime(isoDateTime1, isoDateTime2) == 0) return 0;
 
   const duration = DifferenceISODateTime(isoDateTime1, isoDateTime2, calendar, unit);
@@ -3492,7 +4349,7 @@ export function DifferencePlainDateTimeWithTotal(isoDateTime1, isoDateTime2, cal
   if (unit === 'nanosecond') return duration.time.totalNs.toJSNumber();
 
   const destEpochNs = GetUTCEpochNanoseconds(isoDateTime2);
-  return TotalRelativeDuration(duration, destEpochNs, isoDateTime1, null, calendar, unit);
+  return TotalRelativeDuration(duration, destEpochNs, isoDateTime1, null, calendar, unit, range);
 }
 
 export function DifferenceZonedDateTimeWithRounding(
@@ -3644,7 +4501,8 @@ export function DifferenceTemporalPlainDate(operation, plainDate, other, options
       settings.largestUnit,
       settings.roundingIncrement,
       settings.smallestUnit,
-      settings.roundingMode
+      settings.roundingMode,
+      WiderRange(GetSlot(plainDate, RANGE), GetSlot(other, RANGE))
     );
   }
 
@@ -3676,7 +4534,8 @@ export function DifferenceTemporalPlainDateTime(operation, plainDateTime, other,
     settings.largestUnit,
     settings.roundingIncrement,
     settings.smallestUnit,
-    settings.roundingMode
+    settings.roundingMode,
+    WiderRange(GetSlot(plainDateTime, RANGE), GetSlot(other, RANGE))
   );
 
   let result = TemporalDurationFromInternal(duration, settings.largestUnit);
@@ -3717,12 +4576,13 @@ export function DifferenceTemporalPlainYearMonth(operation, yearMonth, other, op
     return new Duration();
   }
 
+  const range = WiderRange(GetSlot(yearMonth, RANGE), GetSlot(other, RANGE));
   const thisFields = ISODateToFields(calendar, GetSlot(yearMonth, ISO_DATE), 'year-month');
   thisFields.day = 1;
-  const thisDate = CalendarDateFromFields(calendar, thisFields, 'constrain');
+  const thisDate = CalendarDateFromFields(calendar, thisFields, 'constrain', range);
   const otherFields = ISODateToFields(calendar, GetSlot(other, ISO_DATE), 'year-month');
   otherFields.day = 1;
-  const otherDate = CalendarDateFromFields(calendar, otherFields, 'constrain');
+  const otherDate = CalendarDateFromFields(calendar, otherFields, 'constrain', range);
 
   const dateDifference = CalendarDateUntil(calendar, thisDate, otherDate, settings.largestUnit);
   let duration = { date: AdjustDateDurationRecord(dateDifference, 0, 0), time: TimeDuration.ZERO };
@@ -3739,7 +4599,8 @@ export function DifferenceTemporalPlainYearMonth(operation, yearMonth, other, op
       settings.largestUnit,
       settings.roundingIncrement,
       settings.smallestUnit,
-      settings.roundingMode
+      settings.roundingMode,
+      range
     );
   }
 
@@ -3809,9 +4670,9 @@ export function AddTime({ hour, minute, second, millisecond, microsecond, nanose
   return BalanceTime(hour, minute, second, millisecond, microsecond, nanosecond);
 }
 
-export function AddInstant(epochNanoseconds, timeDuration) {
+export function AddInstant(epochNanoseconds, timeDuration, range = GetRange()) {
   const result = timeDuration.addToEpochNs(epochNanoseconds);
-  ValidateEpochNanoseconds(result);
+  ValidateEpochNanoseconds(result, range);
   return result;
 }
 
@@ -3867,9 +4728,9 @@ export function AddDurationToInstant(operation, instant, durationLike) {
     );
   }
   const internalDuration = ToInternalDurationRecordWith24HourDays(duration);
-  const ns = AddInstant(GetSlot(instant, EPOCHNANOSECONDS), internalDuration.time);
-  const Instant = GetIntrinsic('%Temporal.Instant%');
-  return new Instant(ns);
+  const range = GetSlot(instant, RANGE);
+  const ns = AddInstant(GetSlot(instant, EPOCHNANOSECONDS), internalDuration.time, range);
+  return CreateTemporalInstant(ns, range);
 }
 
 export function AddDurationToDate(operation, plainDate, durationLike, options) {
@@ -3882,8 +4743,9 @@ export function AddDurationToDate(operation, plainDate, durationLike, options) {
   const resolvedOptions = GetOptionsObject(options);
   const overflow = GetTemporalOverflowOption(resolvedOptions);
 
-  const addedDate = CalendarDateAdd(calendar, GetSlot(plainDate, ISO_DATE), dateDuration, overflow);
-  return CreateTemporalDate(addedDate, calendar);
+  const range = GetSlot(plainDate, RANGE);
+  const addedDate = CalendarDateAdd(calendar, GetSlot(plainDate, ISO_DATE), dateDuration, overflow, range);
+  return CreateTemporalDate(addedDate, calendar, range);
 }
 
 export function AddDurationToDateTime(operation, dateTime, durationLike, options) {
@@ -3903,10 +4765,11 @@ export function AddDurationToDateTime(operation, dateTime, durationLike, options
 
   // Delegate the date part addition to the calendar
   RejectDuration(dateDuration.years, dateDuration.months, dateDuration.weeks, dateDuration.days, 0, 0, 0, 0, 0, 0);
-  const addedDate = CalendarDateAdd(calendar, isoDateTime.isoDate, dateDuration, overflow);
+  const range = GetSlot(dateTime, RANGE);
+  const addedDate = CalendarDateAdd(calendar, isoDateTime.isoDate, dateDuration, overflow, range);
 
   const result = CombineISODateAndTimeRecord(addedDate, timeResult);
-  return CreateTemporalDateTime(result, calendar);
+  return CreateTemporalDateTime(result, calendar, range);
 }
 
 export function AddDurationToTime(operation, temporalTime, durationLike) {
@@ -3929,20 +4792,21 @@ export function AddDurationToYearMonth(operation, yearMonth, durationLike, optio
   const sign = DurationSign(duration);
 
   const calendar = GetSlot(yearMonth, CALENDAR);
+  const range = GetSlot(yearMonth, RANGE);
   const fields = ISODateToFields(calendar, GetSlot(yearMonth, ISO_DATE), 'year-month');
   fields.day = 1;
-  let startDate = CalendarDateFromFields(calendar, fields, 'constrain');
+  let startDate = CalendarDateFromFields(calendar, fields, 'constrain', range);
   if (sign < 0) {
-    const nextMonth = CalendarDateAdd(calendar, startDate, { months: 1 }, 'constrain');
+    const nextMonth = CalendarDateAdd(calendar, startDate, { months: 1 }, 'constrain', range);
     startDate = BalanceISODate(nextMonth.year, nextMonth.month, nextMonth.day - 1);
   }
   const durationToAdd = ToDateDurationRecordWithoutTime(duration);
-  RejectDateRange(startDate);
-  const addedDate = CalendarDateAdd(calendar, startDate, durationToAdd, overflow);
+  RejectDateRange(startDate, GetRangeForCalendar(calendar, range));
+  const addedDate = CalendarDateAdd(calendar, startDate, durationToAdd, overflow, range);
   const addedDateFields = ISODateToFields(calendar, addedDate, 'year-month');
 
-  const isoDate = CalendarYearMonthFromFields(calendar, addedDateFields, overflow);
-  return CreateTemporalYearMonth(isoDate, calendar);
+  const isoDate = CalendarYearMonthFromFields(calendar, addedDateFields, overflow, range);
+  return CreateTemporalYearMonth(isoDate, calendar, range);
 }
 
 export function AddDurationToZonedDateTime(operation, zonedDateTime, durationLike, options) {
@@ -4115,6 +4979,11 @@ export function epochNsToMs(epochNanoseconds, mode) {
   return epochMilliseconds;
 }
 
+export function epochNsToSeconds(epochNanoseconds, mode) {
+  const epochMilliseconds = epochNsToMs(epochNanoseconds, mode);
+  return mode === 'floor' ? MathFloor(epochMilliseconds / 1000) : MathCeil(epochMilliseconds / 1000);
+}
+
 export function BigIntIfAvailable(wrapper) {
   return typeof BigIntCtor === 'undefined' ? wrapper : wrapper.value;
 }
@@ -4154,11 +5023,58 @@ export function ToBigInt(arg) {
   }
 }
 
-// Note: This method returns values with bogus nanoseconds based on the previous iteration's
-// milliseconds. That way there is a guarantee that the full nanoseconds are always going to be
-// increasing at least and that the microsecond and nanosecond fields are likely to be non-zero.
+// Nanoseconds from an arbitrary starting point, from a high-resolution timer
+// that isn't affected by adjustments of the system clock, if the host has one
+const HighResolutionTimer = (() => {
+  const hrtime = globalThis.process?.hrtime;
+  if (typeof hrtime?.bigint === 'function') {
+    const hrtimeBigInt = hrtime.bigint;
+    return () => bigInt(Call(hrtimeBigInt, hrtime, []));
+  }
+  const performance = globalThis.performance;
+  if (typeof performance?.now === 'function') {
+    const performanceNow = performance.now;
+    return () => bigInt(MathTrunc(Call(performanceNow, performance, []) * 1e6));
+  }
+  return undefined;
+})();
+
+// Without a high-resolution timer, Date.now() is kept from going backwards
+let lastMonotonicMs = DateNow();
+export function MonotonicNanoseconds() {
+  if (HighResolutionTimer) return HighResolutionTimer();
+  lastMonotonicMs = MathMax(lastMonotonicMs, DateNow());
+  return bigInt(lastMonotonicMs).multiply(1e6);
+}
+
+// The timer doesn't see the system clock being set, nor time spent suspended,
+// so the time read from it is compared with the system clock, and re-anchored
+// if it is off by more than this. Smaller differences, such as from NTP
+// slewing the system clock, are ignored so that readings don't go backwards.
+const REANCHOR_THRESHOLD_NS = 100e6;
+
+// Returns a function that reads the epoch nanoseconds from a high-resolution
+// timer, anchored to the milliseconds of a system clock
+export function MakeAnchoredClock(systemClockMs, timer) {
+  let anchorNs = bigInt(systemClockMs()).multiply(1e6).minus(timer());
+  return () => {
+    const timerNs = timer();
+    const systemNs = bigInt(systemClockMs()).multiply(1e6);
+    let ns = anchorNs.plus(timerNs);
+    if (ns.minus(systemNs).abs().greater(REANCHOR_THRESHOLD_NS)) {
+      anchorNs = systemNs.minus(timerNs);
+      ns = systemNs;
+    }
+    return bigInt.min(NS_MAX, bigInt.max(NS_MIN, ns));
+  };
+}
 
 export const SystemUTCEpochNanoSeconds = (() => {
+  if (HighResolutionTimer) return MakeAnchoredClock(DateNow, HighResolutionTimer);
+  // Note: Without a high-resolution timer, this returns values with bogus nanoseconds based on
+  // the previous iteration's milliseconds. That way there is a guarantee that the full nanoseconds
+  // are always going to be increasing at least and that the microsecond and nanosecond fields are
+  // likely to be non-zero.
   let ns = DateNow() % 1e6;
   return () => {
     const ms = DateNow();
@@ -4172,6 +5088,91 @@ export function DefaultTimeZone() {
   return Call(IntlDateTimeFormatPrototypeResolvedOptions, new IntlDateTimeFormat(), []).timeZone;
 }
 
+// Temporal.Now reads the time and the time zone from a Temporal.Clock, if one
+// is in scope from Temporal.Clock.prototype.run() or is installed, and
+// otherwise from the system. A clock's state is a reading, the system time at
+// which it was taken, and the rate at which the clock has run since then.
+let installedClock = null;
+let clockScope = undefined;
+
+export function InstallClock(clock) {
+  const previous = installedClock;
+  installedClock = clock;
+  return previous;
+}
+
+// Scopes follow async continuations with the AsyncContext proposal if the host
+// has it, or with Node's AsyncLocalStorage. Otherwise they only last for the
+// synchronous part of the callback.
+function GetClockScope() {
+  if (clockScope) return clockScope;
+  if (typeof globalThis.AsyncContext?.Variable === 'function') {
+    const variable = new globalThis.AsyncContext.Variable();
+    clockScope = {
+      run: (clock, callback, args) => variable.run(clock, callback, ...args),
+      get: () => variable.get()
+    };
+    return clockScope;
+  }
+  const asyncHooks = globalThis.process?.getBuiltinModule?.('node:async_hooks');
+  if (asyncHooks) {
+    const storage = new asyncHooks.AsyncLocalStorage();
+    clockScope = {
+      run: (clock, callback, args) => storage.run(clock, callback, ...args),
+      get: () => storage.getStore()
+    };
+    return clockScope;
+  }
+  let current = undefined;
+  clockScope = {
+    run: (clock, callback, args) => {
+      const previous = current;
+      current = clock;
+      try {
+        return Call(callback, undefined, args);
+      } finally {
+        current = previous;
+      }
+    },
+    get: () => current
+  };
+  return clockScope;
+}
+
+export function RunWithClock(clock, callback, args) {
+  return GetClockScope().run(clock, callback, args);
+}
+
+export function GetActiveClock() {
+  // Don't create the scope just to find out that nothing is in it
+  return clockScope?.get() ?? installedClock;
+}
+
+export function GetClockEpochNanoseconds(clock) {
+  const { epochNs, systemNs, rate } = GetSlot(clock, CLOCK_STATE);
+  if (rate === 0) return epochNs;
+  let elapsedNs = SystemUTCEpochNanoSeconds().minus(systemNs);
+  if (rate !== 1) elapsedNs = bigInt(MathTrunc(elapsedNs.toJSNumber() * rate));
+  return bigInt.min(NS_MAX, bigInt.max(NS_MIN, epochNs.plus(elapsedNs)));
+}
+
+// Takes a new reading, so that changes of rate only apply from now on. Without
+// epochNs, the clock reads the same as the system clock.
+export function SetClockState(clock, epochNs, rate, timeZone) {
+  const systemNs = SystemUTCEpochNanoSeconds();
+  SetSlot(clock, CLOCK_STATE, { epochNs: epochNs ?? systemNs, systemNs, rate, timeZone });
+}
+
+export function NowUTCEpochNanoseconds() {
+  const clock = GetActiveClock();
+  return clock ? GetClockEpochNanoseconds(clock) : SystemUTCEpochNanoSeconds();
+}
+
+export function NowTimeZone() {
+  const clock = GetActiveClock();
+  return (clock && GetSlot(clock, CLOCK_STATE).timeZone) ?? DefaultTimeZone();
+}
+
 export function ComparisonResult(value) {
   return value < 0 ? -1 : value > 0 ? 1 : value;
 }
@@ -4264,20 +5265,3 @@ export function ValueOfThrows(constructorName) {
 
 const OFFSET = new RegExpCtor(`^${PARSE.offset.source}$`);
 const OFFSET_WITH_PARTS = new RegExpCtor(`^${PARSE.offsetWithParts.source}$`);
-
-function bisect(getState, left, right, lstate = getState(left), rstate = getState(right)) {
-  while (right - left > 1) {
-    let middle = MathTrunc((left + right) / 2);
-    const mstate = getState(middle);
-    if (mstate === lstate) {
-      left = middle;
-      lstate = mstate;
-    } else if (mstate === rstate) {
-      right = middle;
-      rstate = mstate;
-    } else {
-      /* c8 ignore next */ assertNotReached(`invalid state in bisection ${lstate} - ${mstate} - ${rstate}`);
-    }
-  }
-  return right;
-}
@@ -0,0 +1,256 @@
+import {
+  // error constructors
+  RangeError as RangeErrorCtor,
+
+  // class static functions and methods
+  MathAbs,
+  MathFloor,
+  MathRound,
+  NumberIsFinite,
+  NumberIsSafeInteger,
+  NumberPrototypeToString,
+  StringPrototypeIndexOf,
+  StringPrototypeSlice
+} from './primordials.mjs';
+
+import Call from 'es-abstract/2024/Call.js';
+
+import bigInt from 'big-integer';
+
+import * as ES from './ecmascript.mjs';
+
+// Conversions between epoch nanoseconds and the epochs and units that other
+// software counts time in. All of them count UTC without leap seconds, like
+// Temporal.Instant does.
+
+// Windows FILETIME and .NET DateTime ticks are 100 ns, from 1601-01-01 and
+// 0001-01-01 respectively. These are the counts at 1970-01-01, the Unix
+// epoch, as are the NTP and Cocoa constants below.
+const FILETIME_UNIX_EPOCH_TICKS = bigInt('116444736000000000');
+const DOTNET_UNIX_EPOCH_TICKS = bigInt('621355968000000000');
+const TICK_NS = 100;
+
+// NTP timestamps count seconds from 1900-01-01 in their upper 32 bits, and
+// fractions of a second in units of 2^-32 s in their lower 32 bits
+const NTP_UNIX_EPOCH_SECONDS = bigInt(2208988800);
+const TWO_POW_31 = bigInt(2).pow(31);
+const TWO_POW_32 = bigInt(2).pow(32);
+const TWO_POW_64 = bigInt(2).pow(64);
+
+// Cocoa's NSDate and Core Data count seconds from 2001-01-01, so at
+// 1970-01-01 the count is negative
+const COCOA_UNIX_EPOCH_SECONDS = -978307200;
+
+// Excel serial dates count days from 1899-12-30 in the 1900 date system and
+// from 1904-01-01 in the 1904 date system, with the time of day as fraction.
+// These are the epoch days of those dates.
+const EXCEL_1900_EPOCH_DAYS = -25569;
+const EXCEL_1904_EPOCH_DAYS = -24107;
+const DAY_MS = 86400e3;
+const DAY_NS = 86400e9;
+
+function FloorDivMod(dividend, divisor) {
+  let { quotient, remainder } = dividend.divmod(divisor);
+  if (remainder.isNegative()) {
+    quotient = quotient.prev();
+    remainder = remainder.plus(divisor);
+  }
+  return { quotient, remainder };
+}
+
+function EpochNsFromTicks(ticks, unixEpochTicks) {
+  const epochNs = ES.ToBigInt(ticks).minus(unixEpochTicks).multiply(TICK_NS);
+  ES.ValidateEpochNanoseconds(epochNs);
+  return epochNs;
+}
+
+// Ticks are coarser than nanoseconds, so they are truncated to the tick at or
+// before the instant
+function TicksFromEpochNs(epochNs, unixEpochTicks) {
+  const { quotient } = FloorDivMod(bigInt(epochNs), TICK_NS);
+  return ES.BigIntIfAvailable(quotient.plus(unixEpochTicks));
+}
+
+export function EpochNsFromFileTime(fileTime) {
+  return EpochNsFromTicks(fileTime, FILETIME_UNIX_EPOCH_TICKS);
+}
+
+export function FileTimeFromEpochNs(epochNs) {
+  return TicksFromEpochNs(epochNs, FILETIME_UNIX_EPOCH_TICKS);
+}
+
+export function EpochNsFromDotNetTicks(ticks) {
+  return EpochNsFromTicks(ticks, DOTNET_UNIX_EPOCH_TICKS);
+}
+
+export function DotNetTicksFromEpochNs(epochNs) {
+  return TicksFromEpochNs(epochNs, DOTNET_UNIX_EPOCH_TICKS);
+}
+
+// A 64-bit NTP timestamp only has 32 bits of seconds, so it wraps around every
+// 136 years. As in RFC 4330 section 3, timestamps with the most significant
+// bit set are from 1968 to 2036 (era 0), and the others from 2036 to 2104 (era
+// 1). The fraction is truncated to nanoseconds, and converting back rounds it
+// up, so that an instant survives the round trip.
+export function EpochNsFromNTPTimestamp(timestamp) {
+  timestamp = ES.ToBigInt(timestamp);
+  if (timestamp.isNegative() || timestamp.geq(TWO_POW_64)) {
+    throw new RangeErrorCtor('NTP timestamp must be an unsigned 64-bit integer');
+  }
+  let { quotient: seconds, remainder: fraction } = timestamp.divmod(TWO_POW_32);
+  if (seconds.lesser(TWO_POW_31)) seconds = seconds.plus(TWO_POW_32);
+  const { quotient: nanoseconds } = fraction.multiply(1e9).divmod(TWO_POW_32);
+  const epochNs = seconds.minus(NTP_UNIX_EPOCH_SECONDS).multiply(1e9).plus(nanoseconds);
+  ES.ValidateEpochNanoseconds(epochNs);
+  return epochNs;
+}
+
+export function NTPTimestampFromEpochNs(epochNs) {
+  const { quotient, remainder } = FloorDivMod(bigInt(epochNs), 1e9);
+  const seconds = quotient.plus(NTP_UNIX_EPOCH_SECONDS);
+  if (seconds.lesser(TWO_POW_31) || seconds.geq(TWO_POW_32.plus(TWO_POW_31))) {
+    throw new RangeErrorCtor('NTP timestamps can only represent instants from 1968-01-20T03:14:08Z to 2104-02-26');
+  }
+  let { quotient: fraction, remainder: rest } = remainder.multiply(TWO_POW_32).divmod(1e9);
+  if (!rest.isZero()) fraction = fraction.next();
+  return ES.BigIntIfAvailable(seconds.mod(TWO_POW_32).multiply(TWO_POW_32).plus(fraction));
+}
+
+// A Number of seconds is converted exactly: the fraction of a Number is exact,
+// and only its conversion to nanoseconds is rounded, to the nearest one.
+// The fraction is taken from the shortest decimal string of the Number, which
+// is what was most likely written, rather than from its binary value, which at
+// the magnitude of today's epoch seconds is only precise to a few hundred
+// nanoseconds: 1704067200.123 is stored as 1704067200.1229999065...
+function SplitNumber(value, unitsPerWhole) {
+  value = ES.ToNumber(value);
+  if (!NumberIsFinite(value)) throw new RangeErrorCtor('date/time value is outside of supported range');
+  let whole = MathFloor(value);
+  if (!NumberIsSafeInteger(whole)) throw new RangeErrorCtor('date/time value is outside of supported range');
+  const string = Call(NumberPrototypeToString, MathAbs(value), []);
+  const point = Call(StringPrototypeIndexOf, string, ['.']);
+  let parts;
+  if (Call(StringPrototypeIndexOf, string, ['e']) !== -1) {
+    // Only fractions below 1e-6 are written with an exponent, and the binary
+    // value is precise enough for them
+    parts = MathRound((value - whole) * unitsPerWhole);
+  } else if (point === -1) {
+    parts = 0;
+  } else {
+    const digits = Call(StringPrototypeSlice, string, [point + 1]);
+    const scale = bigInt(10).pow(digits.length);
+    const { quotient, remainder } = bigInt(digits).multiply(unitsPerWhole).divmod(scale);
+    // Halves round up, towards the later time, as MathRound does
+    const twice = remainder.multiply(2);
+    const roundUp = value < 0 ? twice.greater(scale) : twice.geq(scale);
+    parts = quotient.toJSNumber() + (roundUp ? 1 : 0);
+    if (value < 0) parts = unitsPerWhole - parts;
+  }
+  if (parts === unitsPerWhole) {
+    whole++;
+    parts = 0;
+  }
+  return { whole, parts };
+}
+
+function EpochNsFromSeconds(value, unixEpochSeconds) {
+  const { whole, parts } = SplitNumber(value, 1e9);
+  const epochNs = bigInt(whole).minus(unixEpochSeconds).multiply(1e9).plus(parts);
+  ES.ValidateEpochNanoseconds(epochNs);
+  return epochNs;
+}
+
+// The result is a Number, so it is as close to the instant as a Number can be
+function SecondsFromEpochNs(epochNs, unixEpochSeconds) {
+  const { quotient, remainder } = FloorDivMod(bigInt(epochNs), 1e9);
+  return quotient.toJSNumber() + unixEpochSeconds + remainder.toJSNumber() / 1e9;
+}
+
+export function EpochNsFromEpochSeconds(seconds) {
+  return EpochNsFromSeconds(seconds, 0);
+}
+
+export function EpochSecondsFromEpochNs(epochNs) {
+  return SecondsFromEpochNs(epochNs, 0);
+}
+
+export function EpochNsFromCocoaSeconds(seconds) {
+  return EpochNsFromSeconds(seconds, COCOA_UNIX_EPOCH_SECONDS);
+}
+
+export function CocoaSecondsFromEpochNs(epochNs) {
+  return SecondsFromEpochNs(epochNs, COCOA_UNIX_EPOCH_SECONDS);
+}
+
+function GetExcelDateSystemOption(options) {
+  return ES.GetOption(options, 'dateSystem', ['1900', '1904'], '1900');
+}
+
+// The 1900 date system counts a February 29, 1900, which didn't exist, because
+// Lotus 1-2-3 treated 1900 as a leap year. So serials from 61 on count days
+// from 1899-12-30, and those before 60 from 1899-12-31. Serial 60 itself is
+// constrained to February 28, or rejected.
+function ExcelSerialDaysToEpochDays(days, dateSystem, overflow) {
+  if (dateSystem === '1904') return days + EXCEL_1904_EPOCH_DAYS;
+  if (days > 60) return days + EXCEL_1900_EPOCH_DAYS;
+  if (days === 60) {
+    if (overflow === 'reject') {
+      throw new RangeErrorCtor('Excel serial date 60 is February 29, 1900, which did not exist');
+    }
+    days = 59;
+  }
+  return days + EXCEL_1900_EPOCH_DAYS + 1;
+}
+
+function EpochDaysToExcelSerialDays(epochDays, dateSystem) {
+  if (dateSystem === '1904') return epochDays - EXCEL_1904_EPOCH_DAYS;
+  const days = epochDays - EXCEL_1900_EPOCH_DAYS;
+  return days > 60 ? days : days - 1;
+}
+
+// Excel stores times to the millisecond, so the fraction of a serial is
+// rounded to the nearest millisecond, which also removes the rounding errors
+// of binary fractions of a day
+function ExcelSerialToEpochDaysAndMs(serial, options) {
+  const { whole, parts: ms } = SplitNumber(serial, DAY_MS);
+  if (MathAbs(whole) > 1e9) throw new RangeErrorCtor('date/time value is outside of supported range');
+  const resolvedOptions = ES.GetOptionsObject(options);
+  const dateSystem = GetExcelDateSystemOption(resolvedOptions);
+  const overflow = ES.GetTemporalOverflowOption(resolvedOptions);
+  return { epochDays: ExcelSerialDaysToEpochDays(whole, dateSystem, overflow), ms };
+}
+
+export function ISODateTimeFromExcelSerial(serial, options) {
+  const { epochDays, ms } = ExcelSerialToEpochDaysAndMs(serial, options);
+  const isoDate = ES.BalanceISODate(1970, 1, 1 + epochDays);
+  return ES.CombineISODateAndTimeRecord(isoDate, ES.BalanceTime(0, 0, 0, ms, 0, 0));
+}
+
+export function ISODateFromExcelSerial(serial, options) {
+  return ISODateTimeFromExcelSerial(serial, options).isoDate;
+}
+
+export function EpochNsFromExcelSerial(serial, options) {
+  const { epochDays, ms } = ExcelSerialToEpochDaysAndMs(serial, options);
+  const epochNs = bigInt(epochDays).multiply(DAY_NS).plus(bigInt(ms).multiply(1e6));
+  ES.ValidateEpochNanoseconds(epochNs);
+  return epochNs;
+}
+
+export function ExcelSerialFromISODate({ year, month, day }, options) {
+  const dateSystem = GetExcelDateSystemOption(ES.GetOptionsObject(options));
+  return EpochDaysToExcelSerialDays(ES.ISODateToEpochDays(year, month - 1, day), dateSystem);
+}
+
+export function ExcelSerialFromISODateTime(isoDateTime, options) {
+  const days = ExcelSerialFromISODate(isoDateTime.isoDate, options);
+  const { hour, minute, second, millisecond, microsecond, nanosecond } = isoDateTime.time;
+  const ns = ((hour * 60 + minute) * 60 + second) * 1e9 + millisecond * 1e6 + microsecond * 1e3 + nanosecond;
+  return days + ns / DAY_NS;
+}
+
+export function ExcelSerialFromEpochNs(epochNs, options) {
+  const { quotient, remainder } = FloorDivMod(bigInt(epochNs), DAY_NS);
+  const dateSystem = GetExcelDateSystemOption(ES.GetOptionsObject(options));
+  return EpochDaysToExcelSerialDays(quotient.toJSNumber(), dateSystem) + remainder.toJSNumber() / DAY_NS;
+}
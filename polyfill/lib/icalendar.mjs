@@ -0,0 +1,691 @@
+import {
+  // error constructors
+  RangeError as RangeErrorCtor,
+  TypeError as TypeErrorCtor,
+
+  // class static functions and methods
+  ArrayFrom,
+  ArrayIsArray,
+  ArrayPrototypeFind,
+  ArrayPrototypeIncludes,
+  ArrayPrototypeJoin,
+  ArrayPrototypeMap,
+  ArrayPrototypePush,
+  ArrayPrototypeSort,
+  MathAbs,
+  ObjectCreate,
+  ObjectDefineProperty,
+  RegExpPrototypeExec,
+  RegExpPrototypeTest,
+  StringPrototypeReplace,
+  StringPrototypeSlice,
+  StringPrototypeSplit,
+  StringPrototypeStartsWith,
+  StringPrototypeToUpperCase,
+  SymbolToStringTag
+} from './primordials.mjs';
+
+import Call from 'es-abstract/2024/Call.js';
+import bigInt from 'big-integer';
+
+import * as ES from './ecmascript.mjs';
+import { GetIntrinsic } from './intrinsicclass.mjs';
+import * as PARSE from './regex.mjs';
+import {
+  DAYS,
+  EPOCHNANOSECONDS,
+  HOURS,
+  ISO_DATE,
+  ISO_DATE_TIME,
+  MICROSECONDS,
+  MILLISECONDS,
+  MINUTES,
+  MONTHS,
+  NANOSECONDS,
+  SECONDS,
+  TIME_ZONE,
+  WEEKS,
+  YEARS,
+  GetSlot
+} from './slots.mjs';
+
+const DAY_NANOS = 86400e9;
+// The Gregorian calendar repeats every 400 years, which is a whole number of
+// weeks, so yearly rules do too
+const CYCLE_NANOS = bigInt(146097).multiply(DAY_NANOS);
+const YEAR_NANOS = bigInt(366).multiply(DAY_NANOS);
+const NS_MAX = bigInt(DAY_NANOS).multiply(1e8);
+
+const VALUE_TYPES = ['DATE', 'DATE-TIME', 'DURATION'];
+// Properties whose values are durations unless they have a VALUE parameter
+const DURATION_PROPERTIES = ['DURATION', 'TRIGGER'];
+
+// Content lines longer than 75 octets are folded by inserting a line break
+// followed by a space or a tab, which are removed again when reading them
+function UnfoldContentLines(string) {
+  return Call(StringPrototypeReplace, string, [/\r?\n[ \t]/g, '']);
+}
+
+function SplitUnquoted(string, separator) {
+  const result = [];
+  let quoted = false;
+  let start = 0;
+  for (let ix = 0; ix < string.length; ix++) {
+    if (string[ix] === '"') quoted = !quoted;
+    if (string[ix] === separator && !quoted) {
+      Call(ArrayPrototypePush, result, [Call(StringPrototypeSlice, string, [start, ix])]);
+      start = ix + 1;
+    }
+  }
+  Call(ArrayPrototypePush, result, [Call(StringPrototypeSlice, string, [start])]);
+  return result;
+}
+
+// Splits a content line (RFC 5545 section 3.1) into its name, its parameters,
+// and its value. Names of properties and parameters are case-insensitive, so
+// they are returned in upper case. A line without a colon is a bare value.
+function ParseContentLine(line) {
+  if (Call(RegExpPrototypeTest, /[\r\n]/, [line])) throw new RangeErrorCtor(`expected one content line: ${line}`);
+  const [head, ...rest] = SplitUnquoted(line, ':');
+  if (rest.length === 0) return { name: undefined, parameters: ObjectCreate(null), value: line };
+  const value = Call(ArrayPrototypeJoin, rest, [':']);
+  const [name, ...fields] = SplitUnquoted(head, ';');
+  if (!Call(RegExpPrototypeTest, PARSE.icalendarName, [name])) {
+    throw new RangeErrorCtor(`invalid iCalendar property name: ${name}`);
+  }
+  const parameters = ObjectCreate(null);
+  for (let ix = 0; ix < fields.length; ix++) {
+    const match = Call(RegExpPrototypeExec, PARSE.icalendarParameter, [fields[ix]]);
+    if (!match) throw new RangeErrorCtor(`invalid iCalendar parameter: ${fields[ix]}`);
+    const parameterName = Call(StringPrototypeToUpperCase, match[1], []);
+    if (parameters[parameterName] !== undefined) throw new RangeErrorCtor(`duplicate ${parameterName} parameter`);
+    parameters[parameterName] = match[2] ?? match[3];
+  }
+  return { name: Call(StringPrototypeToUpperCase, name, []), parameters, value };
+}
+
+function QuoteParameterValue(value) {
+  if (Call(RegExpPrototypeTest, /"/, [value])) throw new RangeErrorCtor(`can't write ${value} as a parameter value`);
+  return Call(RegExpPrototypeTest, /[;:,]/, [value]) ? `"${value}"` : value;
+}
+
+// Returns a PlainDate for a DATE value, and a PlainDateTime in floating time
+// or an Instant in UTC for a DATE-TIME value (RFC 5545 sections 3.3.4 and
+// 3.3.5), or null if the string is neither. Leap seconds are constrained, like
+// in ISO strings.
+export function ParseICalendarDateTime(string) {
+  const match = Call(RegExpPrototypeExec, PARSE.icalendarDateTime, [string]);
+  if (!match) return null;
+  const isoDate = { year: +match[1], month: +match[2], day: +match[3] };
+  ES.RejectISODate(isoDate.year, isoDate.month, isoDate.day);
+  if (match[4] === undefined) return ES.CreateTemporalDate(isoDate, 'iso8601');
+  const second = +match[6] === 60 ? 59 : +match[6];
+  const time = { hour: +match[4], minute: +match[5], second, millisecond: 0, microsecond: 0, nanosecond: 0 };
+  ES.RejectTime(time.hour, time.minute, time.second, 0, 0, 0);
+  const isoDateTime = ES.CombineISODateAndTimeRecord(isoDate, time);
+  ES.RejectDateTimeRange(isoDateTime);
+  if (match[7] === undefined) return ES.CreateTemporalDateTime(isoDateTime, 'iso8601');
+  const TemporalInstant = GetIntrinsic('%Temporal.Instant%');
+  return new TemporalInstant(ES.GetUTCEpochNanoseconds(isoDateTime));
+}
+
+// iCalendar has four-digit years and whole seconds, so other values can't be
+// written without changing them
+function CanFormatISODateTime({ isoDate, time }) {
+  if (isoDate.year < 0 || isoDate.year > 9999) return false;
+  return !time.millisecond && !time.microsecond && !time.nanosecond;
+}
+
+function FormatISODate({ year, month, day }) {
+  return `${ES.ISOYearString(year)}${ES.ISODateTimePartString(month)}${ES.ISODateTimePartString(day)}`;
+}
+
+function FormatISODateTime({ isoDate, time }) {
+  const { hour, minute, second } = time;
+  const hms = `${ES.ISODateTimePartString(hour)}${ES.ISODateTimePartString(minute)}${ES.ISODateTimePartString(second)}`;
+  return `${FormatISODate(isoDate)}T${hms}`;
+}
+
+// Writes a PlainDate as a DATE value, and a PlainDateTime or an Instant as a
+// DATE-TIME value in floating time or in UTC, or returns null if it can't be
+// written
+export function FormatICalendarDateTime(item) {
+  if (ES.IsTemporalDate(item)) {
+    const isoDate = GetSlot(item, ISO_DATE);
+    const isoDateTime = ES.CombineISODateAndTimeRecord(isoDate, ES.MidnightTimeRecord());
+    return CanFormatISODateTime(isoDateTime) ? FormatISODate(isoDate) : null;
+  }
+  if (ES.IsTemporalDateTime(item)) {
+    const isoDateTime = GetSlot(item, ISO_DATE_TIME);
+    return CanFormatISODateTime(isoDateTime) ? FormatISODateTime(isoDateTime) : null;
+  }
+  const isoDateTime = ES.GetISODateTimeFor('UTC', GetSlot(item, EPOCHNANOSECONDS));
+  return CanFormatISODateTime(isoDateTime) ? `${FormatISODateTime(isoDateTime)}Z` : null;
+}
+
+// DURATION values (RFC 5545 section 3.3.6) have weeks, or days and exact
+// time, but no years, months, or fractions of a second
+function ParseICalendarDuration(string) {
+  const match = Call(RegExpPrototypeExec, PARSE.icalendarDuration, [string]);
+  if (!match) return null;
+  const [, sign, weeks, days, time] = match;
+  if (weeks === undefined && days === undefined && time === undefined) return null;
+  const [, hours, minutes, seconds] = Call(RegExpPrototypeExec, PARSE.icalendarDurationTime, [time ?? '']);
+  const TemporalDuration = GetIntrinsic('%Temporal.Duration%');
+  const duration = new TemporalDuration(
+    0,
+    0,
+    +(weeks ?? 0),
+    +(days ?? 0),
+    +(hours ?? 0),
+    +(minutes ?? 0),
+    +(seconds ?? 0)
+  );
+  return sign === '-' ? ES.CreateNegatedTemporalDuration(duration) : duration;
+}
+
+// Weeks are written as days if the duration has other units, because a
+// DURATION value can't have both
+function FormatICalendarDuration(duration) {
+  if (GetSlot(duration, YEARS) || GetSlot(duration, MONTHS)) {
+    throw new RangeErrorCtor(`${duration} can't be written as an iCalendar DURATION, which has no years or months`);
+  }
+  if (GetSlot(duration, MILLISECONDS) || GetSlot(duration, MICROSECONDS) || GetSlot(duration, NANOSECONDS)) {
+    throw new RangeErrorCtor(`${duration} can't be written as an iCalendar DURATION, which has whole seconds`);
+  }
+  const sign = ES.DurationSign(duration) < 0 ? '-' : '';
+  const weeks = MathAbs(GetSlot(duration, WEEKS));
+  let days = MathAbs(GetSlot(duration, DAYS));
+  const units = [HOURS, MINUTES, SECONDS];
+  const values = Call(ArrayPrototypeMap, units, [(unit) => MathAbs(GetSlot(duration, unit))]);
+  if (weeks && !days && !values[0] && !values[1] && !values[2]) return `${sign}P${weeks}W`;
+  days += weeks * 7;
+  // The time part goes from the first unit that isn't zero to the last one,
+  // without skipping any in between
+  let first = 0;
+  while (first < 3 && !values[first]) first++;
+  let last = 2;
+  while (last > first && !values[last]) last--;
+  let time = '';
+  for (let ix = first; ix <= last && ix < 3; ix++) time += `${values[ix]}${'HMS'[ix]}`;
+  if (time === '' && !days) time = '0S';
+  return `${sign}P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+}
+
+// UTC offsets of VTIMEZONE components (RFC 5545 section 3.3.14), in
+// nanoseconds. -0000 isn't allowed.
+function ParseUTCOffset(string) {
+  const match = Call(RegExpPrototypeExec, PARSE.icalendarUTCOffset, [string]);
+  if (!match || string === '-0000' || string === '-000000') {
+    throw new RangeErrorCtor(`invalid iCalendar UTC offset: ${string}`);
+  }
+  const [, sign, hours, minutes, seconds = '00'] = match;
+  if (+hours > 23 || +minutes > 59 || +seconds > 59) {
+    throw new RangeErrorCtor(`invalid iCalendar UTC offset: ${string}`);
+  }
+  return (sign === '-' ? -1 : 1) * (+hours * 3600 + +minutes * 60 + +seconds) * 1e9;
+}
+
+// Time zones defined by VTIMEZONE components (RFC 5545 section 3.6.5) are
+// custom time zone objects. The onsets of their STANDARD and DAYLIGHT
+// observances are expanded with Temporal.RecurrenceRule as they are needed,
+// and kept as a list of the transitions where the UTC offset changes.
+
+function ParseObservance(tzid, component, lines) {
+  const observance = { rrule: undefined, rdates: [] };
+  let dtstart;
+  let offsetFrom;
+  let offsetTo;
+  for (let ix = 0; ix < lines.length; ix++) {
+    const { name, parameters, value } = lines[ix];
+    switch (name) {
+      case 'DTSTART':
+        dtstart = ParseICalendarDateTime(value);
+        if (!ES.IsTemporalDateTime(dtstart) || parameters.TZID !== undefined) {
+          throw new RangeErrorCtor(`DTSTART of a VTIMEZONE component must be a local DATE-TIME: ${value}`);
+        }
+        break;
+      case 'TZOFFSETFROM':
+        offsetFrom = ParseUTCOffset(value);
+        break;
+      case 'TZOFFSETTO':
+        offsetTo = ParseUTCOffset(value);
+        break;
+      case 'RRULE':
+        if (observance.rrule !== undefined) throw new RangeErrorCtor(`${component} of ${tzid} has more than one RRULE`);
+        observance.rrule = value;
+        break;
+      case 'RDATE': {
+        const values = Call(StringPrototypeSplit, value, [',']);
+        for (let jx = 0; jx < values.length; jx++) {
+          const rdate = ParseICalendarDateTime(values[jx]);
+          if (!ES.IsTemporalDateTime(rdate) || parameters.TZID !== undefined) {
+            throw new RangeErrorCtor(`RDATE of a VTIMEZONE component must be a local DATE-TIME: ${values[jx]}`);
+          }
+          Call(ArrayPrototypePush, observance.rdates, [rdate]);
+        }
+        break;
+      }
+    }
+  }
+  if (dtstart === undefined || offsetFrom === undefined || offsetTo === undefined) {
+    throw new RangeErrorCtor(`${component} of ${tzid} must have DTSTART, TZOFFSETFROM, and TZOFFSETTO`);
+  }
+  observance.dtstart = dtstart;
+  observance.offsetFromNs = offsetFrom;
+  observance.offsetToNs = offsetTo;
+  return observance;
+}
+
+function ParseVTimeZone(string) {
+  const lines = Call(StringPrototypeSplit, UnfoldContentLines(ES.RequireString(string)), [/\r?\n/]);
+  const contentLines = [];
+  for (let ix = 0; ix < lines.length; ix++) {
+    if (lines[ix] !== '') Call(ArrayPrototypePush, contentLines, [ParseContentLine(lines[ix])]);
+  }
+  const first = contentLines[0];
+  const last = contentLines[contentLines.length - 1];
+  if (
+    contentLines.length < 2 ||
+    first.name !== 'BEGIN' ||
+    Call(StringPrototypeToUpperCase, first.value, []) !== 'VTIMEZONE' ||
+    last.name !== 'END' ||
+    Call(StringPrototypeToUpperCase, last.value, []) !== 'VTIMEZONE'
+  ) {
+    throw new RangeErrorCtor('expected a VTIMEZONE component');
+  }
+  let tzid;
+  const components = [];
+  let component;
+  // Other components, such as X- components, may be nested and are skipped
+  let skipped = 0;
+  for (let ix = 1; ix < contentLines.length - 1; ix++) {
+    const line = contentLines[ix];
+    const { name } = line;
+    const value = name === 'BEGIN' || name === 'END' ? Call(StringPrototypeToUpperCase, line.value, []) : line.value;
+    if (skipped) {
+      if (name === 'BEGIN') skipped++;
+      if (name === 'END') skipped--;
+    } else if (name === 'BEGIN' && component === undefined && (value === 'STANDARD' || value === 'DAYLIGHT')) {
+      component = { name: value, lines: [] };
+    } else if (name === 'BEGIN') {
+      skipped = 1;
+    } else if (name === 'END') {
+      if (component === undefined || component.name !== value) throw new RangeErrorCtor(`unexpected END:${value}`);
+      Call(ArrayPrototypePush, components, [component]);
+      component = undefined;
+    } else if (component !== undefined) {
+      Call(ArrayPrototypePush, component.lines, [line]);
+    } else if (name === 'TZID') {
+      tzid = value;
+    }
+  }
+  if (component !== undefined || skipped) throw new RangeErrorCtor('VTIMEZONE component is not complete');
+  if (tzid === undefined) throw new RangeErrorCtor('VTIMEZONE component must have a TZID');
+  if (components.length === 0) throw new RangeErrorCtor(`VTIMEZONE ${tzid} must have a STANDARD or DAYLIGHT component`);
+  return {
+    tzid,
+    observances: Call(ArrayPrototypeMap, components, [({ name, lines }) => ParseObservance(tzid, name, lines)])
+  };
+}
+
+function GetOnsetEpochNs(observance, dateTime) {
+  return ES.GetUTCEpochNanoseconds(GetSlot(dateTime, ISO_DATE_TIME)).minus(observance.offsetFromNs);
+}
+
+// Onsets are local times in the offset before the observance, but UNTIL must
+// be in UTC, so it is moved into local time as well
+function CreateObservanceRule(observance) {
+  const TemporalRecurrenceRule = GetIntrinsic('%Temporal.RecurrenceRule%');
+  // Without RRULE, DTSTART and the RDATEs are the only onsets
+  if (observance.rrule === undefined) return new TemporalRecurrenceRule('FREQ=YEARLY;COUNT=1');
+  const rule = TemporalRecurrenceRule.from(observance.rrule);
+  const { until } = rule;
+  if (!ES.IsTemporalInstant(until)) return rule;
+  const localUntil = ES.CreateTemporalDateTime(
+    ES.GetISODateTimeFor('UTC', GetSlot(until, EPOCHNANOSECONDS).plus(observance.offsetFromNs)),
+    'iso8601'
+  );
+  const parts = Call(StringPrototypeSplit, rule.toString(), [';']);
+  const localParts = Call(ArrayPrototypeMap, parts, [
+    (part) =>
+      Call(StringPrototypeStartsWith, part, ['UNTIL=']) ? `UNTIL=${FormatICalendarDateTime(localUntil)}` : part
+  ]);
+  return new TemporalRecurrenceRule(Call(ArrayPrototypeJoin, localParts, [';']));
+}
+
+function AdvanceObservance(observance) {
+  const { done, value } = observance.iterator.next();
+  observance.nextNs = done ? null : GetOnsetEpochNs(observance, value);
+}
+
+// Yearly rules that go on forever repeat every 400 years, if their INTERVAL
+// divides 400. Once every other onset has passed, so do the transitions,
+// which means that far-off transitions can be found without expanding the
+// rules that far. Returns the start of the repeating transitions, or
+// undefined if they don't repeat.
+function GetPeriodStart(observances) {
+  let periodStartNs = bigInt(NS_MAX).multiply(-1);
+  let unbounded = false;
+  for (let ix = 0; ix < observances.length; ix++) {
+    const observance = observances[ix];
+    const { rule, dtstart, rdates } = observance;
+    let lastNs = GetOnsetEpochNs(observance, dtstart);
+    if (rule.count === undefined && rule.until === undefined) {
+      if (rule.freq !== 'yearly' || 400 % rule.interval !== 0) return undefined;
+      unbounded = true;
+      for (let jx = 0; jx < rdates.length; jx++) lastNs = bigInt.max(lastNs, GetOnsetEpochNs(observance, rdates[jx]));
+    } else {
+      const iterator = rule.occurrences(dtstart, { rdates });
+      for (let next = iterator.next(); !next.done; next = iterator.next()) {
+        lastNs = GetOnsetEpochNs(observance, next.value);
+      }
+    }
+    periodStartNs = bigInt.max(periodStartNs, lastNs);
+  }
+  // Onsets in the year of DTSTART but before it are left out, so the period
+  // starts after that year
+  return unbounded ? periodStartNs.plus(YEAR_NANOS) : undefined;
+}
+
+function CreateTimeZoneState(string) {
+  const { tzid, observances } = ParseVTimeZone(string);
+  let earliest;
+  for (let ix = 0; ix < observances.length; ix++) {
+    const observance = observances[ix];
+    observance.rule = CreateObservanceRule(observance);
+    observance.iterator = observance.rule.occurrences(observance.dtstart, { rdates: observance.rdates });
+    AdvanceObservance(observance);
+    if (earliest === undefined || observance.nextNs.lesser(earliest.nextNs)) earliest = observance;
+  }
+  return {
+    id: tzid,
+    observances,
+    transitions: [],
+    // Before the first onset, the offset is the one that it changes from
+    initialOffsetNs: earliest.offsetFromNs,
+    periodStartNs: GetPeriodStart(observances)
+  };
+}
+
+// Adds the transitions at or before epochNs to the list. Returns false if
+// there are no more onsets.
+function ExtendTransitions(state, epochNs) {
+  const { observances, transitions } = state;
+  for (;;) {
+    let next;
+    for (let ix = 0; ix < observances.length; ix++) {
+      const { nextNs } = observances[ix];
+      if (nextNs !== null && (next === undefined || nextNs.lesser(next.nextNs))) next = observances[ix];
+    }
+    if (next === undefined) return false;
+    if (next.nextNs.greater(epochNs)) return true;
+    const offsetNs = transitions.length ? transitions[transitions.length - 1].offsetNs : state.initialOffsetNs;
+    if (next.offsetToNs !== offsetNs) {
+      Call(ArrayPrototypePush, transitions, [{ epochNs: next.nextNs, offsetNs: next.offsetToNs }]);
+    }
+    AdvanceObservance(next);
+  }
+}
+
+function NextOnsetNs(state) {
+  let result = null;
+  const { observances } = state;
+  for (let ix = 0; ix < observances.length; ix++) {
+    const { nextNs } = observances[ix];
+    if (nextNs !== null && (result === null || nextNs.lesser(result))) result = nextNs;
+  }
+  return result;
+}
+
+// Index of the last transition at or before epochNs, or -1
+function FindTransitionIndex(state, epochNs) {
+  ExtendTransitions(state, epochNs);
+  const { transitions } = state;
+  let low = 0;
+  let high = transitions.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (transitions[middle].epochNs.greater(epochNs)) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return low - 1;
+}
+
+// Moves epochNs back by whole 400-year periods into the second period after
+// the transitions start repeating, and returns how far it was moved
+function GetPeriodShift(state, epochNs) {
+  const { periodStartNs } = state;
+  if (periodStartNs === undefined || epochNs.lesser(periodStartNs.plus(CYCLE_NANOS))) return bigInt.zero;
+  return epochNs.minus(periodStartNs).divide(CYCLE_NANOS).minus(1).multiply(CYCLE_NANOS);
+}
+
+function GetOffsetNanoseconds(state, epochNs) {
+  const index = FindTransitionIndex(state, epochNs.minus(GetPeriodShift(state, epochNs)));
+  return index === -1 ? state.initialOffsetNs : state.transitions[index].offsetNs;
+}
+
+function GetNextTransition(state, epochNs) {
+  const shift = GetPeriodShift(state, epochNs);
+  const shifted = epochNs.minus(shift);
+  // If the transitions repeat, and there are none in a whole period, there
+  // are no more
+  const { periodStartNs } = state;
+  const limit = periodStartNs === undefined ? NS_MAX : bigInt.max(shifted, periodStartNs).plus(CYCLE_NANOS);
+  let index = FindTransitionIndex(state, shifted) + 1;
+  while (index === state.transitions.length) {
+    const nextNs = NextOnsetNs(state);
+    if (nextNs === null || nextNs.greater(limit)) return null;
+    ExtendTransitions(state, nextNs);
+  }
+  return state.transitions[index].epochNs.plus(shift);
+}
+
+function GetPreviousTransition(state, epochNs) {
+  const shift = GetPeriodShift(state, epochNs);
+  const shifted = epochNs.minus(shift);
+  const { transitions } = state;
+  let index = FindTransitionIndex(state, shifted);
+  if (index !== -1 && transitions[index].epochNs.equals(shifted)) index--;
+  if (index === -1) return null;
+  const resultNs = transitions[index].epochNs;
+  // A transition before the repeating ones is the same in every period
+  if (state.periodStartNs !== undefined && resultNs.lesser(state.periodStartNs)) return resultNs;
+  return resultNs.plus(shift);
+}
+
+function CreateVTimeZone(string) {
+  const state = CreateTimeZoneState(string);
+  const TemporalInstant = GetIntrinsic('%Temporal.Instant%');
+  return {
+    id: state.id,
+    getOffsetNanosecondsFor(instant) {
+      return GetOffsetNanoseconds(state, GetSlot(ES.ToTemporalInstant(instant), EPOCHNANOSECONDS));
+    },
+    // A local time is possible with the offsets in effect a day before and a
+    // day after it, if the offset is in effect at the resulting exact time
+    getPossibleInstantsFor(dateTime) {
+      const utcNs = ES.GetUTCEpochNanoseconds(GetSlot(ES.ToTemporalDateTime(dateTime), ISO_DATE_TIME));
+      const offsetBefore = GetOffsetNanoseconds(state, utcNs.minus(DAY_NANOS));
+      const offsetAfter = GetOffsetNanoseconds(state, utcNs.plus(DAY_NANOS));
+      const offsets = offsetBefore === offsetAfter ? [offsetBefore] : [offsetBefore, offsetAfter];
+      const result = [];
+      for (let ix = 0; ix < offsets.length; ix++) {
+        const epochNs = utcNs.minus(offsets[ix]);
+        if (GetOffsetNanoseconds(state, epochNs) === offsets[ix]) {
+          Call(ArrayPrototypePush, result, [new TemporalInstant(epochNs)]);
+        }
+      }
+      return Call(ArrayPrototypeSort, result, [(one, two) => TemporalInstant.compare(one, two)]);
+    },
+    getNextTransition(startingPoint) {
+      const epochNs = GetNextTransition(state, GetSlot(ES.ToTemporalInstant(startingPoint), EPOCHNANOSECONDS));
+      return epochNs === null ? null : new TemporalInstant(epochNs);
+    },
+    getPreviousTransition(startingPoint) {
+      const epochNs = GetPreviousTransition(state, GetSlot(ES.ToTemporalInstant(startingPoint), EPOCHNANOSECONDS));
+      return epochNs === null ? null : new TemporalInstant(epochNs);
+    },
+    toString() {
+      return state.id;
+    },
+    toJSON() {
+      return state.id;
+    }
+  };
+}
+
+// The timeZones option has time zone objects, or VTIMEZONE components that
+// are turned into them
+function ToTimeZoneList(items) {
+  if (items === undefined) return [];
+  return Call(ArrayPrototypeMap, ArrayFrom(items), [
+    (item) => {
+      if (ES.Type(item) === 'String') return CreateVTimeZone(item);
+      if (ES.Type(item) !== 'Object' || !ES.ObjectImplementsTemporalTimeZoneProtocol(item)) {
+        throw new TypeErrorCtor('timeZones must have time zone objects or VTIMEZONE components');
+      }
+      return item;
+    }
+  ]);
+}
+
+// A TZID refers to a VTIMEZONE component if there is one. Otherwise it must
+// be a time zone identifier, such as an IANA or a Windows time zone name.
+function ToTimeZone(tzid, timeZones) {
+  const timeZone = Call(ArrayPrototypeFind, timeZones, [(item) => ES.ToTemporalTimeZoneIdentifier(item) === tzid]);
+  if (timeZone !== undefined) return timeZone;
+  try {
+    return ES.ToTemporalTimeZoneSlotValue(tzid);
+  } catch {
+    throw new RangeErrorCtor(`unknown TZID ${tzid}; its VTIMEZONE component can be passed in the timeZones option`);
+  }
+}
+
+function GetValueType(name, parameters, value) {
+  if (parameters.VALUE !== undefined) {
+    const valueType = Call(StringPrototypeToUpperCase, parameters.VALUE, []);
+    if (!Call(ArrayPrototypeIncludes, VALUE_TYPES, [valueType])) {
+      throw new RangeErrorCtor(`VALUE=${parameters.VALUE} is not supported`);
+    }
+    return valueType;
+  }
+  if (Call(ArrayPrototypeIncludes, DURATION_PROPERTIES, [name])) return 'DURATION';
+  if (Call(RegExpPrototypeTest, /^[+-]?P/, [value])) return 'DURATION';
+  return value.length === 8 ? 'DATE' : 'DATE-TIME';
+}
+
+function ParseICalendarValue(name, parameters, value, timeZones, disambiguation) {
+  const valueType = GetValueType(name, parameters, value);
+  if (valueType === 'DURATION') {
+    const duration = ParseICalendarDuration(value);
+    if (duration === null) throw new RangeErrorCtor(`invalid iCalendar DURATION value: ${value}`);
+    return duration;
+  }
+  const result = ParseICalendarDateTime(value);
+  if (result === null || ES.IsTemporalDate(result) !== (valueType === 'DATE')) {
+    throw new RangeErrorCtor(`invalid iCalendar ${valueType} value: ${value}`);
+  }
+  const tzid = parameters.TZID;
+  if (tzid === undefined) return result;
+  if (!ES.IsTemporalDateTime(result)) throw new RangeErrorCtor(`TZID can't be used with ${value}`);
+  const timeZone = ToTimeZone(tzid, timeZones);
+  const isoDateTime = GetSlot(result, ISO_DATE_TIME);
+  const epochNs = ES.GetEpochNanosecondsFor(timeZone, isoDateTime, disambiguation);
+  return ES.CreateTemporalZonedDateTime(epochNs, timeZone, 'iso8601');
+}
+
+function ParseICalendarLine(line, options, isList) {
+  // A line break at the end of the line is allowed
+  const unfolded = Call(StringPrototypeReplace, UnfoldContentLines(ES.RequireString(line)), [/\r?\n$/, '']);
+  const { name, parameters, value } = ParseContentLine(unfolded);
+  const resolvedOptions = ES.GetOptionsObject(options);
+  const disambiguation = ES.GetTemporalDisambiguationOption(resolvedOptions);
+  const timeZones = ToTimeZoneList(resolvedOptions.timeZones);
+  const values = Call(StringPrototypeSplit, value, [',']);
+  if (!isList && values.length > 1) throw new RangeErrorCtor(`${line} has a list of values; use parseList()`);
+  return Call(ArrayPrototypeMap, values, [
+    (item) => ParseICalendarValue(name, parameters, item, timeZones, disambiguation)
+  ]);
+}
+
+// Returns the parameters that a value needs besides the property name, and
+// the value itself
+function FormatICalendarValue(name, item) {
+  if (ES.IsTemporalDuration(item)) {
+    const isDefault = Call(ArrayPrototypeIncludes, DURATION_PROPERTIES, [name]);
+    return { parameters: isDefault ? '' : ';VALUE=DURATION', value: FormatICalendarDuration(item) };
+  }
+  let parameters = '';
+  let value;
+  if (ES.IsTemporalDate(item) || ES.IsTemporalDateTime(item) || ES.IsTemporalInstant(item)) {
+    if (ES.IsTemporalDate(item)) parameters = ';VALUE=DATE';
+    value = FormatICalendarDateTime(item);
+  } else if (ES.IsTemporalZonedDateTime(item)) {
+    const timeZone = GetSlot(item, TIME_ZONE);
+    const epochNs = GetSlot(item, EPOCHNANOSECONDS);
+    // UTC and offset time zones are written in UTC, because a TZID must refer
+    // to a time zone with rules
+    if (
+      ES.Type(timeZone) === 'String' &&
+      (ES.IsOffsetTimeZoneIdentifier(timeZone) || ES.TimeZoneEquals(timeZone, 'UTC'))
+    ) {
+      const TemporalInstant = GetIntrinsic('%Temporal.Instant%');
+      value = FormatICalendarDateTime(new TemporalInstant(epochNs));
+    } else {
+      parameters = `;TZID=${QuoteParameterValue(ES.ToTemporalTimeZoneIdentifier(timeZone))}`;
+      const isoDateTime = ES.GetISODateTimeFor(timeZone, epochNs);
+      value = FormatICalendarDateTime(ES.CreateTemporalDateTime(isoDateTime, 'iso8601'));
+    }
+  } else {
+    throw new TypeErrorCtor('expected a Temporal.PlainDate, PlainDateTime, ZonedDateTime, Instant, or Duration');
+  }
+  if (value === null) {
+    throw new RangeErrorCtor(`${item} can't be written in iCalendar, which has whole seconds and years 0000-9999`);
+  }
+  return { parameters, value };
+}
+
+export const ICalendar = {
+  format(name, item) {
+    name = Call(StringPrototypeToUpperCase, ES.RequireString(name), []);
+    if (!Call(RegExpPrototypeTest, PARSE.icalendarName, [name])) {
+      throw new RangeErrorCtor(`invalid iCalendar property name: ${name}`);
+    }
+    if (!ArrayIsArray(item)) {
+      const { parameters, value } = FormatICalendarValue(name, item);
+      return `${name}${parameters}:${value}`;
+    }
+    // All the values of a list share the parameters
+    if (item.length === 0) throw new RangeErrorCtor(`${name} must have at least one value`);
+    const results = Call(ArrayPrototypeMap, item, [(element) => FormatICalendarValue(name, element)]);
+    const { parameters } = results[0];
+    const values = Call(ArrayPrototypeMap, results, [
+      (result) => {
+        if (result.parameters !== parameters) {
+          throw new RangeErrorCtor(`values of ${name} must all be of one type, in one time zone`);
+        }
+        return result.value;
+      }
+    ]);
+    return `${name}${parameters}:${Call(ArrayPrototypeJoin, values, [','])}`;
+  },
+  parse(line, options = undefined) {
+    return ParseICalendarLine(line, options, false)[0];
+  },
+  parseList(line, options = undefined) {
+    return ParseICalendarLine(line, options, true);
+  },
+  parseTimeZone(string) {
+    return CreateVTimeZone(string);
+  }
+};
+ObjectDefineProperty(ICalendar, SymbolToStringTag, {
+  value: 'Temporal.ICalendar',
+  writable: false,
+  enumerable: false,
+  configurable: true
+});
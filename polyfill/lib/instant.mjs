@@ -1,20 +1,30 @@
-/* global __debug__ */
-
 import {
   // error constructors
   RangeError as RangeErrorCtor,
   TypeError as TypeErrorCtor,
 
   // class static functions and methods
-  ObjectCreate,
-  ObjectDefineProperty,
-  SymbolToStringTag
+  ObjectCreate
 } from './primordials.mjs';
 
 import * as ES from './ecmascript.mjs';
+import {
+  CocoaSecondsFromEpochNs,
+  DotNetTicksFromEpochNs,
+  EpochNsFromCocoaSeconds,
+  EpochNsFromDotNetTicks,
+  EpochNsFromEpochSeconds,
+  EpochNsFromExcelSerial,
+  EpochNsFromFileTime,
+  EpochNsFromNTPTimestamp,
+  EpochSecondsFromEpochNs,
+  ExcelSerialFromEpochNs,
+  FileTimeFromEpochNs,
+  NTPTimestampFromEpochNs
+} from './epochs.mjs';
 import { DateTimeFormat } from './intl.mjs';
 import { MakeIntrinsicClass } from './intrinsicclass.mjs';
-import { EPOCHNANOSECONDS, CreateSlots, GetSlot, SetSlot } from './slots.mjs';
+import { EPOCHNANOSECONDS, GetSlot, RANGE } from './slots.mjs';
 
 import bigInt from 'big-integer';
 
@@ -27,20 +37,7 @@ export class Instant {
     }
 
     const ns = ES.ToBigInt(epochNanoseconds);
-    ES.ValidateEpochNanoseconds(ns);
-    CreateSlots(this);
-    SetSlot(this, EPOCHNANOSECONDS, ns);
-
-    if (typeof __debug__ !== 'undefined' && __debug__) {
-      const iso = ES.GetISOPartsFromEpoch(ns);
-      const repr = ES.ISODateTimeToString(iso, 'iso8601', 'auto', 'never') + 'Z';
-      ObjectDefineProperty(this, '_repr_', {
-        value: `${this[SymbolToStringTag]} <${repr}>`,
-        writable: false,
-        enumerable: false,
-        configurable: false
-      });
-    }
+    ES.CreateTemporalInstantSlots(this, ns);
   }
 
   get epochMilliseconds() {
@@ -93,7 +90,7 @@ export class Instant {
     ES.ValidateTemporalRoundingIncrement(roundingIncrement, maximumIncrements[smallestUnit], true);
     const ns = GetSlot(this, EPOCHNANOSECONDS);
     const roundedNs = ES.RoundTemporalInstant(ns, roundingIncrement, smallestUnit, roundingMode);
-    return new Instant(roundedNs);
+    return ES.CreateTemporalInstant(roundedNs, GetSlot(this, RANGE));
   }
   equals(other) {
     if (!ES.IsTemporalInstant(this)) throw new TypeErrorCtor('invalid receiver');
@@ -105,17 +102,18 @@ export class Instant {
   toString(options = undefined) {
     if (!ES.IsTemporalInstant(this)) throw new TypeErrorCtor('invalid receiver');
     const resolvedOptions = ES.GetOptionsObject(options);
+    const dateFormat = ES.GetTemporalDateFormatOption(resolvedOptions);
     const digits = ES.GetTemporalFractionalSecondDigitsOption(resolvedOptions);
     const roundingMode = ES.GetRoundingModeOption(resolvedOptions, 'trunc');
     const smallestUnit = ES.GetTemporalUnitValuedOption(resolvedOptions, 'smallestUnit', 'time', undefined);
     if (smallestUnit === 'hour') throw new RangeErrorCtor('smallestUnit must be a time unit other than "hour"');
     let timeZone = resolvedOptions.timeZone;
-    if (timeZone !== undefined) timeZone = ES.ToTemporalTimeZoneIdentifier(timeZone);
+    if (timeZone !== undefined) timeZone = ES.ToTemporalTimeZoneSlotValue(timeZone);
     const { precision, unit, increment } = ES.ToSecondsStringPrecisionRecord(smallestUnit, digits);
     const ns = GetSlot(this, EPOCHNANOSECONDS);
     const roundedNs = ES.RoundTemporalInstant(ns, increment, unit, roundingMode);
-    const roundedInstant = new Instant(roundedNs);
-    return ES.TemporalInstantToString(roundedInstant, timeZone, precision);
+    const roundedInstant = ES.CreateTemporalInstant(roundedNs, GetSlot(this, RANGE));
+    return ES.TemporalInstantToString(roundedInstant, timeZone, precision, dateFormat);
   }
   toJSON() {
     if (!ES.IsTemporalInstant(this)) throw new TypeErrorCtor('invalid receiver');
@@ -130,9 +128,33 @@ export class Instant {
   }
   toZonedDateTimeISO(timeZone) {
     if (!ES.IsTemporalInstant(this)) throw new TypeErrorCtor('invalid receiver');
-    timeZone = ES.ToTemporalTimeZoneIdentifier(timeZone);
+    timeZone = ES.ToTemporalTimeZoneSlotValue(timeZone);
     return ES.CreateTemporalZonedDateTime(GetSlot(this, EPOCHNANOSECONDS), timeZone, 'iso8601');
   }
+  toEpochSeconds() {
+    if (!ES.IsTemporalInstant(this)) throw new TypeErrorCtor('invalid receiver');
+    return EpochSecondsFromEpochNs(GetSlot(this, EPOCHNANOSECONDS));
+  }
+  toExcelSerial(options = undefined) {
+    if (!ES.IsTemporalInstant(this)) throw new TypeErrorCtor('invalid receiver');
+    return ExcelSerialFromEpochNs(GetSlot(this, EPOCHNANOSECONDS), options);
+  }
+  toFileTime() {
+    if (!ES.IsTemporalInstant(this)) throw new TypeErrorCtor('invalid receiver');
+    return FileTimeFromEpochNs(GetSlot(this, EPOCHNANOSECONDS));
+  }
+  toDotNetTicks() {
+    if (!ES.IsTemporalInstant(this)) throw new TypeErrorCtor('invalid receiver');
+    return DotNetTicksFromEpochNs(GetSlot(this, EPOCHNANOSECONDS));
+  }
+  toNTPTimestamp() {
+    if (!ES.IsTemporalInstant(this)) throw new TypeErrorCtor('invalid receiver');
+    return NTPTimestampFromEpochNs(GetSlot(this, EPOCHNANOSECONDS));
+  }
+  toCocoaSeconds() {
+    if (!ES.IsTemporalInstant(this)) throw new TypeErrorCtor('invalid receiver');
+    return CocoaSecondsFromEpochNs(GetSlot(this, EPOCHNANOSECONDS));
+  }
 
   static fromEpochMilliseconds(epochMilliseconds) {
     epochMilliseconds = ES.ToNumber(epochMilliseconds);
@@ -145,8 +167,26 @@ export class Instant {
     ES.ValidateEpochNanoseconds(epochNanoseconds);
     return new Instant(epochNanoseconds);
   }
-  static from(item) {
-    return ES.ToTemporalInstant(item);
+  static fromEpochSeconds(epochSeconds) {
+    return new Instant(EpochNsFromEpochSeconds(epochSeconds));
+  }
+  static fromExcelSerial(serial, options = undefined) {
+    return new Instant(EpochNsFromExcelSerial(serial, options));
+  }
+  static fromFileTime(fileTime) {
+    return new Instant(EpochNsFromFileTime(fileTime));
+  }
+  static fromDotNetTicks(ticks) {
+    return new Instant(EpochNsFromDotNetTicks(ticks));
+  }
+  static fromNTPTimestamp(timestamp) {
+    return new Instant(EpochNsFromNTPTimestamp(timestamp));
+  }
+  static fromCocoaSeconds(seconds) {
+    return new Instant(EpochNsFromCocoaSeconds(seconds));
+  }
+  static from(item, options = undefined) {
+    return ES.ToTemporalInstant(item, options);
   }
   static compare(one, two) {
     one = ES.ToTemporalInstant(one);
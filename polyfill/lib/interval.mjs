@@ -0,0 +1,688 @@
+import {
+  // error constructors
+  RangeError as RangeErrorCtor,
+  TypeError as TypeErrorCtor,
+
+  // class static functions and methods
+  NumberIsInteger,
+  RegExpPrototypeExec,
+  StringPrototypeSlice,
+  SymbolIterator
+} from './primordials.mjs';
+
+import Call from 'es-abstract/2024/Call.js';
+import bigInt from 'big-integer';
+
+import * as ES from './ecmascript.mjs';
+import { GetIntrinsic, MakeIntrinsicClass } from './intrinsicclass.mjs';
+import * as PARSE from './regex.mjs';
+import {
+  CALENDAR,
+  EPOCHNANOSECONDS,
+  INTERVAL_END,
+  INTERVAL_START,
+  ISO_DATE,
+  ISO_DATE_TIME,
+  REPEATING_ANCHOR,
+  REPEATING_DURATION,
+  REPEATING_RECURRENCES,
+  TIME_ZONE,
+  YEARS,
+  MONTHS,
+  WEEKS,
+  DAYS,
+  HOURS,
+  MINUTES,
+  SECONDS,
+  MILLISECONDS,
+  MICROSECONDS,
+  NANOSECONDS,
+  CreateSlots,
+  GetSlot,
+  RANGE,
+  SetSlot
+} from './slots.mjs';
+
+function CompareExactTime(one, two) {
+  const ns1 = GetSlot(one, EPOCHNANOSECONDS);
+  const ns2 = GetSlot(two, EPOCHNANOSECONDS);
+  if (bigInt(ns1).lesser(ns2)) return -1;
+  if (bigInt(ns1).greater(ns2)) return 1;
+  return 0;
+}
+
+// What an interval needs from each type of endpoint. Endpoints are compared
+// the way that the type's compare() compares them: Instant and ZonedDateTime
+// by exact time, and PlainDateTime and PlainDate by ISO fields, whatever the
+// calendar.
+const ENDPOINT_TYPES = [
+  {
+    name: 'Temporal.Instant',
+    is: ES.IsTemporalInstant,
+    to: ES.ToTemporalInstant,
+    compare: CompareExactTime,
+    equals: (one, two) => CompareExactTime(one, two) === 0,
+    add: (operation, item, duration) => ES.AddDurationToInstant(operation, item, duration),
+    difference: ES.DifferenceTemporalInstant
+  },
+  {
+    name: 'Temporal.ZonedDateTime',
+    is: ES.IsTemporalZonedDateTime,
+    to: ES.ToTemporalZonedDateTime,
+    compare: CompareExactTime,
+    equals: (one, two) =>
+      CompareExactTime(one, two) === 0 &&
+      ES.TimeZoneEquals(GetSlot(one, TIME_ZONE), GetSlot(two, TIME_ZONE)) &&
+      ES.CalendarEquals(GetSlot(one, CALENDAR), GetSlot(two, CALENDAR)),
+    add: ES.AddDurationToZonedDateTime,
+    difference: ES.DifferenceTemporalZonedDateTime
+  },
+  {
+    name: 'Temporal.PlainDateTime',
+    is: ES.IsTemporalDateTime,
+    to: ES.ToTemporalDateTime,
+    compare: (one, two) => ES.CompareISODateTime(GetSlot(one, ISO_DATE_TIME), GetSlot(two, ISO_DATE_TIME)),
+    equals: (one, two) =>
+      ES.CompareISODateTime(GetSlot(one, ISO_DATE_TIME), GetSlot(two, ISO_DATE_TIME)) === 0 &&
+      ES.CalendarEquals(GetSlot(one, CALENDAR), GetSlot(two, CALENDAR)),
+    add: ES.AddDurationToDateTime,
+    difference: ES.DifferenceTemporalPlainDateTime
+  },
+  {
+    name: 'Temporal.PlainDate',
+    is: ES.IsTemporalDate,
+    to: ES.ToTemporalDate,
+    compare: (one, two) => ES.CompareISODate(GetSlot(one, ISO_DATE), GetSlot(two, ISO_DATE)),
+    equals: (one, two) =>
+      ES.CompareISODate(GetSlot(one, ISO_DATE), GetSlot(two, ISO_DATE)) === 0 &&
+      ES.CalendarEquals(GetSlot(one, CALENDAR), GetSlot(two, CALENDAR)),
+    add: ES.AddDurationToDate,
+    difference: ES.DifferenceTemporalPlainDate
+  }
+];
+
+function GetEndpointType(item) {
+  for (let ix = 0; ix < ENDPOINT_TYPES.length; ix++) {
+    if (ENDPOINT_TYPES[ix].is(item)) return ENDPOINT_TYPES[ix];
+  }
+  return undefined;
+}
+
+function GetEndpointTypeByName(name) {
+  for (let ix = 0; ix < ENDPOINT_TYPES.length; ix++) {
+    if (ENDPOINT_TYPES[ix].name === name) return ENDPOINT_TYPES[ix];
+  }
+  return undefined;
+}
+
+const TIME_FIELDS = ['hour', 'minute', 'second', 'millisecond', 'microsecond', 'nanosecond'];
+
+// A property bag is a ZonedDateTime if it has a time zone, a PlainDateTime if
+// it has any time fields, and otherwise a PlainDate
+function GetPropertyBagEndpointType(bag) {
+  if (bag.timeZone !== undefined) return GetEndpointTypeByName('Temporal.ZonedDateTime');
+  for (let ix = 0; ix < TIME_FIELDS.length; ix++) {
+    if (bag[TIME_FIELDS[ix]] !== undefined) return GetEndpointTypeByName('Temporal.PlainDateTime');
+  }
+  return GetEndpointTypeByName('Temporal.PlainDate');
+}
+
+// The end of an interval must have the same type as its start, rather than be
+// converted to it, which could drop its time or time zone
+function RejectEndpointTypeMismatch(type, endType, ErrorCtor) {
+  if (endType !== type) {
+    throw new ErrorCtor(`the end of an interval of ${type.name} must not be a ${endType.name}`);
+  }
+}
+
+function GetIntervalType(interval) {
+  return GetEndpointType(GetSlot(interval, INTERVAL_START));
+}
+
+function CreateTemporalInterval(start, end) {
+  const TemporalInterval = GetIntrinsic('%Temporal.Interval%');
+  return new TemporalInterval(start, end);
+}
+
+// Strings are parsed as the type that they have the fields of: a
+// ZonedDateTime if there is a time zone annotation, an Instant if there is
+// only a UTC offset, and otherwise a PlainDateTime or a PlainDate.
+function ParseIntervalEndpoint(string) {
+  const record = ES.ParseISODateTime(string);
+  let name = 'Temporal.PlainDate';
+  if (record.tzAnnotation !== undefined) {
+    name = 'Temporal.ZonedDateTime';
+  } else if (record.z || record.offset !== undefined) {
+    name = 'Temporal.Instant';
+  } else if (record.time !== 'start-of-day') {
+    name = 'Temporal.PlainDateTime';
+  }
+  const type = GetEndpointTypeByName(name);
+  return { type, item: type.to(string), record };
+}
+
+function IsDurationString(string) {
+  return Call(RegExpPrototypeExec, /^[+-]?P/i, [string]) !== null;
+}
+
+// Completes an end like 15 in 2024-02-10/15, or 17:00 in
+// 2024-02-10T09:00/17:00, with the components that it shares with the start
+function ParseAbbreviatedIntervalEnd(string, start) {
+  const match = Call(RegExpPrototypeExec, PARSE.abbreviatedIntervalEnd, [string]);
+  const { type, item, record } = start;
+  const hasTime = record.time !== 'start-of-day';
+  if (!match || string === '' || (match[3] !== undefined) !== hasTime) {
+    throw new RangeErrorCtor(`invalid end of interval: ${string}`);
+  }
+  const isoDate = { year: record.year, month: +(match[1] ?? record.month), day: +(match[2] ?? record.day) };
+  ES.RejectISODate(isoDate.year, isoDate.month, isoDate.day);
+  if (!hasTime) return ES.CreateTemporalDate(isoDate, GetSlot(item, CALENDAR));
+  const fraction = `${match[6] ?? ''}000000000`;
+  const time = {
+    hour: +match[3],
+    minute: +match[4],
+    second: +(match[5] ?? 0),
+    millisecond: +Call(StringPrototypeSlice, fraction, [0, 3]),
+    microsecond: +Call(StringPrototypeSlice, fraction, [3, 6]),
+    nanosecond: +Call(StringPrototypeSlice, fraction, [6, 9])
+  };
+  ES.RejectTime(time.hour, time.minute, time.second, time.millisecond, time.microsecond, time.nanosecond);
+  if (type.name === 'Temporal.PlainDateTime') {
+    return ES.CreateTemporalDateTime(ES.CombineISODateAndTimeRecord(isoDate, time), GetSlot(item, CALENDAR));
+  }
+  if (type.name === 'Temporal.ZonedDateTime') {
+    const timeZone = GetSlot(item, TIME_ZONE);
+    const epochNs = ES.InterpretISODateTimeOffset(isoDate, time, 'wall', 0, timeZone, 'compatible', 'reject', false);
+    return ES.CreateTemporalZonedDateTime(epochNs, timeZone, GetSlot(item, CALENDAR));
+  }
+  // An Instant's end is at the start's UTC offset
+  const offsetNs = record.z ? 0 : ES.ParseDateTimeUTCOffset(record.offset);
+  const epochNs = ES.InterpretISODateTimeOffset(isoDate, time, 'exact', offsetNs, 'UTC', 'compatible', 'use', false);
+  const TemporalInstant = GetIntrinsic('%Temporal.Instant%');
+  return new TemporalInstant(epochNs);
+}
+
+// Finds the separator between the two parts of an interval, which is a solidus
+// or, as ISO 8601 also allows, a double hyphen. Time zone annotations can
+// contain solidi too, so those inside brackets don't count.
+function FindIntervalSeparator(string) {
+  let doubleHyphen = -1;
+  let depth = 0;
+  for (let ix = 0; ix < string.length; ix++) {
+    const char = string[ix];
+    if (char === '[') depth++;
+    if (char === ']') depth--;
+    if (depth !== 0) continue;
+    if (char === '/') return { index: ix, length: 1 };
+    if (doubleHyphen === -1 && char === '-' && string[ix + 1] === '-') doubleHyphen = ix;
+  }
+  if (doubleHyphen === -1) throw new RangeErrorCtor(`invalid ISO 8601 interval: ${string}`);
+  return { index: doubleHyphen, length: 2 };
+}
+
+// Parses start/end, start/duration, and duration/end, where the end can leave
+// out the components that it shares with the start, into a record with two of
+// start, end, and duration
+function ParseTemporalIntervalString(string) {
+  const { index, length } = FindIntervalSeparator(string);
+  const startString = Call(StringPrototypeSlice, string, [0, index]);
+  const endString = Call(StringPrototypeSlice, string, [index + length]);
+  if (IsDurationString(startString)) {
+    if (IsDurationString(endString)) throw new RangeErrorCtor(`interval ${string} has no start or end`);
+    const duration = ES.ToTemporalDuration(startString);
+    const { type, item: end } = ParseIntervalEndpoint(endString);
+    return { type, start: undefined, end, duration };
+  }
+  const start = ParseIntervalEndpoint(startString);
+  const { type, item } = start;
+  if (IsDurationString(endString)) {
+    return { type, start: item, end: undefined, duration: ES.ToTemporalDuration(endString) };
+  }
+  if (Call(RegExpPrototypeExec, PARSE.abbreviatedIntervalEnd, [endString]) !== null) {
+    return { type, start: item, end: ParseAbbreviatedIntervalEnd(endString, start), duration: undefined };
+  }
+  const end = ParseIntervalEndpoint(endString);
+  RejectEndpointTypeMismatch(type, end.type, RangeErrorCtor);
+  return { type, start: item, end: end.item, duration: undefined };
+}
+
+// Property bags are only accepted for the end of an interval with a start
+function ToIntervalEndpoint(item, startType) {
+  if (ES.Type(item) === 'String') {
+    const { type, item: endpoint } = ParseIntervalEndpoint(item);
+    if (startType !== undefined) RejectEndpointTypeMismatch(startType, type, RangeErrorCtor);
+    return endpoint;
+  }
+  let type = GetEndpointType(item);
+  if (type === undefined && startType !== undefined && ES.Type(item) === 'Object') {
+    type = GetPropertyBagEndpointType(item);
+  }
+  if (type === undefined) {
+    throw new TypeErrorCtor('interval endpoints must be Instant, ZonedDateTime, PlainDateTime, or PlainDate');
+  }
+  if (startType !== undefined) RejectEndpointTypeMismatch(startType, type, TypeErrorCtor);
+  return type.is(item) ? item : type.to(item);
+}
+
+// Reads two of start, end, and duration from a property bag
+function ToIntervalRecord(item) {
+  let { start, end, duration } = item;
+  if ((start === undefined) + (end === undefined) + (duration === undefined) !== 1) {
+    throw new TypeErrorCtor('an interval needs two of start, end, and duration');
+  }
+  if (duration !== undefined) duration = ES.ToTemporalDuration(duration);
+  if (start === undefined) {
+    end = ToIntervalEndpoint(end);
+    return { type: GetEndpointType(end), start, end, duration };
+  }
+  start = ToIntervalEndpoint(start);
+  const type = GetEndpointType(start);
+  if (end !== undefined) end = ToIntervalEndpoint(end, type);
+  return { type, start, end, duration };
+}
+
+// A Temporal.Instant has no time zone, so the date units of a duration, as in
+// 2024-02-10T09:00Z/P1D, are added in UTC: days are 24 hours, and months and
+// years follow the date in UTC
+function AddDurationToIntervalEndpoint(type, operation, item, duration) {
+  if (type.name !== 'Temporal.Instant' || ES.TemporalUnitCategory(ES.DefaultTemporalLargestUnit(duration)) === 'time') {
+    return type.add(operation, item, duration);
+  }
+  if (operation === 'subtract') duration = ES.CreateNegatedTemporalDuration(duration);
+  const internalDuration = ES.ToInternalDurationRecord(duration);
+  const epochNs = ES.AddZonedDateTime(GetSlot(item, EPOCHNANOSECONDS), 'UTC', 'iso8601', internalDuration);
+  const TemporalInstant = GetIntrinsic('%Temporal.Instant%');
+  return new TemporalInstant(epochNs);
+}
+
+function CreateIntervalFromRecord({ type, start, end, duration }) {
+  if (start === undefined) start = AddDurationToIntervalEndpoint(type, 'subtract', end, duration);
+  if (end === undefined) end = AddDurationToIntervalEndpoint(type, 'add', start, duration);
+  return CreateTemporalInterval(start, end);
+}
+
+function ToTemporalInterval(item) {
+  if (ES.IsTemporalInterval(item)) return item;
+  if (ES.Type(item) === 'Object') return CreateIntervalFromRecord(ToIntervalRecord(item));
+  return CreateIntervalFromRecord(ParseTemporalIntervalString(ES.RequireString(item)));
+}
+
+// Converts the argument of an interval method into an interval with the same
+// type of endpoints
+function ToComparableInterval(interval, other) {
+  other = ToTemporalInterval(other);
+  const type = GetIntervalType(interval);
+  const otherType = GetIntervalType(other);
+  if (type !== otherType) throw new TypeErrorCtor(`can't combine an interval of ${type.name} with ${otherType.name}`);
+  return other;
+}
+
+function IsEmptyInterval(interval, type) {
+  return type.compare(GetSlot(interval, INTERVAL_START), GetSlot(interval, INTERVAL_END)) === 0;
+}
+
+function Earlier(type, one, two) {
+  return type.compare(one, two) <= 0 ? one : two;
+}
+
+function Later(type, one, two) {
+  return type.compare(one, two) >= 0 ? one : two;
+}
+
+const FORMATS = ['start/end', 'start/duration', 'duration/end'];
+
+// Reads the toString() options of the endpoints, in alphabetical order
+function GetEndpointToStringOptions(resolvedOptions) {
+  const showCalendar = ES.GetTemporalShowCalendarNameOption(resolvedOptions);
+  const dateFormat = ES.GetTemporalDateFormatOption(resolvedOptions);
+  const digits = ES.GetTemporalFractionalSecondDigitsOption(resolvedOptions);
+  const showOffset = ES.GetTemporalShowOffsetOption(resolvedOptions);
+  const roundingMode = ES.GetRoundingModeOption(resolvedOptions, 'trunc');
+  const smallestUnit = ES.GetTemporalUnitValuedOption(resolvedOptions, 'smallestUnit', 'time', undefined);
+  if (smallestUnit === 'hour') throw new RangeErrorCtor('smallestUnit must be a time unit other than "hour"');
+  const showTimeZone = ES.GetTemporalShowTimeZoneNameOption(resolvedOptions);
+  const { precision, unit, increment } = ES.ToSecondsStringPrecisionRecord(smallestUnit, digits);
+  return { showCalendar, dateFormat, precision, unit, increment, roundingMode, showOffset, showTimeZone };
+}
+
+function EndpointToString(type, item, options) {
+  const { showCalendar, dateFormat, precision, unit, increment, roundingMode, showOffset, showTimeZone } = options;
+  switch (type.name) {
+    case 'Temporal.Instant': {
+      const epochNs = ES.RoundTemporalInstant(GetSlot(item, EPOCHNANOSECONDS), increment, unit, roundingMode);
+      const rounded = ES.CreateTemporalInstant(epochNs, GetSlot(item, RANGE));
+      return ES.TemporalInstantToString(rounded, undefined, precision, dateFormat);
+    }
+    case 'Temporal.ZonedDateTime':
+      return ES.TemporalZonedDateTimeToString(
+        item,
+        precision,
+        showCalendar,
+        showTimeZone,
+        showOffset,
+        { unit, increment, roundingMode },
+        dateFormat
+      );
+    case 'Temporal.PlainDateTime': {
+      const isoDateTime = ES.RoundISODateTime(GetSlot(item, ISO_DATE_TIME), increment, unit, roundingMode);
+      ES.RejectDateTimeRange(isoDateTime, GetSlot(item, RANGE));
+      return ES.ISODateTimeToString(isoDateTime, GetSlot(item, CALENDAR), precision, showCalendar, dateFormat);
+    }
+    case 'Temporal.PlainDate':
+      return ES.TemporalDateToString(item, showCalendar, dateFormat);
+  }
+}
+
+export class Interval {
+  constructor(start, end) {
+    const type = GetEndpointType(start);
+    if (type === undefined || !type.is(end)) {
+      throw new TypeErrorCtor(
+        'start and end must both be Instant, ZonedDateTime, PlainDateTime, or PlainDate, of the same type'
+      );
+    }
+    if (type.compare(start, end) > 0) throw new RangeErrorCtor('the start of an interval must not be after its end');
+    CreateSlots(this);
+    SetSlot(this, INTERVAL_START, start);
+    SetSlot(this, INTERVAL_END, end);
+  }
+  get start() {
+    if (!ES.IsTemporalInterval(this)) throw new TypeErrorCtor('invalid receiver');
+    return GetSlot(this, INTERVAL_START);
+  }
+  get end() {
+    if (!ES.IsTemporalInterval(this)) throw new TypeErrorCtor('invalid receiver');
+    return GetSlot(this, INTERVAL_END);
+  }
+  contains(item) {
+    if (!ES.IsTemporalInterval(this)) throw new TypeErrorCtor('invalid receiver');
+    const type = GetIntervalType(this);
+    const start = GetSlot(this, INTERVAL_START);
+    const end = GetSlot(this, INTERVAL_END);
+    if (ES.IsTemporalInterval(item)) {
+      item = ToComparableInterval(this, item);
+      return (
+        type.compare(start, GetSlot(item, INTERVAL_START)) <= 0 && type.compare(GetSlot(item, INTERVAL_END), end) <= 0
+      );
+    }
+    // Intervals include their start, but not their end
+    item = type.to(item);
+    return type.compare(start, item) <= 0 && type.compare(item, end) < 0;
+  }
+  overlaps(other) {
+    if (!ES.IsTemporalInterval(this)) throw new TypeErrorCtor('invalid receiver');
+    other = ToComparableInterval(this, other);
+    const type = GetIntervalType(this);
+    if (IsEmptyInterval(this, type) || IsEmptyInterval(other, type)) return false;
+    return (
+      type.compare(GetSlot(this, INTERVAL_START), GetSlot(other, INTERVAL_END)) < 0 &&
+      type.compare(GetSlot(other, INTERVAL_START), GetSlot(this, INTERVAL_END)) < 0
+    );
+  }
+  intersection(other) {
+    if (!ES.IsTemporalInterval(this)) throw new TypeErrorCtor('invalid receiver');
+    other = ToComparableInterval(this, other);
+    if (!this.overlaps(other)) return null;
+    const type = GetIntervalType(this);
+    const start = Later(type, GetSlot(this, INTERVAL_START), GetSlot(other, INTERVAL_START));
+    const end = Earlier(type, GetSlot(this, INTERVAL_END), GetSlot(other, INTERVAL_END));
+    return CreateTemporalInterval(start, end);
+  }
+  union(other) {
+    if (!ES.IsTemporalInterval(this)) throw new TypeErrorCtor('invalid receiver');
+    other = ToComparableInterval(this, other);
+    const type = GetIntervalType(this);
+    // Intervals that meet, like 10:00/11:00 and 11:00/12:00, have a union
+    if (
+      type.compare(GetSlot(this, INTERVAL_START), GetSlot(other, INTERVAL_END)) > 0 ||
+      type.compare(GetSlot(other, INTERVAL_START), GetSlot(this, INTERVAL_END)) > 0
+    ) {
+      return null;
+    }
+    const start = Earlier(type, GetSlot(this, INTERVAL_START), GetSlot(other, INTERVAL_START));
+    const end = Later(type, GetSlot(this, INTERVAL_END), GetSlot(other, INTERVAL_END));
+    return CreateTemporalInterval(start, end);
+  }
+  gap(other) {
+    if (!ES.IsTemporalInterval(this)) throw new TypeErrorCtor('invalid receiver');
+    other = ToComparableInterval(this, other);
+    const type = GetIntervalType(this);
+    if (type.compare(GetSlot(this, INTERVAL_END), GetSlot(other, INTERVAL_START)) < 0) {
+      return CreateTemporalInterval(GetSlot(this, INTERVAL_END), GetSlot(other, INTERVAL_START));
+    }
+    if (type.compare(GetSlot(other, INTERVAL_END), GetSlot(this, INTERVAL_START)) < 0) {
+      return CreateTemporalInterval(GetSlot(other, INTERVAL_END), GetSlot(this, INTERVAL_START));
+    }
+    return null;
+  }
+  toDuration(options = undefined) {
+    if (!ES.IsTemporalInterval(this)) throw new TypeErrorCtor('invalid receiver');
+    const type = GetIntervalType(this);
+    return type.difference('until', GetSlot(this, INTERVAL_START), GetSlot(this, INTERVAL_END), options);
+  }
+  equals(other) {
+    if (!ES.IsTemporalInterval(this)) throw new TypeErrorCtor('invalid receiver');
+    other = ToTemporalInterval(other);
+    const type = GetIntervalType(this);
+    if (type !== GetIntervalType(other)) return false;
+    return (
+      type.equals(GetSlot(this, INTERVAL_START), GetSlot(other, INTERVAL_START)) &&
+      type.equals(GetSlot(this, INTERVAL_END), GetSlot(other, INTERVAL_END))
+    );
+  }
+  toString(options = undefined) {
+    if (!ES.IsTemporalInterval(this)) throw new TypeErrorCtor('invalid receiver');
+    const resolvedOptions = ES.GetOptionsObject(options);
+    const format = ES.GetOption(resolvedOptions, 'format', FORMATS, 'start/end');
+    const largestUnit = ES.GetTemporalUnitValuedOption(resolvedOptions, 'largestUnit', 'datetime', 'auto');
+    const endpointOptions = GetEndpointToStringOptions(resolvedOptions);
+
+    const type = GetIntervalType(this);
+    const start = GetSlot(this, INTERVAL_START);
+    const end = GetSlot(this, INTERVAL_END);
+    // Durations are taken from the endpoint that is written, so that adding
+    // the duration to it, or subtracting it, gives the other endpoint
+    const differenceOptions = { largestUnit };
+    switch (format) {
+      case 'start/duration': {
+        const duration = type.difference('until', start, end, differenceOptions);
+        return `${EndpointToString(type, start, endpointOptions)}/${ES.TemporalDurationToString(duration, 'auto')}`;
+      }
+      case 'duration/end': {
+        const duration = type.difference('since', end, start, differenceOptions);
+        return `${ES.TemporalDurationToString(duration, 'auto')}/${EndpointToString(type, end, endpointOptions)}`;
+      }
+    }
+    return `${EndpointToString(type, start, endpointOptions)}/${EndpointToString(type, end, endpointOptions)}`;
+  }
+  toJSON() {
+    if (!ES.IsTemporalInterval(this)) throw new TypeErrorCtor('invalid receiver');
+    return this.toString();
+  }
+  valueOf() {
+    ES.ValueOfThrows('Interval');
+  }
+
+  static from(item) {
+    const interval = ToTemporalInterval(item);
+    return CreateTemporalInterval(GetSlot(interval, INTERVAL_START), GetSlot(interval, INTERVAL_END));
+  }
+  static compare(one, two) {
+    one = ToTemporalInterval(one);
+    two = ToComparableInterval(one, two);
+    const type = GetIntervalType(one);
+    const result = type.compare(GetSlot(one, INTERVAL_START), GetSlot(two, INTERVAL_START));
+    if (result !== 0) return result;
+    return type.compare(GetSlot(one, INTERVAL_END), GetSlot(two, INTERVAL_END));
+  }
+}
+
+MakeIntrinsicClass(Interval, 'Temporal.Interval');
+
+function ScaleDuration(duration, factor) {
+  const TemporalDuration = GetIntrinsic('%Temporal.Duration%');
+  return new TemporalDuration(
+    GetSlot(duration, YEARS) * factor,
+    GetSlot(duration, MONTHS) * factor,
+    GetSlot(duration, WEEKS) * factor,
+    GetSlot(duration, DAYS) * factor,
+    GetSlot(duration, HOURS) * factor,
+    GetSlot(duration, MINUTES) * factor,
+    GetSlot(duration, SECONDS) * factor,
+    GetSlot(duration, MILLISECONDS) * factor,
+    GetSlot(duration, MICROSECONDS) * factor,
+    GetSlot(duration, NANOSECONDS) * factor
+  );
+}
+
+// Occurrences are counted from the anchor, rather than from the previous
+// occurrence, so that monthly repeats from January 31 fall on the last day of
+// the shorter months without staying there. ZonedDateTime occurrences are
+// added in calendar days by AddZonedDateTime, so that they keep their
+// wall-clock time across UTC offset changes.
+function AddRepeats(repeatingInterval, count) {
+  const anchor = GetSlot(repeatingInterval, REPEATING_ANCHOR);
+  if (count === 0) return anchor;
+  const duration = ScaleDuration(GetSlot(repeatingInterval, REPEATING_DURATION), count);
+  if (ES.IsTemporalZonedDateTime(anchor)) {
+    const timeZone = GetSlot(anchor, TIME_ZONE);
+    const calendar = GetSlot(anchor, CALENDAR);
+    const internalDuration = ES.ToInternalDurationRecord(duration);
+    const epochNs = ES.AddZonedDateTime(GetSlot(anchor, EPOCHNANOSECONDS), timeZone, calendar, internalDuration);
+    return ES.CreateTemporalZonedDateTime(epochNs, timeZone, calendar);
+  }
+  return AddDurationToIntervalEndpoint(GetEndpointType(anchor), 'add', anchor, duration);
+}
+
+function GetRepeatingIntervalOccurrence(repeatingInterval, index) {
+  const one = AddRepeats(repeatingInterval, index);
+  const two = AddRepeats(repeatingInterval, index + 1);
+  if (ES.DurationSign(GetSlot(repeatingInterval, REPEATING_DURATION)) < 0) return CreateTemporalInterval(two, one);
+  return CreateTemporalInterval(one, two);
+}
+
+function CreateOccurrenceIterator(repeatingInterval) {
+  const recurrences = GetSlot(repeatingInterval, REPEATING_RECURRENCES);
+  let index = 0;
+  return {
+    [SymbolIterator]() {
+      return this;
+    },
+    next() {
+      if (index >= recurrences) return { value: undefined, done: true };
+      const value = GetRepeatingIntervalOccurrence(repeatingInterval, index);
+      index++;
+      return { value, done: false };
+    }
+  };
+}
+
+function CreateTemporalRepeatingInterval(anchor, duration, recurrences) {
+  const TemporalRepeatingInterval = GetIntrinsic('%Temporal.RepeatingInterval%');
+  return new TemporalRepeatingInterval(anchor, duration, recurrences);
+}
+
+// An ISO 8601 repeating interval repeats its duration from its start, or back
+// from its end if it is written as duration/end. The latter is represented as
+// a negative duration from the end.
+function CreateRepeatingIntervalFromRecord({ type, start, end, duration }, recurrences) {
+  if (duration !== undefined && ES.DurationSign(duration) < 0) {
+    throw new RangeErrorCtor('the duration of a repeating interval must not be negative');
+  }
+  if (start === undefined) {
+    return CreateTemporalRepeatingInterval(end, ES.CreateNegatedTemporalDuration(duration), recurrences);
+  }
+  if (duration === undefined) {
+    if (type.compare(start, end) > 0) throw new RangeErrorCtor('the start of an interval must not be after its end');
+    // Use calendar units where the endpoints have them, so that repeats keep
+    // their wall-clock time
+    const largestUnit = type.name === 'Temporal.Instant' ? 'hours' : 'years';
+    duration = type.difference('until', start, end, { largestUnit });
+  }
+  return CreateTemporalRepeatingInterval(start, duration, recurrences);
+}
+
+function ToTemporalRepeatingInterval(item) {
+  if (ES.IsTemporalRepeatingInterval(item)) return item;
+  if (ES.Type(item) === 'Object') {
+    const record = ToIntervalRecord(item);
+    return CreateRepeatingIntervalFromRecord(record, item.recurrences);
+  }
+  const string = ES.RequireString(item);
+  const match = Call(RegExpPrototypeExec, PARSE.repeatingInterval, [string]);
+  if (!match) throw new RangeErrorCtor(`invalid ISO 8601 repeating interval: ${string}`);
+  const recurrences = match[1] === '' ? undefined : +match[1];
+  return CreateRepeatingIntervalFromRecord(ParseTemporalIntervalString(match[2]), recurrences);
+}
+
+export class RepeatingInterval {
+  constructor(anchor, duration, recurrences = undefined) {
+    if (GetEndpointType(anchor) === undefined) {
+      throw new TypeErrorCtor('the anchor must be an Instant, ZonedDateTime, PlainDateTime, or PlainDate');
+    }
+    if (!ES.IsTemporalDuration(duration)) throw new TypeErrorCtor('duration must be a Temporal.Duration');
+    if (ES.DurationSign(duration) === 0) {
+      throw new RangeErrorCtor('the duration of a repeating interval must not be zero');
+    }
+    if (recurrences === undefined) {
+      recurrences = Infinity;
+    } else {
+      recurrences = ES.ToNumber(recurrences);
+      if (recurrences !== Infinity && (!NumberIsInteger(recurrences) || recurrences < 0)) {
+        throw new RangeErrorCtor(`recurrences must be a non-negative integer or Infinity, not ${recurrences}`);
+      }
+    }
+    CreateSlots(this);
+    SetSlot(this, REPEATING_ANCHOR, anchor);
+    SetSlot(this, REPEATING_DURATION, duration);
+    SetSlot(this, REPEATING_RECURRENCES, recurrences);
+    // Throw now if the duration can't be added to the anchor, such as when
+    // the first repeat is out of range
+    AddRepeats(this, 1);
+  }
+  get anchor() {
+    if (!ES.IsTemporalRepeatingInterval(this)) throw new TypeErrorCtor('invalid receiver');
+    return GetSlot(this, REPEATING_ANCHOR);
+  }
+  get duration() {
+    if (!ES.IsTemporalRepeatingInterval(this)) throw new TypeErrorCtor('invalid receiver');
+    return GetSlot(this, REPEATING_DURATION);
+  }
+  get recurrences() {
+    if (!ES.IsTemporalRepeatingInterval(this)) throw new TypeErrorCtor('invalid receiver');
+    return GetSlot(this, REPEATING_RECURRENCES);
+  }
+  occurrences() {
+    if (!ES.IsTemporalRepeatingInterval(this)) throw new TypeErrorCtor('invalid receiver');
+    return CreateOccurrenceIterator(this);
+  }
+  toString(options = undefined) {
+    if (!ES.IsTemporalRepeatingInterval(this)) throw new TypeErrorCtor('invalid receiver');
+    const endpointOptions = GetEndpointToStringOptions(ES.GetOptionsObject(options));
+    const anchor = GetSlot(this, REPEATING_ANCHOR);
+    const duration = GetSlot(this, REPEATING_DURATION);
+    const recurrences = GetSlot(this, REPEATING_RECURRENCES);
+    const anchorString = EndpointToString(GetEndpointType(anchor), anchor, endpointOptions);
+    const repeats = recurrences === Infinity ? 'R' : `R${recurrences}`;
+    if (ES.DurationSign(duration) < 0) {
+      const durationString = ES.TemporalDurationToString(ES.CreateNegatedTemporalDuration(duration), 'auto');
+      return `${repeats}/${durationString}/${anchorString}`;
+    }
+    return `${repeats}/${anchorString}/${ES.TemporalDurationToString(duration, 'auto')}`;
+  }
+  toJSON() {
+    if (!ES.IsTemporalRepeatingInterval(this)) throw new TypeErrorCtor('invalid receiver');
+    return this.toString();
+  }
+
+  static from(item) {
+    const repeatingInterval = ToTemporalRepeatingInterval(item);
+    return CreateTemporalRepeatingInterval(
+      GetSlot(repeatingInterval, REPEATING_ANCHOR),
+      GetSlot(repeatingInterval, REPEATING_DURATION),
+      GetSlot(repeatingInterval, REPEATING_RECURRENCES)
+    );
+  }
+}
+
+MakeIntrinsicClass(RepeatingInterval, 'Temporal.RepeatingInterval');
@@ -0,0 +1,40 @@
+import {
+  // error constructors
+  RangeError as RangeErrorCtor,
+
+  // class static functions and methods
+  ObjectDefineProperty,
+  SymbolToStringTag
+} from './primordials.mjs';
+
+import * as ES from './ecmascript.mjs';
+import { GetIntrinsic } from './intrinsicclass.mjs';
+
+const getRange = () => {
+  const { nsMin, nsMax } = ES.GetRange();
+  const TemporalInstant = GetIntrinsic('%Temporal.Instant%');
+  return {
+    mode: ES.GetRangeMode(),
+    earliest: new TemporalInstant(ES.BigIntIfAvailable(nsMin)),
+    latest: new TemporalInstant(ES.BigIntIfAvailable(nsMax))
+  };
+};
+
+const setRangeMode = (mode) => {
+  mode = ES.ToString(mode);
+  if (mode !== 'standard' && mode !== 'expanded') {
+    throw new RangeErrorCtor(`mode must be one of standard, expanded, not ${mode}`);
+  }
+  return ES.SetRangeMode(mode);
+};
+
+export const Limits = {
+  getRange,
+  setRangeMode
+};
+ObjectDefineProperty(Limits, SymbolToStringTag, {
+  value: 'Temporal.Limits',
+  writable: false,
+  enumerable: false,
+  configurable: true
+});
@@ -0,0 +1,225 @@
+import {
+  // error constructors
+  RangeError as RangeErrorCtor,
+
+  // class static functions and methods
+  ArrayPrototypeIndexOf,
+  MathAbs,
+  MathFloor,
+  ObjectDefineProperty,
+  RegExpPrototypeExec,
+  StringPrototypePadStart,
+  StringPrototypeReplace,
+  StringPrototypeSlice,
+  StringPrototypeToLowerCase,
+  StringPrototypeToUpperCase,
+  SymbolToStringTag
+} from './primordials.mjs';
+
+import Call from 'es-abstract/2024/Call.js';
+import bigInt from 'big-integer';
+
+import * as ES from './ecmascript.mjs';
+import { GetIntrinsic } from './intrinsicclass.mjs';
+import * as PARSE from './regex.mjs';
+import { EPOCHNANOSECONDS, TIME_ZONE, GetSlot } from './slots.mjs';
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+// Indexed by ISO day of the week, 1 being Monday
+const DAY_NAMES = [undefined, 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'];
+
+// Named zones of RFC 822, in minutes east of UTC. The US zone abbreviations
+// stand for fixed offsets, not for the rules of the zones that use them.
+const ZONE_OFFSETS = {
+  UT: 0,
+  UTC: 0,
+  GMT: 0,
+  EST: -300,
+  EDT: -240,
+  CST: -360,
+  CDT: -300,
+  MST: -420,
+  MDT: -360,
+  PST: -480,
+  PDT: -420
+};
+
+const STYLES = ['rfc5322', 'imf-fixdate', 'rfc850', 'asctime'];
+
+function CapitalizeName(name) {
+  const upper = Call(StringPrototypeToUpperCase, name, []);
+  return `${upper[0]}${Call(StringPrototypeToLowerCase, Call(StringPrototypeSlice, upper, [1]), [])}`;
+}
+
+function ISODayOfWeek(isoDate) {
+  const { year, month, day } = isoDate;
+  // 1970-01-01 was a Thursday
+  const dayOfWeek = (ES.ISODateToEpochDays(year, month - 1, day) + 3) % 7;
+  return (dayOfWeek < 0 ? dayOfWeek + 7 : dayOfWeek) + 1;
+}
+
+function ParseMonthName(name) {
+  const month = Call(ArrayPrototypeIndexOf, MONTH_NAMES, [Call(StringPrototypeToUpperCase, name, [])]) + 1;
+  if (month === 0) throw new RangeErrorCtor(`unknown month name ${name}`);
+  return month;
+}
+
+// Two-digit years are in 1950-2049, and three-digit years are counted from
+// 1900, as in RFC 5322
+function ParseHeaderYear(digits) {
+  const year = +digits;
+  if (digits.length === 2) return year < 50 ? 2000 + year : 1900 + year;
+  if (digits.length === 3) return 1900 + year;
+  return year;
+}
+
+// Returns the offset in minutes, and the time zone identifier that a
+// ZonedDateTime parsed from the header should have. -0000 and the military
+// zones mean that the local time zone is unknown, so the header only gives an
+// exact time, in UTC.
+function ParseHeaderZone(zone) {
+  if (zone[0] === '+' || zone[0] === '-') {
+    const hours = +Call(StringPrototypeSlice, zone, [1, 3]);
+    const minutes = +Call(StringPrototypeSlice, zone, [3]);
+    if (hours > 23 || minutes > 59) throw new RangeErrorCtor(`invalid UTC offset ${zone}`);
+    const offsetMinutes = (zone[0] === '-' ? -1 : 1) * (hours * 60 + minutes);
+    if (zone === '-0000') return { offsetMinutes, timeZone: 'UTC' };
+    return { offsetMinutes, timeZone: ES.FormatOffsetTimeZoneIdentifier(offsetMinutes) };
+  }
+  const upper = Call(StringPrototypeToUpperCase, zone, []);
+  const offsetMinutes = ZONE_OFFSETS[upper];
+  if (offsetMinutes === 0) return { offsetMinutes, timeZone: 'UTC' };
+  if (offsetMinutes !== undefined) {
+    return { offsetMinutes, timeZone: ES.FormatOffsetTimeZoneIdentifier(offsetMinutes) };
+  }
+  if (upper.length === 1 && upper !== 'J') return { offsetMinutes: 0, timeZone: 'UTC' };
+  throw new RangeErrorCtor(`unknown time zone ${zone}`);
+}
+
+function MatchHeaderDate(string) {
+  let match = Call(RegExpPrototypeExec, PARSE.rfc5322Date, [string]);
+  if (match) {
+    const [, dayName, day, monthName, year, hour, minute, second = '00', zone] = match;
+    return { dayName, year: ParseHeaderYear(year), monthName, day, hour, minute, second, zone };
+  }
+  match = Call(RegExpPrototypeExec, PARSE.rfc850Date, [string]);
+  if (match) {
+    const [, dayName, day, monthName, year, hour, minute, second = '00', zone] = match;
+    return { dayName, year: ParseHeaderYear(year), monthName, day, hour, minute, second, zone };
+  }
+  match = Call(RegExpPrototypeExec, PARSE.asctimeDate, [string]);
+  if (match) {
+    const [, dayName, monthName, day, hour, minute, second, year] = match;
+    return { dayName, year: +year, monthName, day, hour, minute, second, zone: 'GMT' };
+  }
+  return undefined;
+}
+
+function ParseHeaderDate(string) {
+  string = ES.RequireString(string);
+  // Comments can't be nested in any header that is seen in practice
+  const fields = MatchHeaderDate(Call(StringPrototypeReplace, string, [/\([^()]*\)/g, ' ']));
+  if (!fields) {
+    throw new RangeErrorCtor(`${string} is not an RFC 5322, IMF-fixdate, RFC 850, or asctime date`);
+  }
+  const { dayName, year, monthName } = fields;
+  const month = ParseMonthName(monthName);
+  const day = +fields.day;
+  if (day < 1 || day > ES.ISODaysInMonth(year, month)) {
+    throw new RangeErrorCtor(`${CapitalizeName(monthName)} ${year} has no day ${day}`);
+  }
+  const hour = +fields.hour;
+  const minute = +fields.minute;
+  let second = +fields.second;
+  if (hour > 23 || minute > 59 || second > 60) {
+    throw new RangeErrorCtor(`invalid time ${fields.hour}:${fields.minute}:${fields.second}`);
+  }
+  // Leap seconds are constrained, like in ISO strings
+  if (second === 60) second = 59;
+  const isoDate = { year, month, day };
+  if (dayName !== undefined) {
+    const expected = DAY_NAMES[ISODayOfWeek(isoDate)];
+    const upper = Call(StringPrototypeToUpperCase, dayName, []);
+    const abbreviation = Call(StringPrototypeSlice, expected, [0, 3]);
+    if (upper !== expected && upper !== abbreviation) {
+      throw new RangeErrorCtor(
+        `${day} ${CapitalizeName(monthName)} ${year} is a ${CapitalizeName(expected)}, not ${dayName}`
+      );
+    }
+  }
+  const { offsetMinutes, timeZone } = ParseHeaderZone(fields.zone);
+  const time = { hour, minute, second, millisecond: 0, microsecond: 0, nanosecond: 0 };
+  const epochNs = ES.GetUTCEpochNanoseconds(ES.CombineISODateAndTimeRecord(isoDate, time)).minus(
+    bigInt(offsetMinutes).multiply(60e9)
+  );
+  ES.ValidateEpochNanoseconds(epochNs);
+  return { epochNs, timeZone };
+}
+
+function Pad(number, length) {
+  return Call(StringPrototypePadStart, `${number}`, [length, '0']);
+}
+
+const parseInstant = (string) => {
+  const { epochNs } = ParseHeaderDate(string);
+  const TemporalInstant = GetIntrinsic('%Temporal.Instant%');
+  return new TemporalInstant(epochNs);
+};
+
+const parseZonedDateTime = (string) => {
+  const { epochNs, timeZone } = ParseHeaderDate(string);
+  return ES.CreateTemporalZonedDateTime(epochNs, timeZone);
+};
+
+const format = (item, options = undefined) => {
+  let epochNs, offsetNs;
+  if (ES.IsTemporalZonedDateTime(item)) {
+    epochNs = GetSlot(item, EPOCHNANOSECONDS);
+    // Header offsets only have minutes
+    const exactOffsetNs = ES.GetOffsetNanosecondsFor(GetSlot(item, TIME_ZONE), epochNs);
+    offsetNs = ES.RoundNumberToIncrement(exactOffsetNs, 60e9, 'halfExpand');
+  } else {
+    epochNs = GetSlot(ES.ToTemporalInstant(item), EPOCHNANOSECONDS);
+    offsetNs = 0;
+  }
+  const style = ES.GetOption(ES.GetOptionsObject(options), 'style', STYLES, 'rfc5322');
+  if (style !== 'rfc5322') offsetNs = 0;
+
+  const { isoDate, time } = ES.GetISOPartsFromEpoch(epochNs.plus(offsetNs));
+  const { year, month, day } = isoDate;
+  if (year < 0 || year > 9999) throw new RangeErrorCtor(`year ${year} can't be written in a header`);
+  const dayName = CapitalizeName(DAY_NAMES[ISODayOfWeek(isoDate)]);
+  const shortDayName = Call(StringPrototypeSlice, dayName, [0, 3]);
+  const monthName = CapitalizeName(MONTH_NAMES[month - 1]);
+  const timeString = `${Pad(time.hour, 2)}:${Pad(time.minute, 2)}:${Pad(time.second, 2)}`;
+
+  switch (style) {
+    case 'rfc5322': {
+      const offsetMinutes = MathAbs(offsetNs / 60e9);
+      const sign = offsetNs < 0 ? '-' : '+';
+      const offset = `${sign}${Pad(MathFloor(offsetMinutes / 60), 2)}${Pad(offsetMinutes % 60, 2)}`;
+      return `${shortDayName}, ${day} ${monthName} ${Pad(year, 4)} ${timeString} ${offset}`;
+    }
+    case 'imf-fixdate':
+      return `${shortDayName}, ${Pad(day, 2)} ${monthName} ${Pad(year, 4)} ${timeString} GMT`;
+    case 'rfc850':
+      return `${dayName}, ${Pad(day, 2)}-${monthName}-${Pad(year % 100, 2)} ${timeString} GMT`;
+    case 'asctime':
+      return `${shortDayName} ${monthName} ${Call(StringPrototypePadStart, `${day}`, [2, ' '])} ${timeString} ${Pad(
+        year,
+        4
+      )}`;
+  }
+};
+
+export const MessageDates = {
+  format,
+  parseInstant,
+  parseZonedDateTime
+};
+ObjectDefineProperty(MessageDates, SymbolToStringTag, {
+  value: 'Temporal.MessageDates',
+  writable: false,
+  enumerable: false,
+  configurable: true
+});
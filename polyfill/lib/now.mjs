@@ -2,40 +2,47 @@ import { ObjectDefineProperty, SymbolToStringTag } from './primordials.mjs';
 
 import * as ES from './ecmascript.mjs';
 import { GetIntrinsic } from './intrinsicclass.mjs';
+import { TimeDuration } from './timeduration.mjs';
 
 function SystemDateTime(timeZone) {
-  return ES.GetISODateTimeFor(timeZone, ES.SystemUTCEpochNanoSeconds());
+  return ES.GetISODateTimeFor(timeZone, ES.NowUTCEpochNanoseconds());
 }
 
 const instant = () => {
   const Instant = GetIntrinsic('%Temporal.Instant%');
-  return new Instant(ES.SystemUTCEpochNanoSeconds());
+  return new Instant(ES.NowUTCEpochNanoseconds());
 };
-const plainDateTimeISO = (temporalTimeZoneLike = ES.DefaultTimeZone()) => {
-  const timeZone = ES.ToTemporalTimeZoneIdentifier(temporalTimeZoneLike);
+const plainDateTimeISO = (temporalTimeZoneLike = ES.NowTimeZone()) => {
+  const timeZone = ES.ToTemporalTimeZoneSlotValue(temporalTimeZoneLike);
   const isoDateTime = SystemDateTime(timeZone);
   return ES.CreateTemporalDateTime(isoDateTime, 'iso8601');
 };
-const zonedDateTimeISO = (temporalTimeZoneLike = ES.DefaultTimeZone()) => {
-  const timeZone = ES.ToTemporalTimeZoneIdentifier(temporalTimeZoneLike);
-  return ES.CreateTemporalZonedDateTime(ES.SystemUTCEpochNanoSeconds(), timeZone, 'iso8601');
+const zonedDateTimeISO = (temporalTimeZoneLike = ES.NowTimeZone()) => {
+  const timeZone = ES.ToTemporalTimeZoneSlotValue(temporalTimeZoneLike);
+  return ES.CreateTemporalZonedDateTime(ES.NowUTCEpochNanoseconds(), timeZone, 'iso8601');
 };
-const plainDateISO = (temporalTimeZoneLike = ES.DefaultTimeZone()) => {
-  const timeZone = ES.ToTemporalTimeZoneIdentifier(temporalTimeZoneLike);
+const plainDateISO = (temporalTimeZoneLike = ES.NowTimeZone()) => {
+  const timeZone = ES.ToTemporalTimeZoneSlotValue(temporalTimeZoneLike);
   const isoDateTime = SystemDateTime(timeZone);
   return ES.CreateTemporalDate(isoDateTime.isoDate, 'iso8601');
 };
-const plainTimeISO = (temporalTimeZoneLike = ES.DefaultTimeZone()) => {
-  const timeZone = ES.ToTemporalTimeZoneIdentifier(temporalTimeZoneLike);
+const plainTimeISO = (temporalTimeZoneLike = ES.NowTimeZone()) => {
+  const timeZone = ES.ToTemporalTimeZoneSlotValue(temporalTimeZoneLike);
   const isoDateTime = SystemDateTime(timeZone);
   return ES.CreateTemporalTime(isoDateTime.time);
 };
+// Not affected by Temporal.Clock, so that it can't go backwards
+const monotonic = () => {
+  const time = TimeDuration.fromEpochNsDiff(ES.MonotonicNanoseconds(), 0);
+  return ES.TemporalDurationFromInternal({ date: ES.ZeroDateDuration(), time }, 'second');
+};
 const timeZoneId = () => {
-  return ES.DefaultTimeZone();
+  return ES.ToTemporalTimeZoneIdentifier(ES.NowTimeZone());
 };
 
 export const Now = {
   instant,
+  monotonic,
   plainDateTimeISO,
   plainDateISO,
   plainTimeISO,
@@ -0,0 +1,600 @@
+import {
+  // error constructors
+  RangeError as RangeErrorCtor,
+  RegExp as RegExpCtor,
+
+  // class static functions and methods
+  ObjectDefineProperty,
+  RegExpPrototypeExec,
+  RegExpPrototypeTest,
+  StringPrototypeIndexOf,
+  StringPrototypePadStart,
+  StringPrototypeSlice,
+  StringPrototypeToLowerCase,
+  StringPrototypeToUpperCase
+} from './primordials.mjs';
+
+import Call from 'es-abstract/2024/Call.js';
+
+import { timeZoneID } from './regex.mjs';
+
+// Errors for strings that Temporal can't parse. They are RangeErrors like all
+// other parse errors, with properties that say where and why parsing failed:
+// input, the string; offset, the index of the first character that doesn't
+// fit the grammar; component, the part of the string that is wrong, such as
+// 'year', 'month', 'offset', 'annotation', or 'calendar key'; expected, what
+// the grammar allows there; and suggestion, a way to fix the string if there
+// is an obvious one.
+//
+// The regular expressions in regex.mjs only say whether a string matches, so
+// when one of them fails, the Diagnose functions below walk the string again
+// one component at a time to find the first one that is wrong.
+//
+// ecmascript.mjs imports this module, so it passes in what these functions
+// need from it as helpers: GetRangeMode, ISODaysInMonth, ISOWeeksInYear and
+// LeapYear; Parses(string, goal), which says whether a string parses; and
+// probing, which is true while ecmascript.mjs parses a string only to find out
+// whether it has some form. The error is caught then, so it isn't diagnosed.
+
+const TIME_ZONE_ID = new RegExpCtor(`^${timeZoneID.source}$`, 'i');
+const ANNOTATION_KEY = /^[a-z_][a-z0-9_-]*$/;
+const ANNOTATION_VALUE = /^[A-Za-z0-9]+(?:-[A-Za-z0-9]+)*$/;
+const SPACE = /^\s$/;
+const DETAILS = ['input', 'offset', 'component', 'expected', 'suggestion'];
+const OFFSET_UNITS = ['minute', 'second'];
+
+const LENIENT_SUGGESTION = "pass { parse: 'lenient' } to from()";
+
+function MakeParseError(message, details) {
+  const error = new RangeErrorCtor(message);
+  for (let ix = 0; ix < DETAILS.length; ix++) {
+    ObjectDefineProperty(error, DETAILS[ix], {
+      value: details[DETAILS[ix]],
+      writable: true,
+      enumerable: true,
+      configurable: true
+    });
+  }
+  return error;
+}
+
+export function CreateParseError(kind, input, { offset, component, expected, suggestion }) {
+  let message = `invalid ${kind}: ${input}: ${component} at index ${offset}: expected ${expected}`;
+  if (suggestion !== undefined) message += `; ${suggestion}`;
+  return MakeParseError(message, { input, offset, component, expected, suggestion });
+}
+
+// The error for a string that is invalid in lenient mode too, which no longer
+// suggests lenient mode
+export function RemoveLenientSuggestion(error) {
+  if (error.suggestion !== LENIENT_SUGGESTION) return error;
+  const { input, offset, component, expected } = error;
+  const message = Call(StringPrototypeSlice, error.message, [0, -`; ${LENIENT_SUGGESTION}`.length]);
+  return MakeParseError(message, { input, offset, component, expected, suggestion: undefined });
+}
+
+function UndiagnosedError(kind, input) {
+  return new RangeErrorCtor(`invalid ${kind}: ${input}`);
+}
+
+function Failure(offset, component, expected, suggestion = undefined) {
+  return { offset, component, expected, suggestion };
+}
+
+function IsDigit(c) {
+  return c !== undefined && c >= '0' && c <= '9';
+}
+
+function CountDigits(string, start) {
+  let count = 0;
+  while (IsDigit(string[start + count])) count++;
+  return count;
+}
+
+function Replace(string, start, end, replacement) {
+  return Call(StringPrototypeSlice, string, [0, start]) + replacement + Call(StringPrototypeSlice, string, [end]);
+}
+
+// A suggestion to write the string differently, which is only made if the
+// rewritten string parses; see ResolveSuggestion
+function Write(string) {
+  return { rewrite: string };
+}
+
+// Parsing the rewritten string is a probe, so that if it fails in turn, its
+// error doesn't check a suggestion of its own
+function ResolveSuggestion(failure, goal, helpers) {
+  const { offset, component, expected, suggestion } = failure;
+  if (suggestion === undefined || typeof suggestion === 'string') return failure;
+  const parses = helpers.Parses(suggestion.rewrite, goal);
+  return Failure(offset, component, expected, parses ? `write "${suggestion.rewrite}"` : undefined);
+}
+
+function PadSuggestion(state, length, width) {
+  const { input, pos } = state;
+  const digits = Call(StringPrototypeSlice, input, [pos, pos + length]);
+  return Write(Replace(input, pos, pos + length, Call(StringPrototypePadStart, digits, [width, '0'])));
+}
+
+// Checks the two-digit field at the current position and advances past it
+function ScanTwoDigits(state, component, min, max, expected, suggestion = undefined) {
+  const { input, pos } = state;
+  const count = CountDigits(input, pos);
+  if (count === 0) return Failure(pos, component, expected);
+  if (count === 1) return Failure(pos, component, expected, PadSuggestion(state, 1, 2));
+  const value = +Call(StringPrototypeSlice, input, [pos, pos + 2]);
+  if (value < min || value > max) return Failure(pos, component, expected, suggestion);
+  state.pos += 2;
+  return undefined;
+}
+
+function ScanYear(state) {
+  const { input, pos } = state;
+  const sign = input[pos];
+  if (sign === '\u2212') return Failure(pos, 'year', 'a year', 'write the minus sign as "-"');
+  if (sign === '+' || sign === '-') {
+    const count = CountDigits(input, pos + 1);
+    // In the expanded range mode, years can have more digits if a hyphen follows
+    const longYear = count > 6 && input[pos + 1 + count] === '-';
+    const expanded = state.helpers.GetRangeMode() === 'expanded';
+    if (count !== 6 && !(longYear && expanded)) {
+      let suggestion;
+      if (count > 0 && count < 6) {
+        suggestion = PadSuggestion({ input, pos: pos + 1 }, count, 6);
+      } else if (longYear) {
+        suggestion = "call Temporal.Limits.setRangeMode('expanded') for years with more than six digits";
+      }
+      return Failure(pos, 'year', 'a sign followed by a six-digit year', suggestion);
+    }
+    const end = pos + 1 + count;
+    if (Call(RegExpPrototypeTest, /^-0+$/, [Call(StringPrototypeSlice, input, [pos, end])])) {
+      return Failure(pos, 'year', 'a year other than -000000', Write(Replace(input, pos, end, '0000')));
+    }
+    state.pos = end;
+    return undefined;
+  }
+  const count = CountDigits(input, pos);
+  if (count < 4) {
+    return Failure(pos, 'year', 'a four-digit year', count > 0 ? PadSuggestion(state, count, 4) : undefined);
+  }
+  state.pos += 4;
+  return undefined;
+}
+
+function ScanMonth(state) {
+  return ScanTwoDigits(state, 'month', 1, 12, 'a two-digit month from 01 to 12');
+}
+
+function ScanDay(state, year, month) {
+  const max = year === undefined ? 31 : state.helpers.ISODaysInMonth(year, month);
+  return ScanTwoDigits(state, 'day', 1, max, `a two-digit day from 01 to ${max}`);
+}
+
+function ScanOrdinalDay(state, year) {
+  const { input, pos } = state;
+  const max = state.helpers.LeapYear(year) ? 366 : 365;
+  const value = +Call(StringPrototypeSlice, input, [pos, pos + 3]);
+  if (value < 1 || value > max) return Failure(pos, 'day of year', `a three-digit day of the year from 001 to ${max}`);
+  state.pos += 3;
+  return undefined;
+}
+
+function ScanWeekDate(state, year, extended) {
+  const weeks = state.helpers.ISOWeeksInYear(year);
+  state.pos++; // W
+  const failure = ScanTwoDigits(state, 'week', 1, weeks, `a two-digit week from 01 to ${weeks}`);
+  if (failure) return failure;
+  const { input } = state;
+  if (extended) {
+    if (input[state.pos] !== '-') return Failure(state.pos, 'weekday', '"-" and a day of the week from 1 to 7');
+    state.pos++;
+  }
+  const c = input[state.pos];
+  if (c === undefined || c < '1' || c > '7') return Failure(state.pos, 'weekday', 'a day of the week from 1 to 7');
+  state.pos++;
+  return undefined;
+}
+
+// Dates with a year: YYYY-MM-DD, YYYYMMDD, YYYY-Www-D, YYYYWwwD, YYYY-DDD and
+// YYYYDDD; and YYYY-MM and YYYYMM if the day is optional
+function ScanDate(state, dayOptional) {
+  let failure = ScanYear(state);
+  if (failure) return failure;
+  const { input } = state;
+  const year = +Call(StringPrototypeSlice, input, [0, state.pos]);
+  let extended = false;
+  let c = input[state.pos];
+  if (c === '/' || c === '.') {
+    return Failure(state.pos, 'month', '"-" between the year and the month', LENIENT_SUGGESTION);
+  }
+  if (c === '-') {
+    extended = true;
+    state.pos++;
+    c = input[state.pos];
+  }
+  if (c === 'W') return ScanWeekDate(state, year, extended);
+
+  const count = CountDigits(input, state.pos);
+  if (count === 3) return ScanOrdinalDay(state, year);
+  if (extended) {
+    if (count > 3) {
+      return Failure(
+        state.pos + 2,
+        'day',
+        '"-" between the month and the day',
+        "don't mix the extended format YYYY-MM-DD with the basic format YYYYMMDD"
+      );
+    }
+    failure = ScanMonth(state);
+    if (failure) return failure;
+    const month = +Call(StringPrototypeSlice, input, [state.pos - 2, state.pos]);
+    c = input[state.pos];
+    if (c === '-') {
+      state.pos++;
+      return ScanDay(state, year, month);
+    }
+    if (dayOptional && !IsDigit(c)) return undefined;
+    return Failure(state.pos, 'day', '"-" and a two-digit day', c === undefined ? Write(`${input}-01`) : undefined);
+  }
+  if (count === 0) {
+    return Failure(
+      state.pos,
+      'month',
+      '"-" and a two-digit month',
+      c === undefined ? Write(`${input}-01-01`) : undefined
+    );
+  }
+  if (count === 4 || (count === 2 && dayOptional)) {
+    failure = ScanMonth(state);
+    if (failure) return failure;
+    if (count === 2) return undefined;
+    return ScanDay(state, year, +Call(StringPrototypeSlice, input, [state.pos - 2, state.pos]));
+  }
+  return Failure(state.pos, 'month', 'a month and day as MMDD, or a day of the year as DDD');
+}
+
+function ScanFraction(state) {
+  const { input } = state;
+  const c = input[state.pos];
+  if (c !== '.' && c !== ',') return undefined;
+  state.pos++;
+  const count = CountDigits(input, state.pos);
+  if (count === 0 || count > 9) return Failure(state.pos, 'fraction', 'one to nine digits of a fraction of a second');
+  state.pos += count;
+  return undefined;
+}
+
+function ScanOffset(state) {
+  const { input } = state;
+  const c = input[state.pos];
+  if (c === '\u2212') return Failure(state.pos, 'offset', 'a UTC offset', 'write the minus sign as "-"');
+  state.pos++;
+  let failure = ScanTwoDigits(state, 'offset', 0, 23, 'a two-digit hour from 00 to 23 in the UTC offset');
+  if (failure) return failure;
+  for (let ix = 0; ix < OFFSET_UNITS.length; ix++) {
+    const colon = input[state.pos] === ':';
+    if (colon) state.pos++;
+    if (!colon && !IsDigit(input[state.pos])) return undefined;
+    failure = ScanTwoDigits(state, 'offset', 0, 59, `a two-digit ${OFFSET_UNITS[ix]} from 00 to 59 in the UTC offset`);
+    if (failure) return failure;
+  }
+  return ScanFraction(state);
+}
+
+function ScanTime(state) {
+  const { input } = state;
+  let failure = ScanTwoDigits(
+    state,
+    'hour',
+    0,
+    23,
+    'a two-digit hour from 00 to 23',
+    input[state.pos] === '2' && input[state.pos + 1] === '4' ? 'write midnight as 00:00 of the next day' : undefined
+  );
+  if (failure) return failure;
+  let c = input[state.pos];
+  if (c === ':') {
+    state.pos++;
+    failure = ScanTwoDigits(state, 'minute', 0, 59, 'a two-digit minute from 00 to 59');
+    if (failure) return failure;
+    c = input[state.pos];
+    if (c === ':') {
+      state.pos++;
+      failure = ScanTwoDigits(state, 'second', 0, 60, 'a two-digit second from 00 to 59');
+      if (failure) return failure;
+      failure = ScanFraction(state);
+    } else if (IsDigit(c)) {
+      return Failure(
+        state.pos,
+        'second',
+        '":" between the minute and the second',
+        Write(Replace(input, state.pos, state.pos, ':'))
+      );
+    } else if (c === '.' || c === ',') {
+      return Failure(state.pos, 'second', 'seconds before the fraction of a second');
+    }
+  } else if (IsDigit(c)) {
+    const count = CountDigits(input, state.pos);
+    if (count !== 2 && count !== 4) {
+      return Failure(state.pos, 'minute', 'two digits for the minute, or four for the minute and second');
+    }
+    failure = ScanTwoDigits(state, 'minute', 0, 59, 'a two-digit minute from 00 to 59');
+    if (failure) return failure;
+    if (count === 4) {
+      failure = ScanTwoDigits(state, 'second', 0, 60, 'a two-digit second from 00 to 59');
+      if (failure) return failure;
+      failure = ScanFraction(state);
+    }
+  }
+  if (failure) return failure;
+
+  c = input[state.pos];
+  if (c === 'Z' || c === 'z') {
+    state.pos++;
+    return undefined;
+  }
+  if (c === '+' || c === '-' || c === '\u2212') return ScanOffset(state);
+  if (c !== undefined && Call(RegExpPrototypeTest, SPACE, [c])) {
+    return Failure(state.pos, 'offset', 'no space before the UTC offset', LENIENT_SUGGESTION);
+  }
+  const rest = Call(StringPrototypeSlice, input, [state.pos]);
+  const designator = Call(RegExpPrototypeExec, /^(?:UTC|GMT)/i, [rest]);
+  if (designator) {
+    return Failure(
+      state.pos,
+      'offset',
+      '"Z" or a numeric UTC offset',
+      Write(Replace(input, state.pos, state.pos + 3, 'Z'))
+    );
+  }
+  return undefined;
+}
+
+function ScanAnnotations(state) {
+  const { input } = state;
+  let first = true;
+  while (input[state.pos] === '[') {
+    const start = state.pos;
+    const end = Call(StringPrototypeIndexOf, input, [']', start]);
+    if (end === -1) return Failure(input.length, 'annotation', '"]" at the end of the annotation');
+    let contentStart = start + 1;
+    if (input[contentStart] === '!') contentStart++;
+    const content = Call(StringPrototypeSlice, input, [contentStart, end]);
+    const equals = Call(StringPrototypeIndexOf, content, ['=']);
+    if (equals === -1) {
+      if (!first) return Failure(start, 'time zone', 'the time zone annotation before all other annotations');
+      if (!Call(RegExpPrototypeTest, TIME_ZONE_ID, [content])) {
+        return Failure(contentStart, 'time zone', 'a time zone identifier such as Europe/Paris or +01:00');
+      }
+    } else {
+      const key = Call(StringPrototypeSlice, content, [0, equals]);
+      const value = Call(StringPrototypeSlice, content, [equals + 1]);
+      if (!Call(RegExpPrototypeTest, ANNOTATION_KEY, [key])) {
+        const lower = Call(StringPrototypeToLowerCase, key, []);
+        const suggestion =
+          lower !== key && Call(RegExpPrototypeTest, ANNOTATION_KEY, [lower])
+            ? Write(Replace(input, contentStart, contentStart + equals, lower))
+            : undefined;
+        return Failure(contentStart, 'annotation', 'a lowercase annotation key', suggestion);
+      }
+      if (!Call(RegExpPrototypeTest, ANNOTATION_VALUE, [value])) {
+        return Failure(
+          contentStart + equals + 1,
+          key === 'u-ca' ? 'calendar key' : 'annotation',
+          'letters and digits in groups separated by "-"'
+        );
+      }
+    }
+    first = false;
+    state.pos = end + 1;
+  }
+  return undefined;
+}
+
+function ScanEnd(state, component, expected) {
+  if (state.pos < state.input.length) return Failure(state.pos, component, expected);
+  return undefined;
+}
+
+function ScanDateTime(input, dayOptional, helpers) {
+  const state = { input, pos: 0, helpers };
+  let failure = ScanDate(state, dayOptional);
+  if (failure) return failure;
+  const c = input[state.pos];
+  if (c === 'T' || c === 't' || (c !== undefined && Call(RegExpPrototypeTest, SPACE, [c]))) {
+    state.pos++;
+    while (Call(RegExpPrototypeTest, SPACE, [input[state.pos] ?? ''])) state.pos++;
+    failure = ScanTime(state);
+    if (failure) return failure;
+  } else if (c === 'Z' || c === 'z' || c === '+' || c === '-') {
+    return Failure(
+      state.pos,
+      'time',
+      'a time before the UTC offset',
+      Write(Replace(input, state.pos, state.pos, 'T00:00'))
+    );
+  } else if (c !== undefined && c !== '[') {
+    return Failure(state.pos, 'time', '"T" and a time, or an annotation in brackets');
+  }
+  failure = ScanAnnotations(state);
+  if (failure) return failure;
+  return ScanEnd(state, 'annotation', 'an annotation in brackets, or the end of the string');
+}
+
+function ScanTimeOnly(input, helpers) {
+  const state = { input, pos: 0, helpers };
+  if (input[0] === 'T' || input[0] === 't') state.pos++;
+  let failure = ScanTime(state);
+  if (failure) return failure;
+  failure = ScanAnnotations(state);
+  if (failure) return failure;
+  return ScanEnd(state, 'annotation', 'an annotation in brackets, or the end of the string');
+}
+
+function ScanMonthDay(input, helpers) {
+  const state = { input, pos: 0, helpers };
+  if (input[0] === '-' && input[1] === '-') state.pos += 2;
+  let failure = ScanMonth(state);
+  if (failure) return failure;
+  const month = +Call(StringPrototypeSlice, input, [state.pos - 2, state.pos]);
+  if (input[state.pos] === '-') state.pos++;
+  failure = ScanDay(state, 1972, month);
+  if (failure) return failure;
+  failure = ScanAnnotations(state);
+  if (failure) return failure;
+  return ScanEnd(state, 'annotation', 'an annotation in brackets, or the end of the string');
+}
+
+// Finds the first wrong component of a string that was to be parsed as a
+// date-time ('date-time'), or one of the shorter forms that PlainTime,
+// PlainYearMonth and PlainMonthDay accept. When a string could have been in
+// more than one form, the diagnosis that gets furthest into it wins.
+export function DiagnoseISOString(helpers, input, goal) {
+  let candidates;
+  switch (goal) {
+    case 'time':
+      candidates = [ScanTimeOnly(input, helpers), ScanDateTime(input, false, helpers)];
+      break;
+    case 'year-month':
+      candidates = [ScanDateTime(input, true, helpers)];
+      break;
+    case 'month-day':
+      candidates = [ScanMonthDay(input, helpers), ScanDateTime(input, false, helpers)];
+      break;
+    default:
+      candidates = [ScanDateTime(input, false, helpers)];
+  }
+  let result;
+  for (let ix = 0; ix < candidates.length; ix++) {
+    const candidate = candidates[ix];
+    if (candidate === undefined) return undefined;
+    if (result === undefined || candidate.offset > result.offset) result = candidate;
+  }
+  return result;
+}
+
+export function CreateISOStringError(helpers, input, goal = 'date-time', fallback = undefined) {
+  if (helpers.probing) return UndiagnosedError('ISO 8601 string', input);
+  const diagnosis = DiagnoseISOString(helpers, input, goal);
+  if (diagnosis) return CreateParseError('ISO 8601 string', input, ResolveSuggestion(diagnosis, goal, helpers));
+  if (fallback) return fallback;
+  return CreateParseError('ISO 8601 string', input, Failure(0, 'date', 'an ISO 8601 date or date-time'));
+}
+
+// The index at which the annotations of an ISO string begin, which is where a
+// missing UTC offset or time zone annotation belongs
+export function AnnotationsStart(input) {
+  const start = Call(StringPrototypeIndexOf, input, ['[']);
+  return start === -1 ? input.length : start;
+}
+
+export function CreateUTCDesignatorError(input, type) {
+  const designator = Call(RegExpPrototypeExec, /\s*(?:Z|UTC|GMT)\s*(?:\[|$)/i, [input]);
+  const offset = designator ? designator.index : AnnotationsStart(input);
+  return CreateParseError(
+    'ISO 8601 string',
+    input,
+    Failure(
+      offset,
+      'offset',
+      `no UTC designator "Z" for ${type}`,
+      'use Temporal.Instant.from() for exact times, or remove the "Z" to read the wall-clock time'
+    )
+  );
+}
+
+const DATE_UNITS = { Y: 'years', M: 'months', W: 'weeks', D: 'days' };
+const TIME_UNITS = { H: 'hours', M: 'minutes', S: 'seconds' };
+
+// Durations are P, then years, months, weeks, and days, then T and hours,
+// minutes, and seconds, each a number and a unit letter in that order. Only
+// the last unit may have a fraction, and only if it's a time unit.
+export function DiagnoseDuration(input) {
+  let pos = 0;
+  const sign = input[0];
+  if (sign === '\u2212') return Failure(0, 'sign', 'a sign', 'write the minus sign as "-"');
+  if (sign === '+' || sign === '-') pos++;
+  if (input[pos] !== 'P' && input[pos] !== 'p') {
+    return Failure(pos, 'designator', '"P" at the start of the duration', Write(Replace(input, pos, pos, 'P')));
+  }
+  pos++;
+  let units = DATE_UNITS;
+  let order = 'YMWD';
+  let last = -1;
+  let fractional = false;
+  let any = false;
+  while (pos < input.length) {
+    const c = Call(StringPrototypeToUpperCase, input[pos], []);
+    if (c === 'T') {
+      if (units === TIME_UNITS) return Failure(pos, 'designator', 'only one "T" in the duration');
+      units = TIME_UNITS;
+      order = 'HMS';
+      last = -1;
+      pos++;
+      if (pos === input.length) return Failure(pos, 'designator', 'hours, minutes, or seconds after "T"');
+      continue;
+    }
+    const numberStart = pos;
+    const count = CountDigits(input, pos);
+    if (count === 0) return Failure(pos, 'duration', `a number followed by one of the units ${order}`);
+    pos += count;
+    let hasFraction = false;
+    if (input[pos] === '.' || input[pos] === ',') {
+      if (units === DATE_UNITS) return Failure(pos, 'fraction', 'no fraction in years, months, weeks, or days');
+      pos++;
+      const digits = CountDigits(input, pos);
+      if (digits === 0 || digits > 9) return Failure(pos, 'fraction', 'one to nine digits of a fraction');
+      pos += digits;
+      hasFraction = true;
+    }
+    const unit = Call(StringPrototypeToUpperCase, input[pos] ?? '', []);
+    const index = unit === '' ? -1 : Call(StringPrototypeIndexOf, order, [unit]);
+    if (index === -1) {
+      if (units === DATE_UNITS && (unit === 'H' || unit === 'S')) {
+        return Failure(
+          pos,
+          TIME_UNITS[unit],
+          '"T" before hours, minutes, and seconds',
+          Write(Replace(input, numberStart, numberStart, 'T'))
+        );
+      }
+      return Failure(pos, 'duration', `one of the units ${order}`);
+    }
+    if (index <= last) return Failure(pos, units[unit], `the units in the order ${order}`);
+    if (fractional) return Failure(numberStart, units[unit], 'no smaller unit after a fractional unit');
+    last = index;
+    fractional = hasFraction;
+    any = true;
+    pos++;
+  }
+  if (!any) return Failure(pos, 'duration', 'at least one unit', Write(`${input}T0S`));
+  return undefined;
+}
+
+export function CreateDurationError(helpers, input) {
+  if (helpers.probing) return UndiagnosedError('duration', input);
+  const diagnosis = DiagnoseDuration(input) ?? Failure(0, 'duration', 'an ISO 8601 duration');
+  return CreateParseError('duration', input, ResolveSuggestion(diagnosis, 'duration', helpers));
+}
+
+// The short forms YYYY-MM and MM-DD are only for the ISO calendar, so the
+// suggestion is a full ISO date, which can be in any calendar
+export function CreateShortFormCalendarError(helpers, input, form, calendar) {
+  if (helpers.probing) return UndiagnosedError('ISO 8601 string', input);
+  const annotation = Call(RegExpPrototypeExec, /\[!?u-ca=/, [input]);
+  const start = AnnotationsStart(input);
+  let date = Call(StringPrototypeSlice, input, [0, start]);
+  if (form === 'YYYY-MM') {
+    date += Call(StringPrototypeIndexOf, date, ['-']) === -1 ? '01' : '-01';
+  } else {
+    if (date[0] === '-' && date[1] === '-') date = Call(StringPrototypeSlice, date, [2]);
+    date = Call(StringPrototypeIndexOf, date, ['-']) === -1 ? `1972${date}` : `1972-${date}`;
+  }
+  const failure = Failure(
+    annotation.index,
+    'calendar key',
+    `the iso8601 calendar for the ${form} form`,
+    Write(`${date}[u-ca=${calendar}]`)
+  );
+  return CreateParseError('ISO 8601 string', input, ResolveSuggestion(failure, 'date-time', helpers));
+}
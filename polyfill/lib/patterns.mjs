@@ -0,0 +1,1131 @@
+import {
+  // constructors and similar
+  Date as DateCtor,
+  Map as MapCtor,
+  RegExp as RegExpCtor,
+
+  // error constructors
+  RangeError as RangeErrorCtor,
+  TypeError as TypeErrorCtor,
+
+  // class static functions and methods
+  ArrayPrototypeIncludes,
+  ArrayPrototypePush,
+  ArrayPrototypeSort,
+  DateUTC,
+  IntlDateTimeFormat,
+  IntlDateTimeFormatPrototypeFormatToParts,
+  MapPrototypeGet,
+  MapPrototypeSet,
+  MathAbs,
+  JSONStringify,
+  MathFloor,
+  MathMax,
+  MathTrunc,
+  NumberIsInteger,
+  ObjectCreate,
+  ObjectDefineProperty,
+  ObjectKeys,
+  RegExpPrototypeExec,
+  RegExpPrototypeTest,
+  StringPrototypePadEnd,
+  StringPrototypePadStart,
+  StringPrototypeRepeat,
+  StringPrototypeSlice,
+  StringPrototypeSplit,
+  StringPrototypeToLowerCase,
+  SymbolToStringTag
+} from './primordials.mjs';
+
+import Call from 'es-abstract/2024/Call.js';
+import bigInt from 'big-integer';
+
+import * as ES from './ecmascript.mjs';
+import { GetIntrinsic } from './intrinsicclass.mjs';
+import * as PARSE from './regex.mjs';
+import { CALENDAR, EPOCHNANOSECONDS, ISO_DATE, ISO_DATE_TIME, TIME, TIME_ZONE, GetSlot, HasSlot } from './slots.mjs';
+
+// Patterns are compiled into lists of tokens, which are either literal strings
+// or records of a field and how to write it. Each field needs some parts of a
+// date and time: Y (the year), M (the month), D (the day), T (the wall-clock
+// time), X (the exact time, with a time zone), or C (a calendar).
+const FIELD_PARTS = {
+  era: 'Y',
+  eraYear: 'Y',
+  year: 'Y',
+  century: 'Y',
+  yearOfWeek: 'YMD',
+  weekOfYear: 'YMD',
+  month: 'M',
+  monthName: 'M',
+  monthCode: 'M',
+  day: 'D',
+  dayOfYear: 'YMD',
+  dayOfWeek: 'YMD',
+  weekdayName: 'YMD',
+  dayPeriod: 'T',
+  hour: 'T',
+  hour12: 'T',
+  hour11: 'T',
+  hour24: 'T',
+  minute: 'T',
+  second: 'T',
+  fraction: 'T',
+  offset: 'X',
+  timeZoneId: 'X',
+  timeZoneName: 'X',
+  epochSeconds: 'X',
+  calendarId: 'C'
+};
+
+function NumericToken(field, minWidth, options = undefined) {
+  return { field, minWidth, pad: '0', twoDigit: false, ...options };
+}
+
+// Temporal property names that can be used in braces, like {monthCode}, and
+// the token that each one stands for
+const PROPERTY_TOKENS = {
+  calendarId: { field: 'calendarId' },
+  day: NumericToken('day', 1),
+  dayOfWeek: NumericToken('dayOfWeek', 1),
+  dayOfYear: NumericToken('dayOfYear', 1),
+  era: { field: 'era', style: 'code' },
+  eraYear: NumericToken('eraYear', 1),
+  hour: NumericToken('hour', 1),
+  minute: NumericToken('minute', 1),
+  month: NumericToken('month', 1),
+  monthCode: { field: 'monthCode' },
+  offset: { field: 'offset', style: 'temporal' },
+  second: NumericToken('second', 1),
+  timeZoneId: { field: 'timeZoneId' },
+  weekOfYear: NumericToken('weekOfYear', 1),
+  year: NumericToken('year', 1),
+  yearOfWeek: NumericToken('yearOfWeek', 1)
+};
+
+const TEXT_STYLES = [undefined, 'short', 'short', 'short', 'long', 'narrow'];
+
+// Options of the offset field, for each style
+const OFFSET_STYLES = {
+  // ±hh, with minutes if not zero
+  X: { zulu: true, separator: false, minutes: 'auto', seconds: false },
+  x: { zulu: false, separator: false, minutes: 'auto', seconds: false },
+  // ±hhmm
+  XX: { zulu: true, separator: false, minutes: 'always', seconds: false },
+  xx: { zulu: false, separator: false, minutes: 'always', seconds: false },
+  // ±hh:mm
+  XXX: { zulu: true, separator: true, minutes: 'always', seconds: false },
+  xxx: { zulu: false, separator: true, minutes: 'always', seconds: false },
+  // ±hhmm, with seconds if not zero
+  XXXX: { zulu: true, separator: false, minutes: 'always', seconds: 'auto' },
+  xxxx: { zulu: false, separator: false, minutes: 'always', seconds: 'auto' },
+  // ±hh:mm, with seconds if not zero
+  XXXXX: { zulu: true, separator: true, minutes: 'always', seconds: 'auto' },
+  xxxxx: { zulu: false, separator: true, minutes: 'always', seconds: 'auto' },
+  // ±hh:mm:ss
+  full: { zulu: false, separator: true, minutes: 'always', seconds: 'always' },
+  // GMT±hh:mm, or GMT
+  gmt: { zulu: false, separator: true, minutes: 'always', seconds: 'auto', gmt: true },
+  // As in Temporal.ZonedDateTime.prototype.offset
+  temporal: { zulu: false, separator: true, minutes: 'always', seconds: 'auto', fraction: true }
+};
+
+function RejectPatternWidth(letter, count, max) {
+  if (count > max) throw new RangeErrorCtor(`pattern letter ${letter} can't be repeated ${count} times`);
+}
+
+// Turns a run of a pattern letter in an LDML pattern into a token. See
+// https://unicode.org/reports/tr35/tr35-dates.html#Date_Field_Symbol_Table
+function LDMLToken(letter, count) {
+  switch (letter) {
+    case 'G':
+      RejectPatternWidth(letter, count, 5);
+      return { field: 'era', style: TEXT_STYLES[count] };
+    case 'y':
+    case 'u':
+    case 'Y': {
+      RejectPatternWidth(letter, count, 9);
+      const field = letter === 'y' ? 'eraYear' : letter === 'u' ? 'year' : 'yearOfWeek';
+      return NumericToken(field, count, { twoDigit: count === 2 });
+    }
+    case 'M':
+    case 'L':
+      RejectPatternWidth(letter, count, 5);
+      if (count >= 3) return { field: 'monthName', style: TEXT_STYLES[count] };
+      return NumericToken('month', count);
+    case 'w':
+      RejectPatternWidth(letter, count, 2);
+      return NumericToken('weekOfYear', count);
+    case 'd':
+      RejectPatternWidth(letter, count, 2);
+      return NumericToken('day', count);
+    case 'D':
+      RejectPatternWidth(letter, count, 3);
+      return NumericToken('dayOfYear', count);
+    case 'E':
+      RejectPatternWidth(letter, count, 5);
+      return { field: 'weekdayName', style: TEXT_STYLES[count] };
+    case 'e':
+    case 'c':
+      RejectPatternWidth(letter, count, 5);
+      if (count >= 3) return { field: 'weekdayName', style: TEXT_STYLES[count] };
+      return NumericToken('dayOfWeek', count);
+    case 'a':
+      RejectPatternWidth(letter, count, 5);
+      return { field: 'dayPeriod' };
+    case 'h':
+    case 'H':
+    case 'K':
+    case 'k':
+    case 'm':
+    case 's': {
+      RejectPatternWidth(letter, count, 2);
+      const fields = { h: 'hour12', H: 'hour', K: 'hour11', k: 'hour24', m: 'minute', s: 'second' };
+      return NumericToken(fields[letter], count);
+    }
+    case 'S':
+      RejectPatternWidth(letter, count, 9);
+      return { field: 'fraction', digits: count };
+    case 'X':
+    case 'x': {
+      RejectPatternWidth(letter, count, 5);
+      return { field: 'offset', style: Call(StringPrototypeRepeat, letter, [count]) };
+    }
+    case 'Z':
+      RejectPatternWidth(letter, count, 5);
+      if (count === 4) return { field: 'offset', style: 'gmt' };
+      return { field: 'offset', style: count === 5 ? 'XXXXX' : 'xx' };
+    case 'V':
+      if (count !== 2) throw new RangeErrorCtor('pattern letter V must be repeated twice, as VV');
+      return { field: 'timeZoneId' };
+    case 'z':
+      RejectPatternWidth(letter, count, 4);
+      return { field: 'timeZoneName', style: count === 4 ? 'long' : 'short' };
+  }
+  throw new RangeErrorCtor(`unsupported pattern letter ${letter}`);
+}
+
+function PropertyToken(name) {
+  const token = PROPERTY_TOKENS[name];
+  if (!token) throw new RangeErrorCtor(`unsupported property {${name}} in pattern`);
+  return token;
+}
+
+function ReadPropertyName(pattern, start) {
+  let end = start;
+  while (end < pattern.length && pattern[end] !== '}') end++;
+  if (end === pattern.length) throw new RangeErrorCtor(`unterminated { in pattern ${pattern}`);
+  return { name: Call(StringPrototypeSlice, pattern, [start, end]), end: end + 1 };
+}
+
+function PushLiteral(tokens, text) {
+  const last = tokens[tokens.length - 1];
+  if (typeof last === 'string') {
+    tokens[tokens.length - 1] = `${last}${text}`;
+  } else {
+    Call(ArrayPrototypePush, tokens, [text]);
+  }
+}
+
+function CompileLDMLPattern(pattern) {
+  const tokens = [];
+  let ix = 0;
+  while (ix < pattern.length) {
+    const char = pattern[ix];
+    if (char === "'") {
+      if (pattern[ix + 1] === "'") {
+        PushLiteral(tokens, "'");
+        ix += 2;
+        continue;
+      }
+      // Quoted text, in which '' is a single quote
+      let text = '';
+      ix++;
+      for (;;) {
+        if (ix >= pattern.length) throw new RangeErrorCtor(`unterminated quote in pattern ${pattern}`);
+        if (pattern[ix] === "'") {
+          if (pattern[ix + 1] !== "'") break;
+          ix++;
+        }
+        text += pattern[ix];
+        ix++;
+      }
+      PushLiteral(tokens, text);
+      ix++;
+    } else if (char === '{') {
+      const { name, end } = ReadPropertyName(pattern, ix + 1);
+      Call(ArrayPrototypePush, tokens, [{ ...PropertyToken(name), source: `{${name}}` }]);
+      ix = end;
+    } else if (Call(RegExpPrototypeTest, /[A-Za-z]/, [char])) {
+      let count = 1;
+      while (pattern[ix + count] === char) count++;
+      const source = Call(StringPrototypeSlice, pattern, [ix, ix + count]);
+      Call(ArrayPrototypePush, tokens, [{ ...LDMLToken(char, count), source }]);
+      ix += count;
+    } else {
+      PushLiteral(tokens, char);
+      ix++;
+    }
+  }
+  return tokens;
+}
+
+// Conversions of strftime(), including some from GNU date and Python, that
+// don't depend on the locale's preferred formats
+const STRFTIME_CONVERSIONS = {
+  a: { field: 'weekdayName', style: 'short' },
+  A: { field: 'weekdayName', style: 'long' },
+  b: { field: 'monthName', style: 'short' },
+  B: { field: 'monthName', style: 'long' },
+  C: NumericToken('century', 2),
+  d: NumericToken('day', 2),
+  e: NumericToken('day', 2, { pad: ' ' }),
+  f: { field: 'fraction', digits: 6 },
+  g: NumericToken('yearOfWeek', 2, { twoDigit: true }),
+  G: NumericToken('yearOfWeek', 4),
+  h: { field: 'monthName', style: 'short' },
+  H: NumericToken('hour', 2),
+  I: NumericToken('hour12', 2),
+  j: NumericToken('dayOfYear', 3),
+  k: NumericToken('hour', 2, { pad: ' ' }),
+  l: NumericToken('hour12', 2, { pad: ' ' }),
+  m: NumericToken('month', 2),
+  M: NumericToken('minute', 2),
+  N: { field: 'fraction', digits: 9 },
+  p: { field: 'dayPeriod' },
+  s: NumericToken('epochSeconds', 1),
+  S: NumericToken('second', 2),
+  u: NumericToken('dayOfWeek', 1),
+  V: NumericToken('weekOfYear', 2),
+  y: NumericToken('year', 2, { twoDigit: true }),
+  Y: NumericToken('year', 4),
+  z: { field: 'offset', style: 'xx' },
+  Z: { field: 'timeZoneName', style: 'short' }
+};
+
+const STRFTIME_COMPOSITES = {
+  D: '%m/%d/%y',
+  F: '%Y-%m-%d',
+  R: '%H:%M',
+  T: '%H:%M:%S'
+};
+
+const STRFTIME_LITERALS = { '%': '%', n: '\n', t: '\t' };
+
+const STRFTIME_OFFSET_STYLES = [undefined, 'xxx', 'full'];
+
+// Parses a conversion specification after a %: an optional flag (- for no
+// padding, _ for padding with spaces, 0 for padding with zeros), an optional
+// width, and for z, colons to add separators
+function CompileStrftimePattern(pattern) {
+  const tokens = [];
+  let ix = 0;
+  while (ix < pattern.length) {
+    const char = pattern[ix];
+    if (char !== '%') {
+      PushLiteral(tokens, char);
+      ix++;
+      continue;
+    }
+    const start = ix;
+    ix++;
+    let flag = undefined;
+    if (pattern[ix] === '-' || pattern[ix] === '_' || pattern[ix] === '0') flag = pattern[ix++];
+    let width = '';
+    while (ix < pattern.length && Call(RegExpPrototypeTest, /[0-9]/, [pattern[ix]])) width += pattern[ix++];
+    let colons = 0;
+    while (pattern[ix] === ':') {
+      colons++;
+      ix++;
+    }
+    const conversion = pattern[ix];
+    if (conversion === undefined) throw new RangeErrorCtor(`incomplete conversion at the end of pattern ${pattern}`);
+    ix++;
+    if (conversion === '{') {
+      const { name, end } = ReadPropertyName(pattern, ix);
+      Call(ArrayPrototypePush, tokens, [{ ...PropertyToken(name), source: `%{${name}}` }]);
+      ix = end;
+      continue;
+    }
+    const source = Call(StringPrototypeSlice, pattern, [start, ix]);
+    if (colons > 0 && (conversion !== 'z' || colons > 2)) {
+      throw new RangeErrorCtor(`invalid conversion ${source} in pattern`);
+    }
+    if (STRFTIME_LITERALS[conversion] !== undefined) {
+      PushLiteral(tokens, STRFTIME_LITERALS[conversion]);
+      continue;
+    }
+    if (STRFTIME_COMPOSITES[conversion] !== undefined) {
+      const compiled = CompileStrftimePattern(STRFTIME_COMPOSITES[conversion]);
+      for (let jx = 0; jx < compiled.length; jx++) {
+        const token = compiled[jx];
+        if (typeof token === 'string') {
+          PushLiteral(tokens, token);
+        } else {
+          Call(ArrayPrototypePush, tokens, [{ ...token, source }]);
+        }
+      }
+      continue;
+    }
+    let token = STRFTIME_CONVERSIONS[conversion];
+    if (!token) throw new RangeErrorCtor(`unsupported conversion ${source} in pattern`);
+    token = { ...token, source };
+    if (conversion === 'z') token.style = STRFTIME_OFFSET_STYLES[colons] ?? token.style;
+    if (token.field === 'fraction') {
+      if (width) token.digits = +width;
+      if (token.digits < 1 || token.digits > 9) throw new RangeErrorCtor(`invalid conversion ${source} in pattern`);
+    } else if (token.minWidth !== undefined) {
+      if (width) token.minWidth = +width;
+      if (flag === '-') token.minWidth = 0;
+      if (flag === '_') token.pad = ' ';
+      if (flag === '0') token.pad = '0';
+    }
+    Call(ArrayPrototypePush, tokens, [token]);
+  }
+  return tokens;
+}
+
+function CompilePattern(pattern, syntax) {
+  pattern = ES.RequireString(pattern);
+  return syntax === 'strftime' ? CompileStrftimePattern(pattern) : CompileLDMLPattern(pattern);
+}
+
+// Gathers what the item has that can be formatted, as ISO fields and a
+// calendar, plus the exact time and time zone if it has them
+function GetPatternSource(item) {
+  if (ES.IsTemporalZonedDateTime(item) || ES.IsTemporalInstant(item)) {
+    const epochNs = GetSlot(item, EPOCHNANOSECONDS);
+    const isZoned = HasSlot(item, TIME_ZONE);
+    const timeZone = isZoned ? GetSlot(item, TIME_ZONE) : 'UTC';
+    const offsetNs = ES.GetOffsetNanosecondsFor(timeZone, epochNs);
+    const { isoDate, time } = ES.GetISODateTimeFor(timeZone, epochNs);
+    const calendar = isZoned ? GetSlot(item, CALENDAR) : 'iso8601';
+    const type = isZoned ? 'Temporal.ZonedDateTime' : 'Temporal.Instant';
+    return { type, parts: 'YMDTXC', isoDate, time, calendar, epochNs, offsetNs, timeZone };
+  }
+  if (ES.IsTemporalDateTime(item)) {
+    const { isoDate, time } = GetSlot(item, ISO_DATE_TIME);
+    return { type: 'Temporal.PlainDateTime', parts: 'YMDTC', isoDate, time, calendar: GetSlot(item, CALENDAR) };
+  }
+  if (ES.IsTemporalTime(item)) return { type: 'Temporal.PlainTime', parts: 'T', time: GetSlot(item, TIME) };
+  let type, parts;
+  if (ES.IsTemporalDate(item)) {
+    type = 'Temporal.PlainDate';
+    parts = 'YMDC';
+  } else if (ES.IsTemporalYearMonth(item)) {
+    type = 'Temporal.PlainYearMonth';
+    parts = 'YMC';
+  } else if (ES.IsTemporalMonthDay(item)) {
+    type = 'Temporal.PlainMonthDay';
+    parts = 'MDC';
+  } else {
+    throw new TypeErrorCtor(
+      'expected an Instant, ZonedDateTime, PlainDateTime, PlainDate, PlainTime, PlainYearMonth, or PlainMonthDay'
+    );
+  }
+  return { type, parts, isoDate: GetSlot(item, ISO_DATE), calendar: GetSlot(item, CALENDAR) };
+}
+
+// Throws if the item lacks any part that a token needs, such as hours on a
+// Temporal.PlainDate
+function RejectUnavailableTokens(tokens, { type, parts }) {
+  for (let ix = 0; ix < tokens.length; ix++) {
+    const token = tokens[ix];
+    if (typeof token === 'string') continue;
+    const needed = FIELD_PARTS[token.field];
+    for (let jx = 0; jx < needed.length; jx++) {
+      if (!Call(ArrayPrototypeIncludes, parts, [needed[jx]])) {
+        throw new TypeErrorCtor(`${type} can't be formatted with ${token.source}`);
+      }
+    }
+  }
+}
+
+const formatters = new MapCtor();
+
+// Localized text comes from Intl.DateTimeFormat, formatting just one field
+function FormatTextPart(locale, calendar, timeZone, options, epochMs, type) {
+  const key = `${locale}|${calendar}|${timeZone}|${options}`;
+  let formatter = Call(MapPrototypeGet, formatters, [key]);
+  if (!formatter) {
+    const [field, value] = Call(StringPrototypeSplit, options, ['=']);
+    const intlCalendar = calendar === 'iso8601' ? 'gregory' : calendar;
+    formatter = new IntlDateTimeFormat(locale, { calendar: intlCalendar, timeZone, [field]: value, hourCycle: 'h12' });
+    Call(MapPrototypeSet, formatters, [key, formatter]);
+  }
+  if (!(MathAbs(epochMs) <= 8.64e15)) {
+    throw new RangeErrorCtor(`names in the ${calendar} calendar are only available in the range of Date`);
+  }
+  const parts = Call(IntlDateTimeFormatPrototypeFormatToParts, formatter, [new DateCtor(epochMs)]);
+  for (let ix = 0; ix < parts.length; ix++) {
+    if (parts[ix].type === type) return parts[ix].value;
+  }
+  throw new RangeErrorCtor(`no ${type} in ${calendar} calendar for locale ${locale}`);
+}
+
+function FormatNumber(value, token) {
+  let abs = MathAbs(value);
+  if (token.twoDigit) {
+    abs %= 100;
+    return Call(StringPrototypePadStart, `${abs}`, [2, '0']);
+  }
+  const digits = Call(StringPrototypePadStart, `${abs}`, [token.minWidth, token.pad]);
+  return value < 0 ? `-${digits}` : digits;
+}
+
+function FormatOffset(offsetNs, style) {
+  const { zulu, separator, minutes, seconds, gmt, fraction } = OFFSET_STYLES[style];
+  if (fraction) return ES.FormatUTCOffsetNanoseconds(offsetNs);
+  if (offsetNs === 0 && zulu) return 'Z';
+  if (offsetNs === 0 && gmt) return 'GMT';
+  const sign = offsetNs < 0 ? '-' : '+';
+  const totalSeconds = MathTrunc(MathAbs(offsetNs) / 1e9);
+  const hh = Call(StringPrototypePadStart, `${MathFloor(totalSeconds / 3600)}`, [2, '0']);
+  const mm = Call(StringPrototypePadStart, `${MathFloor(totalSeconds / 60) % 60}`, [2, '0']);
+  const ss = Call(StringPrototypePadStart, `${totalSeconds % 60}`, [2, '0']);
+  const sep = separator ? ':' : '';
+  let result = `${gmt ? 'GMT' : ''}${sign}${hh}`;
+  if (minutes === 'always' || mm !== '00') result += `${sep}${mm}`;
+  if (seconds === 'always' || (seconds === 'auto' && ss !== '00')) result += `${sep}${ss}`;
+  return result;
+}
+
+function FormatToken(token, source, locale) {
+  const { isoDate, time, calendar, epochNs, offsetNs, timeZone } = source;
+  let { calendarDate } = source;
+  if (isoDate && !calendarDate) {
+    const impl = GetIntrinsic('%calendarImpl%')(calendar);
+    calendarDate = impl.isoToDate(isoDate, { dayOfWeek: true, dayOfYear: true, weekOfYear: true, monthCode: true });
+    source.calendarDate = calendarDate;
+  }
+  // Names in the ISO calendar repeat every 400 years, so they are taken from
+  // the same day moved into the years 1600 to 1999, or -400 to -1 to keep the
+  // era, which works for dates outside the range of legacy Date as well
+  const localMs = () => {
+    let date = isoDate ?? { year: 1970, month: 1, day: 1 };
+    if (calendar === 'iso8601') {
+      const yearInCycle = ((date.year % 400) + 400) % 400;
+      date = { ...date, year: date.year > 0 ? 1600 + yearInCycle : yearInCycle - 400 };
+    }
+    const isoDateTime = ES.CombineISODateAndTimeRecord(date, time ?? ES.NoonTimeRecord());
+    return ES.epochNsToMs(ES.GetUTCEpochNanoseconds(isoDateTime), 'floor');
+  };
+  const hour = time?.hour;
+  switch (token.field) {
+    case 'era':
+      if (token.style !== 'code') {
+        return FormatTextPart(locale, calendar, 'UTC', `era=${token.style}`, localMs(), 'era');
+      }
+      if (calendarDate.era === undefined) throw new RangeErrorCtor(`the ${calendar} calendar has no eras`);
+      return calendarDate.era;
+    case 'eraYear': {
+      // Calendars without eras, like ISO 8601, count years before 1 as BC
+      const { eraYear, year } = calendarDate;
+      return FormatNumber(eraYear ?? (year > 0 ? year : 1 - year), token);
+    }
+    case 'year':
+      return FormatNumber(calendarDate.year, token);
+    case 'century':
+      return FormatNumber(MathFloor(calendarDate.year / 100), token);
+    case 'yearOfWeek':
+    case 'weekOfYear': {
+      const weekOfYear = calendarDate.weekOfYear;
+      if (weekOfYear?.week === undefined) throw new RangeErrorCtor(`the ${calendar} calendar has no week numbering`);
+      return FormatNumber(token.field === 'weekOfYear' ? weekOfYear.week : weekOfYear.year, token);
+    }
+    case 'month':
+      return FormatNumber(calendarDate.month, token);
+    case 'monthName':
+      return FormatTextPart(locale, calendar, 'UTC', `month=${token.style}`, localMs(), 'month');
+    case 'monthCode':
+      return calendarDate.monthCode;
+    case 'day':
+      return FormatNumber(calendarDate.day, token);
+    case 'dayOfYear':
+      return FormatNumber(calendarDate.dayOfYear, token);
+    case 'dayOfWeek':
+      return FormatNumber(calendarDate.dayOfWeek, token);
+    case 'weekdayName':
+      return FormatTextPart(locale, calendar, 'UTC', `weekday=${token.style}`, localMs(), 'weekday');
+    case 'dayPeriod':
+      return FormatTextPart(locale, 'iso8601', 'UTC', 'hour=numeric', localMs(), 'dayPeriod');
+    case 'hour':
+      return FormatNumber(hour, token);
+    case 'hour12':
+      return FormatNumber(hour % 12 || 12, token);
+    case 'hour11':
+      return FormatNumber(hour % 12, token);
+    case 'hour24':
+      return FormatNumber(hour || 24, token);
+    case 'minute':
+      return FormatNumber(time.minute, token);
+    case 'second':
+      return FormatNumber(time.second, token);
+    case 'fraction': {
+      const subSecondNs = time.millisecond * 1e6 + time.microsecond * 1e3 + time.nanosecond;
+      return Call(StringPrototypeSlice, Call(StringPrototypePadStart, `${subSecondNs}`, [9, '0']), [0, token.digits]);
+    }
+    case 'offset':
+      return FormatOffset(offsetNs, token.style);
+    case 'timeZoneId':
+      return ES.ToTemporalTimeZoneIdentifier(timeZone);
+    case 'timeZoneName': {
+      const id = ES.ToTemporalTimeZoneIdentifier(timeZone);
+      // Intl.DateTimeFormat doesn't know offset and custom time zones
+      if (ES.IsOffsetTimeZoneIdentifier(id) || ES.Type(timeZone) === 'Object') return FormatOffset(offsetNs, 'gmt');
+      const epochMs = ES.epochNsToMs(epochNs, 'floor');
+      return FormatTextPart(locale, 'iso8601', id, `timeZoneName=${token.style}`, epochMs, 'timeZoneName');
+    }
+    case 'epochSeconds':
+      return FormatNumber(ES.epochNsToSeconds(epochNs, 'floor'), token);
+    case 'calendarId':
+      return calendar;
+  }
+  throw new RangeErrorCtor(`unknown field ${token.field}`);
+}
+
+function GetPatternOptions(options) {
+  options = ES.GetOptionsObject(options);
+  let locale = options.locale;
+  locale = locale === undefined ? 'en' : ES.ToString(locale);
+  const syntax = ES.GetOption(options, 'syntax', ['ldml', 'strftime'], 'ldml');
+  return { locale, syntax };
+}
+
+const format = (item, pattern, options = undefined) => {
+  const source = GetPatternSource(item);
+  const { locale, syntax } = GetPatternOptions(options);
+  const tokens = CompilePattern(pattern, syntax);
+  RejectUnavailableTokens(tokens, source);
+  let result = '';
+  for (let ix = 0; ix < tokens.length; ix++) {
+    const token = tokens[ix];
+    result += typeof token === 'string' ? token : FormatToken(token, source, locale);
+  }
+  return result;
+};
+
+// Most digits that each numeric field can have when parsing, unless the next
+// token is also a number, which fixes the width
+const PARSE_MAX_DIGITS = {
+  century: 7,
+  day: 2,
+  dayOfWeek: 1,
+  dayOfYear: 3,
+  epochSeconds: 16,
+  eraYear: 9,
+  hour: 2,
+  hour11: 2,
+  hour12: 2,
+  hour24: 2,
+  minute: 2,
+  month: 2,
+  second: 2,
+  weekOfYear: 2,
+  year: 9,
+  yearOfWeek: 9
+};
+const SIGNED_FIELDS = ['century', 'epochSeconds', 'year', 'yearOfWeek'];
+const TIME_ZONE_ID_PREFIX = new RegExpCtor(`^(?:${PARSE.timeZoneID.source})`);
+
+function PatternParseError(state, message, pos = state.pos) {
+  return new RangeErrorCtor(`${message} at position ${pos} of ${state.string}`);
+}
+
+function IsNumericToken(token) {
+  return typeof token === 'object' && (token.minWidth !== undefined || token.field === 'fraction');
+}
+
+function SetParsedField(state, token, field, value) {
+  const previous = state.fields[field];
+  if (previous !== undefined && previous !== value) {
+    throw PatternParseError(state, `${token.source} doesn't match an earlier field`);
+  }
+  state.fields[field] = value;
+  // Remembered so that a field that turns out to be out of range is reported
+  // where it is in the string
+  if (previous === undefined) state.sources[field] = { pos: state.tokenStart, source: token.source };
+}
+
+function MatchText(state, text) {
+  const { string, pos, lenient } = state;
+  const found = Call(StringPrototypeSlice, string, [pos, pos + text.length]);
+  if (found === text) return true;
+  if (!lenient) return false;
+  return Call(StringPrototypeToLowerCase, found, []) === Call(StringPrototypeToLowerCase, text, []);
+}
+
+function ReadDigits(state, token, min, max) {
+  const { string } = state;
+  let end = state.pos;
+  while (end < string.length && end - state.pos < max && Call(RegExpPrototypeTest, /[0-9]/, [string[end]])) end++;
+  if (end - state.pos < min) {
+    const expected = min === max ? `${min}` : `${min} to ${max}`;
+    throw PatternParseError(state, `expected ${expected} digits for ${token.source}`);
+  }
+  const digits = Call(StringPrototypeSlice, string, [state.pos, end]);
+  state.pos = end;
+  return digits;
+}
+
+function ReadFraction(state, token, min, max) {
+  return +Call(StringPrototypePadEnd, ReadDigits(state, token, min, max), [9, '0']);
+}
+
+function ParseNumericToken(state, token, nextToken) {
+  const { string, lenient } = state;
+  if (token.field === 'fraction') {
+    const fraction = ReadFraction(state, token, lenient ? 1 : token.digits, lenient ? 9 : token.digits);
+    SetParsedField(state, token, 'fraction', fraction);
+    return;
+  }
+  let sign = 1;
+  if (!token.twoDigit && Call(ArrayPrototypeIncludes, SIGNED_FIELDS, [token.field])) {
+    if (string[state.pos] === '-') sign = -1;
+    if (string[state.pos] === '-' || string[state.pos] === '+') state.pos++;
+  }
+  let padding = 0;
+  if (token.pad === ' ') {
+    while (string[state.pos] === ' ' && padding < token.minWidth - 1) {
+      padding++;
+      state.pos++;
+    }
+  }
+  let min = lenient || token.pad === ' ' ? 1 : MathMax(token.minWidth, 1);
+  let max = token.twoDigit ? 2 : PARSE_MAX_DIGITS[token.field];
+  if (token.twoDigit && !lenient) min = 2;
+  // Numbers that run into each other, as in yyyyMMdd, can only be told apart
+  // by their widths
+  if (IsNumericToken(nextToken)) min = max = MathMax(token.minWidth - padding, 1);
+  const value = sign * +ReadDigits(state, token, min, max);
+  SetParsedField(state, token, token.twoDigit ? `${token.field}TwoDigit` : token.field, value);
+}
+
+const textCandidates = new MapCtor();
+
+// Names that a text field can have in the locale, in the ISO calendar, longest
+// first so that a name isn't taken for an abbreviation of itself
+function GetTextCandidates(state, token) {
+  const { locale, lenient } = state;
+  if (token.style === 'narrow') throw new RangeErrorCtor(`narrow names in ${token.source} can't be parsed`);
+  const styles = lenient || token.field === 'dayPeriod' ? ['short', 'long'] : [token.style];
+  const key = `${locale}|${token.field}|${styles}`;
+  let candidates = Call(MapPrototypeGet, textCandidates, [key]);
+  if (candidates) return candidates;
+  candidates = [];
+  const add = (options, epochMs, type, value) => {
+    const text = FormatTextPart(locale, 'iso8601', 'UTC', options, epochMs, type);
+    Call(ArrayPrototypePush, candidates, [{ text, value }]);
+  };
+  for (let ix = 0; ix < styles.length; ix++) {
+    const style = styles[ix];
+    switch (token.field) {
+      case 'monthName':
+        for (let month = 1; month <= 12; month++) add(`month=${style}`, DateUTC(2001, month - 1, 15), 'month', month);
+        break;
+      case 'weekdayName':
+        // 2001-01-01 was a Monday
+        for (let day = 1; day <= 7; day++) add(`weekday=${style}`, DateUTC(2001, 0, day), 'weekday', day);
+        break;
+      case 'era':
+        add(`era=${style}`, DateUTC(-1, 5, 15), 'era', 'bce');
+        add(`era=${style}`, DateUTC(2001, 5, 15), 'era', 'ce');
+        break;
+      case 'dayPeriod':
+        add('hour=numeric', DateUTC(2001, 0, 1, 0), 'dayPeriod', 'am');
+        add('hour=numeric', DateUTC(2001, 0, 1, 12), 'dayPeriod', 'pm');
+        break;
+    }
+  }
+  Call(ArrayPrototypeSort, candidates, [(a, b) => b.text.length - a.text.length]);
+  Call(MapPrototypeSet, textCandidates, [key, candidates]);
+  return candidates;
+}
+
+function ParseTextToken(state, token) {
+  const candidates = GetTextCandidates(state, token);
+  for (let ix = 0; ix < candidates.length; ix++) {
+    const { text, value } = candidates[ix];
+    if (MatchText(state, text)) {
+      state.pos += text.length;
+      const field = token.field === 'monthName' ? 'month' : token.field === 'weekdayName' ? 'dayOfWeek' : token.field;
+      SetParsedField(state, token, field, value);
+      return;
+    }
+  }
+  throw PatternParseError(state, `expected a name for ${token.source}`);
+}
+
+// Reads :mm or mm of an offset. In lenient mode the separator is optional.
+function ReadOffsetPart(state, token, separator, required) {
+  const { string, lenient } = state;
+  const start = state.pos;
+  const hasSeparator = string[state.pos] === ':';
+  if (hasSeparator) state.pos++;
+  const hasDigits = Call(RegExpPrototypeTest, /^[0-9]{2}/, [Call(StringPrototypeSlice, string, [state.pos])]);
+  if (hasDigits && (lenient || hasSeparator === separator)) return +ReadDigits(state, token, 2, 2);
+  state.pos = start;
+  if (required) throw PatternParseError(state, `expected ${separator ? ':mm' : 'mm'} for ${token.source}`);
+  return 0;
+}
+
+function ParseOffsetToken(state, token) {
+  const { string, lenient } = state;
+  const { zulu, separator, minutes, seconds, gmt, fraction } = OFFSET_STYLES[token.style];
+  if (gmt || (lenient && MatchText(state, 'GMT'))) {
+    if (!MatchText(state, 'GMT')) throw PatternParseError(state, `expected GMT for ${token.source}`);
+    state.pos += 3;
+    if (string[state.pos] !== '+' && string[state.pos] !== '-') {
+      SetParsedField(state, token, 'offset', 0);
+      return;
+    }
+  } else if ((zulu || lenient) && MatchText(state, 'Z')) {
+    state.pos++;
+    SetParsedField(state, token, 'offset', 0);
+    return;
+  }
+  const sign = string[state.pos];
+  if (sign !== '+' && sign !== '-') throw PatternParseError(state, `expected a UTC offset for ${token.source}`);
+  state.pos++;
+  const hours = +ReadDigits(state, token, gmt || lenient ? 1 : 2, 2);
+  const strict = !lenient;
+  const mm = ReadOffsetPart(state, token, separator, strict && minutes === 'always');
+  const ss = seconds || lenient ? ReadOffsetPart(state, token, separator, strict && seconds === 'always') : 0;
+  let ns = 0;
+  if ((fraction || lenient) && (string[state.pos] === '.' || string[state.pos] === ',')) {
+    state.pos++;
+    ns = ReadFraction(state, token, 1, 9);
+  }
+  if (hours > 23 || mm > 59 || ss > 59) throw PatternParseError(state, `invalid UTC offset for ${token.source}`);
+  const offsetNs = (sign === '-' ? -1 : 1) * (((hours * 60 + mm) * 60 + ss) * 1e9 + ns);
+  SetParsedField(state, token, 'offset', offsetNs);
+}
+
+function ReadMatch(state, token, regex, description) {
+  const match = Call(RegExpPrototypeExec, regex, [Call(StringPrototypeSlice, state.string, [state.pos])]);
+  if (!match) throw PatternParseError(state, `expected ${description} for ${token.source}`);
+  state.pos += match[0].length;
+  return match[0];
+}
+
+function ParseToken(state, token, nextToken) {
+  if (IsNumericToken(token)) {
+    ParseNumericToken(state, token, nextToken);
+    return;
+  }
+  const start = state.pos;
+  switch (token.field) {
+    case 'era':
+      if (token.style !== 'code') {
+        ParseTextToken(state, token);
+      } else {
+        SetParsedField(state, token, 'era', ReadMatch(state, token, /^b?ce/, 'ce or bce'));
+      }
+      return;
+    case 'monthName':
+    case 'weekdayName':
+    case 'dayPeriod':
+      ParseTextToken(state, token);
+      return;
+    case 'monthCode': {
+      const monthCode = ReadMatch(state, token, /^M[0-9]{2}L?/, 'a month code');
+      const month = +Call(StringPrototypeSlice, monthCode, [1, 3]);
+      if (monthCode.length !== 3 || month < 1 || month > 12) {
+        state.pos = start;
+        throw PatternParseError(state, `${monthCode} is not a month code of the ISO calendar`);
+      }
+      SetParsedField(state, token, 'month', month);
+      return;
+    }
+    case 'offset':
+      ParseOffsetToken(state, token);
+      return;
+    case 'timeZoneId': {
+      const id = ReadMatch(state, token, TIME_ZONE_ID_PREFIX, 'a time zone identifier');
+      let timeZone;
+      try {
+        timeZone = ES.ToTemporalTimeZoneSlotValue(id);
+      } catch {
+        state.pos = start;
+        throw PatternParseError(state, `unknown time zone ${id}`);
+      }
+      SetParsedField(state, token, 'timeZone', timeZone);
+      return;
+    }
+  }
+  throw new RangeErrorCtor(`unknown field ${token.field}`);
+}
+
+// Calendar IDs and time zone names can't be parsed back, because they don't
+// always identify one calendar or time zone
+function RejectUnparseableTokens(tokens) {
+  for (let ix = 0; ix < tokens.length; ix++) {
+    const token = tokens[ix];
+    if (typeof token !== 'string' && (token.field === 'calendarId' || token.field === 'timeZoneName')) {
+      throw new RangeErrorCtor(`${token.source} can't be parsed`);
+    }
+  }
+}
+
+function ParseLiteral(state, literal) {
+  const { string, lenient } = state;
+  for (let ix = 0; ix < literal.length; ix++) {
+    const char = literal[ix];
+    // In lenient mode, whitespace matches any amount of whitespace
+    if (lenient && Call(RegExpPrototypeTest, /\s/, [char])) {
+      while (state.pos < string.length && Call(RegExpPrototypeTest, /\s/, [string[state.pos]])) state.pos++;
+      continue;
+    }
+    if (!MatchText(state, char)) throw PatternParseError(state, `expected ${JSONStringify(literal)}`);
+    state.pos++;
+  }
+}
+
+// Two-digit years are in the hundred years that end with the pivot year
+function ResolveTwoDigitYear(twoDigitYear, pivotYear) {
+  const remainder = (pivotYear - twoDigitYear) % 100;
+  return pivotYear - (remainder < 0 ? remainder + 100 : remainder);
+}
+
+function ResolveParsedYear(fields, field, pivotYear) {
+  const twoDigit = fields[`${field}TwoDigit`];
+  const year = fields[field];
+  if (twoDigit === undefined) return year;
+  const resolved =
+    fields.century !== undefined && field === 'year'
+      ? fields.century * 100 + twoDigit
+      : ResolveTwoDigitYear(twoDigit, pivotYear);
+  if (year !== undefined && year !== resolved) throw new RangeErrorCtor(`conflicting ${field} fields`);
+  return resolved;
+}
+
+// Returns undefined for a field that wasn't parsed
+function RegulateField(state, field, min, max, overflow) {
+  const value = state.fields[field];
+  if (value === undefined) return undefined;
+  if (overflow === 'reject' && (value < min || value > max)) {
+    const { pos, source } = state.sources[field];
+    throw PatternParseError(state, `${value} out of range ${min} to ${max} for ${source}`, pos);
+  }
+  return ES.ConstrainToRange(value, min, max);
+}
+
+function ResolveParsedDate(state, overflow, pivotYear) {
+  const { fields } = state;
+  let year = ResolveParsedYear(fields, 'year', pivotYear);
+  if (fields.century !== undefined && fields.yearTwoDigit === undefined) {
+    throw new RangeErrorCtor('a century needs a two-digit year');
+  }
+  let eraYear = ResolveParsedYear(fields, 'eraYear', pivotYear);
+  if (eraYear !== undefined) {
+    if (fields.era === 'bce') eraYear = 1 - eraYear;
+    if (year !== undefined && year !== eraYear) throw new RangeErrorCtor('conflicting year fields');
+    year = eraYear;
+  } else if (fields.era !== undefined) {
+    throw new RangeErrorCtor('an era needs a year of the era');
+  }
+  const month = RegulateField(state, 'month', 1, 12, overflow);
+  const { day, dayOfYear, weekOfYear, dayOfWeek } = fields;
+  const yearOfWeek = ResolveParsedYear(fields, 'yearOfWeek', pivotYear);
+
+  let isoDate = undefined;
+  let fromWeekDate = false;
+  if (year !== undefined && month !== undefined && day !== undefined) {
+    const regulatedDay = RegulateField(state, 'day', 1, ES.ISODaysInMonth(year, month), overflow);
+    isoDate = ES.RegulateISODate(year, month, regulatedDay, overflow);
+  } else if (year !== undefined && dayOfYear !== undefined && month === undefined && day === undefined) {
+    isoDate = ES.BalanceISODate(year, 1, RegulateField(state, 'dayOfYear', 1, ES.LeapYear(year) ? 366 : 365, overflow));
+  } else if (yearOfWeek !== undefined && weekOfYear !== undefined && year === undefined && month === undefined) {
+    const week = RegulateField(state, 'weekOfYear', 1, ES.ISOWeeksInYear(yearOfWeek), overflow);
+    const weekday = RegulateField(state, 'dayOfWeek', 1, 7, overflow) ?? 1;
+    isoDate = ES.ISOWeekDateToISODate(yearOfWeek, week, weekday);
+    fromWeekDate = true;
+  } else if (
+    yearOfWeek !== undefined ||
+    weekOfYear !== undefined ||
+    dayOfYear !== undefined ||
+    dayOfWeek !== undefined ||
+    (day !== undefined && (year !== undefined || month === undefined))
+  ) {
+    throw new RangeErrorCtor('the pattern has part of a date, but not a whole date');
+  }
+  if (isoDate && !fromWeekDate) {
+    const iso = GetIntrinsic('%calendarImpl%')('iso8601');
+    const actual = iso.isoToDate(isoDate, { dayOfWeek: true, dayOfYear: true, weekOfYear: true });
+    if (dayOfWeek !== undefined && dayOfWeek !== actual.dayOfWeek) {
+      throw new RangeErrorCtor('the day of the week does not match the date');
+    }
+    if (
+      (yearOfWeek !== undefined && yearOfWeek !== actual.weekOfYear.year) ||
+      (weekOfYear !== undefined && weekOfYear !== actual.weekOfYear.week) ||
+      (dayOfYear !== undefined && dayOfYear !== actual.dayOfYear)
+    ) {
+      throw new RangeErrorCtor('the week or day of the year does not match the date');
+    }
+  }
+  return { isoDate, year, month, day };
+}
+
+function ResolveParsedTime(state, overflow) {
+  const { fields } = state;
+  const { hour11, hour12, hour24, dayPeriod } = fields;
+  let hour = fields.hour;
+  if (hour12 !== undefined || hour11 !== undefined) {
+    if (dayPeriod === undefined) throw new RangeErrorCtor('a 12-hour clock hour needs AM or PM');
+    const hourOfPeriod =
+      hour12 !== undefined
+        ? RegulateField(state, 'hour12', 1, 12, overflow)
+        : RegulateField(state, 'hour11', 0, 11, overflow);
+    const resolved = (hourOfPeriod % 12) + (dayPeriod === 'pm' ? 12 : 0);
+    if (hour !== undefined && hour !== resolved) throw new RangeErrorCtor('conflicting hour fields');
+    hour = resolved;
+  }
+  if (hour24 !== undefined) {
+    const resolved = RegulateField(state, 'hour24', 1, 24, overflow) % 24;
+    if (hour !== undefined && hour !== resolved) throw new RangeErrorCtor('conflicting hour fields');
+    hour = resolved;
+  }
+  if (hour === undefined) {
+    const parsed = ObjectKeys(fields);
+    for (let ix = 0; ix < parsed.length; ix++) {
+      if (FIELD_PARTS[parsed[ix]] === 'T') throw new RangeErrorCtor('the pattern has part of a time, but no hour');
+    }
+    return undefined;
+  }
+  if (fields.hour !== undefined) hour = RegulateField(state, 'hour', 0, 23, overflow);
+  const minute = RegulateField(state, 'minute', 0, 59, overflow) ?? 0;
+  const second = RegulateField(state, 'second', 0, 60, overflow) ?? 0;
+  const { fraction = 0 } = fields;
+  const millisecond = MathFloor(fraction / 1e6);
+  const microsecond = MathFloor(fraction / 1e3) % 1e3;
+  const nanosecond = fraction % 1e3;
+  // Leap seconds are constrained, like in ISO strings
+  return ES.RegulateTime(hour, minute, second === 60 ? 59 : second, millisecond, microsecond, nanosecond, overflow);
+}
+
+// Decides which Temporal type the parsed fields make, and creates it
+function CreateParsedResult(state, overflow, pivotYear) {
+  const { fields } = state;
+  const { offset, timeZone, epochSeconds } = fields;
+  if (epochSeconds !== undefined) {
+    const others = ObjectKeys(fields);
+    if (others.length > (fields.fraction === undefined ? 1 : 2)) {
+      throw new RangeErrorCtor('seconds since the epoch can only be combined with fractional seconds');
+    }
+    const epochNs = bigInt(epochSeconds)
+      .multiply(1e9)
+      .plus(fields.fraction ?? 0);
+    ES.ValidateEpochNanoseconds(epochNs);
+    const TemporalInstant = GetIntrinsic('%Temporal.Instant%');
+    return new TemporalInstant(epochNs);
+  }
+  const { isoDate, year, month, day } = ResolveParsedDate(state, overflow, pivotYear);
+  const time = ResolveParsedTime(state, overflow);
+  if (isoDate && time) {
+    if (offset === undefined && timeZone === undefined) {
+      return ES.CreateTemporalDateTime(ES.CombineISODateAndTimeRecord(isoDate, time));
+    }
+    if (timeZone === undefined) {
+      const offsetMinutes = offset / 60e9;
+      if (!NumberIsInteger(offsetMinutes)) throw new RangeErrorCtor('a UTC offset with seconds needs a time zone');
+      const offsetTimeZone = ES.FormatOffsetTimeZoneIdentifier(offsetMinutes);
+      const epochNs = ES.InterpretISODateTimeOffset(
+        isoDate,
+        time,
+        'exact',
+        offset,
+        offsetTimeZone,
+        'compatible',
+        'use',
+        false
+      );
+      return ES.CreateTemporalZonedDateTime(epochNs, offsetTimeZone);
+    }
+    // The offset must be one that the time zone has at the wall-clock time
+    const offsetBehaviour = offset === undefined ? 'wall' : 'option';
+    const epochNs = ES.InterpretISODateTimeOffset(
+      isoDate,
+      time,
+      offsetBehaviour,
+      offset ?? 0,
+      timeZone,
+      'compatible',
+      'reject',
+      false
+    );
+    return ES.CreateTemporalZonedDateTime(epochNs, timeZone);
+  }
+  if (offset !== undefined) throw new RangeErrorCtor('a UTC offset needs a date and a time');
+  if (isoDate) {
+    if (timeZone !== undefined) return ES.CreateTemporalZonedDateTime(ES.GetStartOfDay(timeZone, isoDate), timeZone);
+    return ES.CreateTemporalDate(isoDate);
+  }
+  if (timeZone !== undefined) throw new RangeErrorCtor('a time zone needs a date');
+  if (time) {
+    if (year !== undefined || month !== undefined) {
+      throw new RangeErrorCtor('the pattern has part of a date, but not a whole date');
+    }
+    return ES.CreateTemporalTime(time);
+  }
+  if (year !== undefined && month !== undefined) {
+    return ES.CreateTemporalYearMonth(ES.RegulateISODate(year, month, 1, overflow), 'iso8601');
+  }
+  if (month !== undefined && day !== undefined) {
+    // 1972 is the reference year of PlainMonthDay, and has February 29
+    const regulatedDay = RegulateField(state, 'day', 1, ES.ISODaysInMonth(1972, month), overflow);
+    return ES.CreateTemporalMonthDay(ES.RegulateISODate(1972, month, regulatedDay, overflow), 'iso8601');
+  }
+  throw new RangeErrorCtor('the pattern does not have the fields of any Temporal type');
+}
+
+function GetParseOptions(options) {
+  options = ES.GetOptionsObject(options);
+  const { locale, syntax } = GetPatternOptions(options);
+  // Like parsing ISO 8601 strings, parsing rejects out-of-range fields unless
+  // asked to constrain them
+  const overflow = ES.GetOption(options, 'overflow', ['constrain', 'reject'], 'reject');
+  const lenient = ES.GetOption(options, 'parse', ['strict', 'lenient'], 'strict') === 'lenient';
+  let pivotYear = options.pivotYear;
+  pivotYear = pivotYear === undefined ? 2049 : ES.ToIntegerWithTruncation(pivotYear);
+  return { locale, syntax, overflow, lenient, pivotYear };
+}
+
+const parse = (string, pattern, options = undefined) => {
+  string = ES.RequireString(string);
+  const { locale, syntax, overflow, lenient, pivotYear } = GetParseOptions(options);
+  const tokens = CompilePattern(pattern, syntax);
+  RejectUnparseableTokens(tokens);
+  const state = {
+    string,
+    pos: 0,
+    tokenStart: 0,
+    fields: ObjectCreate(null),
+    sources: ObjectCreate(null),
+    lenient,
+    locale
+  };
+  for (let ix = 0; ix < tokens.length; ix++) {
+    const token = tokens[ix];
+    if (typeof token === 'string') {
+      ParseLiteral(state, token);
+    } else {
+      state.tokenStart = state.pos;
+      ParseToken(state, token, tokens[ix + 1]);
+    }
+  }
+  // Trailing whitespace is allowed in lenient mode
+  if (lenient) ParseLiteral(state, ' ');
+  if (state.pos !== string.length) throw PatternParseError(state, 'unexpected text');
+  return CreateParsedResult(state, overflow, pivotYear);
+};
+
+export const Patterns = {
+  format,
+  parse
+};
+ObjectDefineProperty(Patterns, SymbolToStringTag, {
+  value: 'Temporal.Patterns',
+  writable: false,
+  enumerable: false,
+  configurable: true
+});
@@ -1,9 +1,10 @@
 import { TypeError as TypeErrorCtor } from './primordials.mjs';
 
 import * as ES from './ecmascript.mjs';
+import { ISODateFromExcelSerial, ExcelSerialFromISODate } from './epochs.mjs';
 import { DateTimeFormat } from './intl.mjs';
 import { MakeIntrinsicClass } from './intrinsicclass.mjs';
-import { CALENDAR, GetSlot, ISO_DATE, TIME } from './slots.mjs';
+import { CALENDAR, GetSlot, ISO_DATE, RANGE, TIME } from './slots.mjs';
 
 export class PlainDate {
   constructor(isoYear, isoMonth, isoDay, calendar = 'iso8601') {
@@ -114,13 +115,14 @@ export class PlainDate {
     fields = ES.CalendarMergeFields(calendar, fields, partialDate);
 
     const overflow = ES.GetTemporalOverflowOption(ES.GetOptionsObject(options));
-    const isoDate = ES.CalendarDateFromFields(calendar, fields, overflow);
-    return ES.CreateTemporalDate(isoDate, calendar);
+    const range = GetSlot(this, RANGE);
+    const isoDate = ES.CalendarDateFromFields(calendar, fields, overflow, range);
+    return ES.CreateTemporalDate(isoDate, calendar, range);
   }
   withCalendar(calendar) {
     if (!ES.IsTemporalDate(this)) throw new TypeErrorCtor('invalid receiver');
     calendar = ES.ToTemporalCalendarIdentifier(calendar);
-    return ES.CreateTemporalDate(GetSlot(this, ISO_DATE), calendar);
+    return ES.CreateTemporalDate(GetSlot(this, ISO_DATE), calendar, GetSlot(this, RANGE));
   }
   add(temporalDurationLike, options = undefined) {
     if (!ES.IsTemporalDate(this)) throw new TypeErrorCtor('invalid receiver');
@@ -148,7 +150,8 @@ export class PlainDate {
     if (!ES.IsTemporalDate(this)) throw new TypeErrorCtor('invalid receiver');
     const resolvedOptions = ES.GetOptionsObject(options);
     const showCalendar = ES.GetTemporalShowCalendarNameOption(resolvedOptions);
-    return ES.TemporalDateToString(this, showCalendar);
+    const dateFormat = ES.GetTemporalDateFormatOption(resolvedOptions);
+    return ES.TemporalDateToString(this, showCalendar, dateFormat);
   }
   toJSON() {
     if (!ES.IsTemporalDate(this)) throw new TypeErrorCtor('invalid receiver');
@@ -165,7 +168,7 @@ export class PlainDate {
     if (!ES.IsTemporalDate(this)) throw new TypeErrorCtor('invalid receiver');
     const time = ES.ToTimeRecordOrMidnight(temporalTime);
     const isoDateTime = ES.CombineISODateAndTimeRecord(GetSlot(this, ISO_DATE), time);
-    return ES.CreateTemporalDateTime(isoDateTime, GetSlot(this, CALENDAR));
+    return ES.CreateTemporalDateTime(isoDateTime, GetSlot(this, CALENDAR), GetSlot(this, RANGE));
   }
   toZonedDateTime(item) {
     if (!ES.IsTemporalDate(this)) throw new TypeErrorCtor('invalid receiver');
@@ -174,13 +177,13 @@ export class PlainDate {
     if (ES.Type(item) === 'Object') {
       const timeZoneLike = item.timeZone;
       if (timeZoneLike === undefined) {
-        timeZone = ES.ToTemporalTimeZoneIdentifier(item);
+        timeZone = ES.ToTemporalTimeZoneSlotValue(item);
       } else {
-        timeZone = ES.ToTemporalTimeZoneIdentifier(timeZoneLike);
+        timeZone = ES.ToTemporalTimeZoneSlotValue(timeZoneLike);
         temporalTime = item.plainTime;
       }
     } else {
-      timeZone = ES.ToTemporalTimeZoneIdentifier(item);
+      timeZone = ES.ToTemporalTimeZoneSlotValue(item);
     }
 
     const isoDate = GetSlot(this, ISO_DATE);
@@ -198,8 +201,9 @@ export class PlainDate {
     if (!ES.IsTemporalDate(this)) throw new TypeErrorCtor('invalid receiver');
     const calendar = GetSlot(this, CALENDAR);
     const fields = ES.ISODateToFields(calendar, GetSlot(this, ISO_DATE));
-    const isoDate = ES.CalendarYearMonthFromFields(calendar, fields);
-    return ES.CreateTemporalYearMonth(isoDate, calendar);
+    const range = GetSlot(this, RANGE);
+    const isoDate = ES.CalendarYearMonthFromFields(calendar, fields, 'constrain', range);
+    return ES.CreateTemporalYearMonth(isoDate, calendar, range);
   }
   toPlainMonthDay() {
     if (!ES.IsTemporalDate(this)) throw new TypeErrorCtor('invalid receiver');
@@ -208,7 +212,14 @@ export class PlainDate {
     const isoDate = ES.CalendarMonthDayFromFields(calendar, fields);
     return ES.CreateTemporalMonthDay(isoDate, calendar);
   }
+  toExcelSerial(options = undefined) {
+    if (!ES.IsTemporalDate(this)) throw new TypeErrorCtor('invalid receiver');
+    return ExcelSerialFromISODate(GetSlot(this, ISO_DATE), options);
+  }
 
+  static fromExcelSerial(serial, options = undefined) {
+    return ES.CreateTemporalDate(ISODateFromExcelSerial(serial, options), 'iso8601');
+  }
   static from(item, options = undefined) {
     return ES.ToTemporalDate(item, options);
   }
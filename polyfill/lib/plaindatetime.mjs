@@ -8,10 +8,11 @@ import {
 } from './primordials.mjs';
 
 import * as ES from './ecmascript.mjs';
+import { ISODateTimeFromExcelSerial, ExcelSerialFromISODateTime } from './epochs.mjs';
 import { DateTimeFormat } from './intl.mjs';
 import { MakeIntrinsicClass } from './intrinsicclass.mjs';
 
-import { CALENDAR, GetSlot, ISO_DATE_TIME } from './slots.mjs';
+import { CALENDAR, GetSlot, ISO_DATE_TIME, RANGE } from './slots.mjs';
 
 export class PlainDateTime {
   constructor(
@@ -170,19 +171,20 @@ export class PlainDateTime {
     fields = ES.CalendarMergeFields(calendar, fields, partialDateTime);
 
     const overflow = ES.GetTemporalOverflowOption(ES.GetOptionsObject(options));
-    const newDateTime = ES.InterpretTemporalDateTimeFields(calendar, fields, overflow);
-    return ES.CreateTemporalDateTime(newDateTime, calendar);
+    const range = GetSlot(this, RANGE);
+    const newDateTime = ES.InterpretTemporalDateTimeFields(calendar, fields, overflow, range);
+    return ES.CreateTemporalDateTime(newDateTime, calendar, range);
   }
   withPlainTime(temporalTime = undefined) {
     if (!ES.IsTemporalDateTime(this)) throw new TypeErrorCtor('invalid receiver');
     const time = ES.ToTimeRecordOrMidnight(temporalTime);
     const isoDateTime = ES.CombineISODateAndTimeRecord(GetSlot(this, ISO_DATE_TIME).isoDate, time);
-    return ES.CreateTemporalDateTime(isoDateTime, GetSlot(this, CALENDAR));
+    return ES.CreateTemporalDateTime(isoDateTime, GetSlot(this, CALENDAR), GetSlot(this, RANGE));
   }
   withCalendar(calendar) {
     if (!ES.IsTemporalDateTime(this)) throw new TypeErrorCtor('invalid receiver');
     calendar = ES.ToTemporalCalendarIdentifier(calendar);
-    return ES.CreateTemporalDateTime(GetSlot(this, ISO_DATE_TIME), calendar);
+    return ES.CreateTemporalDateTime(GetSlot(this, ISO_DATE_TIME), calendar, GetSlot(this, RANGE));
   }
   add(temporalDurationLike, options = undefined) {
     if (!ES.IsTemporalDateTime(this)) throw new TypeErrorCtor('invalid receiver');
@@ -228,11 +230,11 @@ export class PlainDateTime {
 
     const isoDateTime = GetSlot(this, ISO_DATE_TIME);
     if (roundingIncrement === 1 && smallestUnit === 'nanosecond') {
-      return ES.CreateTemporalDateTime(isoDateTime, GetSlot(this, CALENDAR));
+      return ES.CreateTemporalDateTime(isoDateTime, GetSlot(this, CALENDAR), GetSlot(this, RANGE));
     }
     const result = ES.RoundISODateTime(isoDateTime, roundingIncrement, smallestUnit, roundingMode);
 
-    return ES.CreateTemporalDateTime(result, GetSlot(this, CALENDAR));
+    return ES.CreateTemporalDateTime(result, GetSlot(this, CALENDAR), GetSlot(this, RANGE));
   }
   equals(other) {
     if (!ES.IsTemporalDateTime(this)) throw new TypeErrorCtor('invalid receiver');
@@ -244,14 +246,15 @@ export class PlainDateTime {
     if (!ES.IsTemporalDateTime(this)) throw new TypeErrorCtor('invalid receiver');
     const resolvedOptions = ES.GetOptionsObject(options);
     const showCalendar = ES.GetTemporalShowCalendarNameOption(resolvedOptions);
+    const dateFormat = ES.GetTemporalDateFormatOption(resolvedOptions);
     const digits = ES.GetTemporalFractionalSecondDigitsOption(resolvedOptions);
     const roundingMode = ES.GetRoundingModeOption(resolvedOptions, 'trunc');
     const smallestUnit = ES.GetTemporalUnitValuedOption(resolvedOptions, 'smallestUnit', 'time', undefined);
     if (smallestUnit === 'hour') throw new RangeErrorCtor('smallestUnit must be a time unit other than "hour"');
     const { precision, unit, increment } = ES.ToSecondsStringPrecisionRecord(smallestUnit, digits);
     const result = ES.RoundISODateTime(GetSlot(this, ISO_DATE_TIME), increment, unit, roundingMode);
-    ES.RejectDateTimeRange(result);
-    return ES.ISODateTimeToString(result, GetSlot(this, CALENDAR), precision, showCalendar);
+    ES.RejectDateTimeRange(result, GetSlot(this, RANGE));
+    return ES.ISODateTimeToString(result, GetSlot(this, CALENDAR), precision, showCalendar, dateFormat);
   }
   toJSON() {
     if (!ES.IsTemporalDateTime(this)) throw new TypeErrorCtor('invalid receiver');
@@ -267,7 +270,7 @@ export class PlainDateTime {
 
   toZonedDateTime(temporalTimeZoneLike, options = undefined) {
     if (!ES.IsTemporalDateTime(this)) throw new TypeErrorCtor('invalid receiver');
-    const timeZone = ES.ToTemporalTimeZoneIdentifier(temporalTimeZoneLike);
+    const timeZone = ES.ToTemporalTimeZoneSlotValue(temporalTimeZoneLike);
     const resolvedOptions = ES.GetOptionsObject(options);
     const disambiguation = ES.GetTemporalDisambiguationOption(resolvedOptions);
     const epochNs = ES.GetEpochNanosecondsFor(timeZone, GetSlot(this, ISO_DATE_TIME), disambiguation);
@@ -275,13 +278,20 @@ export class PlainDateTime {
   }
   toPlainDate() {
     if (!ES.IsTemporalDateTime(this)) throw new TypeErrorCtor('invalid receiver');
-    return ES.CreateTemporalDate(GetSlot(this, ISO_DATE_TIME).isoDate, GetSlot(this, CALENDAR));
+    return ES.CreateTemporalDate(GetSlot(this, ISO_DATE_TIME).isoDate, GetSlot(this, CALENDAR), GetSlot(this, RANGE));
   }
   toPlainTime() {
     if (!ES.IsTemporalDateTime(this)) throw new TypeErrorCtor('invalid receiver');
     return ES.CreateTemporalTime(GetSlot(this, ISO_DATE_TIME).time);
   }
+  toExcelSerial(options = undefined) {
+    if (!ES.IsTemporalDateTime(this)) throw new TypeErrorCtor('invalid receiver');
+    return ExcelSerialFromISODateTime(GetSlot(this, ISO_DATE_TIME), options);
+  }
 
+  static fromExcelSerial(serial, options = undefined) {
+    return ES.CreateTemporalDateTime(ISODateTimeFromExcelSerial(serial, options), 'iso8601');
+  }
   static from(item, options = undefined) {
     return ES.ToTemporalDateTime(item, options);
   }
@@ -3,7 +3,7 @@ import { TypeError as TypeErrorCtor } from './primordials.mjs';
 import * as ES from './ecmascript.mjs';
 import { DateTimeFormat } from './intl.mjs';
 import { MakeIntrinsicClass } from './intrinsicclass.mjs';
-import { CALENDAR, GetSlot, ISO_DATE } from './slots.mjs';
+import { CALENDAR, GetSlot, ISO_DATE, RANGE } from './slots.mjs';
 
 export class PlainYearMonth {
   constructor(isoYear, isoMonth, calendar = 'iso8601', referenceISODay = 1) {
@@ -84,8 +84,9 @@ export class PlainYearMonth {
     fields = ES.CalendarMergeFields(calendar, fields, partialYearMonth);
 
     const overflow = ES.GetTemporalOverflowOption(ES.GetOptionsObject(options));
-    const isoDate = ES.CalendarYearMonthFromFields(calendar, fields, overflow);
-    return ES.CreateTemporalYearMonth(isoDate, calendar);
+    const range = GetSlot(this, RANGE);
+    const isoDate = ES.CalendarYearMonthFromFields(calendar, fields, overflow, range);
+    return ES.CreateTemporalYearMonth(isoDate, calendar, range);
   }
   add(temporalDurationLike, options = undefined) {
     if (!ES.IsTemporalYearMonth(this)) throw new TypeErrorCtor('invalid receiver');
@@ -134,8 +135,9 @@ export class PlainYearMonth {
     const fields = ES.ISODateToFields(calendar, GetSlot(this, ISO_DATE), 'year-month');
     const inputFields = ES.PrepareCalendarFields(calendar, item, ['day'], [], []);
     const mergedFields = ES.CalendarMergeFields(calendar, fields, inputFields);
-    const isoDate = ES.CalendarDateFromFields(calendar, mergedFields, 'constrain');
-    return ES.CreateTemporalDate(isoDate, calendar);
+    const range = GetSlot(this, RANGE);
+    const isoDate = ES.CalendarDateFromFields(calendar, mergedFields, 'constrain', range);
+    return ES.CreateTemporalDate(isoDate, calendar, range);
   }
 
   static from(item, options = undefined) {
@@ -0,0 +1,239 @@
+import {
+  // error constructors
+  RangeError as RangeErrorCtor,
+
+  // class static functions and methods
+  ArrayPrototypePush,
+  MathFloor,
+  RegExpPrototypeExec,
+  StringPrototypeSlice
+} from './primordials.mjs';
+
+import Call from 'es-abstract/2024/Call.js';
+
+// POSIX TZ strings, as used in the footer of TZif files (RFC 8536 section 3.3)
+// and by the TZ environment variable, e.g. "CET-1CEST,M3.5.0,M10.5.0/3".
+// Offsets in these strings are positive west of Greenwich, which is the
+// opposite of the convention used everywhere else; the parsed rule stores
+// offsets in seconds east of UTC.
+
+const name = '([A-Za-z]{3,}|<[A-Za-z0-9+-]{3,}>)';
+const offset = '([+-]?\\d{1,2}(?::\\d{1,2}(?::\\d{1,2})?)?)';
+const date = '(J\\d{1,3}|\\d{1,3}|M\\d{1,2}\\.\\d\\.\\d)';
+const time = '(?:/([+-]?\\d{1,3}(?::\\d{1,2}(?::\\d{1,2})?)?))?';
+const POSIX_TZ = new RegExp(`^${name}${offset}(?:${name}${offset}?(?:,${date}${time},${date}${time})?)?$`);
+
+const DAY_SECONDS = 86400;
+const DEFAULT_TRANSITION_TIME = 7200;
+
+function ParseHMS(string, maxHours) {
+  let sign = 1;
+  if (string[0] === '+' || string[0] === '-') {
+    if (string[0] === '-') sign = -1;
+    string = Call(StringPrototypeSlice, string, [1]);
+  }
+  const match = Call(RegExpPrototypeExec, /^(\d+)(?::(\d+)(?::(\d+))?)?$/, [string]);
+  const hours = +match[1];
+  const minutes = +(match[2] ?? 0);
+  const seconds = +(match[3] ?? 0);
+  if (hours > maxHours || minutes > 59 || seconds > 59) return undefined;
+  return sign * (hours * 3600 + minutes * 60 + seconds);
+}
+
+function ParseDateRule(string, timeString) {
+  const time = timeString === undefined ? DEFAULT_TRANSITION_TIME : ParseHMS(timeString, 167);
+  if (time === undefined) return undefined;
+  if (string[0] === 'J') {
+    const day = +Call(StringPrototypeSlice, string, [1]);
+    if (day < 1 || day > 365) return undefined;
+    return { kind: 'julian', day, time };
+  }
+  if (string[0] === 'M') {
+    const match = Call(RegExpPrototypeExec, /^M(\d+)\.(\d)\.(\d)$/, [string]);
+    const month = +match[1];
+    const week = +match[2];
+    const weekday = +match[3];
+    if (month < 1 || month > 12 || week < 1 || week > 5 || weekday > 6) return undefined;
+    return { kind: 'month', month, week, weekday, time };
+  }
+  const day = +string;
+  if (day > 365) return undefined;
+  return { kind: 'zero-based', day, time };
+}
+
+function ThrowInvalidPOSIXTZString(string) {
+  throw new RangeErrorCtor(`invalid POSIX TZ string: ${string}`);
+}
+
+function StripName(name) {
+  return name[0] === '<' ? Call(StringPrototypeSlice, name, [1, -1]) : name;
+}
+
+export function ParsePOSIXTZString(string) {
+  const match = Call(RegExpPrototypeExec, POSIX_TZ, [string]);
+  if (!match) ThrowInvalidPOSIXTZString(string);
+  const stdOffset = ParseHMS(match[2], 24);
+  if (stdOffset === undefined) ThrowInvalidPOSIXTZString(string);
+  const rule = {
+    string,
+    stdName: StripName(match[1]),
+    stdOffset: -stdOffset,
+    dstName: undefined,
+    dstOffset: -stdOffset,
+    start: undefined,
+    end: undefined
+  };
+  if (match[3] === undefined) return rule;
+
+  rule.dstName = StripName(match[3]);
+  if (match[4] !== undefined) {
+    const dstOffset = ParseHMS(match[4], 24);
+    if (dstOffset === undefined) ThrowInvalidPOSIXTZString(string);
+    rule.dstOffset = -dstOffset;
+  } else {
+    rule.dstOffset = rule.stdOffset + 3600;
+  }
+  // Without explicit rules, fall back to the current US rules like other
+  // implementations of the TZ environment variable do
+  rule.start = ParseDateRule(match[5] ?? 'M3.2.0', match[6]);
+  rule.end = ParseDateRule(match[7] ?? 'M11.1.0', match[8]);
+  if (!rule.start || !rule.end) ThrowInvalidPOSIXTZString(string);
+  return rule;
+}
+
+// Days since 1970-01-01 of a proleptic Gregorian date, and the inverse year
+// lookup; see http://howardhinnant.github.io/date_algorithms.html
+function DaysFromCivil(year, month, day) {
+  if (month <= 2) year -= 1;
+  const era = MathFloor(year / 400);
+  const yearOfEra = year - era * 400;
+  const dayOfYear = MathFloor((153 * (month + (month > 2 ? -3 : 9)) + 2) / 5) + day - 1;
+  const dayOfEra = yearOfEra * 365 + MathFloor(yearOfEra / 4) - MathFloor(yearOfEra / 100) + dayOfYear;
+  return era * 146097 + dayOfEra - 719468;
+}
+
+function YearFromEpochSeconds(epochSeconds) {
+  const days = MathFloor(epochSeconds / DAY_SECONDS) + 719468;
+  const era = MathFloor(days / 146097);
+  const dayOfEra = days - era * 146097;
+  const yearOfEra = MathFloor(
+    (dayOfEra - MathFloor(dayOfEra / 1460) + MathFloor(dayOfEra / 36524) - MathFloor(dayOfEra / 146096)) / 365
+  );
+  const dayOfYear = dayOfEra - (365 * yearOfEra + MathFloor(yearOfEra / 4) - MathFloor(yearOfEra / 100));
+  const shiftedMonth = MathFloor((5 * dayOfYear + 2) / 153);
+  return yearOfEra + era * 400 + (shiftedMonth >= 10 ? 1 : 0);
+}
+
+function IsLeapYear(year) {
+  return year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+}
+
+function DaysInMonth(year, month) {
+  if (month === 2) return IsLeapYear(year) ? 29 : 28;
+  return month === 4 || month === 6 || month === 9 || month === 11 ? 30 : 31;
+}
+
+function DateRuleEpochDays(dateRule, year) {
+  const jan1 = DaysFromCivil(year, 1, 1);
+  switch (dateRule.kind) {
+    case 'julian':
+      return jan1 + dateRule.day - 1 + (IsLeapYear(year) && dateRule.day >= 60 ? 1 : 0);
+    case 'zero-based':
+      return jan1 + dateRule.day;
+    case 'month': {
+      const { month, week, weekday } = dateRule;
+      const first = DaysFromCivil(year, month, 1);
+      const firstWeekday = (((first + 4) % 7) + 7) % 7; // 1970-01-01 was a Thursday
+      let day = 1 + ((weekday - firstWeekday + 7) % 7) + (week - 1) * 7;
+      while (day > DaysInMonth(year, month)) day -= 7;
+      return first + day - 1;
+    }
+  }
+}
+
+// Transitions of one year, ordered by time. The rule's transition times are
+// given in the local time in effect before the transition.
+function TransitionsInYear(rule, year) {
+  const start = DateRuleEpochDays(rule.start, year) * DAY_SECONDS + rule.start.time - rule.stdOffset;
+  const end = DateRuleEpochDays(rule.end, year) * DAY_SECONDS + rule.end.time - rule.dstOffset;
+  const toDST = { epochSeconds: start, offsetSeconds: rule.dstOffset, isDST: true };
+  const toStandard = { epochSeconds: end, offsetSeconds: rule.stdOffset, isDST: false };
+  return start <= end ? [toDST, toStandard] : [toStandard, toDST];
+}
+
+// Transitions from the years firstYear through lastYear. Where two transitions
+// coincide (e.g. year-round DST, which RFC 8536 expresses as DST ending at the
+// same instant that it starts in the following year) only the later one is
+// kept, and transitions that don't change the offset are marked as such. The
+// following year is included so that the last transition can be collapsed
+// with its successor if necessary, and then discarded.
+function TransitionsInYears(rule, firstYear, lastYear) {
+  const result = [];
+  for (let year = firstYear; year <= lastYear + 1; year++) {
+    const transitions = TransitionsInYear(rule, year);
+    for (let ix = 0; ix < transitions.length; ix++) {
+      const transition = transitions[ix];
+      const previous = result[result.length - 1];
+      if (previous && previous.epochSeconds >= transition.epochSeconds) result.length -= 1;
+      Call(ArrayPrototypePush, result, [transition]);
+    }
+  }
+  result.length -= 1;
+  for (let ix = 0; ix < result.length; ix++) {
+    result[ix].changesOffset = ix > 0 && result[ix].offsetSeconds !== result[ix - 1].offsetSeconds;
+  }
+  return result;
+}
+
+// Returns the last transition at or before epochSeconds, or undefined if the
+// rule has no DST
+function TransitionAtOrBefore(rule, epochSeconds) {
+  if (rule.dstName === undefined) return undefined;
+  const year = YearFromEpochSeconds(epochSeconds);
+  const transitions = TransitionsInYears(rule, year - 1, year + 1);
+  for (let ix = transitions.length - 1; ix >= 0; ix--) {
+    if (transitions[ix].epochSeconds <= epochSeconds) return transitions[ix];
+  }
+  return undefined;
+}
+
+export function GetPOSIXTZOffsetSeconds(rule, epochSeconds) {
+  const transition = TransitionAtOrBefore(rule, epochSeconds);
+  return transition ? transition.offsetSeconds : rule.stdOffset;
+}
+
+// Returns the UTC offset, DST flag and abbreviation in effect at epochSeconds,
+// along with the standard offset
+export function GetPOSIXTZLocalTimeType(rule, epochSeconds) {
+  const isDST = TransitionAtOrBefore(rule, epochSeconds)?.isDST ?? false;
+  return {
+    offsetSeconds: isDST ? rule.dstOffset : rule.stdOffset,
+    isDST,
+    abbreviation: isDST ? rule.dstName : rule.stdName,
+    standardOffsetSeconds: rule.stdOffset
+  };
+}
+
+// Returns the first transition strictly after epochSeconds, or null
+export function GetPOSIXTZNextTransition(rule, epochSeconds) {
+  if (rule.dstName === undefined || rule.dstOffset === rule.stdOffset) return null;
+  const year = YearFromEpochSeconds(epochSeconds);
+  const transitions = TransitionsInYears(rule, year - 2, year + 2);
+  for (let ix = 0; ix < transitions.length; ix++) {
+    const { epochSeconds: transitionSeconds, changesOffset } = transitions[ix];
+    if (changesOffset && transitionSeconds > epochSeconds) return transitionSeconds;
+  }
+  return null;
+}
+
+// Returns the last transition strictly before epochSeconds, or null
+export function GetPOSIXTZPreviousTransition(rule, epochSeconds) {
+  if (rule.dstName === undefined || rule.dstOffset === rule.stdOffset) return null;
+  const year = YearFromEpochSeconds(epochSeconds);
+  const transitions = TransitionsInYears(rule, year - 2, year + 2);
+  for (let ix = transitions.length - 1; ix >= 0; ix--) {
+    const { epochSeconds: transitionSeconds, changesOffset } = transitions[ix];
+    if (changesOffset && transitionSeconds < epochSeconds) return transitionSeconds;
+  }
+  return null;
+}
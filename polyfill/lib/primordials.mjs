@@ -6,6 +6,7 @@ export const { isFinite, isNaN, parseFloat, parseInt } = globalThis;
 // Constructor Properties of the Global Object
 export const {
   Array,
+  ArrayBuffer,
   BigInt,
   Date,
   Function,
@@ -17,6 +18,7 @@ export const {
   Set,
   String,
   Symbol,
+  Uint8Array,
   WeakMap,
   WeakSet
 } = globalThis;
@@ -38,8 +40,10 @@ export const {
   keys: ObjectKeys
 } = Object;
 
+export const { isView: ArrayBufferIsView } = ArrayBuffer;
 export const {
   from: ArrayFrom,
+  isArray: ArrayIsArray,
   prototype: {
     concat: ArrayPrototypeConcat,
     filter: ArrayPrototypeFilter,
@@ -54,7 +58,8 @@ export const {
     push: ArrayPrototypePush,
     reduce: ArrayPrototypeReduce,
     slice: ArrayPrototypeSlice,
-    sort: ArrayPrototypeSort
+    sort: ArrayPrototypeSort,
+    splice: ArrayPrototypeSplice
   }
 } = Array;
 export const {
@@ -95,14 +100,26 @@ export const {
 } = IntlDateTimeFormat?.prototype || ObjectCreate(null);
 export const { stringify: JSONStringify } = JSON;
 export const {
-  prototype: { entries: MapPrototypeEntries, get: MapPrototypeGet, has: MapPrototypeHas, set: MapPrototypeSet }
+  prototype: {
+    clear: MapPrototypeClear,
+    delete: MapPrototypeDelete,
+    entries: MapPrototypeEntries,
+    get: MapPrototypeGet,
+    has: MapPrototypeHas,
+    keys: MapPrototypeKeys,
+    set: MapPrototypeSet,
+    values: MapPrototypeValues
+  }
 } = Map;
+export const { get: MapPrototypeGetSize } = ObjectGetOwnPropertyDescriptor(Map.prototype, 'size');
 export const {
   abs: MathAbs,
+  ceil: MathCeil,
   floor: MathFloor,
   log10: MathLog10,
   max: MathMax,
   min: MathMin,
+  round: MathRound,
   sign: MathSign,
   trunc: MathTrunc
 } = Math;
@@ -129,6 +146,7 @@ export const {
     indexOf: StringPrototypeIndexOf,
     match: StringPrototypeMatch,
     normalize: StringPrototypeNormalize,
+    padEnd: StringPrototypePadEnd,
     padStart: StringPrototypePadStart,
     repeat: StringPrototypeRepeat,
     replace: StringPrototypeReplace,
@@ -0,0 +1,875 @@
+import {
+  // constructors and similar
+  Set as SetCtor,
+
+  // error constructors
+  RangeError as RangeErrorCtor,
+  TypeError as TypeErrorCtor,
+
+  // class static functions and methods
+  ArrayFrom,
+  ArrayIsArray,
+  ArrayPrototypeFilter,
+  ArrayPrototypeIncludes,
+  ArrayPrototypeIndexOf,
+  ArrayPrototypeJoin,
+  ArrayPrototypeMap,
+  ArrayPrototypePush,
+  ArrayPrototypeSort,
+  MathCeil,
+  MathFloor,
+  MathMax,
+  MathMin,
+  RegExpPrototypeExec,
+  SetPrototypeAdd,
+  SetPrototypeHas,
+  StringPrototypeSplit,
+  StringPrototypeToLowerCase,
+  StringPrototypeToUpperCase,
+  SymbolIterator
+} from './primordials.mjs';
+
+import Call from 'es-abstract/2024/Call.js';
+import bigInt from 'big-integer';
+
+import * as ES from './ecmascript.mjs';
+import { FormatICalendarDateTime, ParseICalendarDateTime } from './icalendar.mjs';
+import { GetIntrinsic, MakeIntrinsicClass } from './intrinsicclass.mjs';
+import * as PARSE from './regex.mjs';
+import {
+  CALENDAR,
+  EPOCHNANOSECONDS,
+  ISO_DATE,
+  ISO_DATE_TIME,
+  RECURRENCE_RULE,
+  TIME_ZONE,
+  CreateSlots,
+  GetSlot,
+  SetSlot
+} from './slots.mjs';
+
+const FREQUENCIES = ['secondly', 'minutely', 'hourly', 'daily', 'weekly', 'monthly', 'yearly'];
+const SUBDAILY_SECONDS = { hourly: 3600, minutely: 60, secondly: 1 };
+// In the order of ISO days of the week, so that Monday is 1
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+// The BYxxx rule parts, with the JavaScript property that each one has and
+// the range of its values. Negative values count from the end.
+const BY_PARTS = [
+  { name: 'BYSECOND', property: 'bySecond', min: 0, max: 60, negative: false },
+  { name: 'BYMINUTE', property: 'byMinute', min: 0, max: 59, negative: false },
+  { name: 'BYHOUR', property: 'byHour', min: 0, max: 23, negative: false },
+  { name: 'BYDAY', property: 'byDay' },
+  { name: 'BYMONTHDAY', property: 'byMonthDay', min: 1, max: 31, negative: true },
+  { name: 'BYYEARDAY', property: 'byYearDay', min: 1, max: 366, negative: true },
+  { name: 'BYWEEKNO', property: 'byWeekNo', min: 1, max: 53, negative: true },
+  { name: 'BYMONTH', property: 'byMonth', min: 1, max: 12, negative: false },
+  { name: 'BYSETPOS', property: 'bySetPos', min: 1, max: 366, negative: true }
+];
+// Occurrences aren't looked for beyond the range of Temporal.Instant
+const MAX_EPOCH_DAYS = 1e8;
+
+function RecurrenceRuleError(name, value) {
+  return new RangeErrorCtor(`invalid ${name} in recurrence rule: ${value}`);
+}
+
+function CompareNumbers(one, two) {
+  return one - two;
+}
+
+function ParseNumberList(part, value) {
+  const { name, min, max, negative } = part;
+  const items = Call(StringPrototypeSplit, value, [',']);
+  const result = [];
+  for (let ix = 0; ix < items.length; ix++) {
+    const match = Call(RegExpPrototypeExec, PARSE.recurrenceRuleNumber, [items[ix]]);
+    if (!match) throw RecurrenceRuleError(name, value);
+    const sign = match[1] === '-' ? -1 : 1;
+    const number = +match[2];
+    if ((sign < 0 && !negative) || number < min || number > max) throw RecurrenceRuleError(name, value);
+    if (!Call(ArrayPrototypeIncludes, result, [sign * number])) Call(ArrayPrototypePush, result, [sign * number]);
+  }
+  return result;
+}
+
+function ParseWeekday(name, value) {
+  const dayOfWeek = Call(ArrayPrototypeIndexOf, WEEKDAYS, [Call(StringPrototypeToUpperCase, value, [])]) + 1;
+  if (dayOfWeek === 0) throw RecurrenceRuleError(name, value);
+  return dayOfWeek;
+}
+
+function ParseByDay(value) {
+  const items = Call(StringPrototypeSplit, value, [',']);
+  const result = [];
+  for (let ix = 0; ix < items.length; ix++) {
+    const match = Call(RegExpPrototypeExec, PARSE.recurrenceRuleWeekday, [items[ix]]);
+    if (!match) throw RecurrenceRuleError('BYDAY', value);
+    const ordinal = match[2] === undefined ? 0 : (match[1] === '-' ? -1 : 1) * +match[2];
+    if (ordinal < -53 || ordinal > 53) throw RecurrenceRuleError('BYDAY', value);
+    Call(ArrayPrototypePush, result, [{ ordinal, dayOfWeek: ParseWeekday('BYDAY', match[3]) }]);
+  }
+  return result;
+}
+
+function FormatByDay({ ordinal, dayOfWeek }) {
+  return `${ordinal === 0 ? '' : ordinal}${WEEKDAYS[dayOfWeek - 1]}`;
+}
+
+// UNTIL is a DATE or DATE-TIME value, which is local time unless it ends in Z
+function ParseUntil(value) {
+  const until = ParseICalendarDateTime(value);
+  if (until === null) throw RecurrenceRuleError('UNTIL', value);
+  return until;
+}
+
+function FormatUntil(until) {
+  const result = FormatICalendarDateTime(until);
+  if (result === null) throw new RangeErrorCtor(`UNTIL can't be written in a recurrence rule: ${until}`);
+  return result;
+}
+
+// UNTIL given as a Temporal object or an ISO 8601 string is kept as a
+// PlainDate, a PlainDateTime, or an Instant, like the three forms that it can
+// have in a rule string
+function ToUntil(value) {
+  if (ES.IsTemporalDate(value) || ES.IsTemporalDateTime(value) || ES.IsTemporalInstant(value)) return value;
+  if (ES.IsTemporalZonedDateTime(value)) {
+    const TemporalInstant = GetIntrinsic('%Temporal.Instant%');
+    return new TemporalInstant(GetSlot(value, EPOCHNANOSECONDS));
+  }
+  const string = ES.RequireString(value);
+  const until = ParseICalendarDateTime(string);
+  if (until !== null) return until;
+  const record = ES.ParseISODateTime(string);
+  if (record.z || record.offset !== undefined) return ES.ToTemporalInstant(string);
+  if (record.time === 'start-of-day') return ES.ToTemporalDate(string);
+  return ES.ToTemporalDateTime(string);
+}
+
+// RFC 5545 section 3.3.10 restricts which parts can be combined
+function ValidateRecurrenceRule(rule) {
+  const { freq } = rule;
+  if (freq === undefined) throw new RangeErrorCtor('a recurrence rule needs FREQ');
+  if (rule.count !== undefined && rule.until !== undefined) {
+    throw new RangeErrorCtor('a recurrence rule can have COUNT or UNTIL, not both');
+  }
+  if (rule.byWeekNo && freq !== 'yearly') throw new RangeErrorCtor('BYWEEKNO is only allowed with FREQ=YEARLY');
+  if (rule.byYearDay && (freq === 'daily' || freq === 'weekly' || freq === 'monthly')) {
+    throw new RangeErrorCtor(`BYYEARDAY is not allowed with FREQ=${Call(StringPrototypeToUpperCase, freq, [])}`);
+  }
+  if (rule.byMonthDay && freq === 'weekly') throw new RangeErrorCtor('BYMONTHDAY is not allowed with FREQ=WEEKLY');
+  if (rule.byDay) {
+    for (let ix = 0; ix < rule.byDay.length; ix++) {
+      if (rule.byDay[ix].ordinal === 0) continue;
+      if ((freq !== 'monthly' && freq !== 'yearly') || rule.byWeekNo) {
+        throw new RangeErrorCtor('BYDAY can only have ordinals with FREQ=MONTHLY or FREQ=YEARLY without BYWEEKNO');
+      }
+    }
+  }
+  if (rule.bySetPos) {
+    let hasOtherPart = false;
+    for (let ix = 0; ix < BY_PARTS.length; ix++) {
+      const { property } = BY_PARTS[ix];
+      if (property !== 'bySetPos' && rule[property]) hasOtherPart = true;
+    }
+    if (!hasOtherPart) throw new RangeErrorCtor('BYSETPOS needs another BYxxx rule part');
+  }
+}
+
+function CreateEmptyRule() {
+  const rule = { freq: undefined, interval: 1, count: undefined, until: undefined, wkst: undefined };
+  for (let ix = 0; ix < BY_PARTS.length; ix++) rule[BY_PARTS[ix].property] = undefined;
+  return rule;
+}
+
+function SetRulePart(rule, name, value) {
+  const upperName = Call(StringPrototypeToUpperCase, name, []);
+  switch (upperName) {
+    case 'FREQ': {
+      const freq = Call(StringPrototypeToLowerCase, value, []);
+      if (!Call(ArrayPrototypeIncludes, FREQUENCIES, [freq])) throw RecurrenceRuleError('FREQ', value);
+      rule.freq = freq;
+      return;
+    }
+    case 'UNTIL':
+      rule.until = ParseUntil(value);
+      return;
+    case 'COUNT':
+    case 'INTERVAL': {
+      const match = Call(RegExpPrototypeExec, PARSE.recurrenceRuleNumber, [value]);
+      if (!match || match[1] !== undefined || +match[2] < 1) throw RecurrenceRuleError(upperName, value);
+      rule[upperName === 'COUNT' ? 'count' : 'interval'] = +match[2];
+      return;
+    }
+    case 'WKST':
+      rule.wkst = ParseWeekday('WKST', value);
+      return;
+    case 'BYDAY':
+      rule.byDay = ParseByDay(value);
+      return;
+  }
+  for (let ix = 0; ix < BY_PARTS.length; ix++) {
+    if (BY_PARTS[ix].name === upperName) {
+      rule[BY_PARTS[ix].property] = ParseNumberList(BY_PARTS[ix], value);
+      return;
+    }
+  }
+  throw new RangeErrorCtor(`unknown recurrence rule part: ${name}`);
+}
+
+// Parses the value of an RRULE property, like FREQ=WEEKLY;BYDAY=MO,WE, with or
+// without the RRULE: in front
+function ParseRecurrenceRuleString(string) {
+  const match = Call(RegExpPrototypeExec, PARSE.recurrenceRule, [string]);
+  if (!match) throw new RangeErrorCtor(`invalid recurrence rule: ${string}`);
+  const rule = CreateEmptyRule();
+  const seen = [];
+  const parts = Call(StringPrototypeSplit, match[1], [';']);
+  for (let ix = 0; ix < parts.length; ix++) {
+    const part = Call(RegExpPrototypeExec, PARSE.recurrenceRulePart, [parts[ix]]);
+    if (!part) throw new RangeErrorCtor(`invalid recurrence rule: ${string}`);
+    const [, name, value] = part;
+    const upperName = Call(StringPrototypeToUpperCase, name, []);
+    if (Call(ArrayPrototypeIncludes, seen, [upperName])) {
+      throw new RangeErrorCtor(`${upperName} occurs more than once in recurrence rule: ${string}`);
+    }
+    Call(ArrayPrototypePush, seen, [upperName]);
+    SetRulePart(rule, name, value);
+  }
+  ValidateRecurrenceRule(rule);
+  return rule;
+}
+
+// Property bags have the values of rule parts, such as 'weekly', 3,
+// [1, 15], or ['MO', '-1FR'], which are checked like the text of the parts.
+// Properties are read in alphabetical order.
+function ToRecurrenceRuleRecord(bag) {
+  const rule = CreateEmptyRule();
+  const properties = [
+    ['byDay', 'BYDAY'],
+    ['byHour', 'BYHOUR'],
+    ['byMinute', 'BYMINUTE'],
+    ['byMonth', 'BYMONTH'],
+    ['byMonthDay', 'BYMONTHDAY'],
+    ['bySecond', 'BYSECOND'],
+    ['bySetPos', 'BYSETPOS'],
+    ['byWeekNo', 'BYWEEKNO'],
+    ['byYearDay', 'BYYEARDAY'],
+    ['count', 'COUNT'],
+    ['freq', 'FREQ'],
+    ['interval', 'INTERVAL'],
+    ['until', 'UNTIL'],
+    ['wkst', 'WKST']
+  ];
+  for (let ix = 0; ix < properties.length; ix++) {
+    const [property, name] = properties[ix];
+    const value = bag[property];
+    if (value === undefined) continue;
+    if (property === 'until') {
+      rule.until = ToUntil(value);
+    } else if (ArrayIsArray(value)) {
+      const strings = Call(ArrayPrototypeMap, value, [(item) => ES.ToString(item)]);
+      SetRulePart(rule, name, Call(ArrayPrototypeJoin, strings, [',']));
+    } else {
+      SetRulePart(rule, name, ES.ToString(value));
+    }
+  }
+  ValidateRecurrenceRule(rule);
+  return rule;
+}
+
+function RecurrenceRuleToString(rule) {
+  const parts = [`FREQ=${Call(StringPrototypeToUpperCase, rule.freq, [])}`];
+  if (rule.until !== undefined) Call(ArrayPrototypePush, parts, [`UNTIL=${FormatUntil(rule.until)}`]);
+  if (rule.count !== undefined) Call(ArrayPrototypePush, parts, [`COUNT=${rule.count}`]);
+  if (rule.interval !== 1) Call(ArrayPrototypePush, parts, [`INTERVAL=${rule.interval}`]);
+  for (let ix = 0; ix < BY_PARTS.length; ix++) {
+    const { name, property } = BY_PARTS[ix];
+    const values = rule[property];
+    if (values === undefined) continue;
+    const strings = property === 'byDay' ? Call(ArrayPrototypeMap, values, [FormatByDay]) : values;
+    Call(ArrayPrototypePush, parts, [`${name}=${Call(ArrayPrototypeJoin, strings, [','])}`]);
+  }
+  if (rule.wkst !== undefined) Call(ArrayPrototypePush, parts, [`WKST=${WEEKDAYS[rule.wkst - 1]}`]);
+  return Call(ArrayPrototypeJoin, parts, [';']);
+}
+
+function EpochDaysToISODate(epochDays) {
+  return ES.BalanceISODate(1970, 1, 1 + epochDays);
+}
+
+function EpochDaysOf({ year, month, day }) {
+  return ES.ISODateToEpochDays(year, month - 1, day);
+}
+
+// 1970-01-01 was a Thursday
+function DayOfWeekOf(epochDays) {
+  return ((((epochDays + 3) % 7) + 7) % 7) + 1;
+}
+
+// Week 1 is the first week, starting on WKST, that has at least four days in
+// the year, which is the week with January 4 in it
+function FirstDayOfWeek1(year, wkst) {
+  const jan4 = EpochDaysOf({ year, month: 1, day: 4 });
+  return jan4 - ((DayOfWeekOf(jan4) - wkst + 7) % 7);
+}
+
+function MatchesNumber(list, number, count) {
+  return Call(ArrayPrototypeIncludes, list, [number]) || Call(ArrayPrototypeIncludes, list, [number - count - 1]);
+}
+
+function MatchesWeekNumber(list, epochDays, year, wkst) {
+  let weekYear = year;
+  if (epochDays < FirstDayOfWeek1(year, wkst)) weekYear = year - 1;
+  if (epochDays >= FirstDayOfWeek1(year + 1, wkst)) weekYear = year + 1;
+  const first = FirstDayOfWeek1(weekYear, wkst);
+  const week = MathFloor((epochDays - first) / 7) + 1;
+  return MatchesNumber(list, week, (FirstDayOfWeek1(weekYear + 1, wkst) - first) / 7);
+}
+
+// Ordinals in BYDAY, like -1FR for the last Friday, count within the month for
+// FREQ=MONTHLY and for FREQ=YEARLY with BYMONTH, and otherwise within the year
+function MatchesByDay(expansion, isoDate, epochDays) {
+  const dayOfWeek = DayOfWeekOf(epochDays);
+  const { byDay, freq, byMonth } = expansion;
+  for (let ix = 0; ix < byDay.length; ix++) {
+    const { ordinal, dayOfWeek: wanted } = byDay[ix];
+    if (wanted !== dayOfWeek) continue;
+    if (ordinal === 0) return true;
+    let index = isoDate.day;
+    let length = ES.ISODaysInMonth(isoDate.year, isoDate.month);
+    if (freq === 'yearly' && !byMonth) {
+      index = epochDays - EpochDaysOf({ year: isoDate.year, month: 1, day: 1 }) + 1;
+      length = ES.LeapYear(isoDate.year) ? 366 : 365;
+    }
+    if (ordinal > 0 && MathFloor((index - 1) / 7) + 1 === ordinal) return true;
+    if (ordinal < 0 && -(MathFloor((length - index) / 7) + 1) === ordinal) return true;
+  }
+  return false;
+}
+
+function DayMatches(expansion, isoDate, epochDays) {
+  const { byMonth, byWeekNo, byYearDay, byMonthDay, byDay, wkst } = expansion;
+  const { year, month, day } = isoDate;
+  if (byMonth && !Call(ArrayPrototypeIncludes, byMonth, [month])) return false;
+  if (byWeekNo && !MatchesWeekNumber(byWeekNo, epochDays, year, wkst)) return false;
+  if (byYearDay) {
+    const dayOfYear = epochDays - EpochDaysOf({ year, month: 1, day: 1 }) + 1;
+    if (!MatchesNumber(byYearDay, dayOfYear, ES.LeapYear(year) ? 366 : 365)) return false;
+  }
+  if (byMonthDay && !MatchesNumber(byMonthDay, day, ES.ISODaysInMonth(year, month))) return false;
+  if (byDay && !MatchesByDay(expansion, isoDate, epochDays)) return false;
+  return true;
+}
+
+function ApplyBySetPos(bySetPos, candidates) {
+  if (!bySetPos) return candidates;
+  const result = [];
+  for (let ix = 0; ix < candidates.length; ix++) {
+    if (MatchesNumber(bySetPos, ix + 1, candidates.length)) Call(ArrayPrototypePush, result, [candidates[ix]]);
+  }
+  return result;
+}
+
+function MakeTime(hour, minute, second, start) {
+  const { millisecond, microsecond, nanosecond } = start.time;
+  return { hour, minute, second, millisecond, microsecond, nanosecond };
+}
+
+function SortedOrDefault(list, fallback) {
+  if (!list) return [fallback];
+  const result = ArrayFrom(list);
+  Call(ArrayPrototypeSort, result, [CompareNumbers]);
+  return result;
+}
+
+// Fills in the parts that RFC 5545 takes from DTSTART when a rule leaves them
+// out, such as the day of the week for FREQ=WEEKLY without BYDAY
+function CreateExpansion(rule, start) {
+  const { isoDate, time } = start;
+  const expansion = {
+    freq: rule.freq,
+    interval: rule.interval,
+    wkst: rule.wkst ?? 1,
+    byMonth: rule.byMonth,
+    byWeekNo: rule.byWeekNo,
+    byYearDay: rule.byYearDay,
+    byMonthDay: rule.byMonthDay,
+    byDay: rule.byDay,
+    bySetPos: rule.bySetPos,
+    byHour: rule.byHour,
+    byMinute: rule.byMinute,
+    bySecond: rule.bySecond,
+    never: false,
+    hours: SortedOrDefault(rule.byHour, time.hour),
+    minutes: SortedOrDefault(rule.byMinute, time.minute),
+    seconds: SortedOrDefault(rule.bySecond, time.second)
+  };
+  // Temporal has no leap seconds, so BYSECOND=60 matches nothing
+  if (rule.bySecond) {
+    expansion.bySecond = Call(ArrayPrototypeFilter, rule.bySecond, [(second) => second !== 60]);
+    expansion.seconds = Call(ArrayPrototypeFilter, expansion.seconds, [(second) => second !== 60]);
+    if (!expansion.bySecond.length) expansion.never = true;
+  }
+  if (!rule.byWeekNo && !rule.byYearDay && !rule.byMonthDay && !rule.byDay) {
+    if (rule.freq === 'yearly') {
+      if (expansion.byMonth === undefined) expansion.byMonth = [isoDate.month];
+      expansion.byMonthDay = [isoDate.day];
+    } else if (rule.freq === 'monthly') {
+      expansion.byMonthDay = [isoDate.day];
+    } else if (rule.freq === 'weekly') {
+      expansion.byDay = [{ ordinal: 0, dayOfWeek: DayOfWeekOf(EpochDaysOf(isoDate)) }];
+    }
+  }
+  if (SUBDAILY_SECONDS[rule.freq] !== undefined) {
+    const unit = SUBDAILY_SECONDS[rule.freq];
+    expansion.step = unit * rule.interval;
+    expansion.startSeconds =
+      EpochDaysOf(isoDate) * 86400 + MathFloor((time.hour * 3600 + time.minute * 60 + time.second) / unit) * unit;
+    const { offsets, count } = GetMatchingSubdailyOffsets(expansion);
+    expansion.offsets = offsets;
+    const slotLength = SubdailySlotLength(expansion);
+    if (!count || !ApplyBySetPos(expansion.bySetPos, ArrayFrom({ length: slotLength })).length) expansion.never = true;
+  }
+  return expansion;
+}
+
+function GreatestCommonDivisor(one, two) {
+  while (two !== 0) {
+    const remainder = one % two;
+    one = two;
+    two = remainder;
+  }
+  return one;
+}
+
+function SubdailySlotLength({ freq, minutes, seconds }) {
+  if (freq === 'hourly') return minutes.length * seconds.length;
+  return freq === 'minutely' ? seconds.length : 1;
+}
+
+// Whether a step at this second of the day passes BYHOUR, BYMINUTE, and
+// BYSECOND. The ones for units smaller than FREQ expand the step instead.
+function SubdailySlotMatches(expansion, secondOfDay) {
+  const { freq, byHour, byMinute, bySecond } = expansion;
+  const h = MathFloor(secondOfDay / 3600);
+  const m = MathFloor((secondOfDay % 3600) / 60);
+  const s = secondOfDay % 60;
+  if (byHour && !Call(ArrayPrototypeIncludes, byHour, [h])) return false;
+  if (freq !== 'hourly' && byMinute && !Call(ArrayPrototypeIncludes, byMinute, [m])) return false;
+  if (freq === 'secondly' && bySecond && !Call(ArrayPrototypeIncludes, bySecond, [s])) return false;
+  return true;
+}
+
+// The steps on a day fall at the same seconds of the day as on every other
+// day whose first step is the same number of seconds after midnight. There
+// are at most 86400 steps in all the different days, so this finds once which
+// of those offsets give a day with a step that passes BYHOUR, BYMINUTE, and
+// BYSECOND. Days at other offsets are skipped without looking at their
+// steps, and a rule with none, such as FREQ=SECONDLY;INTERVAL=2;BYSECOND=1
+// from an even second, has none after DTSTART.
+function GetMatchingSubdailyOffsets(expansion) {
+  const { step, startSeconds } = expansion;
+  const divisor = GreatestCommonDivisor(step, 86400);
+  const offsets = new SetCtor();
+  let count = 0;
+  const limit = MathMin(step, 86400);
+  for (let offset = ((startSeconds % divisor) + divisor) % divisor; offset < limit; offset += divisor) {
+    for (let secondOfDay = offset; secondOfDay < 86400; secondOfDay += step) {
+      if (SubdailySlotMatches(expansion, secondOfDay)) {
+        Call(SetPrototypeAdd, offsets, [offset]);
+        count++;
+        break;
+      }
+    }
+  }
+  return { offsets, count };
+}
+
+// Gives the days of a period of a FREQ of DAILY or longer that match the
+// rule, as [isoDate, epochDays] pairs
+function GetPeriodDays(expansion, start, period) {
+  const { freq, interval, byMonth } = expansion;
+  const startEpochDays = EpochDaysOf(start.isoDate);
+  let first;
+  let length;
+  switch (freq) {
+    case 'yearly': {
+      const year = start.isoDate.year + period * interval;
+      first = EpochDaysOf({ year, month: 1, day: 1 });
+      length = ES.LeapYear(year) ? 366 : 365;
+      break;
+    }
+    case 'monthly': {
+      const { year, month } = ES.BalanceISOYearMonth(start.isoDate.year, start.isoDate.month + period * interval);
+      if (byMonth && !Call(ArrayPrototypeIncludes, byMonth, [month])) return { first: 0, days: [] };
+      first = EpochDaysOf({ year, month, day: 1 });
+      length = ES.ISODaysInMonth(year, month);
+      break;
+    }
+    case 'weekly':
+      first = startEpochDays - ((DayOfWeekOf(startEpochDays) - expansion.wkst + 7) % 7) + period * interval * 7;
+      length = 7;
+      break;
+    default:
+      first = startEpochDays + period * interval;
+      length = 1;
+  }
+  const days = [];
+  let isoDate = EpochDaysToISODate(first);
+  for (let epochDays = first; epochDays < first + length; epochDays++) {
+    if (epochDays !== first) isoDate = ES.BalanceISODate(isoDate.year, isoDate.month, isoDate.day + 1);
+    if (DayMatches(expansion, isoDate, epochDays)) Call(ArrayPrototypePush, days, [[isoDate, epochDays]]);
+  }
+  return { first, days };
+}
+
+function GetPeriodCandidates(expansion, start, period) {
+  const { first, days } = GetPeriodDays(expansion, start, period);
+  const candidates = [];
+  for (let ix = 0; ix < days.length; ix++) {
+    const [isoDate] = days[ix];
+    for (let h = 0; h < expansion.hours.length; h++) {
+      for (let m = 0; m < expansion.minutes.length; m++) {
+        for (let s = 0; s < expansion.seconds.length; s++) {
+          const time = MakeTime(expansion.hours[h], expansion.minutes[m], expansion.seconds[s], start);
+          Call(ArrayPrototypePush, candidates, [ES.CombineISODateAndTimeRecord(isoDate, time)]);
+        }
+      }
+    }
+  }
+  return { first, candidates: ApplyBySetPos(expansion.bySetPos, candidates) };
+}
+
+// For FREQ=HOURLY, MINUTELY, and SECONDLY, each period is a step of INTERVAL
+// wall-clock units from DTSTART. The steps are found a day at a time, so that
+// days that don't match the rule can be skipped.
+function GetSubdailyCandidates(expansion, start, period) {
+  const { freq, step, startSeconds } = expansion;
+  const first = EpochDaysOf(start.isoDate) + period;
+  const isoDate = EpochDaysToISODate(first);
+  const candidates = [];
+  const dayStart = first * 86400;
+  const offset = (((startSeconds - dayStart) % step) + step) % step;
+  if (!Call(SetPrototypeHas, expansion.offsets, [offset])) return { first, candidates };
+  if (!DayMatches(expansion, isoDate, first)) return { first, candidates };
+  let slot = startSeconds + MathMax(0, MathCeil((dayStart - startSeconds) / step)) * step;
+  for (; slot < dayStart + 86400; slot += step) {
+    const secondOfDay = slot - dayStart;
+    if (!SubdailySlotMatches(expansion, secondOfDay)) continue;
+    const h = MathFloor(secondOfDay / 3600);
+    const m = MathFloor((secondOfDay % 3600) / 60);
+    const s = secondOfDay % 60;
+    const minutes = freq === 'hourly' ? expansion.minutes : [m];
+    const seconds = freq === 'secondly' ? [s] : expansion.seconds;
+    const slotCandidates = [];
+    for (let mx = 0; mx < minutes.length; mx++) {
+      for (let sx = 0; sx < seconds.length; sx++) {
+        const time = MakeTime(h, minutes[mx], seconds[sx], start);
+        Call(ArrayPrototypePush, slotCandidates, [ES.CombineISODateAndTimeRecord(isoDate, time)]);
+      }
+    }
+    const selected = ApplyBySetPos(expansion.bySetPos, slotCandidates);
+    for (let ix = 0; ix < selected.length; ix++) Call(ArrayPrototypePush, candidates, [selected[ix]]);
+  }
+  return { first, candidates };
+}
+
+// Occurrences are records with the wall-clock date and time and, for
+// ZonedDateTime starts, the exact time. They are compared by exact time if
+// they have one.
+function CompareOccurrences(one, two) {
+  if (one.epochNs !== undefined) {
+    if (bigInt(one.epochNs).lesser(two.epochNs)) return -1;
+    if (bigInt(one.epochNs).greater(two.epochNs)) return 1;
+    return 0;
+  }
+  return ES.CompareISODateTime(one.isoDateTime, two.isoDateTime);
+}
+
+function CreateOccurrence(state, isoDateTime) {
+  if (state.timeZone === undefined) return { isoDateTime, epochNs: undefined };
+  // Wall-clock times in a DST gap or overlap are resolved like everywhere
+  // else in Temporal; RFC 5545 asks for what 'compatible' gives
+  const epochNs = ES.GetEpochNanosecondsFor(state.timeZone, isoDateTime, state.disambiguation);
+  return { isoDateTime, epochNs };
+}
+
+function IsAfterUntil(state, occurrence) {
+  const { until } = state;
+  if (until === undefined) return false;
+  if (ES.IsTemporalDate(until)) return ES.CompareISODate(occurrence.isoDateTime.isoDate, GetSlot(until, ISO_DATE)) > 0;
+  if (ES.IsTemporalDateTime(until)) {
+    return ES.CompareISODateTime(occurrence.isoDateTime, GetSlot(until, ISO_DATE_TIME)) > 0;
+  }
+  const untilNs = GetSlot(until, EPOCHNANOSECONDS);
+  if (occurrence.epochNs !== undefined) return bigInt(occurrence.epochNs).greater(untilNs);
+  return ES.CompareISODateTime(occurrence.isoDateTime, ES.GetISODateTimeFor('UTC', untilNs)) > 0;
+}
+
+// Gives the next occurrence of the rule itself, or null after the last one
+function NextRuleOccurrence(state) {
+  if (state.done) return null;
+  if (state.emitted === 0) {
+    state.emitted++;
+    state.last = state.start;
+    if (IsAfterUntil(state, state.start)) state.done = true;
+    return state.done ? null : state.start;
+  }
+  if ((state.count !== undefined && state.emitted >= state.count) || state.expansion.never) {
+    state.done = true;
+    return null;
+  }
+  for (;;) {
+    while (state.index >= state.candidates.length) {
+      const subdaily = SUBDAILY_SECONDS[state.expansion.freq] !== undefined;
+      const getCandidates = subdaily ? GetSubdailyCandidates : GetPeriodCandidates;
+      const { first, candidates } = getCandidates(state.expansion, state.start.isoDateTime, state.period);
+      // The Gregorian calendar repeats every 400 years, so a rule that has
+      // had no occurrences for 400 years of its periods has none at all
+      if (first > MAX_EPOCH_DAYS || first - state.lastFound > state.giveUpDays) {
+        state.done = true;
+        return null;
+      }
+      if (candidates.length) state.lastFound = first;
+      state.period++;
+      state.candidates = candidates;
+      state.index = 0;
+    }
+    const occurrence = CreateOccurrence(state, state.candidates[state.index++]);
+    // The start counts as the first occurrence, so only later ones are used
+    if (CompareOccurrences(occurrence, state.last) <= 0) continue;
+    if (IsAfterUntil(state, occurrence)) {
+      state.done = true;
+      return null;
+    }
+    state.emitted++;
+    state.last = occurrence;
+    return occurrence;
+  }
+}
+
+// RDATE and EXDATE values are converted to the type of the start. For a
+// ZonedDateTime start, exact times are moved into its time zone, and
+// wall-clock times are taken to be in it.
+function ToOccurrence(state, item) {
+  const { kind, timeZone } = state;
+  if (kind === 'date') {
+    const isoDate = GetSlot(ES.ToTemporalDate(item), ISO_DATE);
+    return { isoDateTime: ES.CombineISODateAndTimeRecord(isoDate, ES.MidnightTimeRecord()), epochNs: undefined };
+  }
+  if (kind === 'datetime') {
+    return { isoDateTime: GetSlot(ES.ToTemporalDateTime(item), ISO_DATE_TIME), epochNs: undefined };
+  }
+  let epochNs;
+  if (ES.IsTemporalZonedDateTime(item) || ES.IsTemporalInstant(item)) {
+    epochNs = GetSlot(item, EPOCHNANOSECONDS);
+  } else if (ES.IsTemporalDateTime(item)) {
+    return CreateOccurrence(state, GetSlot(item, ISO_DATE_TIME));
+  } else if (ES.Type(item) === 'String') {
+    const record = ES.ParseISODateTime(item);
+    if (record.tzAnnotation !== undefined) {
+      epochNs = GetSlot(ES.ToTemporalZonedDateTime(item), EPOCHNANOSECONDS);
+    } else if (record.z || record.offset !== undefined) {
+      epochNs = GetSlot(ES.ToTemporalInstant(item), EPOCHNANOSECONDS);
+    } else {
+      return CreateOccurrence(state, GetSlot(ES.ToTemporalDateTime(item), ISO_DATE_TIME));
+    }
+  } else {
+    epochNs = GetSlot(ES.ToTemporalZonedDateTime(item), EPOCHNANOSECONDS);
+  }
+  return { isoDateTime: ES.GetISODateTimeFor(timeZone, epochNs), epochNs };
+}
+
+function ToOccurrenceList(state, items) {
+  if (items === undefined) return [];
+  const result = Call(ArrayPrototypeMap, ArrayFrom(items), [(item) => ToOccurrence(state, item)]);
+  Call(ArrayPrototypeSort, result, [CompareOccurrences]);
+  return result;
+}
+
+function CreateResult(state, occurrence) {
+  const { kind, calendar, timeZone } = state;
+  if (kind === 'date') return ES.CreateTemporalDate(occurrence.isoDateTime.isoDate, calendar);
+  if (kind === 'datetime') return ES.CreateTemporalDateTime(occurrence.isoDateTime, calendar);
+  return ES.CreateTemporalZonedDateTime(occurrence.epochNs, timeZone, calendar);
+}
+
+function CreateOccurrenceIterator(rule, start, options) {
+  let kind;
+  let timeZone;
+  let isoDateTime;
+  let epochNs;
+  if (ES.IsTemporalZonedDateTime(start)) {
+    kind = 'zoned';
+    timeZone = GetSlot(start, TIME_ZONE);
+    epochNs = GetSlot(start, EPOCHNANOSECONDS);
+    isoDateTime = ES.GetISODateTimeFor(timeZone, epochNs);
+  } else if (ES.IsTemporalDateTime(start)) {
+    kind = 'datetime';
+    isoDateTime = GetSlot(start, ISO_DATE_TIME);
+  } else if (ES.IsTemporalDate(start)) {
+    kind = 'date';
+    isoDateTime = ES.CombineISODateAndTimeRecord(GetSlot(start, ISO_DATE), ES.MidnightTimeRecord());
+    if (SUBDAILY_SECONDS[rule.freq] !== undefined || rule.byHour || rule.byMinute || rule.bySecond) {
+      throw new RangeErrorCtor('a recurrence rule with times needs a PlainDateTime or ZonedDateTime start');
+    }
+  } else {
+    throw new TypeErrorCtor('the start of a recurrence must be a PlainDate, PlainDateTime, or ZonedDateTime');
+  }
+
+  const resolvedOptions = ES.GetOptionsObject(options);
+  const disambiguation = ES.GetTemporalDisambiguationOption(resolvedOptions);
+  const exdates = resolvedOptions.exdates;
+  const rdates = resolvedOptions.rdates;
+
+  const state = {
+    kind,
+    calendar: GetSlot(start, CALENDAR),
+    timeZone,
+    disambiguation,
+    count: rule.count,
+    until: rule.until,
+    expansion: CreateExpansion(rule, isoDateTime),
+    start: { isoDateTime, epochNs },
+    lastFound: EpochDaysOf(isoDateTime.isoDate),
+    giveUpDays: 146097 * (SUBDAILY_SECONDS[rule.freq] === undefined ? rule.interval : 1),
+    last: undefined,
+    emitted: 0,
+    done: false,
+    period: 0,
+    candidates: [],
+    index: 0
+  };
+  const exclusions = ToOccurrenceList(state, exdates);
+  const inclusions = ToOccurrenceList(state, rdates);
+
+  // The recurrence set is the rule's occurrences and the RDATE values, in
+  // order and without repeats, except for the EXDATE values. COUNT only
+  // counts the rule's occurrences.
+  let pending = NextRuleOccurrence(state);
+  let inclusionIndex = 0;
+  let previous;
+  return {
+    [SymbolIterator]() {
+      return this;
+    },
+    next() {
+      for (;;) {
+        let occurrence;
+        const inclusion = inclusions[inclusionIndex];
+        if (pending === null && inclusion === undefined) return { value: undefined, done: true };
+        if (pending !== null && (inclusion === undefined || CompareOccurrences(pending, inclusion) <= 0)) {
+          occurrence = pending;
+          pending = NextRuleOccurrence(state);
+        } else {
+          occurrence = inclusion;
+          inclusionIndex++;
+        }
+        if (previous !== undefined && CompareOccurrences(occurrence, previous) === 0) continue;
+        previous = occurrence;
+        let excluded = false;
+        for (let ix = 0; ix < exclusions.length; ix++) {
+          if (CompareOccurrences(occurrence, exclusions[ix]) === 0) excluded = true;
+        }
+        if (!excluded) return { value: CreateResult(state, occurrence), done: false };
+      }
+    }
+  };
+}
+
+// Gives a new array each time, so that the rule can't be changed through it
+function GetRulePartValues(rule, property) {
+  const values = rule[property];
+  if (values === undefined) return undefined;
+  return property === 'byDay' ? Call(ArrayPrototypeMap, values, [FormatByDay]) : ArrayFrom(values);
+}
+
+function CreateTemporalRecurrenceRule(rule) {
+  const TemporalRecurrenceRule = GetIntrinsic('%Temporal.RecurrenceRule%');
+  return new TemporalRecurrenceRule(RecurrenceRuleToString(rule));
+}
+
+export class RecurrenceRule {
+  constructor(rule) {
+    const record = ParseRecurrenceRuleString(ES.RequireString(rule));
+    CreateSlots(this);
+    SetSlot(this, RECURRENCE_RULE, record);
+  }
+  get freq() {
+    if (!ES.IsTemporalRecurrenceRule(this)) throw new TypeErrorCtor('invalid receiver');
+    return GetSlot(this, RECURRENCE_RULE).freq;
+  }
+  get interval() {
+    if (!ES.IsTemporalRecurrenceRule(this)) throw new TypeErrorCtor('invalid receiver');
+    return GetSlot(this, RECURRENCE_RULE).interval;
+  }
+  get count() {
+    if (!ES.IsTemporalRecurrenceRule(this)) throw new TypeErrorCtor('invalid receiver');
+    return GetSlot(this, RECURRENCE_RULE).count;
+  }
+  get until() {
+    if (!ES.IsTemporalRecurrenceRule(this)) throw new TypeErrorCtor('invalid receiver');
+    return GetSlot(this, RECURRENCE_RULE).until;
+  }
+  get wkst() {
+    if (!ES.IsTemporalRecurrenceRule(this)) throw new TypeErrorCtor('invalid receiver');
+    const { wkst } = GetSlot(this, RECURRENCE_RULE);
+    return wkst === undefined ? undefined : WEEKDAYS[wkst - 1];
+  }
+  get bySecond() {
+    if (!ES.IsTemporalRecurrenceRule(this)) throw new TypeErrorCtor('invalid receiver');
+    return GetRulePartValues(GetSlot(this, RECURRENCE_RULE), 'bySecond');
+  }
+  get byMinute() {
+    if (!ES.IsTemporalRecurrenceRule(this)) throw new TypeErrorCtor('invalid receiver');
+    return GetRulePartValues(GetSlot(this, RECURRENCE_RULE), 'byMinute');
+  }
+  get byHour() {
+    if (!ES.IsTemporalRecurrenceRule(this)) throw new TypeErrorCtor('invalid receiver');
+    return GetRulePartValues(GetSlot(this, RECURRENCE_RULE), 'byHour');
+  }
+  get byDay() {
+    if (!ES.IsTemporalRecurrenceRule(this)) throw new TypeErrorCtor('invalid receiver');
+    return GetRulePartValues(GetSlot(this, RECURRENCE_RULE), 'byDay');
+  }
+  get byMonthDay() {
+    if (!ES.IsTemporalRecurrenceRule(this)) throw new TypeErrorCtor('invalid receiver');
+    return GetRulePartValues(GetSlot(this, RECURRENCE_RULE), 'byMonthDay');
+  }
+  get byYearDay() {
+    if (!ES.IsTemporalRecurrenceRule(this)) throw new TypeErrorCtor('invalid receiver');
+    return GetRulePartValues(GetSlot(this, RECURRENCE_RULE), 'byYearDay');
+  }
+  get byWeekNo() {
+    if (!ES.IsTemporalRecurrenceRule(this)) throw new TypeErrorCtor('invalid receiver');
+    return GetRulePartValues(GetSlot(this, RECURRENCE_RULE), 'byWeekNo');
+  }
+  get byMonth() {
+    if (!ES.IsTemporalRecurrenceRule(this)) throw new TypeErrorCtor('invalid receiver');
+    return GetRulePartValues(GetSlot(this, RECURRENCE_RULE), 'byMonth');
+  }
+  get bySetPos() {
+    if (!ES.IsTemporalRecurrenceRule(this)) throw new TypeErrorCtor('invalid receiver');
+    return GetRulePartValues(GetSlot(this, RECURRENCE_RULE), 'bySetPos');
+  }
+  occurrences(start, options = undefined) {
+    if (!ES.IsTemporalRecurrenceRule(this)) throw new TypeErrorCtor('invalid receiver');
+    return CreateOccurrenceIterator(GetSlot(this, RECURRENCE_RULE), start, options);
+  }
+  toString() {
+    if (!ES.IsTemporalRecurrenceRule(this)) throw new TypeErrorCtor('invalid receiver');
+    return RecurrenceRuleToString(GetSlot(this, RECURRENCE_RULE));
+  }
+  toJSON() {
+    if (!ES.IsTemporalRecurrenceRule(this)) throw new TypeErrorCtor('invalid receiver');
+    return RecurrenceRuleToString(GetSlot(this, RECURRENCE_RULE));
+  }
+
+  static from(item) {
+    if (ES.IsTemporalRecurrenceRule(item)) return CreateTemporalRecurrenceRule(GetSlot(item, RECURRENCE_RULE));
+    if (ES.Type(item) === 'Object') return CreateTemporalRecurrenceRule(ToRecurrenceRuleRecord(item));
+    return CreateTemporalRecurrenceRule(ParseRecurrenceRuleString(ES.RequireString(item)));
+  }
+}
+
+MakeIntrinsicClass(RecurrenceRule, 'Temporal.RecurrenceRule');
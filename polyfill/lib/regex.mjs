@@ -4,16 +4,38 @@ import Call from 'es-abstract/2024/Call.js';
 
 const offsetIdentifierNoCapture = /(?:[+-](?:[01][0-9]|2[0-3])(?::?[0-5][0-9])?)/;
 const tzComponent = /[A-Za-z._][A-Za-z._0-9+-]*/;
+// POSIX TZ strings such as EST5EDT,M3.2.0,M11.1.0 or <+0330>-3:30, which are
+// accepted as identifiers of rule-based time zones; see posixtz.mjs
+const posixTZName = /(?:[A-Za-z]{3,}|<[A-Za-z0-9+-]{3,}>)/;
+const posixTZOffset = /(?:[+-]?\d{1,2}(?::\d{1,2}(?::\d{1,2})?)?)/;
+const posixTZRule = /(?:(?:J\d{1,3}|\d{1,3}|M\d{1,2}\.\d\.\d)(?:\/[+-]?\d{1,3}(?::\d{1,2}(?::\d{1,2})?)?)?)/;
+const posixTZ = new RegExpCtor(
+  `(?:${posixTZName.source}${posixTZOffset.source}` +
+    `(?:${posixTZName.source}${posixTZOffset.source}?(?:,${posixTZRule.source},${posixTZRule.source})?)?)`
+);
 export const timeZoneID = new RegExpCtor(
-  `(?:${offsetIdentifierNoCapture.source}|(?:${tzComponent.source})(?:\\/(?:${tzComponent.source}))*)`
+  `(?:${offsetIdentifierNoCapture.source}|(?:${tzComponent.source})(?:\\/(?:${tzComponent.source}))*|${posixTZ.source})`
 );
 
 const yearpart = /(?:[+-]\d{6}|\d{4})/;
+// In the expanded range mode (see SetRangeMode in ecmascript.mjs) years can
+// have more than six digits, but only in the extended format, because in the
+// basic format the digits of the year would run into those of the month
+const expandedYearpart = /(?:[+-]\d{6}|[+-]\d{7,}(?=-)|\d{4})/;
 const monthpart = /(?:0[1-9]|1[0-2])/;
 const daypart = /(?:0[1-9]|[12]\d|3[01])/;
-export const datesplit = new RegExpCtor(
-  `(${yearpart.source})(?:-(${monthpart.source})-(${daypart.source})|(${monthpart.source})(${daypart.source}))`
-);
+const weekpart = /(?:0[1-9]|[1-4]\d|5[0-3])/;
+const weekdaypart = /[1-7]/;
+const ordinalpart = /(?:00[1-9]|0[1-9]\d|[12]\d\d|3[0-5]\d|36[0-6])/;
+// Calendar dates, week dates (YYYY-Www-D), and ordinal dates (YYYY-DDD), each
+// in the extended and the basic format
+const datesplitWithYear = (year) =>
+  new RegExpCtor(
+    `(${year.source})(?:-(${monthpart.source})-(${daypart.source})|(${monthpart.source})(${daypart.source})` +
+      `|-W(${weekpart.source})-(${weekdaypart.source})|W(${weekpart.source})(${weekdaypart.source})` +
+      `|-(${ordinalpart.source})|(${ordinalpart.source}))`
+  );
+export const datesplit = datesplitWithYear(yearpart);
 const timesplit = /(\d{2})(?::(\d{2})(?::(\d{2})(?:[.,](\d{1,9}))?)?|(\d{2})(?:(\d{2})(?:[.,](\d{1,9}))?)?)?/;
 export const offsetWithParts = /([+-])([01][0-9]|2[0-3])(?::?([0-5][0-9])(?::?([0-5][0-9])(?:[.,](\d{1,9}))?)?)?/;
 export const offset = /((?:[+-])(?:[01][0-9]|2[0-3])(?::?(?:[0-5][0-9])(?::?(?:[0-5][0-9])(?:[.,](?:\d{1,9}))?)?)?)/;
@@ -21,18 +43,21 @@ const offsetpart = new RegExpCtor(`([zZ])|${offset.source}?`);
 export const offsetIdentifier = /([+-])([01][0-9]|2[0-3])(?::?([0-5][0-9])?)?/;
 export const annotation = /\[(!)?([a-z_][a-z0-9_-]*)=([A-Za-z0-9]+(?:-[A-Za-z0-9]+)*)\]/g;
 
-export const zoneddatetime = new RegExpCtor(
-  Call(
-    ArrayPrototypeJoin,
-    [
-      `^${datesplit.source}`,
-      `(?:(?:[tT]|\\s+)${timesplit.source}(?:${offsetpart.source})?)?`,
-      `(?:\\[!?(${timeZoneID.source})\\])?`,
-      `((?:${annotation.source})*)$`
-    ],
-    ['']
-  )
-);
+const zoneddatetimeWithYear = (year) =>
+  new RegExpCtor(
+    Call(
+      ArrayPrototypeJoin,
+      [
+        `^${datesplitWithYear(year).source}`,
+        `(?:(?:[tT]|\\s+)${timesplit.source}(?:${offsetpart.source})?)?`,
+        `(?:\\[!?(${timeZoneID.source})\\])?`,
+        `((?:${annotation.source})*)$`
+      ],
+      ['']
+    )
+  );
+export const zoneddatetime = zoneddatetimeWithYear(yearpart);
+export const expandedZoneddatetime = zoneddatetimeWithYear(expandedYearpart);
 
 export const time = new RegExpCtor(
   Call(
@@ -57,9 +82,12 @@ export const time = new RegExpCtor(
 // Not ambiguous with HHMMSS because that requires a 'T' prefix
 // UTC offsets are not allowed, because they are not allowed with any date-only
 // format; also, YYYY-MM-UU is ambiguous with YYYY-MM-DD
-export const yearmonth = new RegExpCtor(
-  `^(${yearpart.source})-?(${monthpart.source})(?:\\[!?${timeZoneID.source}\\])?((?:${annotation.source})*)$`
-);
+const yearmonthWithYear = (year) =>
+  new RegExpCtor(
+    `^(${year.source})-?(${monthpart.source})(?:\\[!?${timeZoneID.source}\\])?((?:${annotation.source})*)$`
+  );
+export const yearmonth = yearmonthWithYear(yearpart);
+export const expandedYearmonth = yearmonthWithYear(expandedYearpart);
 export const monthday = new RegExpCtor(
   `^(?:--)?(${monthpart.source})-?(${daypart.source})(?:\\[!?${timeZoneID.source}\\])?((?:${annotation.source})*)$`
 );
@@ -69,3 +97,53 @@ const fraction = /(\d+)(?:[.,](\d{1,9}))?/;
 const durationDate = /(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?/;
 const durationTime = new RegExpCtor(`(?:${fraction.source}H)?(?:${fraction.source}M)?(?:${fraction.source}S)?`);
 export const duration = new RegExpCtor(`^([+-])?P${durationDate.source}(?:T(?!$)${durationTime.source})?$`, 'i');
+
+// Common variants of ISO 8601 strings that from() accepts with the option
+// { parse: 'lenient' }; see NormalizeLenientISOString in ecmascript.mjs. A time
+// without a date needs a colon after the hour, so that it isn't confused with
+// the digits of a date in basic format.
+export const lenientDate = /^([+-]\d{6,}|\d{4})([-/.])(\d{1,2})(?:\2(\d{1,2}))?(?=$|[Tt [])/;
+export const lenientTime = /^[Tt ](\d{1,2})(?::?(\d{2})(?::?(\d{2})([.,]\d{1,9})?)?)?/;
+export const lenientTimeOnly = /^[Tt]?(\d{1,2}):(\d{2})(?::?(\d{2})([.,]\d{1,9})?)?/;
+export const lenientUTCOffset = /^ ?(?:(UTC|GMT|Z)|([+-])(\d{1,2})(?::?(\d{2}))?)$/i;
+
+// The end of an ISO 8601 interval can leave out the leading components that it
+// has in common with the start, as in 2024-02-10/15 or 2024-02-10T09:00/17:00
+export const abbreviatedIntervalEnd = new RegExpCtor(
+  `^(?:(?:(${monthpart.source})-)?(${daypart.source}))?(?:T?(\\d{2}):(\\d{2})(?::(\\d{2})(?:[.,](\\d{1,9}))?)?)?$`
+);
+
+// ISO 8601 repeating intervals, Rn/ followed by an interval, or R/ for an
+// unbounded number of repetitions
+export const repeatingInterval = /^R(\d*)\/(.+)$/;
+
+// iCalendar content lines and values (RFC 5545 sections 3.1 and 3.3); see
+// icalendar.mjs. icalendarDuration follows the grammar of section 3.3.6, in
+// which the time part can't skip a unit, so PT1H30S is invalid; the time part
+// that it matches is then split into units with icalendarDurationTime.
+export const icalendarName = /^[A-Za-z0-9-]+$/;
+export const icalendarParameter = /^([A-Za-z0-9-]+)=(?:"([^"]*)"|([^";:]*))$/;
+export const icalendarDateTime = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+export const icalendarDuration = /^([+-])?P(?:(\d+)W|(?:(\d+)D)?(?:T(\d+H(?:\d+M(?:\d+S)?)?|\d+M(?:\d+S)?|\d+S))?)$/;
+export const icalendarDurationTime = /^(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/;
+export const icalendarUTCOffset = /^([+-])(\d{2})(\d{2})(\d{2})?$/;
+
+// The parts of RRULE values (RFC 5545 section 3.3.10); see recurrence.mjs
+export const recurrenceRule = /^(?:RRULE:)?(.+)$/i;
+export const recurrenceRulePart = /^([A-Za-z-]+)=([^;=]+)$/;
+export const recurrenceRuleNumber = /^([+-])?(\d{1,3})$/;
+export const recurrenceRuleWeekday = /^(?:([+-])?(\d{1,2}))?([A-Za-z]{2})$/;
+
+// Dates in Internet message and HTTP headers; see messagedates.mjs. Comments
+// are removed before matching. The RFC 5322 form includes its obsolete syntax
+// and the IMF-fixdate form of RFC 7231.
+const headerDate = /(\d{1,2})\s+([A-Za-z]{3})\s+(\d{2,4})/;
+const headerTime = /(\d{2})\s*:\s*(\d{2})(?:\s*:\s*(\d{2}))?/;
+const headerZone = /([+-]\d{4}|[A-Za-z]{1,5})/;
+export const rfc5322Date = new RegExpCtor(
+  `^\\s*(?:([A-Za-z]{3})\\s*,\\s*)?${headerDate.source}\\s+${headerTime.source}\\s+${headerZone.source}\\s*$`
+);
+export const rfc850Date = new RegExpCtor(
+  `^\\s*([A-Za-z]{6,9})\\s*,\\s*(\\d{2})-([A-Za-z]{3})-(\\d{2})\\s+${headerTime.source}\\s+${headerZone.source}\\s*$`
+);
+export const asctimeDate = /^\s*([A-Za-z]{3})\s+([A-Za-z]{3})\s+(\d{1,2})\s+(\d{2}):(\d{2}):(\d{2})\s+(\d{4})\s*$/;
@@ -58,7 +58,19 @@ const types = [
   // globalThis.Temporal.Now, // plain object (not a constructor), so no `prototype`
   globalThis.Temporal.PlainTime,
   globalThis.Temporal.PlainYearMonth,
-  globalThis.Temporal.ZonedDateTime
+  globalThis.Temporal.ZonedDateTime,
+  globalThis.Temporal.TimeZoneProvider,
+  globalThis.Temporal.Clock,
+  globalThis.Temporal.Interval,
+  globalThis.Temporal.RepeatingInterval,
+  globalThis.Temporal.RecurrenceRule
+  // globalThis.Temporal.ICalendar, // plain object (not a constructor), so no `prototype`
+  // globalThis.Temporal.Limits, // plain object (not a constructor), so no `prototype`
+  // globalThis.Temporal.MessageDates, // plain object (not a constructor), so no `prototype`
+  // globalThis.Temporal.Patterns, // plain object (not a constructor), so no `prototype`
+  // globalThis.Temporal.TimeScales, // plain object (not a constructor), so no `prototype`
+  // globalThis.Temporal.Timers, // plain object (not a constructor), so no `prototype`
+  // globalThis.Temporal.TimeZones, // plain object (not a constructor), so no `prototype`
 ];
 for (let i = 0; i < types.length; i++) {
   const type = types[i];
@@ -23,6 +23,9 @@ export const DATE_BRAND = 'slot-date-brand';
 export const YEAR_MONTH_BRAND = 'slot-year-month-brand';
 export const MONTH_DAY_BRAND = 'slot-month-day-brand';
 
+// Instant, DateTime, Date, YearMonth: the range the object was created in
+export const RANGE = 'slot-range';
+
 // ZonedDateTime
 export const TIME_ZONE = 'slot-time-zone';
 
@@ -38,6 +41,25 @@ export const MILLISECONDS = 'slot-milliseconds';
 export const MICROSECONDS = 'slot-microseconds';
 export const NANOSECONDS = 'slot-nanoseconds';
 
+// TimeZoneProvider
+export const TIME_ZONE_RECORDS = 'slot-time-zone-records';
+
+// Clock
+export const CLOCK_STATE = 'slot-clock-state';
+export const CLOCK_TIMERS = 'slot-clock-timers';
+
+// Interval
+export const INTERVAL_START = 'slot-interval-start';
+export const INTERVAL_END = 'slot-interval-end';
+
+// RepeatingInterval
+export const REPEATING_ANCHOR = 'slot-repeating-anchor';
+export const REPEATING_DURATION = 'slot-repeating-duration';
+export const REPEATING_RECURRENCES = 'slot-repeating-recurrences';
+
+// RecurrenceRule
+export const RECURRENCE_RULE = 'slot-recurrence-rule';
+
 const slots = new WeakMapCtor();
 export function CreateSlots(container) {
   Call(WeakMapPrototypeSet, slots, [container, ObjectCreate(null)]);
@@ -10,6 +10,17 @@ export { Now } from './now.mjs';
 export { PlainTime } from './plaintime.mjs';
 export { PlainYearMonth } from './plainyearmonth.mjs';
 export { ZonedDateTime } from './zoneddatetime.mjs';
+export { TimeZoneProvider } from './timezoneprovider.mjs';
+export { Clock } from './clock.mjs';
+export { Interval, RepeatingInterval } from './interval.mjs';
+export { ICalendar } from './icalendar.mjs';
+export { Limits } from './limits.mjs';
+export { MessageDates } from './messagedates.mjs';
+export { Patterns } from './patterns.mjs';
+export { RecurrenceRule } from './recurrence.mjs';
+export { TimeScales } from './timescales.mjs';
+export { Timers } from './timers.mjs';
+export { TimeZones } from './timezones.mjs';
 
 if (typeof __isTest262__ === 'undefined' || !__isTest262__) {
   // eslint-disable-next-line no-console
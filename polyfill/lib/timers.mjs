@@ -0,0 +1,172 @@
+import {
+  // error constructors
+  TypeError as TypeErrorCtor,
+
+  // class static functions and methods
+  ArrayPrototypeIndexOf,
+  ArrayPrototypePush,
+  ArrayPrototypeSlice,
+  ArrayPrototypeSplice,
+  DateNow,
+  MathCeil,
+  MathMax,
+  MathMin,
+  ObjectDefineProperty,
+  SymbolToStringTag
+} from './primordials.mjs';
+
+import Call from 'es-abstract/2024/Call.js';
+
+import bigInt from 'big-integer';
+
+import * as ES from './ecmascript.mjs';
+import { GetIntrinsic } from './intrinsicclass.mjs';
+import { CLOCK_STATE, CLOCK_TIMERS, EPOCHNANOSECONDS, GetSlot } from './slots.mjs';
+
+// Hosts can't wait longer than this in one setTimeout() call
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Host timeouts run on a timer that doesn't see the system clock being set,
+// so timers that follow the system clock check it at least this often
+const SYSTEM_CLOCK_CHECK_MS = 60e3;
+
+const { setTimeout: HostSetTimeout, clearTimeout: HostClearTimeout } = globalThis;
+
+// Each timer is a record of its target time, its callback, the Temporal.Clock
+// it follows or null for the system clock, and the host timeout that is
+// waiting for it, if any. Timers that follow a Temporal.Clock are also in the
+// clock's CLOCK_TIMERS list, so that they can be fired or re-armed when the
+// clock is changed. Timers that follow the system clock read the wall time,
+// so that they notice it being set.
+function ReadTimerClock(clock) {
+  if (clock === null) return { nowNs: bigInt(DateNow()).multiply(1e6), rate: 1 };
+  return { nowNs: ES.GetClockEpochNanoseconds(clock), rate: GetSlot(clock, CLOCK_STATE).rate };
+}
+
+function DisarmTimer(timer) {
+  if (timer.timeout === undefined) return;
+  Call(HostClearTimeout, globalThis, [timer.timeout]);
+  timer.timeout = undefined;
+}
+
+// Long delays are split up, and the clock is checked again whenever the host
+// timeout fires, so that the timer never fires early. Clocks that stand still
+// only fire timers when they are changed, unless the timer is already due.
+function ArmTimer(timer) {
+  DisarmTimer(timer);
+  const { nowNs, rate } = ReadTimerClock(timer.clock);
+  const remainingNs = timer.epochNs.minus(nowNs);
+  if (rate === 0 && remainingNs.isPositive()) return;
+  if (typeof HostSetTimeout !== 'function') throw new TypeErrorCtor('timers need setTimeout() in the host');
+  const maxDelayMs = timer.clock === null ? SYSTEM_CLOCK_CHECK_MS : MAX_TIMEOUT_MS;
+  const delayMs = MathMin(MathMax(MathCeil(remainingNs.toJSNumber() / 1e6 / (rate || 1)), 0), maxDelayMs);
+  timer.timeout = Call(HostSetTimeout, globalThis, [() => OnTimeout(timer), delayMs]);
+}
+
+function OnTimeout(timer) {
+  timer.timeout = undefined;
+  if (!timer.pending) return;
+  if (ReadTimerClock(timer.clock).nowNs.lesser(timer.epochNs)) {
+    ArmTimer(timer);
+    return;
+  }
+  FireTimer(timer);
+}
+
+function RemoveTimer(timer) {
+  timer.pending = false;
+  DisarmTimer(timer);
+  if (timer.clock === null) return;
+  const timers = GetSlot(timer.clock, CLOCK_TIMERS);
+  const index = Call(ArrayPrototypeIndexOf, timers, [timer]);
+  if (index !== -1) Call(ArrayPrototypeSplice, timers, [index, 1]);
+}
+
+// The callback sees the clock that the timer follows in Temporal.Now
+function FireTimer(timer) {
+  RemoveTimer(timer);
+  if (timer.clock === null) {
+    Call(timer.callback, undefined, []);
+  } else {
+    ES.RunWithClock(timer.clock, timer.callback, []);
+  }
+}
+
+function GetEarliestDueTimer(clock, epochNs) {
+  const timers = GetSlot(clock, CLOCK_TIMERS);
+  let earliest = undefined;
+  for (let ix = 0; ix < timers.length; ix++) {
+    const timer = timers[ix];
+    if (timer.epochNs.greater(epochNs)) continue;
+    if (earliest === undefined || timer.epochNs.lesser(earliest.epochNs)) earliest = timer;
+  }
+  return earliest;
+}
+
+// Called when a Temporal.Clock is set to a new reading. Moving the clock
+// forward fires the timers that become due, in order, with the clock showing
+// each timer's target time while its callback runs. If callbacks throw, the
+// other timers still fire and the clock still gets the new reading, and then
+// the first error is thrown.
+export function SetClockReading(clock, epochNs) {
+  let error;
+  let threw = false;
+  let timer;
+  while ((timer = GetEarliestDueTimer(clock, epochNs))) {
+    const { rate, timeZone } = GetSlot(clock, CLOCK_STATE);
+    if (timer.epochNs.greater(ES.GetClockEpochNanoseconds(clock))) {
+      ES.SetClockState(clock, timer.epochNs, rate, timeZone);
+    }
+    try {
+      FireTimer(timer);
+    } catch (e) {
+      if (!threw) {
+        error = e;
+        threw = true;
+      }
+    }
+  }
+  const { rate, timeZone } = GetSlot(clock, CLOCK_STATE);
+  ES.SetClockState(clock, epochNs, rate, timeZone);
+  RearmClockTimers(clock);
+  if (threw) throw error;
+}
+
+// Called when a Temporal.Clock's rate changes, which changes how long its
+// timers have to wait
+export function RearmClockTimers(clock) {
+  const timers = Call(ArrayPrototypeSlice, GetSlot(clock, CLOCK_TIMERS), []);
+  for (let ix = 0; ix < timers.length; ix++) ArmTimer(timers[ix]);
+}
+
+const setTimer = (when, callback) => {
+  const epochNs = GetSlot(ES.ToTemporalInstant(when), EPOCHNANOSECONDS);
+  if (typeof callback !== 'function') throw new TypeErrorCtor('callback must be a function');
+  const clock = ES.GetActiveClock();
+  const timer = { epochNs, callback, clock, timeout: undefined, pending: true };
+  if (clock !== null) Call(ArrayPrototypePush, GetSlot(clock, CLOCK_TIMERS), [timer]);
+  ArmTimer(timer);
+
+  const TemporalInstant = GetIntrinsic('%Temporal.Instant%');
+  return {
+    instant: new TemporalInstant(epochNs),
+    get pending() {
+      return timer.pending;
+    },
+    cancel() {
+      if (!timer.pending) return false;
+      RemoveTimer(timer);
+      return true;
+    }
+  };
+};
+
+export const Timers = {
+  setTimer
+};
+ObjectDefineProperty(Timers, SymbolToStringTag, {
+  value: 'Temporal.Timers',
+  writable: false,
+  enumerable: false,
+  configurable: true
+});
@@ -0,0 +1,246 @@
+import {
+  // error constructors
+  RangeError as RangeErrorCtor,
+  TypeError as TypeErrorCtor,
+
+  // class static functions and methods
+  ArrayFrom,
+  ArrayPrototypeIncludes,
+  ArrayPrototypeJoin,
+  ArrayPrototypePush,
+  ObjectDefineProperty,
+  RegExpPrototypeExec,
+  StringPrototypeSplit,
+  SymbolToStringTag
+} from './primordials.mjs';
+
+import Call from 'es-abstract/2024/Call.js';
+import bigInt from 'big-integer';
+
+import * as ES from './ecmascript.mjs';
+import { GetIntrinsic } from './intrinsicclass.mjs';
+import { LEAP_SECONDS_LIST } from './leapseconds.mjs';
+import { EPOCHNANOSECONDS, ISO_DATE_TIME, GetSlot } from './slots.mjs';
+
+const NTP_EPOCH_SECONDS = -2208988800; // 1900-01-01T00:00Z
+const TIME_SCALES = ['gps', 'tai', 'tt', 'utc'];
+
+// Readings of each time scale's clocks, relative to TAI. UTC isn't in here,
+// because its difference from TAI changes with every leap second.
+const SCALE_OFFSET_NS = {
+  gps: bigInt(-19e9),
+  tai: bigInt.zero,
+  tt: bigInt(32184e6)
+};
+
+// Sorted array of { epochNs, taiOffset } records, where taiOffset is TAI - UTC
+// in seconds from epochNs on, and the epoch nanoseconds when the table expires
+let leapSecondTable = undefined;
+
+function ToTimeScaleIdentifier(scale) {
+  scale = ES.RequireString(scale);
+  if (!Call(ArrayPrototypeIncludes, TIME_SCALES, [scale])) {
+    throw new RangeErrorCtor(
+      `time scale must be one of ${Call(ArrayPrototypeJoin, TIME_SCALES, [', '])}, not ${scale}`
+    );
+  }
+  return scale;
+}
+
+// Checks that each entry is a whole second, after the previous one, and is a
+// single leap second, so that only 23:59:60 ever needs to be represented
+function ValidateLeapSecondTable(entries, expiresNs) {
+  if (entries.length === 0) throw new RangeErrorCtor('leap second table must not be empty');
+  for (let ix = 0; ix < entries.length; ix++) {
+    const { epochNs, taiOffset } = entries[ix];
+    if (!epochNs.mod(1e9).isZero()) throw new RangeErrorCtor('leap seconds must be at whole seconds');
+    if (ix === 0) continue;
+    const previous = entries[ix - 1];
+    if (epochNs.leq(previous.epochNs)) throw new RangeErrorCtor('leap seconds must be in order');
+    if (taiOffset - previous.taiOffset !== 1 && taiOffset - previous.taiOffset !== -1) {
+      throw new RangeErrorCtor('each leap second must change TAI - UTC by one second');
+    }
+  }
+  return { entries, expiresNs };
+}
+
+// Parses the format of leap-seconds.list, ignoring its comments and hash
+function ParseLeapSecondsList(text) {
+  const entries = [];
+  let expiresNs = undefined;
+  const lines = Call(StringPrototypeSplit, text, [/\r?\n/]);
+  for (let ix = 0; ix < lines.length; ix++) {
+    const line = lines[ix];
+    let match = Call(RegExpPrototypeExec, /^#@\s+(\d+)\s*$/, [line]);
+    if (match) {
+      expiresNs = bigInt(+match[1] + NTP_EPOCH_SECONDS).multiply(1e9);
+      continue;
+    }
+    if (Call(RegExpPrototypeExec, /^\s*(?:#.*)?$/, [line])) continue;
+    match = Call(RegExpPrototypeExec, /^\s*(\d+)\s+(-?\d+)\s*(?:#.*)?$/, [line]);
+    if (!match) throw new RangeErrorCtor(`invalid line in leap second list: ${line}`);
+    const epochNs = bigInt(+match[1] + NTP_EPOCH_SECONDS).multiply(1e9);
+    ES.ValidateEpochNanoseconds(epochNs);
+    Call(ArrayPrototypePush, entries, [{ epochNs, taiOffset: +match[2] }]);
+  }
+  return ValidateLeapSecondTable(entries, expiresNs);
+}
+
+function ToLeapSecondTable(table) {
+  if (ES.Type(table) === 'String') return ParseLeapSecondsList(table);
+  if (ES.Type(table) !== 'Object') throw new TypeErrorCtor('expected a leap second list, a table object, or null');
+  if (ES.Type(table.leapSeconds) !== 'Object') throw new TypeErrorCtor('leapSeconds must be an array');
+  const leapSeconds = ArrayFrom(table.leapSeconds);
+  const entries = [];
+  for (let ix = 0; ix < leapSeconds.length; ix++) {
+    const entry = leapSeconds[ix];
+    if (ES.Type(entry) !== 'Object') throw new TypeErrorCtor('leap second entries must be objects');
+    const epochNs = GetSlot(ES.ToTemporalInstant(entry.instant), EPOCHNANOSECONDS);
+    const taiOffset = ES.ToIntegerIfIntegral(entry.taiOffset);
+    Call(ArrayPrototypePush, entries, [{ epochNs, taiOffset }]);
+  }
+  const expires = table.expires;
+  const expiresNs = expires === undefined ? undefined : GetSlot(ES.ToTemporalInstant(expires), EPOCHNANOSECONDS);
+  return ValidateLeapSecondTable(entries, expiresNs);
+}
+
+function GetLeapSecondTable() {
+  if (!leapSecondTable) leapSecondTable = ParseLeapSecondsList(LEAP_SECONDS_LIST);
+  return leapSecondTable;
+}
+
+// Index of the last entry in effect at epochNs, or 0 before the first entry.
+// Before 1972, UTC wasn't kept within whole seconds of TAI, so instead the
+// first entry's offset is extended back indefinitely.
+function GetLeapSecondIndex(epochNs) {
+  const { entries } = GetLeapSecondTable();
+  let ix = entries.length - 1;
+  while (ix > 0 && entries[ix].epochNs.greater(epochNs)) ix--;
+  return ix;
+}
+
+function UTCToTAINanoseconds(epochNs) {
+  const { entries } = GetLeapSecondTable();
+  return epochNs.plus(entries[GetLeapSecondIndex(epochNs)].taiOffset * 1e9);
+}
+
+// Readings of TAI in a leap second are after the last reading before the leap
+// second, converted with the new offset, and before the first reading after
+// it, converted with the old offset. They are constrained to the second before
+// the leap second, like in ParseISODateTime, or rejected.
+function TAIToUTCNanoseconds(taiNs, leapSecond) {
+  const { entries } = GetLeapSecondTable();
+  for (let ix = entries.length - 1; ix > 0; ix--) {
+    const { epochNs, taiOffset } = entries[ix];
+    const utcNs = taiNs.minus(taiOffset * 1e9);
+    if (utcNs.geq(epochNs)) return utcNs;
+    if (taiNs.minus(entries[ix - 1].taiOffset * 1e9).geq(epochNs)) {
+      if (leapSecond === 'reject') throw new RangeErrorCtor('time is during a leap second');
+      return utcNs;
+    }
+  }
+  return taiNs.minus(entries[0].taiOffset * 1e9);
+}
+
+// Parses an exact time, keeping a seconds value of 60 if it's a leap second,
+// and returns it as epoch nanoseconds in TAI
+function ParseLeapSecondInstant(isoString) {
+  const { leapSecond } = ES.ParseTemporalInstantString(isoString);
+  const epochNs = GetSlot(ES.ToTemporalInstant(isoString), EPOCHNANOSECONDS);
+  if (!leapSecond) return UTCToTAINanoseconds(epochNs);
+
+  // ParseISODateTime constrained the leap second to the second before it
+  const { entries } = GetLeapSecondTable();
+  const nextSecondNs = bigInt(ES.epochNsToSeconds(epochNs, 'floor') + 1).multiply(1e9);
+  const ix = GetLeapSecondIndex(nextSecondNs);
+  if (ix === 0 || !entries[ix].epochNs.equals(nextSecondNs) || entries[ix].taiOffset < entries[ix - 1].taiOffset) {
+    throw new RangeErrorCtor(`${isoString} is not during a leap second`);
+  }
+  return UTCToTAINanoseconds(epochNs).plus(1e9);
+}
+
+// Like ToTemporalInstant, but strings can be leap seconds
+function ToTAINanoseconds(item) {
+  if (ES.Type(item) === 'String') return ParseLeapSecondInstant(item);
+  return UTCToTAINanoseconds(GetSlot(ES.ToTemporalInstant(item), EPOCHNANOSECONDS));
+}
+
+function ScaleReadingToTAINanoseconds(readingNs, scale) {
+  return readingNs.minus(SCALE_OFFSET_NS[scale]);
+}
+
+function TAINanosecondsToScaleReading(taiNs, scale) {
+  const readingNs = scale === 'utc' ? TAIToUTCNanoseconds(taiNs, 'reject') : taiNs.plus(SCALE_OFFSET_NS[scale]);
+  const { isoDate, time } = ES.GetISOPartsFromEpoch(readingNs);
+  return ES.CreateTemporalDateTime(ES.CombineISODateAndTimeRecord(isoDate, time));
+}
+
+const toTimeScale = (instant, scale) => {
+  const epochNs = GetSlot(ES.ToTemporalInstant(instant), EPOCHNANOSECONDS);
+  scale = ToTimeScaleIdentifier(scale);
+  return TAINanosecondsToScaleReading(UTCToTAINanoseconds(epochNs), scale);
+};
+
+const fromTimeScale = (dateTime, scale, options = undefined) => {
+  const readingNs = ES.GetUTCEpochNanoseconds(GetSlot(ES.ToTemporalDateTime(dateTime), ISO_DATE_TIME));
+  scale = ToTimeScaleIdentifier(scale);
+  const leapSecond = ES.GetOption(ES.GetOptionsObject(options), 'leapSecond', ['constrain', 'reject'], 'constrain');
+  const epochNs =
+    scale === 'utc' ? readingNs : TAIToUTCNanoseconds(ScaleReadingToTAINanoseconds(readingNs, scale), leapSecond);
+  ES.ValidateEpochNanoseconds(epochNs);
+  const TemporalInstant = GetIntrinsic('%Temporal.Instant%');
+  return new TemporalInstant(epochNs);
+};
+
+const parse = (isoString, scale = 'tai') => {
+  const taiNs = ParseLeapSecondInstant(ES.RequireString(isoString));
+  scale = ToTimeScaleIdentifier(scale);
+  return TAINanosecondsToScaleReading(taiNs, scale);
+};
+
+const elapsed = (start, end, options = undefined) => {
+  const startNs = ToTAINanoseconds(start);
+  const endNs = ToTAINanoseconds(end);
+  const settings = ES.GetDifferenceSettings('until', ES.GetOptionsObject(options), 'time', [], 'nanosecond', 'second');
+  const duration = ES.DifferenceInstant(
+    startNs,
+    endNs,
+    settings.roundingIncrement,
+    settings.smallestUnit,
+    settings.roundingMode
+  );
+  return ES.TemporalDurationFromInternal(duration, settings.largestUnit);
+};
+
+const getLeapSeconds = () => {
+  const TemporalInstant = GetIntrinsic('%Temporal.Instant%');
+  const { entries, expiresNs } = GetLeapSecondTable();
+  const leapSeconds = [];
+  for (let ix = 0; ix < entries.length; ix++) {
+    const { epochNs, taiOffset } = entries[ix];
+    Call(ArrayPrototypePush, leapSeconds, [{ instant: new TemporalInstant(epochNs), taiOffset }]);
+  }
+  return { leapSeconds, expires: expiresNs === undefined ? undefined : new TemporalInstant(expiresNs) };
+};
+
+const setLeapSeconds = (table) => {
+  const newTable = table === null ? undefined : ToLeapSecondTable(table);
+  const previous = getLeapSeconds();
+  leapSecondTable = newTable;
+  return previous;
+};
+
+export const TimeScales = {
+  elapsed,
+  fromTimeScale,
+  getLeapSeconds,
+  parse,
+  setLeapSeconds,
+  toTimeScale
+};
+ObjectDefineProperty(TimeScales, SymbolToStringTag, {
+  value: 'Temporal.TimeScales',
+  writable: false,
+  enumerable: false,
+  configurable: true
+});
@@ -0,0 +1,80 @@
+import {
+  // constructors and similar
+  Map as MapCtor,
+
+  // error constructors
+  RangeError as RangeErrorCtor,
+  TypeError as TypeErrorCtor,
+
+  // class static functions and methods
+  MapPrototypeGet,
+  MapPrototypeHas,
+  MapPrototypeSet
+} from './primordials.mjs';
+
+import Call from 'es-abstract/2024/Call.js';
+
+import * as ES from './ecmascript.mjs';
+import { MakeIntrinsicClass } from './intrinsicclass.mjs';
+import { TIME_ZONE_RECORDS, CreateSlots, GetSlot, SetSlot } from './slots.mjs';
+import { ParseTZif } from './tzif.mjs';
+
+// Records are keyed by the ASCII-lowercased identifier, and hold either TZif
+// zone data or a custom time zone object. Links are resolved when they are
+// added, so each record refers directly to its zone data or object.
+function AddRecord(provider, identifier, primaryIdentifier, zone, timeZone) {
+  const records = GetSlot(provider, TIME_ZONE_RECORDS);
+  const key = ES.ASCIILowercase(identifier);
+  if (Call(MapPrototypeHas, records, [key])) {
+    throw new RangeErrorCtor(`time zone ${identifier} is already defined in this provider`);
+  }
+  Call(MapPrototypeSet, records, [key, { identifier, primaryIdentifier, zone, timeZone }]);
+}
+
+function ToProviderTimeZoneIdentifier(identifier) {
+  identifier = ES.RequireString(identifier);
+  if (ES.ParseTimeZoneIdentifier(identifier).tzName === undefined) {
+    throw new RangeErrorCtor(`${identifier} is an offset; only named time zones can be defined`);
+  }
+  return identifier;
+}
+
+export class TimeZoneProvider {
+  constructor() {
+    CreateSlots(this);
+    SetSlot(this, TIME_ZONE_RECORDS, new MapCtor());
+  }
+  addTZif(identifier, data) {
+    if (!ES.IsTemporalTimeZoneProvider(this)) throw new TypeErrorCtor('invalid receiver');
+    identifier = ToProviderTimeZoneIdentifier(identifier);
+    const zone = ParseTZif(data);
+    AddRecord(this, identifier, identifier, zone, undefined);
+  }
+  addTimeZone(timeZone) {
+    if (!ES.IsTemporalTimeZoneProvider(this)) throw new TypeErrorCtor('invalid receiver');
+    if (ES.Type(timeZone) !== 'Object' || !ES.ObjectImplementsTemporalTimeZoneProtocol(timeZone)) {
+      throw new TypeErrorCtor('expected an object implementing the time zone protocol');
+    }
+    const identifier = ToProviderTimeZoneIdentifier(timeZone.id);
+    AddRecord(this, identifier, identifier, undefined, timeZone);
+  }
+  addLink(identifier, target) {
+    if (!ES.IsTemporalTimeZoneProvider(this)) throw new TypeErrorCtor('invalid receiver');
+    identifier = ToProviderTimeZoneIdentifier(identifier);
+    target = ES.RequireString(target);
+    const records = GetSlot(this, TIME_ZONE_RECORDS);
+    const targetRecord = Call(MapPrototypeGet, records, [ES.ASCIILowercase(target)]);
+    if (!targetRecord) throw new RangeErrorCtor(`link target ${target} is not defined in this provider`);
+    AddRecord(this, identifier, targetRecord.primaryIdentifier, targetRecord.zone, targetRecord.timeZone);
+  }
+
+  static install(provider) {
+    if (provider === undefined) provider = null;
+    if (provider !== null && !ES.IsTemporalTimeZoneProvider(provider)) {
+      throw new TypeErrorCtor('expected a Temporal.TimeZoneProvider or null');
+    }
+    return ES.InstallTimeZoneProvider(provider);
+  }
+}
+
+MakeIntrinsicClass(TimeZoneProvider, 'Temporal.TimeZoneProvider');
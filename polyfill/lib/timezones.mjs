@@ -0,0 +1,403 @@
+import {
+  // constructors and similar
+  Map as MapCtor,
+
+  // error constructors
+  RangeError as RangeErrorCtor,
+
+  // class static functions and methods
+  ArrayPrototypeConcat,
+  ArrayPrototypeFind,
+  ArrayPrototypeIncludes,
+  ArrayPrototypePush,
+  ArrayPrototypeSlice,
+  ArrayPrototypeSort,
+  IntlDateTimeFormat,
+  IntlDateTimeFormatPrototypeFormatToParts,
+  MapIteratorPrototypeNext,
+  MapPrototypeGet,
+  MapPrototypeSet,
+  MapPrototypeValues,
+  ObjectDefineProperty,
+  ObjectKeys,
+  RegExpPrototypeExec,
+  RegExpPrototypeTest,
+  StringPrototypeSplit,
+  StringPrototypeToUpperCase,
+  SymbolIterator,
+  SymbolToStringTag
+} from './primordials.mjs';
+
+import Call from 'es-abstract/2024/Call.js';
+import bigInt from 'big-integer';
+
+import * as ES from './ecmascript.mjs';
+import { GetIntrinsic } from './intrinsicclass.mjs';
+import { CALENDAR, EPOCHNANOSECONDS, ISO_DATE_TIME, GetSlot } from './slots.mjs';
+import { TimeDuration } from './timeduration.mjs';
+import { GetTZifLocalTimeType } from './tzif.mjs';
+import { LINKS, ZONE_TAB } from './zonetab.mjs';
+
+const DST_PERIOD_MAX_NS = bigInt(86400e9).multiply(366);
+
+function CreateTransitionRecord({ epochNs, offsetNsBefore, offsetNsAfter }) {
+  const TemporalInstant = GetIntrinsic('%Temporal.Instant%');
+  const change = TimeDuration.fromComponents(0, 0, 0, 0, 0, offsetNsAfter - offsetNsBefore);
+  return {
+    instant: new TemporalInstant(epochNs),
+    offsetBefore: ES.FormatUTCOffsetNanoseconds(offsetNsBefore),
+    offsetAfter: ES.FormatUTCOffsetNanoseconds(offsetNsAfter),
+    offsetNanosecondsBefore: offsetNsBefore,
+    offsetNanosecondsAfter: offsetNsAfter,
+    wallClockChange: ES.TemporalDurationFromInternal({ date: ES.ZeroDateDuration(), time: change }, 'hour')
+  };
+}
+
+// Without TZif data there is no DST flag, so estimate it: an offset is DST if
+// it is higher than the offsets on either side of it, and the period between
+// the two transitions is less than a year long.
+function EstimateLocalTimeType(timeZone, epochNs, offsetNs) {
+  const standard = { isDST: false, standardOffsetNs: offsetNs };
+  let previousNs = ES.GetTimeZoneTransition(timeZone, epochNs, 'previous');
+  const nextNs = ES.GetTimeZoneTransition(timeZone, epochNs, 'next');
+  if (previousNs === null || nextNs === null) return standard;
+  // If epochNs is exactly at a transition, then that is the start of the period
+  const periodStartNs = ES.GetTimeZoneTransition(timeZone, previousNs, 'next');
+  if (periodStartNs.leq(epochNs)) previousNs = periodStartNs;
+  if (nextNs.minus(previousNs).greater(DST_PERIOD_MAX_NS)) return standard;
+
+  const offsetNsBefore = ES.GetOffsetNanosecondsFor(timeZone, previousNs.minus(1));
+  const offsetNsAfter = ES.GetOffsetNanosecondsFor(timeZone, nextNs);
+  if (offsetNs <= offsetNsBefore || offsetNs <= offsetNsAfter) return standard;
+  return { isDST: true, standardOffsetNs: offsetNsBefore };
+}
+
+function GetCacheLimitOption(options, property, minimum, fallback) {
+  const value = options[property];
+  if (value === undefined) return fallback;
+  const integer = ES.ToIntegerWithTruncation(value);
+  if (integer < minimum) throw new RangeErrorCtor(`${property} must be at least ${minimum}`);
+  return integer;
+}
+
+function IntlTimeZoneName(id, epochNs, locales, style) {
+  // Invalid locales are an error, but time zones that are only defined by the
+  // time zone provider just don't have a name
+  new IntlDateTimeFormat(locales);
+  let formatter;
+  try {
+    formatter = new IntlDateTimeFormat(locales, { timeZone: id, timeZoneName: style });
+  } catch {
+    return undefined;
+  }
+  const parts = Call(IntlDateTimeFormatPrototypeFormatToParts, formatter, [ES.epochNsToMs(epochNs, 'floor')]);
+  return Call(ArrayPrototypeFind, parts, [({ type }) => type === 'timeZoneName'])?.value;
+}
+
+let zoneTabCache = undefined;
+let linkGroupsCache = undefined;
+let windowsNamesCache = undefined;
+
+function ParseISO6709Coordinate(sign, degrees, minutes, seconds = '0') {
+  const value = +degrees + minutes / 60 + seconds / 3600;
+  return sign === '-' ? -value : value;
+}
+
+// Map from zone1970.tab identifiers to their entries
+function GetZoneTab() {
+  if (zoneTabCache) return zoneTabCache;
+  zoneTabCache = new MapCtor();
+  const lines = Call(StringPrototypeSplit, ZONE_TAB, ['\n']);
+  for (let ix = 0; ix < lines.length; ix++) {
+    const [countries, coordinates, id, comment] = Call(StringPrototypeSplit, lines[ix], ['\t']);
+    const match = Call(RegExpPrototypeExec, /^([+-])(\d\d)(\d\d)(\d\d)?([+-])(\d\d\d)(\d\d)(\d\d)?$/, [coordinates]);
+    Call(MapPrototypeSet, zoneTabCache, [
+      id,
+      {
+        countries: Call(StringPrototypeSplit, countries, [',']),
+        latitude: ParseISO6709Coordinate(match[1], match[2], match[3], match[4]),
+        longitude: ParseISO6709Coordinate(match[5], match[6], match[7], match[8]),
+        comment
+      }
+    ]);
+  }
+  return zoneTabCache;
+}
+
+// Map from ASCII-lowercased identifiers to the array of all identifiers that
+// are connected to it by links in the time zone database
+function GetLinkGroups() {
+  if (linkGroupsCache) return linkGroupsCache;
+  linkGroupsCache = new MapCtor();
+  const getGroup = (id) => {
+    const key = ES.ASCIILowercase(id);
+    let group = Call(MapPrototypeGet, linkGroupsCache, [key]);
+    if (!group) {
+      group = [id];
+      Call(MapPrototypeSet, linkGroupsCache, [key, group]);
+    }
+    return group;
+  };
+  const lines = Call(StringPrototypeSplit, LINKS, ['\n']);
+  for (let ix = 0; ix < lines.length; ix++) {
+    const [target, link] = Call(StringPrototypeSplit, lines[ix], [' ']);
+    const targetGroup = getGroup(target);
+    const linkGroup = getGroup(link);
+    if (targetGroup === linkGroup) continue;
+    for (let jx = 0; jx < linkGroup.length; jx++) {
+      Call(ArrayPrototypePush, targetGroup, [linkGroup[jx]]);
+      Call(MapPrototypeSet, linkGroupsCache, [ES.ASCIILowercase(linkGroup[jx]), targetGroup]);
+    }
+  }
+  return linkGroupsCache;
+}
+
+function GetLinkedIdentifiers(id) {
+  return Call(MapPrototypeGet, GetLinkGroups(), [ES.ASCIILowercase(id)]) ?? [id];
+}
+
+// Map from ASCII-lowercased IANA identifiers to Windows time zone names
+function GetWindowsNames() {
+  if (windowsNamesCache) return windowsNamesCache;
+  windowsNamesCache = new MapCtor();
+  const records = Call(MapPrototypeValues, ES.GetWindowsTimeZones(), []);
+  for (;;) {
+    const iterResult = Call(MapIteratorPrototypeNext, records, []);
+    if (iterResult.done) break;
+    const { name, identifiers } = iterResult.value;
+    const territories = ObjectKeys(identifiers);
+    for (let ix = 0; ix < territories.length; ix++) {
+      const ids = identifiers[territories[ix]];
+      for (let jx = 0; jx < ids.length; jx++) {
+        Call(MapPrototypeSet, windowsNamesCache, [ES.ASCIILowercase(ids[jx]), name]);
+      }
+    }
+  }
+  return windowsNamesCache;
+}
+
+// Collects a time zone's identifiers and its zone1970.tab entry, if any
+function GetZoneRecord(timeZone) {
+  const id = ES.ToTemporalTimeZoneIdentifier(timeZone);
+  let primaryId = id;
+  const aliases = [];
+  if (ES.Type(timeZone) === 'String' && ES.IsOffsetTimeZoneIdentifier(timeZone)) {
+    return { id, primaryId, aliases, entry: undefined };
+  }
+
+  if (ES.Type(timeZone) === 'String') primaryId = ES.GetAvailableNamedTimeZoneIdentifier(id).primaryIdentifier;
+  const candidates = Call(ArrayPrototypeConcat, GetLinkedIdentifiers(id), [
+    GetLinkedIdentifiers(primaryId),
+    ES.GetProviderTimeZoneIdentifiers(primaryId)
+  ]);
+  for (let ix = 0; ix < candidates.length; ix++) {
+    const record = ES.GetAvailableNamedTimeZoneIdentifier(candidates[ix]);
+    if (!record || record.primaryIdentifier !== primaryId || record.identifier === primaryId) continue;
+    if (Call(ArrayPrototypeIncludes, aliases, [record.identifier])) continue;
+    Call(ArrayPrototypePush, aliases, [record.identifier]);
+  }
+  Call(ArrayPrototypeSort, aliases, []);
+
+  // zone1970.tab may list the time zone under the primary identifier or under
+  // one of its aliases, because ICU's and IANA's choices can differ
+  const zoneTab = GetZoneTab();
+  let entry = Call(MapPrototypeGet, zoneTab, [primaryId]);
+  for (let ix = 0; ix < aliases.length && !entry; ix++) entry = Call(MapPrototypeGet, zoneTab, [aliases[ix]]);
+  return { id, primaryId, aliases, entry };
+}
+
+const getTransitions = (temporalTimeZoneLike, start, end) => {
+  const timeZone = ES.ToTemporalTimeZoneSlotValue(temporalTimeZoneLike);
+  const startNs = GetSlot(ES.ToTemporalInstant(start), EPOCHNANOSECONDS);
+  const endNs = GetSlot(ES.ToTemporalInstant(end), EPOCHNANOSECONDS);
+  if (endNs.lesser(startNs)) throw new RangeErrorCtor('end of range must not be before its start');
+
+  const search = ES.CreateTimeZoneTransitionSearch(timeZone, startNs, endNs);
+  return {
+    [SymbolIterator]() {
+      return this;
+    },
+    next() {
+      const transition = search();
+      if (transition === null) return { value: undefined, done: true };
+      return { value: CreateTransitionRecord(transition), done: false };
+    }
+  };
+};
+
+const getOffsetInfo = (temporalTimeZoneLike, instant, locales = undefined) => {
+  const timeZone = ES.ToTemporalTimeZoneSlotValue(temporalTimeZoneLike);
+  const epochNs = GetSlot(ES.ToTemporalInstant(instant), EPOCHNANOSECONDS);
+  const offsetNs = ES.GetOffsetNanosecondsFor(timeZone, epochNs);
+
+  let isDST = false;
+  let standardOffsetNs = offsetNs;
+  let abbreviation = undefined;
+  let name = undefined;
+  if (ES.Type(timeZone) === 'Object') {
+    ({ isDST, standardOffsetNs } = EstimateLocalTimeType(timeZone, epochNs, offsetNs));
+  } else if (ES.IsOffsetTimeZoneIdentifier(timeZone)) {
+    abbreviation = timeZone;
+  } else {
+    const zone = ES.GetTimeZoneData(timeZone);
+    if (zone) {
+      const type = GetTZifLocalTimeType(zone, ES.epochNsToSeconds(epochNs, 'floor'));
+      isDST = type.isDST;
+      standardOffsetNs = type.standardOffsetSeconds * 1e9;
+      abbreviation = type.abbreviation;
+    } else {
+      ({ isDST, standardOffsetNs } = EstimateLocalTimeType(timeZone, epochNs, offsetNs));
+      // CLDR only has abbreviations such as CEST for the regions where they're
+      // in common use, so use English as spoken in the zone's main country
+      const region = GetZoneRecord(timeZone).entry?.countries[0];
+      abbreviation = IntlTimeZoneName(timeZone, epochNs, region ? `en-${region}` : 'en-US', 'short');
+    }
+    name = IntlTimeZoneName(timeZone, epochNs, locales, 'long');
+  }
+
+  return {
+    offset: ES.FormatUTCOffsetNanoseconds(offsetNs),
+    offsetNanoseconds: offsetNs,
+    standardOffset: ES.FormatUTCOffsetNanoseconds(standardOffsetNs),
+    standardOffsetNanoseconds: standardOffsetNs,
+    dst: isDST,
+    abbreviation,
+    name
+  };
+};
+
+// A wall-clock time is in a gap or an overlap because of the transition that
+// follows its earliest possible exact time
+const getLocalTimeInfo = (temporalTimeZoneLike, dateTime) => {
+  const timeZone = ES.ToTemporalTimeZoneSlotValue(temporalTimeZoneLike);
+  const plainDateTime = ES.ToTemporalDateTime(dateTime);
+  const isoDateTime = GetSlot(plainDateTime, ISO_DATE_TIME);
+  const calendar = GetSlot(plainDateTime, CALENDAR);
+
+  const possibleEpochNs = ES.GetPossibleEpochNanoseconds(timeZone, isoDateTime);
+  const earlierNs = ES.DisambiguatePossibleEpochNanoseconds(possibleEpochNs, timeZone, isoDateTime, 'earlier');
+  const laterNs = ES.DisambiguatePossibleEpochNanoseconds(possibleEpochNs, timeZone, isoDateTime, 'later');
+  const status = possibleEpochNs.length === 1 ? 'unique' : possibleEpochNs.length === 0 ? 'gap' : 'overlap';
+
+  let transition = null;
+  if (status !== 'unique') {
+    const epochNs = ES.GetTimeZoneTransition(timeZone, earlierNs, 'next');
+    if (epochNs !== null) {
+      transition = CreateTransitionRecord({
+        epochNs,
+        offsetNsBefore: ES.GetOffsetNanosecondsFor(timeZone, epochNs.minus(1)),
+        offsetNsAfter: ES.GetOffsetNanosecondsFor(timeZone, epochNs)
+      });
+    }
+  }
+
+  const candidates = [];
+  for (let ix = 0; ix < possibleEpochNs.length; ix++) {
+    Call(ArrayPrototypePush, candidates, [ES.CreateTemporalZonedDateTime(possibleEpochNs[ix], timeZone, calendar)]);
+  }
+  return {
+    status,
+    candidates,
+    earlier: ES.CreateTemporalZonedDateTime(earlierNs, timeZone, calendar),
+    later: ES.CreateTemporalZonedDateTime(laterNs, timeZone, calendar),
+    transition
+  };
+};
+
+const setCacheLimits = (limits) => {
+  const options = ES.GetOptionsObject(limits);
+  const previous = ES.GetTimeZoneCacheLimits();
+  // Two intervals are needed to remember a transition
+  const maxIntervalsPerTimeZone = GetCacheLimitOption(
+    options,
+    'maxIntervalsPerTimeZone',
+    2,
+    previous.maxIntervalsPerTimeZone
+  );
+  const maxTimeZones = GetCacheLimitOption(options, 'maxTimeZones', 0, previous.maxTimeZones);
+  ES.SetTimeZoneCacheLimits(maxTimeZones, maxIntervalsPerTimeZone);
+  return previous;
+};
+
+const warmCache = (temporalTimeZoneLike, start, end) => {
+  const timeZone = ES.ToTemporalTimeZoneSlotValue(temporalTimeZoneLike);
+  const startNs = GetSlot(ES.ToTemporalInstant(start), EPOCHNANOSECONDS);
+  const endNs = GetSlot(ES.ToTemporalInstant(end), EPOCHNANOSECONDS);
+  if (endNs.lesser(startNs)) throw new RangeErrorCtor('end of range must not be before its start');
+  ES.WarmTimeZoneCache(timeZone, startNs, endNs);
+};
+
+const clearCache = () => {
+  ES.ClearTimeZoneCache();
+};
+
+const setTransitionSearchMode = (mode) => {
+  mode = ES.ToString(mode);
+  if (mode !== 'default' && mode !== 'deterministic') {
+    throw new RangeErrorCtor(`mode must be one of default, deterministic, not ${mode}`);
+  }
+  return ES.SetTransitionSearchMode(mode);
+};
+
+const fromWindowsZone = (windowsName, territory = undefined) => {
+  windowsName = ES.RequireString(windowsName);
+  if (territory === undefined) {
+    territory = '001';
+  } else {
+    territory = ES.RequireString(territory);
+    if (!Call(RegExpPrototypeTest, /^(?:[A-Za-z]{2}|\d{3})$/, [territory])) {
+      throw new RangeErrorCtor(`invalid territory ${territory}`);
+    }
+    territory = Call(StringPrototypeToUpperCase, territory, []);
+  }
+  const identifier = ES.GetWindowsTimeZoneIdentifier(windowsName, territory);
+  const record = identifier && ES.GetAvailableNamedTimeZoneIdentifier(identifier);
+  if (!record) throw new RangeErrorCtor(`Unrecognized Windows time zone ${windowsName}`);
+  return record.identifier;
+};
+
+const toWindowsZone = (temporalTimeZoneLike) => {
+  const timeZone = ES.ToTemporalTimeZoneSlotValue(temporalTimeZoneLike);
+  // CLDR may use a different one of the time zone's identifiers
+  const { id, primaryId, aliases } = GetZoneRecord(timeZone);
+  const candidates = Call(ArrayPrototypeConcat, [id, primaryId], [aliases]);
+  const windowsNames = GetWindowsNames();
+  for (let ix = 0; ix < candidates.length; ix++) {
+    const name = Call(MapPrototypeGet, windowsNames, [ES.ASCIILowercase(candidates[ix])]);
+    if (name !== undefined) return name;
+  }
+  return undefined;
+};
+
+const getZoneInfo = (temporalTimeZoneLike) => {
+  const timeZone = ES.ToTemporalTimeZoneSlotValue(temporalTimeZoneLike);
+  const { id, primaryId, aliases, entry } = GetZoneRecord(timeZone);
+  return {
+    id,
+    primaryId,
+    aliases,
+    countries: entry ? Call(ArrayPrototypeSlice, entry.countries, []) : [],
+    latitude: entry?.latitude,
+    longitude: entry?.longitude,
+    comment: entry?.comment
+  };
+};
+
+export const TimeZones = {
+  clearCache,
+  fromWindowsZone,
+  getLocalTimeInfo,
+  getOffsetInfo,
+  getTransitions,
+  getZoneInfo,
+  setCacheLimits,
+  setTransitionSearchMode,
+  toWindowsZone,
+  warmCache
+};
+ObjectDefineProperty(TimeZones, SymbolToStringTag, {
+  value: 'Temporal.TimeZones',
+  writable: false,
+  enumerable: false,
+  configurable: true
+});
@@ -0,0 +1,238 @@
+import {
+  // constructors and similar
+  Uint8Array as Uint8ArrayCtor,
+
+  // error constructors
+  RangeError as RangeErrorCtor,
+  TypeError as TypeErrorCtor,
+
+  // class static functions and methods
+  ArrayBufferIsView,
+  ArrayPrototypePush,
+  MathFloor,
+  StringFromCharCode
+} from './primordials.mjs';
+
+import Call from 'es-abstract/2024/Call.js';
+import Type from 'es-abstract/2024/Type.js';
+
+import {
+  GetPOSIXTZLocalTimeType,
+  GetPOSIXTZNextTransition,
+  GetPOSIXTZOffsetSeconds,
+  GetPOSIXTZPreviousTransition,
+  ParsePOSIXTZString
+} from './posixtz.mjs';
+
+// Reader for the Time Zone Information Format (TZif, RFC 8536) produced by the
+// zic compiler. Versions 1 through 4 are supported; for version 2 and later,
+// the version 1 data block is skipped in favour of the 64-bit one. All times
+// are handled as Numbers of seconds since the epoch, which is exact for the
+// whole range that TZif can represent.
+
+const HEADER_LENGTH = 44;
+
+function ThrowInvalidTZif(reason) {
+  throw new RangeErrorCtor(`invalid TZif data: ${reason}`);
+}
+
+function ToUint8Array(data) {
+  if (Type(data) !== 'Object') throw new TypeErrorCtor('TZif data must be an ArrayBuffer or a typed array');
+  if (ArrayBufferIsView(data)) return new Uint8ArrayCtor(data.buffer, data.byteOffset, data.byteLength);
+  return new Uint8ArrayCtor(data);
+}
+
+function ReadInt32(bytes, pos) {
+  return (bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3];
+}
+
+function ReadUint32(bytes, pos) {
+  return ReadInt32(bytes, pos) >>> 0;
+}
+
+function ReadInt64(bytes, pos) {
+  return ReadInt32(bytes, pos) * 2 ** 32 + ReadUint32(bytes, pos + 4);
+}
+
+function ReadHeader(bytes, pos) {
+  if (bytes.length < pos + HEADER_LENGTH) ThrowInvalidTZif('truncated header');
+  if (bytes[pos] !== 0x54 || bytes[pos + 1] !== 0x5a || bytes[pos + 2] !== 0x69 || bytes[pos + 3] !== 0x66) {
+    ThrowInvalidTZif('missing "TZif" magic');
+  }
+  const version = bytes[pos + 4] === 0 ? 1 : bytes[pos + 4] - 0x30;
+  if (version < 1 || version > 9) ThrowInvalidTZif('unknown version');
+  return {
+    version,
+    isutcnt: ReadUint32(bytes, pos + 20),
+    isstdcnt: ReadUint32(bytes, pos + 24),
+    leapcnt: ReadUint32(bytes, pos + 28),
+    timecnt: ReadUint32(bytes, pos + 32),
+    typecnt: ReadUint32(bytes, pos + 36),
+    charcnt: ReadUint32(bytes, pos + 40)
+  };
+}
+
+function DataBlockLength(header, timeSize) {
+  const { isutcnt, isstdcnt, leapcnt, timecnt, typecnt, charcnt } = header;
+  return timecnt * timeSize + timecnt + typecnt * 6 + charcnt + leapcnt * (timeSize + 4) + isstdcnt + isutcnt;
+}
+
+function ReadString(bytes, start, end) {
+  let result = '';
+  for (let pos = start; pos < end; pos++) result += StringFromCharCode(bytes[pos]);
+  return result;
+}
+
+export function ParseTZif(data) {
+  const bytes = ToUint8Array(data);
+  let header = ReadHeader(bytes, 0);
+  let pos = HEADER_LENGTH;
+  let timeSize = 4;
+  if (header.version >= 2) {
+    pos += DataBlockLength(header, 4);
+    header = ReadHeader(bytes, pos);
+    pos += HEADER_LENGTH;
+    timeSize = 8;
+  }
+  const { timecnt, typecnt, charcnt } = header;
+  if (typecnt === 0) ThrowInvalidTZif('no local time types');
+  if (bytes.length < pos + DataBlockLength(header, timeSize)) ThrowInvalidTZif('truncated data block');
+
+  const transitions = [];
+  for (let ix = 0; ix < timecnt; ix++, pos += timeSize) {
+    const epochSeconds = timeSize === 8 ? ReadInt64(bytes, pos) : ReadInt32(bytes, pos);
+    if (ix > 0 && epochSeconds <= transitions[ix - 1]) ThrowInvalidTZif('transition times not ascending');
+    Call(ArrayPrototypePush, transitions, [epochSeconds]);
+  }
+  const transitionTypes = [];
+  for (let ix = 0; ix < timecnt; ix++, pos++) {
+    if (bytes[pos] >= typecnt) ThrowInvalidTZif('local time type index out of range');
+    Call(ArrayPrototypePush, transitionTypes, [bytes[pos]]);
+  }
+  const typeRecords = [];
+  for (let ix = 0; ix < typecnt; ix++, pos += 6) {
+    Call(ArrayPrototypePush, typeRecords, [
+      { offsetSeconds: ReadInt32(bytes, pos), isDST: bytes[pos + 4] !== 0, designationIndex: bytes[pos + 5] }
+    ]);
+  }
+  const types = [];
+  for (let ix = 0; ix < typecnt; ix++) {
+    const { offsetSeconds, isDST, designationIndex } = typeRecords[ix];
+    if (designationIndex >= charcnt) ThrowInvalidTZif('designation index out of range');
+    let end = pos + designationIndex;
+    while (end < pos + charcnt && bytes[end] !== 0) end++;
+    Call(ArrayPrototypePush, types, [
+      { offsetSeconds, isDST, abbreviation: ReadString(bytes, pos + designationIndex, end) }
+    ]);
+  }
+  pos += charcnt + header.leapcnt * (timeSize + 4) + header.isstdcnt + header.isutcnt;
+
+  let rule = undefined;
+  if (header.version >= 2) {
+    if (bytes[pos] !== 0x0a) ThrowInvalidTZif('missing footer');
+    let end = pos + 1;
+    while (end < bytes.length && bytes[end] !== 0x0a) end++;
+    if (end === bytes.length) ThrowInvalidTZif('unterminated footer');
+    const footer = ReadString(bytes, pos + 1, end);
+    if (footer !== '') rule = ParsePOSIXTZString(footer);
+  }
+
+  return { transitions, transitionTypes, types, rule };
+}
+
+// Index of the last transition at or before epochSeconds, or -1
+function TransitionIndex(zone, epochSeconds) {
+  const { transitions } = zone;
+  let low = 0;
+  let high = transitions.length;
+  while (low < high) {
+    const mid = MathFloor((low + high) / 2);
+    if (transitions[mid] <= epochSeconds) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low - 1;
+}
+
+function TypeAfterTransition(zone, ix) {
+  // Local time before the first transition is given by the first time type
+  return zone.types[ix < 0 ? 0 : zone.transitionTypes[ix]];
+}
+
+function OffsetAfterTransition(zone, ix) {
+  return TypeAfterTransition(zone, ix).offsetSeconds;
+}
+
+export function GetTZifOffsetSeconds(zone, epochSeconds) {
+  const ix = TransitionIndex(zone, epochSeconds);
+  // The footer rule applies after the last transition, or always if there are
+  // no transitions
+  if (zone.rule && ix === zone.transitions.length - 1) return GetPOSIXTZOffsetSeconds(zone.rule, epochSeconds);
+  return OffsetAfterTransition(zone, ix);
+}
+
+// Returns the UTC offset, DST flag and abbreviation in effect at epochSeconds,
+// along with the standard offset. During DST, the standard offset is that of
+// the closest preceding standard time type, or failing that the closest
+// following one.
+export function GetTZifLocalTimeType(zone, epochSeconds) {
+  const { transitions, rule } = zone;
+  const ix = TransitionIndex(zone, epochSeconds);
+  if (rule && ix === transitions.length - 1) return GetPOSIXTZLocalTimeType(rule, epochSeconds);
+  const { offsetSeconds, isDST, abbreviation } = TypeAfterTransition(zone, ix);
+  let standardOffsetSeconds = offsetSeconds;
+  if (isDST) {
+    let standard = undefined;
+    for (let jx = ix - 1; jx >= -1 && !standard; jx--) {
+      if (!TypeAfterTransition(zone, jx).isDST) standard = TypeAfterTransition(zone, jx);
+    }
+    for (let jx = ix + 1; jx < transitions.length && !standard; jx++) {
+      if (!TypeAfterTransition(zone, jx).isDST) standard = TypeAfterTransition(zone, jx);
+    }
+    if (standard) {
+      standardOffsetSeconds = standard.offsetSeconds;
+    } else if (rule) {
+      standardOffsetSeconds = rule.stdOffset;
+    }
+  }
+  return { offsetSeconds, isDST, abbreviation, standardOffsetSeconds };
+}
+
+// Returns the first instant strictly after epochSeconds where the UTC offset
+// changes, or null. Transitions that only change the abbreviation or the DST
+// flag are skipped.
+export function GetTZifNextTransition(zone, epochSeconds) {
+  const { transitions, rule } = zone;
+  for (let ix = TransitionIndex(zone, epochSeconds) + 1; ix < transitions.length; ix++) {
+    if (OffsetAfterTransition(zone, ix) !== OffsetAfterTransition(zone, ix - 1)) return transitions[ix];
+  }
+  if (!rule) return null;
+  let after = epochSeconds;
+  if (transitions.length && transitions[transitions.length - 1] > after) after = transitions[transitions.length - 1];
+  for (;;) {
+    const next = GetPOSIXTZNextTransition(rule, after);
+    if (next === null) return null;
+    // The first footer transition may coincide with the offset of the last
+    // stored transition, in which case it's not a transition at all
+    if (GetTZifOffsetSeconds(zone, next - 1) !== GetPOSIXTZOffsetSeconds(rule, next)) return next;
+    after = next;
+  }
+}
+
+// Returns the last instant strictly before epochSeconds where the UTC offset
+// changes, or null
+export function GetTZifPreviousTransition(zone, epochSeconds) {
+  const { transitions, rule } = zone;
+  const last = transitions.length - 1;
+  if (rule && (last < 0 || epochSeconds > transitions[last])) {
+    const previous = GetPOSIXTZPreviousTransition(rule, epochSeconds);
+    if (previous !== null && (last < 0 || previous > transitions[last])) return previous;
+  }
+  // Find the last transition strictly before epochSeconds
+  for (let ix = TransitionIndex(zone, epochSeconds - 1); ix >= 0; ix--) {
+    if (OffsetAfterTransition(zone, ix) !== OffsetAfterTransition(zone, ix - 1)) return transitions[ix];
+  }
+  return null;
+}
@@ -25,15 +25,20 @@ export class ZonedDateTime {
       throw new TypeErrorCtor('missing argument: epochNanoseconds is required');
     }
     epochNanoseconds = ES.ToBigInt(epochNanoseconds);
-    timeZone = ES.RequireString(timeZone);
-    const { tzName, offsetMinutes } = ES.ParseTimeZoneIdentifier(timeZone);
-    if (offsetMinutes === undefined) {
-      // if offsetMinutes is undefined, then tzName must be present
-      const record = ES.GetAvailableNamedTimeZoneIdentifier(tzName);
-      if (!record) throw new RangeErrorCtor(`unknown time zone ${tzName}`);
-      timeZone = record.identifier;
-    } else {
-      timeZone = ES.FormatOffsetTimeZoneIdentifier(offsetMinutes);
+    if (ES.Type(timeZone) !== 'Object' || !ES.ObjectImplementsTemporalTimeZoneProtocol(timeZone)) {
+      timeZone = ES.RequireString(timeZone);
+      const { tzName, offsetMinutes } = ES.ParseTimeZoneIdentifier(timeZone);
+      if (offsetMinutes === undefined) {
+        // if offsetMinutes is undefined, then tzName must be present
+        timeZone = ES.GetProviderCustomTimeZone(tzName);
+        if (timeZone === undefined) {
+          const record = ES.GetAvailableNamedTimeZoneIdentifier(tzName);
+          if (!record) throw new RangeErrorCtor(`unknown time zone ${tzName}`);
+          timeZone = record.identifier;
+        }
+      } else {
+        timeZone = ES.FormatOffsetTimeZoneIdentifier(offsetMinutes);
+      }
     }
     calendar = calendar === undefined ? 'iso8601' : ES.RequireString(calendar);
     calendar = ES.CanonicalizeCalendar(calendar);
@@ -46,7 +51,7 @@ export class ZonedDateTime {
   }
   get timeZoneId() {
     if (!ES.IsTemporalZonedDateTime(this)) throw new TypeErrorCtor('invalid receiver');
-    return GetSlot(this, TIME_ZONE);
+    return ES.ToTemporalTimeZoneIdentifier(GetSlot(this, TIME_ZONE));
   }
   get year() {
     if (!ES.IsTemporalZonedDateTime(this)) throw new TypeErrorCtor('invalid receiver');
@@ -226,7 +231,7 @@ export class ZonedDateTime {
   }
   withTimeZone(timeZone) {
     if (!ES.IsTemporalZonedDateTime(this)) throw new TypeErrorCtor('invalid receiver');
-    timeZone = ES.ToTemporalTimeZoneIdentifier(timeZone);
+    timeZone = ES.ToTemporalTimeZoneSlotValue(timeZone);
     return ES.CreateTemporalZonedDateTime(GetSlot(this, EPOCHNANOSECONDS), timeZone, GetSlot(this, CALENDAR));
   }
   withCalendar(calendar) {
@@ -343,6 +348,7 @@ export class ZonedDateTime {
     if (!ES.IsTemporalZonedDateTime(this)) throw new TypeErrorCtor('invalid receiver');
     const resolvedOptions = ES.GetOptionsObject(options);
     const showCalendar = ES.GetTemporalShowCalendarNameOption(resolvedOptions);
+    const dateFormat = ES.GetTemporalDateFormatOption(resolvedOptions);
     const digits = ES.GetTemporalFractionalSecondDigitsOption(resolvedOptions);
     const showOffset = ES.GetTemporalShowOffsetOption(resolvedOptions);
     const roundingMode = ES.GetRoundingModeOption(resolvedOptions, 'trunc');
@@ -350,11 +356,15 @@ export class ZonedDateTime {
     if (smallestUnit === 'hour') throw new RangeErrorCtor('smallestUnit must be a time unit other than "hour"');
     const showTimeZone = ES.GetTemporalShowTimeZoneNameOption(resolvedOptions);
     const { precision, unit, increment } = ES.ToSecondsStringPrecisionRecord(smallestUnit, digits);
-    return ES.TemporalZonedDateTimeToString(this, precision, showCalendar, showTimeZone, showOffset, {
-      unit,
-      increment,
-      roundingMode
-    });
+    return ES.TemporalZonedDateTimeToString(
+      this,
+      precision,
+      showCalendar,
+      showTimeZone,
+      showOffset,
+      { unit, increment, roundingMode },
+      dateFormat
+    );
   }
   toLocaleString(locales = undefined, options = undefined) {
     if (!ES.IsTemporalZonedDateTime(this)) throw new TypeErrorCtor('invalid receiver');
@@ -391,7 +401,9 @@ export class ZonedDateTime {
     }
 
     const timeZoneIdentifier = GetSlot(this, TIME_ZONE);
-    if (ES.IsOffsetTimeZoneIdentifier(timeZoneIdentifier)) {
+    if (ES.Type(timeZoneIdentifier) === 'Object') {
+      throw new RangeErrorCtor('toLocaleString does not support custom time zones');
+    } else if (ES.IsOffsetTimeZoneIdentifier(timeZoneIdentifier)) {
       // Note: https://github.com/tc39/ecma402/issues/683 will remove this
       throw new RangeErrorCtor('toLocaleString does not currently support offset time zones');
     } else {
@@ -447,16 +459,7 @@ export class ZonedDateTime {
     const direction = ES.GetDirectionOption(directionParam);
     if (direction === undefined) throw new TypeErrorCtor('direction option is required');
 
-    // Offset time zones or UTC have no transitions
-    if (ES.IsOffsetTimeZoneIdentifier(timeZone) || timeZone === 'UTC') {
-      return null;
-    }
-
-    const thisEpochNanoseconds = GetSlot(this, EPOCHNANOSECONDS);
-    const epochNanoseconds =
-      direction === 'next'
-        ? ES.GetNamedTimeZoneNextTransition(timeZone, thisEpochNanoseconds)
-        : ES.GetNamedTimeZonePreviousTransition(timeZone, thisEpochNanoseconds);
+    const epochNanoseconds = ES.GetTimeZoneTransition(timeZone, GetSlot(this, EPOCHNANOSECONDS), direction);
     return epochNanoseconds === null ? null : new ZonedDateTime(epochNanoseconds, timeZone, GetSlot(this, CALENDAR));
   }
   toInstant() {
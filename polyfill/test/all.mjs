@@ -20,6 +20,60 @@ import './math.mjs';
 // Internal 96-bit integer implementation, not suitable for test262
 import './timeduration.mjs';
 
+// TZif time zone data provider, not part of the proposal
+import './tzif.mjs';
+
+// Custom time zone objects, not part of the proposal
+import './timezoneprotocol.mjs';
+
+// Time zone transition enumeration, not part of the proposal
+import './timezones.mjs';
+
+// POSIX TZ strings as time zone identifiers, not part of the proposal
+import './posixtimezones.mjs';
+
+// Leap seconds and time scales, not part of the proposal
+import './timescales.mjs';
+
+// Injectable clocks for Temporal.Now, not part of the proposal
+import './clock.mjs';
+
+// Dates in Internet message and HTTP headers, not part of the proposal
+import './messagedates.mjs';
+
+// Formatting and parsing with LDML and strftime patterns, not part of the proposal
+import './patterns.mjs';
+
+// ISO 8601 week dates and ordinal dates in strings, not part of the proposal
+import './weekdates.mjs';
+
+// Structured details in parse errors, not part of the proposal
+import './parseerror.mjs';
+
+// Conversions to and from the epochs of other software, not part of the proposal
+import './epochs.mjs';
+
+// Lenient parsing of common variants of ISO 8601 strings, not part of the proposal
+import './lenient.mjs';
+
+// ISO 8601 time intervals and repeating intervals, not part of the proposal
+import './interval.mjs';
+
+// Recurrence rules (RFC 5545 RRULE), not part of the proposal
+import './recurrence.mjs';
+
+// iCalendar (RFC 5545) values and VTIMEZONE components, not part of the proposal
+import './icalendar.mjs';
+
+// High-resolution and monotonic readings in Temporal.Now, not part of the proposal
+import './now.mjs';
+
+// Timers that fire at an exact time, not part of the proposal
+import './timers.mjs';
+
+// Expanded range of dates and times, not part of the proposal
+import './limits.mjs';
+
 Promise.resolve()
   .then(() => {
     return Demitasse.report(Pretty.reporter);
@@ -0,0 +1,173 @@
+import Demitasse from '@pipobscure/demitasse';
+const { describe, it, report } = Demitasse;
+
+import Pretty from '@pipobscure/demitasse-pretty';
+const { reporter } = Pretty;
+
+import { strict as assert } from 'assert';
+const { deepEqual, equal, notEqual, throws } = assert;
+
+import * as Temporal from 'proposal-temporal';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Scopes only follow async continuations with AsyncContext or AsyncLocalStorage
+const hasAsyncScope =
+  typeof globalThis.AsyncContext?.Variable === 'function' || typeof process.getBuiltinModule === 'function';
+const itAsyncScope = hasAsyncScope ? it : it.skip;
+
+describe('Temporal.Clock', () => {
+  describe('construction', () => {
+    it('a fixed instant stands still', async () => {
+      const clock = new Temporal.Clock({ instant: '2024-01-01T00:00Z' });
+      equal(clock.rate, 0);
+      await sleep(5);
+      equal(clock.instant().toString(), '2024-01-01T00:00:00Z');
+    });
+    it('follows the system clock by default', () => {
+      const clock = new Temporal.Clock();
+      equal(clock.rate, 1);
+      const difference = clock.instant().since(Temporal.Now.instant());
+      equal(Math.abs(difference.total('seconds')) < 1, true);
+    });
+    it('scales time', async () => {
+      const clock = new Temporal.Clock({ instant: '2024-01-01T00:00Z', rate: 1000 });
+      await sleep(10);
+      // Timers may fire a little early
+      equal(clock.instant().since('2024-01-01T00:00Z').total('seconds') >= 5, true);
+    });
+    it('has the system time zone by default', () => {
+      equal(new Temporal.Clock().timeZoneId(), Temporal.Now.timeZoneId());
+      equal(new Temporal.Clock({ timeZone: 'Asia/Tokyo' }).timeZoneId(), 'Asia/Tokyo');
+    });
+    it('rejects invalid options', () => {
+      throws(() => new Temporal.Clock({ instant: '2024-01-01T00:00' }), RangeError);
+      throws(() => new Temporal.Clock({ rate: -1 }), RangeError);
+      throws(() => new Temporal.Clock({ rate: Infinity }), RangeError);
+      throws(() => new Temporal.Clock({ timeZone: 'Mars/Olympus_Mons' }), RangeError);
+      throws(() => new Temporal.Clock(null), TypeError);
+    });
+  });
+
+  describe('changing the clock', () => {
+    it('advance()', () => {
+      const clock = new Temporal.Clock({ instant: '2024-01-01T00:00Z' });
+      clock.advance({ hours: 1, milliseconds: 5 });
+      equal(clock.instant().toString(), '2024-01-01T01:00:00.005Z');
+      clock.advance('-PT2H');
+      equal(clock.instant().toString(), '2023-12-31T23:00:00.005Z');
+      throws(() => clock.advance({ days: 1 }), RangeError);
+    });
+    it('setInstant()', () => {
+      const clock = new Temporal.Clock({ instant: '2024-01-01T00:00Z' });
+      clock.setInstant(Temporal.Instant.from('1999-12-31T23:59:59Z'));
+      equal(clock.instant().toString(), '1999-12-31T23:59:59Z');
+      throws(() => clock.setInstant('1999-12-31T23:59:59'), RangeError);
+    });
+    it('setRate() keeps the current reading', async () => {
+      const clock = new Temporal.Clock({ instant: '2024-01-01T00:00Z', rate: 1000 });
+      await sleep(5);
+      clock.setRate(0);
+      const reading = clock.instant();
+      await sleep(5);
+      equal(clock.instant().equals(reading), true);
+      notEqual(reading.toString(), '2024-01-01T00:00:00Z');
+      throws(() => clock.setRate(NaN), RangeError);
+    });
+    it('setTimeZone()', () => {
+      const clock = new Temporal.Clock({ timeZone: 'Asia/Tokyo' });
+      clock.setTimeZone('Pacific Standard Time');
+      equal(clock.timeZoneId(), 'America/Los_Angeles');
+      clock.setTimeZone(undefined);
+      equal(clock.timeZoneId(), Temporal.Now.timeZoneId());
+    });
+  });
+
+  describe('install()', () => {
+    it('is used by every Temporal.Now function', () => {
+      const clock = new Temporal.Clock({ instant: '2024-01-01T00:00Z', timeZone: 'Asia/Tokyo' });
+      const previous = Temporal.Clock.install(clock);
+      try {
+        equal(previous, null);
+        equal(Temporal.Now.instant().toString(), '2024-01-01T00:00:00Z');
+        equal(Temporal.Now.timeZoneId(), 'Asia/Tokyo');
+        equal(Temporal.Now.zonedDateTimeISO().toString(), '2024-01-01T09:00:00+09:00[Asia/Tokyo]');
+        equal(Temporal.Now.zonedDateTimeISO('UTC').toString(), '2024-01-01T00:00:00+00:00[UTC]');
+        equal(Temporal.Now.plainDateTimeISO().toString(), '2024-01-01T09:00:00');
+        equal(Temporal.Now.plainDateISO().toString(), '2024-01-01');
+        equal(Temporal.Now.plainTimeISO('America/New_York').toString(), '19:00:00');
+        clock.advance({ hours: 15 });
+        equal(Temporal.Now.plainDateISO().toString(), '2024-01-02');
+      } finally {
+        Temporal.Clock.install(previous);
+      }
+    });
+    it('returns the previous clock', () => {
+      const first = new Temporal.Clock({ instant: '2024-01-01T00:00Z' });
+      const second = new Temporal.Clock({ instant: '2025-01-01T00:00Z' });
+      equal(Temporal.Clock.install(first), null);
+      equal(Temporal.Clock.install(second), first);
+      equal(Temporal.Clock.install(null), second);
+      notEqual(Temporal.Now.instant().toString(), '2025-01-01T00:00:00Z');
+    });
+    it('rejects other objects', () => {
+      throws(() => Temporal.Clock.install({ instant: () => Temporal.Now.instant() }), TypeError);
+      equal(Temporal.Clock.install(), null);
+    });
+  });
+
+  describe('run()', () => {
+    it('scopes the clock to the callback', () => {
+      const clock = new Temporal.Clock({ instant: '2024-01-01T00:00Z', timeZone: 'Asia/Tokyo' });
+      const result = clock.run((a, b) => [Temporal.Now.instant().toString(), Temporal.Now.timeZoneId(), a + b], 1, 2);
+      deepEqual(result, ['2024-01-01T00:00:00Z', 'Asia/Tokyo', 3]);
+      notEqual(Temporal.Now.instant().toString(), '2024-01-01T00:00:00Z');
+    });
+    it('takes precedence over the installed clock', () => {
+      const installed = new Temporal.Clock({ instant: '2024-01-01T00:00Z' });
+      const scoped = new Temporal.Clock({ instant: '2025-01-01T00:00Z' });
+      const previous = Temporal.Clock.install(installed);
+      try {
+        equal(
+          scoped.run(() => Temporal.Now.instant().toString()),
+          '2025-01-01T00:00:00Z'
+        );
+        equal(Temporal.Now.instant().toString(), '2024-01-01T00:00:00Z');
+      } finally {
+        Temporal.Clock.install(previous);
+      }
+    });
+    it('nests', () => {
+      const outer = new Temporal.Clock({ instant: '2024-01-01T00:00Z' });
+      const inner = new Temporal.Clock({ instant: '2025-01-01T00:00Z' });
+      const result = outer.run(() => [
+        inner.run(() => Temporal.Now.instant().toString()),
+        Temporal.Now.instant().toString()
+      ]);
+      deepEqual(result, ['2025-01-01T00:00:00Z', '2024-01-01T00:00:00Z']);
+    });
+    itAsyncScope('follows async continuations', async () => {
+      const first = new Temporal.Clock({ instant: '2000-01-01T00:00Z' });
+      const second = new Temporal.Clock({ instant: '2010-01-01T00:00Z' });
+      const result = await Promise.all([
+        first.run(async () => {
+          await sleep(10);
+          return Temporal.Now.instant().toString();
+        }),
+        second.run(async () => {
+          await sleep(1);
+          return Temporal.Now.instant().toString();
+        })
+      ]);
+      deepEqual(result, ['2000-01-01T00:00:00Z', '2010-01-01T00:00:00Z']);
+    });
+    it('rejects non-callable callbacks', () => {
+      throws(() => new Temporal.Clock().run({}), TypeError);
+    });
+  });
+});
+
+import { normalize } from 'path';
+if (normalize(import.meta.url.slice(8)) === normalize(process.argv[1])) {
+  report(reporter).then((failed) => process.exit(failed ? 1 : 0));
+}
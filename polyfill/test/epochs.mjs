@@ -0,0 +1,188 @@
+import Demitasse from '@pipobscure/demitasse';
+const { describe, it, report } = Demitasse;
+
+import Pretty from '@pipobscure/demitasse-pretty';
+const { reporter } = Pretty;
+
+import { strict as assert } from 'assert';
+const { deepEqual, equal, throws } = assert;
+
+import * as Temporal from 'proposal-temporal';
+
+describe('Foreign epochs', () => {
+  describe('Excel serial dates', () => {
+    it('counts days and fractions of days in the 1900 date system', () => {
+      equal(`${Temporal.PlainDate.fromExcelSerial(45292)}`, '2024-01-01');
+      equal(`${Temporal.PlainDateTime.fromExcelSerial(45292.5)}`, '2024-01-01T12:00:00');
+      equal(`${Temporal.Instant.fromExcelSerial(45292.75)}`, '2024-01-01T18:00:00Z');
+      equal(Temporal.PlainDate.from('2024-01-01').toExcelSerial(), 45292);
+      equal(Temporal.PlainDateTime.from('2024-01-01T12:00').toExcelSerial(), 45292.5);
+      equal(Temporal.Instant.from('2024-01-01T18:00Z').toExcelSerial(), 45292.75);
+    });
+    it('drops the time of day for PlainDate', () => {
+      equal(`${Temporal.PlainDate.fromExcelSerial(45292.99)}`, '2024-01-01');
+      equal(`${Temporal.PlainDate.fromExcelSerial(-0.5)}`, '1899-12-30');
+    });
+    it('rounds the time of day to the millisecond', () => {
+      equal(`${Temporal.PlainDateTime.fromExcelSerial(45292 + 1 / 3)}`, '2024-01-01T08:00:00');
+      equal(`${Temporal.PlainDateTime.fromExcelSerial(45292.1234567)}`, '2024-01-01T02:57:46.659');
+      equal(`${Temporal.PlainDateTime.fromExcelSerial(45292.9999999999)}`, '2024-01-02T00:00:00');
+    });
+    it('counts February 29, 1900 in the 1900 date system', () => {
+      equal(`${Temporal.PlainDate.fromExcelSerial(1)}`, '1900-01-01');
+      equal(`${Temporal.PlainDate.fromExcelSerial(59)}`, '1900-02-28');
+      equal(`${Temporal.PlainDate.fromExcelSerial(61)}`, '1900-03-01');
+      equal(`${Temporal.PlainDate.fromExcelSerial(0)}`, '1899-12-31');
+      equal(Temporal.PlainDate.from('1900-01-01').toExcelSerial(), 1);
+      equal(Temporal.PlainDate.from('1900-02-28').toExcelSerial(), 59);
+      equal(Temporal.PlainDate.from('1900-03-01').toExcelSerial(), 61);
+    });
+    it('constrains or rejects serial 60', () => {
+      equal(`${Temporal.PlainDate.fromExcelSerial(60)}`, '1900-02-28');
+      equal(`${Temporal.PlainDateTime.fromExcelSerial(60.5, { overflow: 'constrain' })}`, '1900-02-28T12:00:00');
+      throws(() => Temporal.PlainDate.fromExcelSerial(60, { overflow: 'reject' }), RangeError);
+      throws(() => Temporal.Instant.fromExcelSerial(60.5, { overflow: 'reject' }), RangeError);
+      equal(`${Temporal.PlainDate.fromExcelSerial(60, { dateSystem: '1904', overflow: 'reject' })}`, '1904-03-01');
+    });
+    it('counts days from 1904-01-01 in the 1904 date system', () => {
+      const options = { dateSystem: '1904' };
+      equal(`${Temporal.PlainDate.fromExcelSerial(0, options)}`, '1904-01-01');
+      equal(`${Temporal.PlainDate.fromExcelSerial(43830, options)}`, '2024-01-01');
+      equal(Temporal.PlainDate.from('2024-01-01').toExcelSerial(options), 43830);
+      equal(Temporal.PlainDate.from('1900-01-01').toExcelSerial(options), -1460);
+    });
+    it('converts dates in other calendars by their ISO date', () => {
+      const date = Temporal.PlainDate.from('2024-01-01').withCalendar('gregory');
+      equal(date.toExcelSerial(), 45292);
+    });
+    it('reads options in order', () => {
+      const order = [];
+      const options = {
+        get dateSystem() {
+          order.push('dateSystem');
+          return '1900';
+        },
+        get overflow() {
+          order.push('overflow');
+          return 'constrain';
+        }
+      };
+      Temporal.PlainDate.fromExcelSerial(45292, options);
+      deepEqual(order, ['dateSystem', 'overflow']);
+    });
+    it('rejects invalid options and serials', () => {
+      throws(() => Temporal.PlainDate.fromExcelSerial(45292, { dateSystem: 1900.5 }), RangeError);
+      throws(() => Temporal.PlainDate.fromExcelSerial(45292, { dateSystem: '1901' }), RangeError);
+      throws(() => Temporal.PlainDate.fromExcelSerial(45292, { overflow: 'balance' }), RangeError);
+      throws(() => Temporal.PlainDate.fromExcelSerial(45292, null), TypeError);
+      throws(() => Temporal.PlainDate.fromExcelSerial(NaN), RangeError);
+      throws(() => Temporal.PlainDate.fromExcelSerial(Infinity), RangeError);
+      throws(() => Temporal.PlainDate.fromExcelSerial(1e12), RangeError);
+      throws(() => Temporal.Instant.fromExcelSerial(1.1e8), RangeError);
+    });
+  });
+
+  describe('Windows FILETIME', () => {
+    it('counts 100 ns ticks from 1601-01-01', () => {
+      equal(`${Temporal.Instant.fromFileTime(0n)}`, '1601-01-01T00:00:00Z');
+      equal(`${Temporal.Instant.fromFileTime(116444736000000000n)}`, '1970-01-01T00:00:00Z');
+      equal(`${Temporal.Instant.fromFileTime(133485408000000001n)}`, '2024-01-01T00:00:00.0000001Z');
+      equal(Temporal.Instant.from('2024-01-01T00:00Z').toFileTime(), 133485408000000000n);
+    });
+    it('truncates to the tick at or before the instant', () => {
+      equal(Temporal.Instant.fromEpochNanoseconds(199n).toFileTime(), 116444736000000001n);
+      equal(Temporal.Instant.fromEpochNanoseconds(-1n).toFileTime(), 116444735999999999n);
+    });
+    it('accepts bigint strings but not Numbers', () => {
+      equal(`${Temporal.Instant.fromFileTime('116444736000000000')}`, '1970-01-01T00:00:00Z');
+      throws(() => Temporal.Instant.fromFileTime(116444736000000000), TypeError);
+    });
+  });
+
+  describe('.NET ticks', () => {
+    it('counts 100 ns ticks from 0001-01-01', () => {
+      equal(`${Temporal.Instant.fromDotNetTicks(0n)}`, '0001-01-01T00:00:00Z');
+      equal(`${Temporal.Instant.fromDotNetTicks(621355968000000000n)}`, '1970-01-01T00:00:00Z');
+      equal(Temporal.Instant.from('9999-12-31T23:59:59.9999999Z').toDotNetTicks(), 3155378975999999999n);
+    });
+    it('rejects ticks out of range', () => {
+      throws(() => Temporal.Instant.fromDotNetTicks(-(10n ** 24n)), RangeError);
+    });
+  });
+
+  describe('NTP timestamps', () => {
+    const seconds2024 = 3913056000n;
+    it('has seconds in the upper and fractions in the lower 32 bits', () => {
+      equal(`${Temporal.Instant.fromNTPTimestamp(seconds2024 << 32n)}`, '2024-01-01T00:00:00Z');
+      equal(`${Temporal.Instant.fromNTPTimestamp((seconds2024 << 32n) | (1n << 31n))}`, '2024-01-01T00:00:00.5Z');
+      equal(Temporal.Instant.from('2024-01-01T00:00:00.5Z').toNTPTimestamp(), (seconds2024 << 32n) | (1n << 31n));
+    });
+    it('wraps around in 2036', () => {
+      equal(`${Temporal.Instant.fromNTPTimestamp(0n)}`, '2036-02-07T06:28:16Z');
+      equal(`${Temporal.Instant.fromNTPTimestamp(2n ** 64n - 1n)}`, '2036-02-07T06:28:15.999999999Z');
+      equal(`${Temporal.Instant.fromNTPTimestamp(1n << 63n)}`, '1968-01-20T03:14:08Z');
+      equal(Temporal.Instant.from('2036-02-07T06:28:16Z').toNTPTimestamp(), 0n);
+      equal(`${Temporal.Instant.fromNTPTimestamp((1n << 63n) - (1n << 32n))}`, '2104-02-26T09:42:23Z');
+    });
+    it('round-trips instants to the nanosecond', () => {
+      for (const str of [
+        '2024-01-01T00:00:00.123456789Z',
+        '1999-12-31T23:59:59.999999999Z',
+        '2090-06-15T12:00:00.000000001Z'
+      ]) {
+        const instant = Temporal.Instant.from(str);
+        equal(`${Temporal.Instant.fromNTPTimestamp(instant.toNTPTimestamp())}`, str);
+      }
+    });
+    it('rejects timestamps and instants out of range', () => {
+      throws(() => Temporal.Instant.fromNTPTimestamp(-1n), RangeError);
+      throws(() => Temporal.Instant.fromNTPTimestamp(2n ** 64n), RangeError);
+      throws(() => Temporal.Instant.fromNTPTimestamp(0), TypeError);
+      throws(() => Temporal.Instant.from('1968-01-20T03:14:07.999999999Z').toNTPTimestamp(), RangeError);
+      throws(() => Temporal.Instant.from('2104-02-26T09:42:24Z').toNTPTimestamp(), RangeError);
+    });
+  });
+
+  describe('Cocoa and Unix seconds', () => {
+    it('counts Cocoa seconds from 2001-01-01', () => {
+      equal(`${Temporal.Instant.fromCocoaSeconds(0)}`, '2001-01-01T00:00:00Z');
+      equal(`${Temporal.Instant.fromCocoaSeconds(-978307200)}`, '1970-01-01T00:00:00Z');
+      equal(`${Temporal.Instant.fromCocoaSeconds(725760000.25)}`, '2024-01-01T00:00:00.25Z');
+      equal(Temporal.Instant.from('2024-01-01T00:00:00.25Z').toCocoaSeconds(), 725760000.25);
+    });
+    it('counts fractional Unix seconds', () => {
+      equal(`${Temporal.Instant.fromEpochSeconds(1.5)}`, '1970-01-01T00:00:01.5Z');
+      equal(`${Temporal.Instant.fromEpochSeconds(-1.5)}`, '1969-12-31T23:59:58.5Z');
+      equal(`${Temporal.Instant.fromEpochSeconds(1704067200)}`, '2024-01-01T00:00:00Z');
+      equal(`${Temporal.Instant.fromEpochSeconds(1704067200.123)}`, '2024-01-01T00:00:00.123Z');
+      equal(`${Temporal.Instant.fromEpochSeconds(-1704067200.123)}`, '1916-01-01T23:59:59.877Z');
+      equal(`${Temporal.Instant.fromEpochSeconds(1704067200.000001)}`, '2024-01-01T00:00:00.000001Z');
+      equal(`${Temporal.Instant.fromEpochSeconds(1.0000000005)}`, '1970-01-01T00:00:01.000000001Z');
+      equal(`${Temporal.Instant.fromEpochSeconds(1e-7)}`, '1970-01-01T00:00:00.0000001Z');
+      equal(`${Temporal.Instant.fromCocoaSeconds(725760000.123)}`, '2024-01-01T00:00:00.123Z');
+      equal(Temporal.Instant.from('1969-12-31T23:59:58.5Z').toEpochSeconds(), -1.5);
+      equal(Temporal.Instant.from('2024-01-01T00:00:00.001Z').toEpochSeconds(), 1704067200.001);
+    });
+    it('rejects values that are not finite or out of range', () => {
+      throws(() => Temporal.Instant.fromEpochSeconds(NaN), RangeError);
+      throws(() => Temporal.Instant.fromEpochSeconds(-Infinity), RangeError);
+      throws(() => Temporal.Instant.fromEpochSeconds(8.64e12 + 1), RangeError);
+      throws(() => Temporal.Instant.fromCocoaSeconds(8.64e12), RangeError);
+      throws(() => Temporal.Instant.fromEpochSeconds(1n), TypeError);
+    });
+  });
+
+  it('checks the receiver', () => {
+    for (const method of ['toExcelSerial', 'toFileTime', 'toDotNetTicks', 'toNTPTimestamp', 'toCocoaSeconds']) {
+      throws(() => Temporal.Instant.prototype[method].call(Temporal.PlainDate.from('2024-01-01')), TypeError);
+    }
+    throws(() => Temporal.Instant.prototype.toEpochSeconds.call({}), TypeError);
+    throws(() => Temporal.PlainDate.prototype.toExcelSerial.call(Temporal.PlainDateTime.from('2024-01-01')), TypeError);
+    throws(() => Temporal.PlainDateTime.prototype.toExcelSerial.call(Temporal.PlainDate.from('2024-01-01')), TypeError);
+  });
+});
+
+import { normalize } from 'path';
+if (normalize(import.meta.url.slice(8)) === normalize(process.argv[1])) {
+  report(reporter).then((failed) => process.exit(failed ? 1 : 0));
+}
@@ -0,0 +1,300 @@
+import Demitasse from '@pipobscure/demitasse';
+const { describe, it, report } = Demitasse;
+
+import Pretty from '@pipobscure/demitasse-pretty';
+const { reporter } = Pretty;
+
+import { strict as assert } from 'assert';
+const { deepEqual, equal, throws } = assert;
+
+import * as Temporal from 'proposal-temporal';
+
+const { ICalendar } = Temporal;
+
+// The example of RFC 5545 section 3.6.5, with the rules of New York since 1967
+const EASTERN = [
+  'BEGIN:VTIMEZONE',
+  'TZID:/example.org/Eastern',
+  'LAST-MODIFIED:20050809T050000Z',
+  'BEGIN:DAYLIGHT',
+  'DTSTART:19670430T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=4;BYDAY=-1SU;UNTIL=19730429T070000Z',
+  'TZOFFSETFROM:-0500',
+  'TZOFFSETTO:-0400',
+  'TZNAME:EDT',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'DTSTART:19671029T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU;UNTIL=20061029T060000Z',
+  'TZOFFSETFROM:-0400',
+  'TZOFFSETTO:-0500',
+  'TZNAME:EST',
+  'END:STANDARD',
+  'BEGIN:DAYLIGHT',
+  'DTSTART:19740106T020000',
+  'RDATE:19750223T020000',
+  'TZOFFSETFROM:-0500',
+  'TZOFFSETTO:-0400',
+  'TZNAME:EDT',
+  'END:DAYLIGHT',
+  'BEGIN:DAYLIGHT',
+  'DTSTART:19760425T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=4;BYDAY=-1SU;UNTIL=19860427T070000Z',
+  'TZOFFSETFROM:-0500',
+  'TZOFFSETTO:-0400',
+  'TZNAME:EDT',
+  'END:DAYLIGHT',
+  'BEGIN:DAYLIGHT',
+  'DTSTART:19870405T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=4;BYDAY=1SU;UNTIL=20060402T070000Z',
+  'TZOFFSETFROM:-0500',
+  'TZOFFSETTO:-0400',
+  'TZNAME:EDT',
+  'END:DAYLIGHT',
+  'BEGIN:DAYLIGHT',
+  'DTSTART:20070311T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'TZOFFSETFROM:-0500',
+  'TZOFFSETTO:-0400',
+  'TZNAME:EDT',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'DTSTART:20071104T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'TZOFFSETFROM:-0400',
+  'TZOFFSETTO:-0500',
+  'TZNAME:EST',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+].join('\r\n');
+
+describe('Temporal.ICalendar', () => {
+  it('has the right toStringTag', () => {
+    equal(Object.prototype.toString.call(ICalendar), '[object Temporal.ICalendar]');
+  });
+
+  describe('parse()', () => {
+    it('parses DATE values', () => {
+      const date = ICalendar.parse('DTSTART;VALUE=DATE:20240310');
+      assert(date instanceof Temporal.PlainDate);
+      equal(`${date}`, '2024-03-10');
+      equal(`${ICalendar.parse('20240229')}`, '2024-02-29');
+    });
+    it('parses floating DATE-TIME values', () => {
+      const dateTime = ICalendar.parse('DTSTART:20240310T020000');
+      assert(dateTime instanceof Temporal.PlainDateTime);
+      equal(`${dateTime}`, '2024-03-10T02:00:00');
+    });
+    it('parses UTC DATE-TIME values', () => {
+      const instant = ICalendar.parse('DTSTAMP:20240310T020000Z');
+      assert(instant instanceof Temporal.Instant);
+      equal(`${instant}`, '2024-03-10T02:00:00Z');
+    });
+    it('parses DATE-TIME values with a TZID', () => {
+      const zdt = ICalendar.parse('DTSTART;TZID=Europe/Berlin:20240701T090000');
+      equal(`${zdt}`, '2024-07-01T09:00:00+02:00[Europe/Berlin]');
+      equal(`${ICalendar.parse('dtstart;tzid="Europe/Berlin":20240701T090000')}`, `${zdt}`);
+      equal(
+        `${ICalendar.parse('DTSTART;TZID=Pacific Standard Time:20240101T090000')}`,
+        '2024-01-01T09:00:00-08:00[America/Los_Angeles]'
+      );
+    });
+    it('resolves DST gaps and overlaps like RFC 5545', () => {
+      // Times in a gap use the offset from before it, and times in an overlap
+      // are the first of the two
+      equal(
+        `${ICalendar.parse('DTSTART;TZID=America/New_York:20070311T023000')}`,
+        '2007-03-11T03:30:00-04:00[America/New_York]'
+      );
+      equal(
+        `${ICalendar.parse('DTSTART;TZID=America/New_York:20071104T013000')}`,
+        '2007-11-04T01:30:00-04:00[America/New_York]'
+      );
+      equal(
+        `${ICalendar.parse('DTSTART;TZID=America/New_York:20071104T013000', { disambiguation: 'later' })}`,
+        '2007-11-04T01:30:00-05:00[America/New_York]'
+      );
+      throws(
+        () => ICalendar.parse('DTSTART;TZID=America/New_York:20070311T023000', { disambiguation: 'reject' }),
+        RangeError
+      );
+    });
+    it('parses DURATION values', () => {
+      equal(`${ICalendar.parse('DURATION:P1DT2H')}`, 'P1DT2H');
+      equal(`${ICalendar.parse('DURATION:P15DT5H0M20S')}`, 'P15DT5H20S');
+      equal(`${ICalendar.parse('DURATION:P7W')}`, 'P7W');
+      equal(`${ICalendar.parse('TRIGGER:-PT15M')}`, '-PT15M');
+      equal(`${ICalendar.parse('TRIGGER;VALUE=DATE-TIME:19980101T050000Z')}`, '1998-01-01T05:00:00Z');
+      equal(`${ICalendar.parse('+PT1M')}`, 'PT1M');
+    });
+    it('unfolds content lines', () => {
+      equal(
+        `${ICalendar.parse('DTSTART;TZID=Europe/\r\n Berlin:20240701T090000\r\n')}`,
+        '2024-07-01T09:00:00+02:00[Europe/Berlin]'
+      );
+    });
+    it('rejects invalid values', () => {
+      throws(() => ICalendar.parse('DTSTART:2024-03-10T02:00:00'), RangeError);
+      throws(() => ICalendar.parse('DTSTART:20240230'), RangeError);
+      throws(() => ICalendar.parse('DTSTART;VALUE=DATE:20240310T020000'), RangeError);
+      throws(() => ICalendar.parse('DTSTART;VALUE=DATE-TIME:20240310'), RangeError);
+      throws(() => ICalendar.parse('DTSTART;VALUE=PERIOD:20240310T020000Z/PT1H'), RangeError);
+      throws(() => ICalendar.parse('DTSTART;TZID=Europe/Berlin:20240310T020000Z'), RangeError);
+      throws(() => ICalendar.parse('DTSTART;TZID=Europe/Berlin;VALUE=DATE:20240310'), RangeError);
+      throws(() => ICalendar.parse('DTSTART;TZID=Nowhere/Special:20240310T020000'), RangeError);
+      throws(() => ICalendar.parse('EXDATE:20240310T020000,20240311T020000'), RangeError);
+      throws(() => ICalendar.parse('DURATION:P1Y'), RangeError);
+      throws(() => ICalendar.parse('DURATION:P1W2D'), RangeError);
+      throws(() => ICalendar.parse('DURATION:PT1H30S'), RangeError);
+      throws(() => ICalendar.parse('DURATION:PT1.5S'), RangeError);
+      throws(() => ICalendar.parse('DURATION:P'), RangeError);
+      throws(() => ICalendar.parse('DTSTART:20240310\r\nDTEND:20240311'), RangeError);
+      throws(() => ICalendar.parse(20240310), TypeError);
+    });
+  });
+
+  describe('parseList()', () => {
+    it('parses lists of values', () => {
+      const list = ICalendar.parseList('EXDATE;TZID=Europe/Berlin:20240101T090000,20240102T090000');
+      deepEqual(list.map(String), [
+        '2024-01-01T09:00:00+01:00[Europe/Berlin]',
+        '2024-01-02T09:00:00+01:00[Europe/Berlin]'
+      ]);
+      deepEqual(ICalendar.parseList('RDATE;VALUE=DATE:20240101').map(String), ['2024-01-01']);
+    });
+  });
+
+  describe('format()', () => {
+    it('writes DATE and DATE-TIME values', () => {
+      equal(ICalendar.format('DTSTART', Temporal.PlainDate.from('2024-03-10')), 'DTSTART;VALUE=DATE:20240310');
+      equal(ICalendar.format('dtstart', Temporal.PlainDateTime.from('2024-03-10T02:00')), 'DTSTART:20240310T020000');
+      equal(ICalendar.format('DTSTAMP', Temporal.Instant.from('2024-03-10T02:00Z')), 'DTSTAMP:20240310T020000Z');
+    });
+    it('writes ZonedDateTime values with a TZID, or in UTC', () => {
+      const zdt = Temporal.ZonedDateTime.from('2024-07-01T09:00[Europe/Berlin]');
+      equal(ICalendar.format('DTSTART', zdt), 'DTSTART;TZID=Europe/Berlin:20240701T090000');
+      equal(ICalendar.format('DTSTART', zdt.withTimeZone('UTC')), 'DTSTART:20240701T070000Z');
+      equal(ICalendar.format('DTSTART', zdt.withTimeZone('+05:30')), 'DTSTART:20240701T070000Z');
+    });
+    it('writes DURATION values', () => {
+      equal(ICalendar.format('DURATION', Temporal.Duration.from('P1DT2H')), 'DURATION:P1DT2H');
+      equal(ICalendar.format('DURATION', Temporal.Duration.from('PT1H5S')), 'DURATION:PT1H0M5S');
+      equal(ICalendar.format('DURATION', Temporal.Duration.from('P2W')), 'DURATION:P2W');
+      equal(ICalendar.format('DURATION', Temporal.Duration.from('P1W1D')), 'DURATION:P8D');
+      equal(ICalendar.format('TRIGGER', Temporal.Duration.from('-PT15M')), 'TRIGGER:-PT15M');
+      equal(ICalendar.format('DURATION', new Temporal.Duration()), 'DURATION:PT0S');
+      equal(ICalendar.format('X-SNOOZE', Temporal.Duration.from('PT5M')), 'X-SNOOZE;VALUE=DURATION:PT5M');
+    });
+    it('writes lists of values', () => {
+      const dates = [Temporal.PlainDate.from('2024-01-01'), Temporal.PlainDate.from('2024-01-08')];
+      equal(ICalendar.format('EXDATE', dates), 'EXDATE;VALUE=DATE:20240101,20240108');
+      throws(() => ICalendar.format('EXDATE', [dates[0], Temporal.PlainDateTime.from('2024-01-08T00:00')]), RangeError);
+      throws(() => ICalendar.format('EXDATE', []), RangeError);
+    });
+    it('round-trips', () => {
+      const lines = [
+        'DTSTART;VALUE=DATE:20240310',
+        'DTSTART:20240310T020000',
+        'DTSTART:20240310T020000Z',
+        'DTSTART;TZID=America/New_York:20240310T030000',
+        'DURATION:P1DT2H'
+      ];
+      for (const line of lines) {
+        const name = line.slice(0, line.search(/[;:]/));
+        equal(ICalendar.format(name, ICalendar.parse(line)), line);
+      }
+    });
+    it("rejects values that iCalendar can't represent", () => {
+      throws(() => ICalendar.format('DTSTART', Temporal.PlainDateTime.from('2024-03-10T02:00:00.5')), RangeError);
+      throws(() => ICalendar.format('DTSTART', Temporal.PlainDate.from('+010000-01-01')), RangeError);
+      throws(() => ICalendar.format('DURATION', Temporal.Duration.from('P1M')), RangeError);
+      throws(() => ICalendar.format('DURATION', Temporal.Duration.from('PT0.5S')), RangeError);
+      throws(() => ICalendar.format('DTSTART', '2024-03-10'), TypeError);
+      throws(() => ICalendar.format('DT START', Temporal.PlainDate.from('2024-03-10')), RangeError);
+    });
+  });
+
+  describe('parseTimeZone()', () => {
+    const eastern = ICalendar.parseTimeZone(EASTERN);
+    it('creates a time zone from the rules of a VTIMEZONE component', () => {
+      equal(eastern.id, '/example.org/Eastern');
+      const dates = ['1967-01-01', '1970-01-01', '1970-07-01', '1974-02-01', '1975-03-01', '1990-04-02', '2024-03-11'];
+      for (const date of dates) {
+        const expected = Temporal.PlainDate.from(date).toZonedDateTime('America/New_York').offset;
+        equal(Temporal.PlainDate.from(date).toZonedDateTime(eastern).offset, expected, date);
+      }
+    });
+    it('is used for its TZID', () => {
+      const options = { timeZones: [eastern] };
+      const zdt = ICalendar.parse('DTSTART;TZID=/example.org/Eastern:20070311T023000', options);
+      equal(`${zdt}`, '2007-03-11T03:30:00-04:00[/example.org/Eastern]');
+      equal(ICalendar.format('DTSTART', zdt), 'DTSTART;TZID=/example.org/Eastern:20070311T033000');
+      const fromString = ICalendar.parse('DTSTART;TZID=/example.org/Eastern:20071104T013000', { timeZones: [EASTERN] });
+      equal(fromString.offset, '-04:00');
+    });
+    it('finds transitions', () => {
+      const zdt = Temporal.ZonedDateTime.from({ year: 2024, month: 1, day: 1, timeZone: eastern });
+      equal(`${zdt.getTimeZoneTransition('next').toInstant()}`, '2024-03-10T07:00:00Z');
+      equal(`${zdt.getTimeZoneTransition('previous').toInstant()}`, '2023-11-05T06:00:00Z');
+      const before = Temporal.ZonedDateTime.from({ year: 1960, month: 1, day: 1, timeZone: eastern });
+      equal(before.getTimeZoneTransition('previous'), null);
+      equal(`${before.getTimeZoneTransition('next').toInstant()}`, '1967-04-30T07:00:00Z');
+    });
+    it('finds far-off transitions', () => {
+      const zdt = Temporal.ZonedDateTime.from({ year: 200000, month: 7, day: 1, timeZone: eastern });
+      equal(zdt.offset, '-04:00');
+      equal(`${zdt.getTimeZoneTransition('next').toPlainDateTime()}`, '+200000-11-05T01:00:00');
+      equal(`${zdt.getTimeZoneTransition('previous').toPlainDateTime()}`, '+200000-03-12T03:00:00');
+    });
+    it('has no transitions after bounded rules end', () => {
+      const zone = ICalendar.parseTimeZone(
+        [
+          'BEGIN:VTIMEZONE',
+          'TZID:Example/Fixed',
+          'BEGIN:STANDARD',
+          'DTSTART:19700101T000000',
+          'TZOFFSETFROM:+0100',
+          'TZOFFSETTO:+0100',
+          'END:STANDARD',
+          'BEGIN:DAYLIGHT',
+          'DTSTART:19800330T020000',
+          'RRULE:FREQ=YEARLY;COUNT=3;BYMONTH=3;BYDAY=-1SU',
+          'TZOFFSETFROM:+0100',
+          'TZOFFSETTO:+0200',
+          'END:DAYLIGHT',
+          'BEGIN:STANDARD',
+          'DTSTART:19800928T030000',
+          'RRULE:FREQ=YEARLY;COUNT=3;BYMONTH=9;BYDAY=-1SU',
+          'TZOFFSETFROM:+0200',
+          'TZOFFSETTO:+0100',
+          'END:STANDARD',
+          'END:VTIMEZONE'
+        ].join('\n')
+      );
+      const zdt = Temporal.ZonedDateTime.from({ year: 2000, month: 1, day: 1, timeZone: zone });
+      equal(zdt.getTimeZoneTransition('next'), null);
+      equal(`${zdt.getTimeZoneTransition('previous').toInstant()}`, '1982-09-26T01:00:00Z');
+    });
+    it('rejects invalid components', () => {
+      throws(() => ICalendar.parseTimeZone('BEGIN:VEVENT\nEND:VEVENT'), RangeError);
+      throws(() => ICalendar.parseTimeZone('BEGIN:VTIMEZONE\nTZID:X\nEND:VTIMEZONE'), RangeError);
+      const standard = (...lines) =>
+        ['BEGIN:VTIMEZONE', 'TZID:X', 'BEGIN:STANDARD', ...lines, 'END:STANDARD', 'END:VTIMEZONE'].join('\n');
+      throws(() => ICalendar.parseTimeZone(standard('DTSTART:19700101T000000', 'TZOFFSETTO:+0100')), RangeError);
+      throws(
+        () => ICalendar.parseTimeZone(standard('DTSTART:19700101T000000', 'TZOFFSETFROM:-0000', 'TZOFFSETTO:+0100')),
+        RangeError
+      );
+      throws(
+        () => ICalendar.parseTimeZone(standard('DTSTART:19700101T000000Z', 'TZOFFSETFROM:+0100', 'TZOFFSETTO:+0100')),
+        RangeError
+      );
+      throws(() => ICalendar.parse('DTSTART;TZID=X:20240101T000000', { timeZones: [{}] }), TypeError);
+    });
+  });
+});
+
+import { normalize } from 'path';
+if (normalize(import.meta.url.slice(8)) === normalize(process.argv[1])) {
+  report(reporter).then((failed) => process.exit(failed ? 1 : 0));
+}
@@ -0,0 +1,362 @@
+import Demitasse from '@pipobscure/demitasse';
+const { describe, it, report } = Demitasse;
+
+import Pretty from '@pipobscure/demitasse-pretty';
+const { reporter } = Pretty;
+
+import { strict as assert } from 'assert';
+const { equal, throws } = assert;
+
+import * as Temporal from 'proposal-temporal';
+
+const { Interval } = Temporal;
+
+describe('Temporal.Interval', () => {
+  it('has the right toStringTag', () => {
+    equal(Object.prototype.toString.call(Interval.prototype), '[object Temporal.Interval]');
+  });
+
+  describe('constructor', () => {
+    it('takes two endpoints of the same type', () => {
+      const start = Temporal.PlainDate.from('2024-02-10');
+      const end = Temporal.PlainDate.from('2024-02-15');
+      const interval = new Interval(start, end);
+      equal(interval.start, start);
+      equal(interval.end, end);
+    });
+    it('rejects endpoints of different or unsupported types', () => {
+      const date = Temporal.PlainDate.from('2024-02-10');
+      throws(() => new Interval(date, Temporal.PlainDateTime.from('2024-02-15T00:00')), TypeError);
+      throws(() => new Interval(Temporal.PlainTime.from('09:00'), Temporal.PlainTime.from('17:00')), TypeError);
+      throws(() => new Interval('2024-02-10', '2024-02-15'), TypeError);
+    });
+    it('rejects a start after the end', () => {
+      const start = Temporal.Instant.from('2024-02-10T12:00Z');
+      throws(() => new Interval(start, start.subtract({ nanoseconds: 1 })), RangeError);
+      equal(`${new Interval(start, start)}`, '2024-02-10T12:00:00Z/2024-02-10T12:00:00Z');
+    });
+  });
+
+  describe('from()', () => {
+    it('parses start/end', () => {
+      const interval = Interval.from('2024-02-10T09:00Z/2024-02-10T17:00+01:00');
+      equal(interval.start instanceof Temporal.Instant, true);
+      equal(`${interval}`, '2024-02-10T09:00:00Z/2024-02-10T16:00:00Z');
+      equal(`${Interval.from('2024-02-10/2024-02-15')}`, '2024-02-10/2024-02-15');
+      equal(`${Interval.from('2024-02-10--2024-02-15')}`, '2024-02-10/2024-02-15');
+      equal(`${Interval.from('2024-02-10T09:00/2024-02-10T17:00')}`, '2024-02-10T09:00:00/2024-02-10T17:00:00');
+      equal(
+        `${Interval.from('2024-02-10T09:00[Europe/Berlin]/2024-02-10T17:00[Europe/Berlin]')}`,
+        '2024-02-10T09:00:00+01:00[Europe/Berlin]/2024-02-10T17:00:00+01:00[Europe/Berlin]'
+      );
+    });
+    it('parses start/duration and duration/end', () => {
+      equal(`${Interval.from('2024-01-31/P1M')}`, '2024-01-31/2024-02-29');
+      equal(`${Interval.from('P1M/2024-03-31')}`, '2024-02-29/2024-03-31');
+      equal(`${Interval.from('2024-02-10T09:00Z/PT8H')}`, '2024-02-10T09:00:00Z/2024-02-10T17:00:00Z');
+      equal(
+        `${Interval.from('PT1H/2024-03-31T03:00[Europe/Berlin]')}`,
+        '2024-03-31T01:00:00+01:00[Europe/Berlin]/2024-03-31T03:00:00+02:00[Europe/Berlin]'
+      );
+    });
+    it('adds date units to Instant endpoints in UTC', () => {
+      equal(`${Interval.from('2024-02-10T09:00Z/P1D')}`, '2024-02-10T09:00:00Z/2024-02-11T09:00:00Z');
+      equal(`${Interval.from('2024-02-10T09:00+05:00/P1DT1H')}`, '2024-02-10T04:00:00Z/2024-02-11T05:00:00Z');
+      equal(`${Interval.from('P1M/2024-03-31T12:00Z')}`, '2024-02-29T12:00:00Z/2024-03-31T12:00:00Z');
+      const start = Temporal.Instant.from('2024-02-10T09:00Z');
+      equal(`${Interval.from({ start, duration: { weeks: 1 } })}`, '2024-02-10T09:00:00Z/2024-02-17T09:00:00Z');
+    });
+    it('parses abbreviated ends', () => {
+      equal(`${Interval.from('2024-02-10/15')}`, '2024-02-10/2024-02-15');
+      equal(`${Interval.from('2024-02-10/03-02')}`, '2024-02-10/2024-03-02');
+      equal(`${Interval.from('2024-02-10T09:00/17:00')}`, '2024-02-10T09:00:00/2024-02-10T17:00:00');
+      equal(`${Interval.from('2024-02-10T09:00/11T17:00:30.5')}`, '2024-02-10T09:00:00/2024-02-11T17:00:30.5');
+      equal(`${Interval.from('2024-02-10T09:00+01:00/T17:00')}`, '2024-02-10T08:00:00Z/2024-02-10T16:00:00Z');
+      equal(
+        `${Interval.from('2024-03-30T12:00[Europe/Berlin]/31T12:00')}`,
+        '2024-03-30T12:00:00+01:00[Europe/Berlin]/2024-03-31T12:00:00+02:00[Europe/Berlin]'
+      );
+    });
+    it('accepts property bags', () => {
+      const start = Temporal.PlainDate.from('2024-02-10');
+      equal(`${Interval.from({ start, end: '2024-02-15' })}`, '2024-02-10/2024-02-15');
+      equal(`${Interval.from({ start, duration: { days: 5 } })}`, '2024-02-10/2024-02-15');
+      equal(`${Interval.from({ duration: 'P5D', end: start })}`, '2024-02-05/2024-02-10');
+      equal(
+        `${Interval.from({ start: '2024-02-10T09:00Z', end: '2024-02-10T17:00Z' })}`,
+        '2024-02-10T09:00:00Z/2024-02-10T17:00:00Z'
+      );
+    });
+    it('rejects ends of another type than the start', () => {
+      throws(() => Interval.from('2024-01-01/2024-01-05T10:00'), RangeError);
+      throws(() => Interval.from('2024-01-01T10:00/2024-01-05'), RangeError);
+      throws(() => Interval.from('2024-01-01T10:00Z/2024-01-05T10:00[UTC]'), RangeError);
+      const start = Temporal.PlainDate.from('2024-01-01');
+      throws(() => Interval.from({ start, end: '2024-01-05T10:00' }), RangeError);
+      throws(() => Interval.from({ start, end: { year: 2024, month: 1, day: 5, hour: 10 } }), TypeError);
+      throws(() => Interval.from({ start, end: Temporal.PlainDateTime.from('2024-01-05T10:00') }), TypeError);
+      equal(`${Interval.from({ start, end: { year: 2024, month: 1, day: 5 } })}`, '2024-01-01/2024-01-05');
+      const dateTime = Temporal.PlainDateTime.from('2024-01-01T10:00');
+      equal(
+        `${Interval.from({ start: dateTime, end: { year: 2024, month: 1, day: 5, hour: 0 } })}`,
+        '2024-01-01T10:00:00/2024-01-05T00:00:00'
+      );
+      throws(() => Interval.from({ start: dateTime, end: { year: 2024, month: 1, day: 5 } }), TypeError);
+    });
+    it('reports why a full end is invalid', () => {
+      for (const string of ['2024-02-10/2024-13-01', '2024-02-10T09:00/2024-02-10T25:00']) {
+        try {
+          Interval.from(string);
+          assert.fail('should have thrown');
+        } catch (e) {
+          equal(e instanceof RangeError, true);
+          equal(e.message.startsWith('invalid end of interval'), false, e.message);
+        }
+      }
+      throws(() => Interval.from('2024-02-10/02-30'), RangeError);
+      throws(() => Interval.from('2024-02-10/17:00'), { message: 'invalid end of interval: 17:00' });
+    });
+    it('rejects malformed intervals', () => {
+      throws(() => Interval.from('2024-02-10'), RangeError);
+      throws(() => Interval.from('P1D/P2D'), RangeError);
+      throws(() => Interval.from('2024-02-10/17:00'), RangeError);
+      throws(() => Interval.from('2024-02-10T09:00/15'), RangeError);
+      throws(() => Interval.from('2024-02-10/30'), RangeError);
+      throws(() => Interval.from('2024-02-15/2024-02-10'), RangeError);
+      throws(() => Interval.from('2024-02-10T09:00Z/2024-02-10T17:00'), RangeError);
+      throws(() => Interval.from({ start: '2024-02-10' }), TypeError);
+      throws(() => Interval.from({ start: '2024-02-10', end: '2024-02-15', duration: 'P5D' }), TypeError);
+      throws(() => Interval.from(20240210), TypeError);
+    });
+  });
+
+  describe('contains()', () => {
+    const interval = Interval.from('2024-02-10T09:00/17:00');
+    it('includes the start but not the end', () => {
+      equal(interval.contains('2024-02-10T09:00'), true);
+      equal(interval.contains('2024-02-10T16:59:59.999999999'), true);
+      equal(interval.contains('2024-02-10T17:00'), false);
+      equal(interval.contains('2024-02-10T08:59'), false);
+    });
+    it('tells whether another interval is within it', () => {
+      equal(interval.contains(Interval.from('2024-02-10T10:00/17:00')), true);
+      equal(interval.contains(Interval.from('2024-02-10T10:00/17:01')), false);
+    });
+    it('compares by exact time', () => {
+      const zoned = Interval.from('2024-02-10T09:00[Europe/Berlin]/17:00');
+      equal(zoned.contains(Temporal.ZonedDateTime.from('2024-02-10T03:00[America/New_York]')), true);
+      equal(zoned.contains(Temporal.ZonedDateTime.from('2024-02-10T11:00[America/New_York]')), false);
+    });
+  });
+
+  describe('set operations', () => {
+    const a = Interval.from('2024-02-01/2024-02-10');
+    it('overlaps()', () => {
+      equal(a.overlaps('2024-02-09/2024-02-20'), true);
+      equal(a.overlaps('2024-02-10/2024-02-20'), false);
+      equal(a.overlaps('2024-02-05/2024-02-05'), false);
+    });
+    it('intersection()', () => {
+      equal(`${a.intersection('2024-02-05/2024-02-20')}`, '2024-02-05/2024-02-10');
+      equal(a.intersection('2024-02-10/2024-02-20'), null);
+    });
+    it('union()', () => {
+      equal(`${a.union('2024-02-05/2024-02-20')}`, '2024-02-01/2024-02-20');
+      equal(`${a.union('2024-02-10/2024-02-20')}`, '2024-02-01/2024-02-20');
+      equal(a.union('2024-02-11/2024-02-20'), null);
+    });
+    it('gap()', () => {
+      equal(`${a.gap('2024-02-15/2024-02-20')}`, '2024-02-10/2024-02-15');
+      equal(`${a.gap('2024-01-01/2024-01-15')}`, '2024-01-15/2024-02-01');
+      equal(a.gap('2024-02-10/2024-02-20'), null);
+    });
+    it('rejects intervals of another type', () => {
+      throws(() => a.overlaps('2024-02-01T00:00/2024-02-10T00:00'), TypeError);
+    });
+  });
+
+  describe('toDuration()', () => {
+    it('is the difference between the endpoints', () => {
+      equal(`${Interval.from('2024-01-31/2024-03-01').toDuration()}`, 'P30D');
+      equal(`${Interval.from('2024-01-31/2024-03-01').toDuration({ largestUnit: 'months' })}`, 'P1M1D');
+      equal(`${Interval.from('2024-02-10T09:00Z/17:30').toDuration({ largestUnit: 'hours' })}`, 'PT8H30M');
+    });
+  });
+
+  describe('equals() and compare()', () => {
+    it('compares endpoints including their calendars and time zones', () => {
+      const interval = Interval.from('2024-02-10T09:00[Europe/Berlin]/17:00');
+      equal(interval.equals('2024-02-10T09:00+01:00[Europe/Berlin]/2024-02-10T17:00+01:00[Europe/Berlin]'), true);
+      equal(interval.equals('2024-02-10T08:00+00:00[UTC]/2024-02-10T16:00+00:00[UTC]'), false);
+      equal(interval.equals('2024-02-10/2024-02-11'), false);
+    });
+    it('orders by start and then by end', () => {
+      const intervals = ['2024-02-10/2024-02-20', '2024-02-01/2024-02-20', '2024-02-10/2024-02-15'];
+      equal(
+        intervals
+          .sort(Interval.compare)
+          .map((i) => `${i}`)
+          .join(' '),
+        '2024-02-01/2024-02-20 2024-02-10/2024-02-15 2024-02-10/2024-02-20'
+      );
+    });
+  });
+
+  describe('toString()', () => {
+    const interval = Interval.from('2024-01-31T09:00/2024-03-01T17:30');
+    it('writes the three ISO 8601 forms', () => {
+      equal(interval.toString({ format: 'start/duration' }), '2024-01-31T09:00:00/P30DT8H30M');
+      equal(interval.toString({ format: 'duration/end' }), 'P30DT8H30M/2024-03-01T17:30:00');
+      equal(interval.toString({ format: 'start/duration', largestUnit: 'months' }), '2024-01-31T09:00:00/P1M1DT8H30M');
+      equal(interval.toString({ format: 'duration/end', largestUnit: 'months' }), 'P1M1DT8H30M/2024-03-01T17:30:00');
+    });
+    it('round-trips', () => {
+      for (const format of ['start/end', 'start/duration', 'duration/end']) {
+        const string = interval.toString({ format, largestUnit: 'years' });
+        equal(Interval.from(string).equals(interval), true, string);
+      }
+    });
+    it('passes the options to the endpoints', () => {
+      equal(interval.toString({ smallestUnit: 'minute' }), '2024-01-31T09:00/2024-03-01T17:30');
+      equal(interval.toString({ dateFormat: 'week', smallestUnit: 'minute' }), '2024-W05-3T09:00/2024-W09-5T17:30');
+      const zoned = Interval.from('2024-02-10T09:00[Europe/Berlin]/17:00');
+      equal(zoned.toString({ timeZoneName: 'never', offset: 'never' }), '2024-02-10T09:00:00/2024-02-10T17:00:00');
+      throws(() => interval.toString({ format: 'start' }), RangeError);
+      throws(() => interval.toString({ smallestUnit: 'hour' }), RangeError);
+    });
+    it('toJSON() is toString()', () => {
+      equal(interval.toJSON(), `${interval}`);
+    });
+    it('valueOf() throws', () => {
+      throws(() => interval.valueOf(), TypeError);
+    });
+  });
+});
+
+describe('Temporal.RepeatingInterval', () => {
+  const { RepeatingInterval } = Temporal;
+  const take = (repeatingInterval, count) => {
+    const result = [];
+    for (const occurrence of repeatingInterval.occurrences()) {
+      if (result.length === count) break;
+      result.push(`${occurrence}`);
+    }
+    return result;
+  };
+
+  it('has the right toStringTag', () => {
+    equal(Object.prototype.toString.call(RepeatingInterval.prototype), '[object Temporal.RepeatingInterval]');
+  });
+
+  describe('constructor', () => {
+    it('takes an anchor, a duration, and a number of recurrences', () => {
+      const anchor = Temporal.PlainDate.from('2024-01-01');
+      const duration = Temporal.Duration.from('P1W');
+      const repeatingInterval = new RepeatingInterval(anchor, duration, 3);
+      equal(repeatingInterval.anchor, anchor);
+      equal(repeatingInterval.duration, duration);
+      equal(repeatingInterval.recurrences, 3);
+      equal(new RepeatingInterval(anchor, duration).recurrences, Infinity);
+    });
+    it('rejects invalid arguments', () => {
+      const anchor = Temporal.Instant.from('2024-01-01T00:00Z');
+      throws(() => new RepeatingInterval('2024-01-01T00:00Z', Temporal.Duration.from('PT1H')), TypeError);
+      throws(() => new RepeatingInterval(anchor, 'PT1H'), TypeError);
+      throws(() => new RepeatingInterval(anchor, new Temporal.Duration()), RangeError);
+      const last = Temporal.Instant.from('+275760-09-13T00:00Z');
+      throws(() => new RepeatingInterval(last, Temporal.Duration.from('P1D')), RangeError);
+      throws(() => new RepeatingInterval(anchor, Temporal.Duration.from('PT1H'), -1), RangeError);
+      throws(() => new RepeatingInterval(anchor, Temporal.Duration.from('PT1H'), 1.5), RangeError);
+    });
+  });
+
+  describe('from()', () => {
+    it('parses R-notation', () => {
+      const repeatingInterval = RepeatingInterval.from('R5/2024-01-01T09:00[Europe/Paris]/P1W');
+      equal(repeatingInterval.recurrences, 5);
+      equal(`${repeatingInterval.duration}`, 'P1W');
+      equal(`${RepeatingInterval.from('R/2024-01-01/P1D')}`, 'R/2024-01-01/P1D');
+      equal(RepeatingInterval.from('R/2024-01-01/P1D').recurrences, Infinity);
+      equal(`${RepeatingInterval.from('R0/2024-01-01/P1D')}`, 'R0/2024-01-01/P1D');
+    });
+    it('takes the duration from a start and an end', () => {
+      equal(`${RepeatingInterval.from('R2/2024-01-01T09:00Z/10:30')}`, 'R2/2024-01-01T09:00:00Z/PT1H30M');
+      equal(
+        `${RepeatingInterval.from('R2/2024-01-01T09:00[Europe/Paris]/08T09:00')}`,
+        'R2/2024-01-01T09:00:00+01:00[Europe/Paris]/P7D'
+      );
+    });
+    it('adds date units to Instant anchors in UTC', () => {
+      const daily = RepeatingInterval.from('R5/2024-01-01T09:00Z/P1D');
+      equal(
+        take(daily, 2).join(' '),
+        '2024-01-01T09:00:00Z/2024-01-02T09:00:00Z 2024-01-02T09:00:00Z/2024-01-03T09:00:00Z'
+      );
+      const weekly = RepeatingInterval.from('R5/2024-01-01T09:00Z/P1W');
+      equal(take(weekly, 2)[1], '2024-01-08T09:00:00Z/2024-01-15T09:00:00Z');
+      const anchor = Temporal.Instant.from('2024-01-31T09:00Z');
+      const monthly = RepeatingInterval.from({ start: anchor, duration: 'P1M' });
+      equal(
+        take(monthly, 2).join(' '),
+        '2024-01-31T09:00:00Z/2024-02-29T09:00:00Z 2024-02-29T09:00:00Z/2024-03-31T09:00:00Z'
+      );
+    });
+    it('repeats duration/end back from the end', () => {
+      const repeatingInterval = RepeatingInterval.from('R3/P1D/2024-01-10');
+      equal(`${repeatingInterval}`, 'R3/P1D/2024-01-10');
+      equal(`${repeatingInterval.duration}`, '-P1D');
+      equal(take(repeatingInterval, 3).join(' '), '2024-01-09/2024-01-10 2024-01-08/2024-01-09 2024-01-07/2024-01-08');
+    });
+    it('accepts property bags', () => {
+      const repeatingInterval = RepeatingInterval.from({ start: '2024-01-01', duration: 'P1W', recurrences: 2 });
+      equal(`${repeatingInterval}`, 'R2/2024-01-01/P1W');
+      equal(
+        `${RepeatingInterval.from({ duration: { hours: 1 }, end: '2024-01-01T12:00' })}`,
+        'R/PT1H/2024-01-01T12:00:00'
+      );
+    });
+    it('rejects malformed strings', () => {
+      throws(() => RepeatingInterval.from('2024-01-01/P1D'), RangeError);
+      throws(() => RepeatingInterval.from('R-1/2024-01-01/P1D'), RangeError);
+      throws(() => RepeatingInterval.from('R2/2024-01-01/PT0S'), RangeError);
+      throws(() => RepeatingInterval.from('R2/2024-01-01/-P1D'), RangeError);
+      throws(() => RepeatingInterval.from('R2/2024-01-01'), RangeError);
+    });
+  });
+
+  describe('occurrences()', () => {
+    it('keeps the wall-clock time across DST', () => {
+      const repeatingInterval = RepeatingInterval.from('R5/2024-03-24T09:00[Europe/Paris]/P1W');
+      equal(
+        take(repeatingInterval, 2).join(' '),
+        '2024-03-24T09:00:00+01:00[Europe/Paris]/2024-03-31T09:00:00+02:00[Europe/Paris] ' +
+          '2024-03-31T09:00:00+02:00[Europe/Paris]/2024-04-07T09:00:00+02:00[Europe/Paris]'
+      );
+    });
+    it('counts from the anchor', () => {
+      const repeatingInterval = RepeatingInterval.from('R/2024-01-31/P1M');
+      equal(take(repeatingInterval, 3).join(' '), '2024-01-31/2024-02-29 2024-02-29/2024-03-31 2024-03-31/2024-04-30');
+    });
+    it('stops after the recurrences', () => {
+      equal(take(RepeatingInterval.from('R2/2024-01-01/P1D'), 5).length, 2);
+      equal(take(RepeatingInterval.from('R0/2024-01-01/P1D'), 5).length, 0);
+      equal(take(RepeatingInterval.from('R/2024-01-01/P1D'), 100).length, 100);
+    });
+  });
+
+  describe('toString()', () => {
+    it('passes the options to the anchor', () => {
+      const repeatingInterval = RepeatingInterval.from('R5/2024-01-01T09:00[Europe/Paris]/P1W');
+      equal(
+        repeatingInterval.toString({ smallestUnit: 'minute', timeZoneName: 'never' }),
+        'R5/2024-01-01T09:00+01:00/P1W'
+      );
+      equal(repeatingInterval.toJSON(), `${repeatingInterval}`);
+    });
+  });
+});
+
+import { normalize } from 'path';
+if (normalize(import.meta.url.slice(8)) === normalize(process.argv[1])) {
+  report(reporter).then((failed) => process.exit(failed ? 1 : 0));
+}
@@ -0,0 +1,159 @@
+import Demitasse from '@pipobscure/demitasse';
+const { describe, it, report } = Demitasse;
+
+import Pretty from '@pipobscure/demitasse-pretty';
+const { reporter } = Pretty;
+
+import { strict as assert } from 'assert';
+const { deepEqual, equal, throws } = assert;
+
+import * as Temporal from 'proposal-temporal';
+
+const lenient = { parse: 'lenient' };
+
+describe('Lenient parsing', () => {
+  describe('strict mode', () => {
+    it('is the default', () => {
+      throws(() => Temporal.PlainDate.from('2024/01/05'), RangeError);
+      throws(() => Temporal.PlainDate.from('2024/01/05', {}), RangeError);
+      throws(() => Temporal.PlainDate.from('2024/01/05', { parse: 'strict' }), RangeError);
+      throws(() => Temporal.Instant.from('2024-01-05 10:00 UTC'), RangeError);
+    });
+    it('rejects invalid values of the option', () => {
+      throws(() => Temporal.PlainDate.from('2024/01/05', { parse: 'loose' }), RangeError);
+    });
+    it('does not read the option for valid strings', () => {
+      const options = {
+        get parse() {
+          throw new Error('should not be read');
+        }
+      };
+      equal(`${Temporal.PlainDate.from('2024-01-05', options)}`, '2024-01-05');
+      equal(`${Temporal.Instant.from('2024-01-05T10:00Z', options)}`, '2024-01-05T10:00:00Z');
+      equal(`${Temporal.Duration.from('P1D', options)}`, 'P1D');
+      equal(`${Temporal.PlainDate.from('2024-01-05', { parse: 'bogus' })}`, '2024-01-05');
+    });
+    it('reads the option after parsing and before overflow', () => {
+      const order = [];
+      const options = {
+        get parse() {
+          order.push('parse');
+          return 'lenient';
+        },
+        get overflow() {
+          order.push('overflow');
+          return 'constrain';
+        }
+      };
+      Temporal.PlainDate.from('2024/01/05', options);
+      deepEqual(order, ['parse', 'overflow']);
+    });
+  });
+  describe('dates', () => {
+    it('accepts / and . as separators', () => {
+      equal(`${Temporal.PlainDate.from('2024/01/05', lenient)}`, '2024-01-05');
+      equal(`${Temporal.PlainDate.from('2024.01.05', lenient)}`, '2024-01-05');
+      equal(`${Temporal.PlainDate.from('+002024/01/05', lenient)}`, '2024-01-05');
+    });
+    it('accepts single-digit months and days', () => {
+      equal(`${Temporal.PlainDate.from('2024-1-5', lenient)}`, '2024-01-05');
+      equal(`${Temporal.PlainDate.from('2024/1/15', lenient)}`, '2024-01-15');
+      equal(`${Temporal.PlainYearMonth.from('2024/1', lenient)}`, '2024-01');
+      equal(`${Temporal.PlainMonthDay.from('2024/1/5', lenient)}`, '01-05');
+    });
+    it('removes surrounding whitespace', () => {
+      equal(`${Temporal.PlainDate.from('  2024-01-05\n', lenient)}`, '2024-01-05');
+      equal(`${Temporal.Duration.from(' P1DT2H ', lenient)}`, 'P1DT2H');
+    });
+    it('keeps annotations', () => {
+      equal(`${Temporal.PlainDate.from('2024/1/5[u-ca=hebrew]', lenient)}`, '2024-01-05[u-ca=hebrew]');
+    });
+    it('does not accept mixed separators or day-first dates', () => {
+      throws(() => Temporal.PlainDate.from('2024/01-05', lenient), RangeError);
+      throws(() => Temporal.PlainDate.from('05/01/2024', lenient), RangeError);
+    });
+    it('still rejects invalid dates', () => {
+      throws(() => Temporal.PlainDate.from('2024/2/30', { parse: 'lenient', overflow: 'constrain' }), RangeError);
+      throws(() => Temporal.PlainDate.from('2024/13/1', lenient), RangeError);
+    });
+  });
+  describe('times', () => {
+    it('accepts a space between date and time', () => {
+      equal(`${Temporal.PlainDateTime.from('2024-01-05  10:00', lenient)}`, '2024-01-05T10:00:00');
+    });
+    it('accepts single-digit hours', () => {
+      equal(`${Temporal.PlainDateTime.from('2024-1-5 9:05', lenient)}`, '2024-01-05T09:05:00');
+      equal(`${Temporal.PlainTime.from('9:05', lenient)}`, '09:05:00');
+    });
+    it('accepts times with only some of their separators', () => {
+      equal(`${Temporal.PlainDateTime.from('2024-01-05 10:0030', lenient)}`, '2024-01-05T10:00:30');
+      equal(`${Temporal.PlainDateTime.from('2024-01-05 1000:30', lenient)}`, '2024-01-05T10:00:30');
+      equal(`${Temporal.PlainTime.from('10:0030.5', lenient)}`, '10:00:30.5');
+    });
+  });
+  describe('UTC offsets and designators', () => {
+    it('accepts UTC, GMT and Z after a space', () => {
+      equal(`${Temporal.Instant.from('2024-01-05 10:00 UTC', lenient)}`, '2024-01-05T10:00:00Z');
+      equal(`${Temporal.Instant.from('2024-01-05 10:00:00 gmt', lenient)}`, '2024-01-05T10:00:00Z');
+      equal(`${Temporal.Instant.from('2024-01-05 10:00 Z', lenient)}`, '2024-01-05T10:00:00Z');
+      equal(`${Temporal.Instant.from('2024-01-05T10:00UTC', lenient)}`, '2024-01-05T10:00:00Z');
+    });
+    it('accepts an offset after a space', () => {
+      equal(`${Temporal.Instant.from('2024-01-05 10:00 +0000', lenient)}`, '2024-01-05T10:00:00Z');
+      equal(`${Temporal.Instant.from('2024-01-05 10:00 -05:00', lenient)}`, '2024-01-05T15:00:00Z');
+      equal(`${Temporal.Instant.from('2024-01-05 10:00 -5', lenient)}`, '2024-01-05T15:00:00Z');
+    });
+    it('still rejects UTC designators for plain types', () => {
+      throws(() => Temporal.PlainDateTime.from('2024-01-05 10:00 UTC', lenient), RangeError);
+    });
+    it('uses the offset or designator as time zone for ZonedDateTime', () => {
+      equal(`${Temporal.ZonedDateTime.from('2024-01-05 10:00 UTC', lenient)}`, '2024-01-05T10:00:00+00:00[UTC]');
+      equal(`${Temporal.ZonedDateTime.from('2024-01-05 10:00 +0100', lenient)}`, '2024-01-05T10:00:00+01:00[+01:00]');
+      equal(
+        `${Temporal.ZonedDateTime.from('2024-01-05 10:00 +01:00[u-ca=hebrew]', lenient)}`,
+        '2024-01-05T10:00:00+01:00[+01:00][u-ca=hebrew]'
+      );
+    });
+    it('keeps the time zone annotation of a ZonedDateTime', () => {
+      equal(
+        `${Temporal.ZonedDateTime.from('2024-01-05 10:00 +0100[Europe/Paris]', lenient)}`,
+        '2024-01-05T10:00:00+01:00[Europe/Paris]'
+      );
+      throws(() => Temporal.ZonedDateTime.from('2024-01-05 10:00 +0200[Europe/Paris]', lenient), RangeError);
+    });
+  });
+  it('throws the error for the original string', () => {
+    const strictError = (() => {
+      try {
+        Temporal.Instant.from('next tuesday');
+      } catch (e) {
+        return e;
+      }
+    })();
+    throws(() => Temporal.Instant.from('next tuesday', lenient), { name: 'RangeError', message: strictError.message });
+  });
+  it('does not suggest lenient mode when it is already on', () => {
+    try {
+      Temporal.PlainDate.from('2024/01-05');
+      assert.fail('should have thrown');
+    } catch (e) {
+      equal(e.suggestion, "pass { parse: 'lenient' } to from()");
+    }
+    try {
+      Temporal.PlainDate.from('2024/01-05', lenient);
+      assert.fail('should have thrown');
+    } catch (e) {
+      equal(e.component, 'month');
+      equal(e.suggestion, undefined);
+      equal(
+        e.message,
+        'invalid ISO 8601 string: 2024/01-05: month at index 4: expected "-" between the year and the month'
+      );
+    }
+  });
+});
+
+import { normalize } from 'path';
+if (normalize(import.meta.url.slice(8)) === normalize(process.argv[1])) {
+  report(reporter).then((failed) => process.exit(failed ? 1 : 0));
+}
@@ -0,0 +1,223 @@
+import Demitasse from '@pipobscure/demitasse';
+const { describe, it, report } = Demitasse;
+
+import Pretty from '@pipobscure/demitasse-pretty';
+const { reporter } = Pretty;
+
+import { strict as assert } from 'assert';
+const { equal, throws } = assert;
+
+import * as Temporal from 'proposal-temporal';
+
+function expanded(fn) {
+  const previous = Temporal.Limits.setRangeMode('expanded');
+  try {
+    return fn();
+  } finally {
+    Temporal.Limits.setRangeMode(previous);
+  }
+}
+
+describe('Range modes', () => {
+  describe('setRangeMode()', () => {
+    it('returns the previous mode and validates the mode', () => {
+      equal(Temporal.Limits.setRangeMode('expanded'), 'standard');
+      equal(Temporal.Limits.setRangeMode('standard'), 'expanded');
+      equal(Temporal.Limits.setRangeMode('standard'), 'standard');
+      throws(() => Temporal.Limits.setRangeMode('wide'), RangeError);
+      throws(() => Temporal.Limits.setRangeMode(), RangeError);
+      equal(Temporal.Limits.getRange().mode, 'standard');
+    });
+  });
+
+  describe('getRange()', () => {
+    it('gives the range of Temporal.Instant', () => {
+      const standard = Temporal.Limits.getRange();
+      equal(standard.mode, 'standard');
+      equal(`${standard.earliest}`, '-271821-04-20T00:00:00Z');
+      equal(`${standard.latest}`, '+275760-09-13T00:00:00Z');
+      expanded(() => {
+        const range = Temporal.Limits.getRange();
+        equal(range.mode, 'expanded');
+        equal(range.earliest.epochNanoseconds, -(10n ** 13n) * 86400n * 10n ** 9n);
+        equal(`${range.earliest}`, '-27379068100-02-12T00:00:00Z');
+        equal(`${range.latest}`, '+27379072039-11-20T00:00:00Z');
+      });
+    });
+  });
+
+  describe('standard mode', () => {
+    it('keeps the limits of the proposal', () => {
+      throws(() => Temporal.PlainDate.from('+1000000-01-01'), RangeError);
+      throws(() => new Temporal.PlainDate(1000000, 1, 1), RangeError);
+      throws(() => Temporal.PlainDate.from('-271821-04-18'), RangeError);
+      throws(() => Temporal.Instant.fromEpochNanoseconds(-(10n ** 8n) * 86400n * 10n ** 9n - 1n), RangeError);
+      equal(`${Temporal.PlainDate.from('-271821-04-19')}`, '-271821-04-19');
+    });
+    it('suggests the expanded mode for years with more than six digits', () => {
+      try {
+        Temporal.PlainDate.from('+1000000-01-01');
+        assert.fail('should have thrown');
+      } catch (e) {
+        equal(e.component, 'year');
+        equal(e.suggestion, "call Temporal.Limits.setRangeMode('expanded') for years with more than six digits");
+      }
+    });
+  });
+
+  describe('expanded mode', () => {
+    it('parses and formats years with more than six digits', () => {
+      expanded(() => {
+        equal(`${Temporal.PlainDate.from('+1000000-01-01')}`, '+1000000-01-01');
+        equal(`${Temporal.PlainDate.from('-0065000000-06-01')}`, '-65000000-06-01');
+        equal(
+          `${Temporal.PlainDateTime.from('-65000000-06-01T12:34:56.789123456')}`,
+          '-65000000-06-01T12:34:56.789123456'
+        );
+        equal(`${Temporal.PlainYearMonth.from('+1000000-06')}`, '+1000000-06');
+        equal(`${Temporal.PlainDate.from('+1000000-W01-1')}`, '+1000000-01-03');
+        equal(`${Temporal.PlainDate.from('+1000000-060')}`, '+1000000-02-29');
+      });
+    });
+    it('still reads six-digit years in the basic format', () => {
+      expanded(() => {
+        equal(`${Temporal.PlainDate.from('+0020240105')}`, '2024-01-05');
+        equal(`${Temporal.PlainYearMonth.from('+00202401')}`, '2024-01');
+        throws(() => Temporal.PlainDate.from('+10000000105'), RangeError);
+      });
+    });
+    it('rejects negative zero years', () => {
+      expanded(() => {
+        throws(() => Temporal.PlainDate.from('-0000000-01-01'), RangeError);
+        throws(() => Temporal.PlainYearMonth.from('-0000000-01'), RangeError);
+      });
+    });
+    it('gives parse errors for the rest of the string', () => {
+      expanded(() => {
+        try {
+          Temporal.PlainDate.from('+1000000-13-01');
+          assert.fail('should have thrown');
+        } catch (e) {
+          equal(e.component, 'month');
+          equal(e.offset, 9);
+        }
+      });
+    });
+    it('accepts long years in lenient mode', () => {
+      expanded(() => {
+        equal(`${Temporal.PlainDate.from('+1000000/1/5', { parse: 'lenient' })}`, '+1000000-01-05');
+      });
+    });
+    it('computes exact times and days of the week', () => {
+      expanded(() => {
+        equal(Temporal.Instant.from('-1000000-01-01T00:00Z').epochNanoseconds, -31619119219200000000000n);
+        equal(
+          Temporal.Instant.from('-65000000-06-01T12:34:56.789123456+05:00').epochNanoseconds,
+          -2051264034059103210876544n
+        );
+        equal(
+          `${Temporal.Instant.fromEpochNanoseconds(-2051264034059103210876544n)}`,
+          '-65000000-06-01T07:34:56.789123456Z'
+        );
+        equal(Temporal.PlainDate.from('-65000000-06-01').dayOfWeek, 4);
+        equal(Temporal.PlainDate.from('+1000000-01-01').dayOfWeek, 6);
+        equal(Temporal.PlainDate.from('-4543000000-01-01').dayOfWeek, 6);
+      });
+    });
+    it('does arithmetic', () => {
+      expanded(() => {
+        const date = Temporal.PlainDate.from('-1000000-01-01');
+        equal(`${date.add({ days: 146097 })}`, '-999600-01-01');
+        equal(`${date.add({ years: 1000000000 })}`, '+999000000-01-01');
+        equal(`${date.until('-999600-01-01')}`, 'P146097D');
+        equal(
+          `${Temporal.PlainDate.from('-4000000000-01-01').until('2024-01-01', { largestUnit: 'years' })}`,
+          'P4000002024Y'
+        );
+        equal(`${Temporal.PlainYearMonth.from('+1000000-06').add({ months: 7 })}`, '+1000001-01');
+        const dateTime = Temporal.PlainDateTime.from('-65000000-06-01T12:00');
+        equal(`${dateTime.subtract({ hours: 36 })}`, '-65000000-05-31T00:00:00');
+        const instant = Temporal.Instant.from('-1000000-01-01T00:00Z');
+        equal(`${instant.until('-999600-01-01T00:00Z', { largestUnit: 'hours' })}`, 'PT3506328H');
+        const rounded = instant
+          .add({ hours: 1 })
+          .round({ smallestUnit: 'hour', roundingIncrement: 24, roundingMode: 'ceil' });
+        equal(`${rounded}`, '-1000000-01-02T00:00:00Z');
+      });
+    });
+    it('limits dates and times to about 27 billion years around the epoch', () => {
+      expanded(() => {
+        equal(`${Temporal.PlainDate.from({ year: 27379072039, month: 11, day: 20 })}`, '+27379072039-11-20');
+        throws(() => Temporal.PlainDate.from({ year: 27379072039, month: 11, day: 21 }), RangeError);
+        equal(`${Temporal.PlainDate.from('-27379068100-02-11')}`, '-27379068100-02-11');
+        throws(() => Temporal.PlainDate.from('-27379068100-02-10'), RangeError);
+        equal(`${Temporal.PlainYearMonth.from('-27379068100-02')}`, '-27379068100-02');
+        throws(() => Temporal.PlainYearMonth.from('-27379068100-01'), RangeError);
+        throws(() => Temporal.PlainYearMonth.from('+27379072039-12'), RangeError);
+        throws(() => Temporal.Instant.fromEpochNanoseconds(10n ** 13n * 86400n * 10n ** 9n + 1n), RangeError);
+        throws(() => Temporal.PlainDate.from({ year: 1e20, month: 1, day: 1 }), RangeError);
+        throws(() => Temporal.PlainDate.from('+100000000000000000000-01-01'), RangeError);
+      });
+    });
+    it('formats names of months, weekdays and eras with Temporal.Patterns', () => {
+      expanded(() => {
+        const date = Temporal.PlainDate.from('-1000000-01-01');
+        equal(Temporal.Patterns.format(date, 'yyyy-MM-dd EEEE'), '1000001-01-01 Saturday');
+        equal(Temporal.Patterns.format(date, 'MMMM d, y G'), 'January 1, 1000001 BC');
+        const dateTime = Temporal.PlainDateTime.from('+65000000-06-01T15:00');
+        equal(Temporal.Patterns.format(dateTime, 'EEE d MMM y G, h a'), 'Thu 1 Jun 65000000 AD, 3 PM');
+      });
+      const edge = Temporal.PlainDate.from('-271821-04-19');
+      equal(Temporal.Patterns.format(edge, 'EEEE MMMM'), 'Monday April');
+      throws(() => Temporal.Patterns.format(edge.withCalendar('gregory'), 'EEEE'), RangeError);
+    });
+    it('keeps the standard range for ZonedDateTime, named time zones and other calendars', () => {
+      expanded(() => {
+        const date = Temporal.PlainDate.from('-1000000-01-01');
+        const instant = Temporal.Instant.from('-1000000-01-01T00:00Z');
+        throws(() => date.toZonedDateTime('UTC'), RangeError);
+        throws(() => date.toZonedDateTime('+01:00'), RangeError);
+        throws(() => instant.toZonedDateTimeISO('UTC'), RangeError);
+        throws(() => instant.toString({ timeZone: 'Europe/Paris' }), RangeError);
+        equal(instant.toString({ timeZone: '+01:00' }), '-1000000-01-01T01:00:00+01:00');
+        throws(() => date.withCalendar('gregory'), RangeError);
+        throws(() => Temporal.PlainDate.from({ year: 1000000, month: 1, day: 1, calendar: 'gregory' }), RangeError);
+        equal(`${Temporal.PlainDate.from('-200000-01-01').withCalendar('gregory').year}`, '-200000');
+      });
+    });
+    it('keeps objects usable after switching back to the standard mode', () => {
+      const date = expanded(() => Temporal.PlainDate.from('+1000000-01-01'));
+      const dateTime = expanded(() => Temporal.PlainDateTime.from('-65000000-06-01T12:00'));
+      const yearMonth = expanded(() => Temporal.PlainYearMonth.from('+1000000-06'));
+      const instant = expanded(() => Temporal.Instant.from('-1000000-01-01T00:00Z'));
+      equal(`${date}`, '+1000000-01-01');
+      equal(date.year, 1000000);
+      equal(`${Temporal.PlainDate.from(date)}`, '+1000000-01-01');
+      equal(`${date.add({ days: 1 })}`, '+1000000-01-02');
+      equal(`${date.with({ year: 1000001 })}`, '+1000001-01-01');
+      equal(`${date.toPlainDateTime()}`, '+1000000-01-01T00:00:00');
+      equal(`${date.since('2024-01-01', { largestUnit: 'years', smallestUnit: 'months' })}`, 'P997976Y');
+      equal(`${dateTime.round({ smallestUnit: 'day' })}`, '-65000000-06-02T00:00:00');
+      equal(`${dateTime.toPlainDate()}`, '-65000000-06-01');
+      equal(`${yearMonth.add({ months: 7 })}`, '+1000001-01');
+      equal(`${yearMonth.toPlainDate({ day: 3 })}`, '+1000000-06-03');
+      equal(`${instant}`, '-1000000-01-01T00:00:00Z');
+      equal(Temporal.Instant.compare(instant, Temporal.Now.instant()), -1);
+      equal(`${instant.add({ hours: 1 }).round({ smallestUnit: 'hour' })}`, '-1000000-01-01T01:00:00Z');
+      equal(Temporal.Duration.from({ days: 366 }).total({ unit: 'years', relativeTo: date }), 1);
+    });
+    it('keeps checking new values from outside in the standard mode', () => {
+      const date = expanded(() => Temporal.PlainDate.from('+1000000-01-01'));
+      throws(() => Temporal.PlainDate.from('+1000000-01-01'), RangeError);
+      throws(() => new Temporal.PlainDate(1000000, 1, 1), RangeError);
+      throws(() => Temporal.PlainDate.from({ year: 1000000, month: 1, day: 1 }), RangeError);
+      throws(() => date.until('+1000000-01-02'), RangeError);
+      equal(Temporal.Limits.getRange().mode, 'standard');
+    });
+  });
+});
+
+import { normalize } from 'path';
+if (normalize(import.meta.url.slice(8)) === normalize(process.argv[1])) {
+  report(reporter).then((failed) => process.exit(failed ? 1 : 0));
+}
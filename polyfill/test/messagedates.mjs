@@ -0,0 +1,127 @@
+import Demitasse from '@pipobscure/demitasse';
+const { describe, it, report } = Demitasse;
+
+import Pretty from '@pipobscure/demitasse-pretty';
+const { reporter } = Pretty;
+
+import { strict as assert } from 'assert';
+const { equal, throws } = assert;
+
+import * as Temporal from 'proposal-temporal';
+
+const { MessageDates } = Temporal;
+
+describe('Temporal.MessageDates', () => {
+  it('has the right toStringTag', () => {
+    equal(Object.prototype.toString.call(MessageDates), '[object Temporal.MessageDates]');
+  });
+
+  describe('parseInstant()', () => {
+    it('parses IMF-fixdate', () => {
+      equal(`${MessageDates.parseInstant('Sun, 06 Nov 1994 08:49:37 GMT')}`, '1994-11-06T08:49:37Z');
+    });
+    it('parses RFC 5322 dates with numeric offsets', () => {
+      equal(`${MessageDates.parseInstant('Tue, 1 Jul 2003 10:52:37 +0200')}`, '2003-07-01T08:52:37Z');
+      equal(`${MessageDates.parseInstant('Fri, 21 Nov 1997 09:55:06 -0600')}`, '1997-11-21T15:55:06Z');
+      equal(`${MessageDates.parseInstant('21 Nov 1997 09:55 -0600')}`, '1997-11-21T15:55:00Z');
+    });
+    it('parses the obsolete RFC 5322 syntax', () => {
+      equal(`${MessageDates.parseInstant('Fri, 21 Nov 97 09:55:06 GMT')}`, '1997-11-21T09:55:06Z');
+      equal(`${MessageDates.parseInstant('Thu, 13 Feb 69 23:32:54 -0330')}`, '1969-02-14T03:02:54Z');
+      equal(`${MessageDates.parseInstant('Sat, 13 Feb 49 23:32:54 -0330')}`, '2049-02-14T03:02:54Z');
+      equal(`${MessageDates.parseInstant('Thu, 13 Feb 103 23:32:54 UT')}`, '2003-02-13T23:32:54Z');
+      equal(
+        `${MessageDates.parseInstant('Thu,\r\n 13\r\n   Feb\r\n  1969\r\n 23:32\r\n  -0330 (Newfoundland Time)')}`,
+        '1969-02-14T03:02:00Z'
+      );
+      equal(`${MessageDates.parseInstant('(comment) Fri , 21 nov 1997 09 : 55 : 06 gmt')}`, '1997-11-21T09:55:06Z');
+    });
+    it('parses the legacy named zones', () => {
+      equal(`${MessageDates.parseInstant('Mon, 15 Jan 2024 12:00:00 EST')}`, '2024-01-15T17:00:00Z');
+      equal(`${MessageDates.parseInstant('Mon, 15 Jul 2024 12:00:00 PDT')}`, '2024-07-15T19:00:00Z');
+      equal(`${MessageDates.parseInstant('Mon, 15 Jul 2024 12:00:00 CST')}`, '2024-07-15T18:00:00Z');
+      equal(`${MessageDates.parseInstant('Mon, 15 Jul 2024 12:00:00 Z')}`, '2024-07-15T12:00:00Z');
+      equal(`${MessageDates.parseInstant('Mon, 15 Jul 2024 12:00:00 A')}`, '2024-07-15T12:00:00Z');
+    });
+    it('parses RFC 850 dates', () => {
+      equal(`${MessageDates.parseInstant('Sunday, 06-Nov-94 08:49:37 GMT')}`, '1994-11-06T08:49:37Z');
+    });
+    it('parses asctime dates', () => {
+      equal(`${MessageDates.parseInstant('Sun Nov  6 08:49:37 1994')}`, '1994-11-06T08:49:37Z');
+      equal(`${MessageDates.parseInstant('Wed Nov 13 08:49:37 1996')}`, '1996-11-13T08:49:37Z');
+    });
+    it('constrains leap seconds', () => {
+      equal(`${MessageDates.parseInstant('Sat, 31 Dec 2016 23:59:60 GMT')}`, '2016-12-31T23:59:59Z');
+    });
+    it('reports malformed dates', () => {
+      throws(() => MessageDates.parseInstant('2024-01-15T12:00:00Z'), /not an RFC 5322/);
+      throws(() => MessageDates.parseInstant('Sun, 06 Nov 1994 08:49:37'), /not an RFC 5322/);
+      throws(() => MessageDates.parseInstant('Sun, 06 Nox 1994 08:49:37 GMT'), /unknown month name Nox/);
+      throws(() => MessageDates.parseInstant('Sun, 06 Nov 1994 08:49:37 CET'), /unknown time zone CET/);
+      throws(() => MessageDates.parseInstant('Sun, 06 Nov 1994 08:49:37 J'), /unknown time zone J/);
+      throws(() => MessageDates.parseInstant('Sun, 06 Nov 1994 08:49:37 +0260'), /invalid UTC offset/);
+      throws(() => MessageDates.parseInstant('Mon, 06 Nov 1994 08:49:37 GMT'), /6 Nov 1994 is a Sunday, not Mon/);
+      throws(() => MessageDates.parseInstant('Thu, 30 Feb 2023 08:49:37 GMT'), /Feb 2023 has no day 30/);
+      throws(() => MessageDates.parseInstant('Sun, 06 Nov 1994 24:00:00 GMT'), /invalid time/);
+      throws(() => MessageDates.parseInstant(Date.now()), TypeError);
+    });
+  });
+
+  describe('parseZonedDateTime()', () => {
+    it('keeps the UTC offset', () => {
+      const zdt = MessageDates.parseZonedDateTime('Tue, 1 Jul 2003 10:52:37 +0200');
+      equal(`${zdt}`, '2003-07-01T10:52:37+02:00[+02:00]');
+    });
+    it('uses fixed offsets for the legacy named zones', () => {
+      const zdt = MessageDates.parseZonedDateTime('Mon, 15 Jul 2024 12:00:00 EDT');
+      equal(`${zdt}`, '2024-07-15T12:00:00-04:00[-04:00]');
+    });
+    it('uses UTC when the header is in UTC or the local zone is unknown', () => {
+      equal(MessageDates.parseZonedDateTime('Sun, 06 Nov 1994 08:49:37 GMT').timeZoneId, 'UTC');
+      equal(MessageDates.parseZonedDateTime('Sun, 06 Nov 1994 08:49:37 -0000').timeZoneId, 'UTC');
+      equal(MessageDates.parseZonedDateTime('Sun Nov  6 08:49:37 1994').timeZoneId, 'UTC');
+      equal(MessageDates.parseZonedDateTime('Sun, 06 Nov 1994 08:49:37 +0000').timeZoneId, '+00:00');
+    });
+  });
+
+  describe('format()', () => {
+    const zdt = Temporal.ZonedDateTime.from('2003-07-01T10:52:37.123+02:00[Europe/Berlin]');
+    it('formats RFC 5322 dates', () => {
+      equal(MessageDates.format(zdt), 'Tue, 1 Jul 2003 10:52:37 +0200');
+      equal(MessageDates.format(zdt.toInstant()), 'Tue, 1 Jul 2003 08:52:37 +0000');
+      equal(MessageDates.format('1997-11-21T15:55:06Z'), 'Fri, 21 Nov 1997 15:55:06 +0000');
+      equal(MessageDates.format(zdt.withTimeZone('America/St_Johns')), 'Tue, 1 Jul 2003 06:22:37 -0230');
+    });
+    it('rounds offsets to minutes', () => {
+      const lmt = Temporal.ZonedDateTime.from('1970-01-01T12:00[Africa/Monrovia]');
+      equal(lmt.offset, '-00:44:30');
+      equal(MessageDates.format(lmt), 'Thu, 1 Jan 1970 11:59:30 -0045');
+    });
+    it('formats IMF-fixdate', () => {
+      equal(MessageDates.format(zdt, { style: 'imf-fixdate' }), 'Tue, 01 Jul 2003 08:52:37 GMT');
+    });
+    it('formats RFC 850 dates', () => {
+      equal(MessageDates.format(zdt, { style: 'rfc850' }), 'Tuesday, 01-Jul-03 08:52:37 GMT');
+    });
+    it('formats asctime dates', () => {
+      equal(MessageDates.format(zdt, { style: 'asctime' }), 'Tue Jul  1 08:52:37 2003');
+      equal(MessageDates.format('1994-11-16T08:49:37Z', { style: 'asctime' }), 'Wed Nov 16 08:49:37 1994');
+    });
+    it('round-trips', () => {
+      for (const style of ['rfc5322', 'imf-fixdate', 'rfc850', 'asctime']) {
+        const instant = Temporal.Instant.from('2024-02-29T23:59:59Z');
+        equal(`${MessageDates.parseInstant(MessageDates.format(instant, { style }))}`, `${instant}`);
+      }
+    });
+    it('rejects invalid arguments', () => {
+      throws(() => MessageDates.format(zdt, { style: 'iso' }), RangeError);
+      throws(() => MessageDates.format('+010000-01-01T00:00Z'), RangeError);
+      throws(() => MessageDates.format('2024-01-01T00:00'), RangeError);
+    });
+  });
+});
+
+import { normalize } from 'path';
+if (normalize(import.meta.url.slice(8)) === normalize(process.argv[1])) {
+  report(reporter).then((failed) => process.exit(failed ? 1 : 0));
+}
@@ -0,0 +1,110 @@
+import Demitasse from '@pipobscure/demitasse';
+const { describe, it, report } = Demitasse;
+
+import Pretty from '@pipobscure/demitasse-pretty';
+const { reporter } = Pretty;
+
+import { strict as assert } from 'assert';
+const { equal } = assert;
+
+import * as Temporal from 'proposal-temporal';
+import bigInt from 'big-integer';
+import { MakeAnchoredClock } from '../lib/ecmascript.mjs';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Temporal.Now', () => {
+  describe('instant()', () => {
+    it('has sub-millisecond precision', () => {
+      const readings = Array.from({ length: 100 }, () => Temporal.Now.instant().epochNanoseconds % 1_000_000n);
+      equal(new Set(readings).size > 1, true);
+    });
+    it('does not go backwards', () => {
+      let previous = Temporal.Now.instant();
+      for (let ix = 0; ix < 1000; ix++) {
+        const reading = Temporal.Now.instant();
+        equal(Temporal.Instant.compare(reading, previous) >= 0, true);
+        previous = reading;
+      }
+    });
+    it('is close to Date.now()', () => {
+      const difference = Temporal.Now.instant().epochMilliseconds - Date.now();
+      equal(Math.abs(difference) < 1000, true);
+    });
+  });
+
+  describe('anchoring the high-resolution timer', () => {
+    function makeClock() {
+      const state = { systemMs: 1_700_000_000_000, timerNs: 5_000_000_000n };
+      const read = MakeAnchoredClock(
+        () => state.systemMs,
+        () => bigInt(state.timerNs)
+      );
+      return { state, read: () => BigInt(read().toString()) };
+    }
+    const START_NS = 1_700_000_000_000_000_000n;
+    it('reads the timer between readings of the system clock', () => {
+      const { state, read } = makeClock();
+      state.timerNs += 123_456n;
+      equal(read(), START_NS + 123_456n);
+    });
+    it('ignores small differences from the system clock', () => {
+      const { state, read } = makeClock();
+      state.timerNs += 1_000_000_000n;
+      state.systemMs += 950;
+      equal(read(), START_NS + 1_000_000_000n);
+    });
+    it('follows the system clock when it is set forward or the host is suspended', () => {
+      const { state, read } = makeClock();
+      state.timerNs += 1_000_000n;
+      state.systemMs += 3_600_000;
+      equal(read(), START_NS + 3_600_000_000_000n);
+      state.timerNs += 500n;
+      equal(read(), START_NS + 3_600_000_000_500n);
+    });
+    it('follows the system clock when it is set back', () => {
+      const { state, read } = makeClock();
+      state.systemMs -= 60_000;
+      equal(read(), START_NS - 60_000_000_000n);
+      state.timerNs += 500n;
+      equal(read(), START_NS - 59_999_999_500n);
+    });
+  });
+
+  describe('monotonic()', () => {
+    it('gives a duration in seconds', () => {
+      const reading = Temporal.Now.monotonic();
+      equal(reading instanceof Temporal.Duration, true);
+      equal(reading.sign >= 0, true);
+      equal(reading.minutes, 0);
+      equal(reading.hours, 0);
+    });
+    it('measures elapsed time', async () => {
+      const start = Temporal.Now.monotonic();
+      await sleep(20);
+      const elapsed = Temporal.Now.monotonic().subtract(start);
+      // Timers may fire a little early
+      equal(elapsed.total('milliseconds') >= 15, true);
+      equal(elapsed.total('seconds') < 10, true);
+    });
+    it('does not go backwards', () => {
+      let previous = Temporal.Now.monotonic();
+      for (let ix = 0; ix < 1000; ix++) {
+        const reading = Temporal.Now.monotonic();
+        equal(Temporal.Duration.compare(reading, previous) >= 0, true);
+        previous = reading;
+      }
+    });
+    it('is not affected by Temporal.Clock', () => {
+      const clock = new Temporal.Clock({ instant: '2000-01-01T00:00Z' });
+      const before = Temporal.Now.monotonic();
+      const during = clock.run(() => Temporal.Now.monotonic());
+      equal(Temporal.Duration.compare(during, before) >= 0, true);
+    });
+  });
+});
+
+import { normalize } from 'path';
+if (normalize(import.meta.url.slice(8)) === normalize(process.argv[1])) {
+  report(reporter).then((failed) => process.exit(failed ? 1 : 0));
+}
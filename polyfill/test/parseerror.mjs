@@ -0,0 +1,220 @@
+import Demitasse from '@pipobscure/demitasse';
+const { describe, it, report } = Demitasse;
+
+import Pretty from '@pipobscure/demitasse-pretty';
+const { reporter } = Pretty;
+
+import { strict as assert } from 'assert';
+const { equal, throws } = assert;
+
+import * as Temporal from 'proposal-temporal';
+
+function error(fn) {
+  try {
+    fn();
+  } catch (e) {
+    return e;
+  }
+  throw new Error('expected an error');
+}
+
+function checkError(fn, offset, component, suggestion = undefined) {
+  const e = error(fn);
+  equal(e instanceof RangeError, true);
+  equal(e.offset, offset);
+  equal(e.component, component);
+  equal(typeof e.expected, 'string');
+  equal(e.suggestion, suggestion);
+  return e;
+}
+
+describe('Structured parse errors', () => {
+  it('are RangeErrors with the input and the details', () => {
+    const e = checkError(() => Temporal.PlainDate.from('2024-13-01'), 5, 'month');
+    equal(e.input, '2024-13-01');
+    equal(e.expected, 'a two-digit month from 01 to 12');
+    equal(e.message, 'invalid ISO 8601 string: 2024-13-01: month at index 5: expected a two-digit month from 01 to 12');
+    equal(Object.keys(e).join(), 'input,offset,component,expected,suggestion');
+  });
+  describe('dates', () => {
+    it('year', () => {
+      checkError(() => Temporal.PlainDate.from('24-01-05'), 0, 'year', 'write "0024-01-05"');
+      checkError(() => Temporal.PlainDate.from('+2024-01-05'), 0, 'year', 'write "+002024-01-05"');
+      checkError(() => Temporal.PlainDate.from('-000000-01-01'), 0, 'year', 'write "0000-01-01"');
+      checkError(() => Temporal.PlainDate.from('−002024-01-05'), 0, 'year', 'write the minus sign as "-"');
+    });
+    it('month', () => {
+      checkError(() => Temporal.PlainDate.from('2024-1-05'), 5, 'month', 'write "2024-01-05"');
+      checkError(() => Temporal.PlainDate.from('2024/01/05'), 4, 'month', "pass { parse: 'lenient' } to from()");
+      checkError(() => Temporal.PlainDate.from('2024'), 4, 'month', 'write "2024-01-01"');
+      checkError(() => Temporal.PlainYearMonth.from('2024-13'), 5, 'month');
+      checkError(() => Temporal.PlainMonthDay.from('13-01'), 0, 'month');
+    });
+    it('day', () => {
+      const e = checkError(() => Temporal.PlainDate.from('2023-02-29'), 8, 'day');
+      equal(e.expected, 'a two-digit day from 01 to 28');
+      checkError(() => Temporal.PlainDate.from('2024-01'), 7, 'day', 'write "2024-01-01"');
+      checkError(
+        () => Temporal.PlainDate.from('2024-0105'),
+        7,
+        'day',
+        "don't mix the extended format YYYY-MM-DD with the basic format YYYYMMDD"
+      );
+      checkError(() => Temporal.PlainDate.from('20240132'), 6, 'day');
+      checkError(() => Temporal.PlainMonthDay.from('02-32'), 3, 'day');
+    });
+    it('week and day of year', () => {
+      checkError(() => Temporal.PlainDate.from('2021-W53-1'), 6, 'week');
+      checkError(() => Temporal.PlainDate.from('2024-W05-8'), 9, 'weekday');
+      checkError(() => Temporal.PlainDate.from('2023-366'), 5, 'day of year');
+    });
+  });
+  describe('times and offsets', () => {
+    it('time', () => {
+      checkError(() => Temporal.PlainDateTime.from('2024-01-05T25:00'), 11, 'hour');
+      checkError(
+        () => Temporal.PlainDateTime.from('2024-01-05T24:00'),
+        11,
+        'hour',
+        'write midnight as 00:00 of the next day'
+      );
+      checkError(() => Temporal.PlainDateTime.from('2024-01-05T10:0030'), 16, 'second', 'write "2024-01-05T10:00:30"');
+      checkError(() => Temporal.PlainTime.from('10:61'), 3, 'minute');
+      checkError(() => Temporal.PlainTime.from('2024-01-05'), 10, 'time', 'add a time such as T12:00 after the date');
+      checkError(() => Temporal.PlainTime.from('1201'), 0, 'time', 'write "T1201"');
+      checkError(() => Temporal.PlainDateTime.from('2024-01-05+01:00'), 10, 'time', 'write "2024-01-05T00:00+01:00"');
+    });
+    it('offset', () => {
+      checkError(() => Temporal.Instant.from('2024-01-05T10:00+25:00'), 17, 'offset');
+      checkError(() => Temporal.Instant.from('2024-01-05T10:00+1'), 17, 'offset', 'write "2024-01-05T10:00+01"');
+      checkError(() => Temporal.Instant.from('2024-01-05T10:00UTC'), 16, 'offset', 'write "2024-01-05T10:00Z"');
+      checkError(
+        () => Temporal.Instant.from('2024-01-05T10:00 +01:00'),
+        16,
+        'offset',
+        "pass { parse: 'lenient' } to from()"
+      );
+      checkError(
+        () => Temporal.Instant.from('2024-01-05T10:00[Europe/Paris]'),
+        16,
+        'offset',
+        'add "Z" for UTC, or an offset such as +01:00'
+      );
+    });
+    it('UTC designator for types without exact time', () => {
+      const suggestion = 'use Temporal.Instant.from() for exact times, or remove the "Z" to read the wall-clock time';
+      checkError(() => Temporal.PlainDateTime.from('2024-01-05T10:00Z'), 16, 'offset', suggestion);
+      checkError(() => Temporal.PlainDate.from('2024-01-05T10:00Z[u-ca=gregory]'), 16, 'offset', suggestion);
+      checkError(() => Temporal.PlainTime.from('10:00Z'), 5, 'offset', suggestion);
+    });
+  });
+  describe('annotations', () => {
+    it('time zone', () => {
+      checkError(
+        () => Temporal.ZonedDateTime.from('2024-01-05T10:00+01:00'),
+        22,
+        'time zone',
+        'add a time zone such as [Europe/Paris] or [UTC]'
+      );
+      checkError(() => Temporal.ZonedDateTime.from('2024-01-05T10:00[Mars/Olympus Mons]'), 17, 'time zone');
+      checkError(() => Temporal.ZonedDateTime.from('2024-01-05T10:00[u-ca=hebrew][Europe/Paris]'), 29, 'time zone');
+    });
+    it('syntax', () => {
+      checkError(
+        () => Temporal.PlainDate.from('2024-01-05[U-CA=iso8601]'),
+        11,
+        'annotation',
+        'write "2024-01-05[u-ca=iso8601]"'
+      );
+      checkError(() => Temporal.PlainDate.from('2024-01-05[u-ca=iso8601'), 23, 'annotation');
+      checkError(() => Temporal.PlainDate.from('2024-01-05[u-ca=iso_8601]'), 16, 'calendar key');
+    });
+    it('critical flag', () => {
+      checkError(
+        () => Temporal.PlainDate.from('2024-01-05[!foo=bar]'),
+        10,
+        'annotation',
+        'remove the "!" to ignore the annotation'
+      );
+      checkError(
+        () => Temporal.PlainTime.from('T10:00[!foo=bar]'),
+        6,
+        'annotation',
+        'remove the "!" to ignore the annotation'
+      );
+      checkError(
+        () => Temporal.PlainDate.from('2024-01-05[u-ca=iso8601][!u-ca=gregory]'),
+        24,
+        'calendar key',
+        'remove all but one u-ca annotation'
+      );
+    });
+    it('calendar mismatch in the short forms', () => {
+      checkError(
+        () => Temporal.PlainYearMonth.from('2024-05[u-ca=hebrew]'),
+        7,
+        'calendar key',
+        'write "2024-05-01[u-ca=hebrew]"'
+      );
+      checkError(
+        () => Temporal.PlainYearMonth.from('202405[u-ca=hebrew]'),
+        6,
+        'calendar key',
+        'write "20240501[u-ca=hebrew]"'
+      );
+      checkError(
+        () => Temporal.PlainMonthDay.from('--05-01[!u-ca=hebrew]'),
+        7,
+        'calendar key',
+        'write "1972-05-01[u-ca=hebrew]"'
+      );
+      checkError(
+        () => Temporal.PlainMonthDay.from('0501[u-ca=hebrew]'),
+        4,
+        'calendar key',
+        'write "19720501[u-ca=hebrew]"'
+      );
+    });
+  });
+  describe('durations', () => {
+    it('have the same details', () => {
+      const e = checkError(() => Temporal.Duration.from('P1H'), 2, 'hours', 'write "PT1H"');
+      equal(
+        e.message,
+        'invalid duration: P1H: hours at index 2: expected "T" before hours, minutes, and seconds; write "PT1H"'
+      );
+      checkError(() => Temporal.Duration.from('1D'), 0, 'designator', 'write "P1D"');
+      checkError(() => Temporal.Duration.from('P'), 1, 'duration', 'write "PT0S"');
+      checkError(() => Temporal.Duration.from('PT'), 2, 'designator');
+      checkError(() => Temporal.Duration.from('P1.5D'), 2, 'fraction');
+      checkError(() => Temporal.Duration.from('PT1.5H30M'), 6, 'minutes');
+      checkError(() => Temporal.Duration.from('P1D1Y'), 4, 'years');
+      checkError(() => Temporal.Duration.from('P1X'), 2, 'duration');
+    });
+  });
+  it('only suggest strings that parse', () => {
+    checkError(() => Temporal.PlainTime.from('9:05'), 0, 'hour', 'write "09:05"');
+    checkError(() => Temporal.PlainTime.from('9:05 UTC'), 0, 'hour');
+    checkError(() => Temporal.PlainMonthDay.from('1/5'), 0, 'month');
+    checkError(() => Temporal.PlainMonthDay.from('1-32'), 0, 'month');
+    checkError(() => Temporal.PlainDate.from('2024-1-5'), 5, 'month');
+    checkError(() => Temporal.Instant.from('2024-01-05T9:05 UTC'), 11, 'hour');
+  });
+  it('are the errors for the original string in lenient mode', () => {
+    checkError(() => Temporal.PlainDate.from('2024-13-01', { parse: 'lenient' }), 5, 'month');
+  });
+  it('keep the errors for values out of range that are not syntax errors', () => {
+    const e = error(() => Temporal.PlainDate.from('+275760-09-14'));
+    equal(e instanceof RangeError, true);
+    equal(e.offset, undefined);
+  });
+  it('do not change what is valid', () => {
+    throws(() => Temporal.PlainDate.from('2024-02-30'), RangeError);
+    equal(`${Temporal.PlainDate.from('2024-02-29')}`, '2024-02-29');
+  });
+});
+
+import { normalize } from 'path';
+if (normalize(import.meta.url.slice(8)) === normalize(process.argv[1])) {
+  report(reporter).then((failed) => process.exit(failed ? 1 : 0));
+}
@@ -0,0 +1,267 @@
+import Demitasse from '@pipobscure/demitasse';
+const { describe, it, report } = Demitasse;
+
+import Pretty from '@pipobscure/demitasse-pretty';
+const { reporter } = Pretty;
+
+import { strict as assert } from 'assert';
+const { equal, throws } = assert;
+
+import * as Temporal from 'proposal-temporal';
+
+const { Patterns } = Temporal;
+
+describe('Temporal.Patterns', () => {
+  it('has the right toStringTag', () => {
+    equal(Object.prototype.toString.call(Patterns), '[object Temporal.Patterns]');
+  });
+
+  describe('format() with LDML patterns', () => {
+    const zdt = Temporal.ZonedDateTime.from('2024-07-05T09:03:07.123456789+02:00[Europe/Berlin]');
+    it('formats numeric fields', () => {
+      equal(Patterns.format(zdt, "yyyy-MM-dd'T'HH:mm"), '2024-07-05T09:03');
+      equal(Patterns.format(zdt, 'y yy M d D DDD H h K k m s'), '2024 24 7 5 187 187 9 9 9 9 3 7');
+      equal(Patterns.format(zdt.with({ hour: 0 }), 'HH hh KK kk'), '00 12 00 24');
+    });
+    it('formats fractional seconds', () => {
+      equal(Patterns.format(zdt, 'ss.S ss.SSS ss.SSSSSS ss.SSSSSSSSS'), '07.1 07.123 07.123456 07.123456789');
+    });
+    it('formats text fields', () => {
+      equal(
+        Patterns.format(zdt, 'G GGGG, EEE EEEE, MMM MMMM MMMMM, h a'),
+        'AD Anno Domini, Fri Friday, Jul July J, 9 AM'
+      );
+      equal(Patterns.format(zdt, 'EEEE d MMMM', { locale: 'de' }), 'Freitag 5 Juli');
+    });
+    it('formats week dates', () => {
+      equal(Patterns.format(Temporal.PlainDate.from('2024-12-30'), "YYYY-'W'ww-e"), '2025-W01-1');
+      equal(Patterns.format(Temporal.PlainDate.from('2021-01-03'), "YYYY-'W'ww-e"), '2020-W53-7');
+    });
+    it('formats offsets and time zones', () => {
+      equal(Patterns.format(zdt, 'X XX XXX XXXX XXXXX'), '+02 +0200 +02:00 +0200 +02:00');
+      equal(Patterns.format(zdt, 'Z ZZZZ ZZZZZ'), '+0200 GMT+02:00 +02:00');
+      equal(Patterns.format(zdt, 'VV zzzz'), 'Europe/Berlin Central European Summer Time');
+      const utc = zdt.withTimeZone('UTC');
+      equal(Patterns.format(utc, 'X XXX x xxx ZZZZ'), 'Z Z +00 +00:00 GMT');
+      const lmt = Temporal.ZonedDateTime.from('1970-01-01T12:00[Africa/Monrovia]');
+      equal(Patterns.format(lmt, 'X XXX XXXX XXXXX'), '-0044 -00:44 -004430 -00:44:30');
+      const offset = Temporal.ZonedDateTime.from('2024-01-01T00:00+05:30[+05:30]');
+      equal(Patterns.format(offset, 'VV z'), '+05:30 GMT+05:30');
+    });
+    it('formats Temporal properties in braces', () => {
+      equal(
+        Patterns.format(zdt, '{year}-{monthCode}-{day} {offset} {timeZoneId} {calendarId}'),
+        '2024-M07-5 +02:00 Europe/Berlin iso8601'
+      );
+    });
+    it('formats non-ISO calendars', () => {
+      const hebrew = Temporal.PlainDate.from('2024-03-11[u-ca=hebrew]');
+      equal(Patterns.format(hebrew, 'd MMMM y, {monthCode}, M'), '1 Adar II 5784, M06, 7');
+      const japanese = Temporal.PlainDate.from('2024-07-05[u-ca=japanese]');
+      equal(Patterns.format(japanese, 'Gy年M月d日 {era} {eraYear}', { locale: 'ja' }), '令和6年7月5日 reiwa 6');
+      const gregory = Temporal.PlainDate.from('-000043-03-15[u-ca=gregory]');
+      equal(Patterns.format(gregory, 'y G u'), '44 BC -43');
+    });
+    it('counts years of the era from 1 BC backwards for years before 1 in ISO', () => {
+      const date = Temporal.PlainDate.from('-000005-03-15');
+      equal(Patterns.format(date, 'G y'), 'BC 6');
+      equal(Patterns.format(date, 'yyyy-MM-dd G'), '0006-03-15 BC');
+      equal(Patterns.format(date, 'u'), '-5');
+      equal(Patterns.format(Temporal.PlainDate.from('0000-01-01'), 'y G'), '1 BC');
+      equal(Patterns.format(Temporal.PlainDate.from('0001-01-01'), 'y G'), '1 AD');
+      equal(`${Patterns.parse(Patterns.format(date, 'yyyy-MM-dd G'), 'yyyy-MM-dd G')}`, '-000005-03-15');
+    });
+    it('handles quotes and other literal text', () => {
+      equal(Patterns.format(zdt, "'o''clock' h 'at' HH:mm ''"), "o'clock 9 at 09:03 '");
+      equal(Patterns.format(zdt, 'yyyy/MM/dd, HH.mm!'), '2024/07/05, 09.03!');
+    });
+    it('formats each Temporal type', () => {
+      equal(Patterns.format(zdt.toInstant(), 'yyyy-MM-dd HH:mm:ss XXX VV'), '2024-07-05 07:03:07 Z UTC');
+      equal(Patterns.format(zdt.toPlainDateTime(), 'dd.MM.yyyy HH:mm'), '05.07.2024 09:03');
+      equal(Patterns.format(zdt.toPlainDate(), 'dd.MM.yyyy'), '05.07.2024');
+      equal(Patterns.format(zdt.toPlainTime(), 'hh:mm a'), '09:03 AM');
+      equal(Patterns.format(Temporal.PlainYearMonth.from('2024-07'), 'MMMM yyyy'), 'July 2024');
+      equal(Patterns.format(Temporal.PlainMonthDay.from('07-05'), 'MMMM d'), 'July 5');
+    });
+    it('rejects fields that a type does not have', () => {
+      throws(() => Patterns.format(Temporal.PlainDate.from('2024-07-05'), 'yyyy HH'), TypeError);
+      throws(() => Patterns.format(Temporal.PlainDateTime.from('2024-07-05'), 'yyyy XXX'), TypeError);
+      throws(() => Patterns.format(Temporal.PlainTime.from('12:00'), 'd'), TypeError);
+      throws(() => Patterns.format(Temporal.PlainYearMonth.from('2024-07'), 'd MMMM'), TypeError);
+      throws(() => Patterns.format(Temporal.PlainYearMonth.from('2024-07'), 'EEEE'), TypeError);
+      throws(() => Patterns.format(Temporal.PlainMonthDay.from('07-05'), 'd MMMM yyyy'), TypeError);
+      throws(() => Patterns.format('2024-07-05', 'yyyy'), TypeError);
+    });
+    it('rejects invalid patterns', () => {
+      throws(() => Patterns.format(zdt, 'yyyy-MM-dd Q'), RangeError);
+      throws(() => Patterns.format(zdt, 'ddd'), RangeError);
+      throws(() => Patterns.format(zdt, 'SSSSSSSSSS'), RangeError);
+      throws(() => Patterns.format(zdt, 'V'), RangeError);
+      throws(() => Patterns.format(zdt, "'unterminated"), RangeError);
+      throws(() => Patterns.format(zdt, '{unknown}'), RangeError);
+      throws(() => Patterns.format(zdt, '{year'), RangeError);
+      throws(() => Patterns.format(zdt, 'yyyy', { syntax: 'posix' }), RangeError);
+      throws(() => Patterns.format(Temporal.PlainDate.from('2024-07-05'), '{era}'), RangeError);
+      throws(() => Patterns.format(Temporal.PlainDate.from('2024-07-05[u-ca=hebrew]'), 'ww'), RangeError);
+    });
+  });
+
+  describe('format() with strftime patterns', () => {
+    const zdt = Temporal.ZonedDateTime.from('2024-07-05T09:03:07.123456789+02:00[Europe/Berlin]');
+    const strftime = (item, pattern) => Patterns.format(item, pattern, { syntax: 'strftime' });
+    it('formats numeric fields', () => {
+      equal(strftime(zdt, '%Y%m%d_%H%M%S'), '20240705_090307');
+      equal(strftime(zdt, '%y %C %e %j %I %l %k %u %s'), '24 20  5 187 09  9  9 5 1720162987');
+    });
+    it('formats composite conversions', () => {
+      equal(strftime(zdt, '%F %T %R %D'), '2024-07-05 09:03:07 09:03 07/05/24');
+    });
+    it('formats fractional seconds', () => {
+      equal(strftime(zdt, '%S.%N %S.%3N %S.%6N %S.%f'), '07.123456789 07.123 07.123456 07.123456');
+    });
+    it('formats text fields', () => {
+      equal(strftime(zdt, '%a %A %b %h %B %p'), 'Fri Friday Jul Jul July AM');
+    });
+    it('formats week dates', () => {
+      equal(strftime(Temporal.PlainDate.from('2024-12-30'), '%G-W%V-%u %g'), '2025-W01-1 25');
+    });
+    it('formats offsets and time zones', () => {
+      equal(strftime(zdt, '%z %:z %::z %Z'), '+0200 +02:00 +02:00:00 GMT+2');
+    });
+    it('supports flags and widths', () => {
+      equal(strftime(zdt, '%-d.%-m.%Y %-H:%M'), '5.7.2024 9:03');
+      equal(strftime(zdt, '%_m/%_d %0e %6Y'), ' 7/ 5 05 002024');
+    });
+    it('formats literals and Temporal properties', () => {
+      equal(strftime(zdt, '100%% %{monthCode}%n%t'), '100% M07\n\t');
+    });
+    it('rejects fields that a type does not have', () => {
+      throws(() => strftime(Temporal.PlainDate.from('2024-07-05'), '%F %T'), TypeError);
+      throws(() => strftime(Temporal.PlainDateTime.from('2024-07-05'), '%s'), TypeError);
+    });
+    it('rejects invalid patterns', () => {
+      throws(() => strftime(zdt, '%Q'), RangeError);
+      throws(() => strftime(zdt, '%c'), RangeError);
+      throws(() => strftime(zdt, '100%'), RangeError);
+      throws(() => strftime(zdt, '%:H'), RangeError);
+      throws(() => strftime(zdt, '%:::z'), RangeError);
+      throws(() => strftime(zdt, '%10N'), RangeError);
+    });
+  });
+
+  describe('parse()', () => {
+    const parse = (string, pattern, options) => `${Patterns.parse(string, pattern, options)}`;
+    const strptime = (string, pattern, options) =>
+      `${Patterns.parse(string, pattern, { ...options, syntax: 'strftime' })}`;
+    it('parses into the type that the fields make', () => {
+      equal(Patterns.parse('05/07/2024 09:03', 'dd/MM/yyyy HH:mm') instanceof Temporal.PlainDateTime, true);
+      equal(Patterns.parse('05/07/2024', 'dd/MM/yyyy') instanceof Temporal.PlainDate, true);
+      equal(Patterns.parse('09:03', 'HH:mm') instanceof Temporal.PlainTime, true);
+      equal(Patterns.parse('07/2024', 'MM/yyyy') instanceof Temporal.PlainYearMonth, true);
+      equal(Patterns.parse('Feb 29', 'MMM d') instanceof Temporal.PlainMonthDay, true);
+      equal(Patterns.parse('1720162987', '%s', { syntax: 'strftime' }) instanceof Temporal.Instant, true);
+      equal(Patterns.parse('2024-07-05 09:03 Z', 'yyyy-MM-dd HH:mm X') instanceof Temporal.ZonedDateTime, true);
+    });
+    it('parses numeric fields', () => {
+      equal(parse('05/07/2024 09:03', 'dd/MM/yyyy HH:mm'), '2024-07-05T09:03:00');
+      equal(parse('20240705090307', 'yyyyMMddHHmmss'), '2024-07-05T09:03:07');
+      equal(parse('5.7.2024', 'd.M.yyyy'), '2024-07-05');
+      equal(parse('2024-07-05 09:03:07.12', 'yyyy-MM-dd HH:mm:ss.SS'), '2024-07-05T09:03:07.12');
+      equal(parse('-000043-03-15', 'uuuuuu-MM-dd'), '-000043-03-15');
+    });
+    it('parses text fields', () => {
+      equal(parse('Jul 5, 2024', 'MMM d, yyyy'), '2024-07-05');
+      equal(parse('Friday, July 5, 2024', 'EEEE, MMMM d, yyyy'), '2024-07-05');
+      equal(parse('Freitag, 5. Juli 2024', 'EEEE, d. MMMM yyyy', { locale: 'de' }), '2024-07-05');
+      equal(parse('44 BC-03-15', 'y G-MM-dd'), '-000043-03-15');
+      equal(parse('9:03 PM', 'h:mm a'), '21:03:00');
+      equal(parse('12:03 AM', 'h:mm a'), '00:03:00');
+    });
+    it('uses the pivot year for two-digit years', () => {
+      equal(parse('5/7/49', 'd/M/yy'), '2049-07-05');
+      equal(parse('5/7/50', 'd/M/yy'), '1950-07-05');
+      equal(parse('5/7/50', 'd/M/yy', { pivotYear: 2060 }), '2050-07-05');
+      equal(parse('5/7/61', 'd/M/yy', { pivotYear: 2060 }), '1961-07-05');
+      equal(strptime('20 50-07-05', '%C %y-%m-%d'), '2050-07-05');
+    });
+    it('parses week dates and ordinal dates', () => {
+      equal(parse('2025-W01-1', "YYYY-'W'ww-e"), '2024-12-30');
+      equal(parse('2020-W53-7', "YYYY-'W'ww-e"), '2021-01-03');
+      equal(parse('2024-187', 'yyyy-DDD'), '2024-07-05');
+      equal(strptime('2025-W01-2', '%G-W%V-%u'), '2024-12-31');
+    });
+    it('parses offsets and time zones', () => {
+      equal(parse('2024-07-05T09:03+0530', "yyyy-MM-dd'T'HH:mmZ"), '2024-07-05T09:03:00+05:30[+05:30]');
+      equal(parse('2024-07-05T09:03 GMT+05:30', "yyyy-MM-dd'T'HH:mm ZZZZ"), '2024-07-05T09:03:00+05:30[+05:30]');
+      equal(
+        parse('2024-07-05 09:03 +02:00 Europe/Berlin', 'yyyy-MM-dd HH:mm XXX VV'),
+        '2024-07-05T09:03:00+02:00[Europe/Berlin]'
+      );
+      equal(parse('2024-07-05 09:03 Europe/Berlin', 'yyyy-MM-dd HH:mm VV'), '2024-07-05T09:03:00+02:00[Europe/Berlin]');
+      equal(parse('2024-07-05 Europe/Berlin', 'yyyy-MM-dd VV'), '2024-07-05T00:00:00+02:00[Europe/Berlin]');
+      throws(() => parse('2024-07-05 09:03 +03:00 Europe/Berlin', 'yyyy-MM-dd HH:mm XXX VV'), RangeError);
+    });
+    it('parses strftime patterns', () => {
+      equal(strptime('2024-07-05 09:03:07.123', '%F %T.%3N'), '2024-07-05T09:03:07.123');
+      equal(strptime('Fri Jul  5 2024', '%a %b %e %Y'), '2024-07-05');
+      equal(strptime('1720162987.5', '%s.%1N'), '2024-07-05T07:03:07.5Z');
+      equal(strptime('M07 5 2024', '%{monthCode} %-d %Y'), '2024-07-05');
+    });
+    it('applies the overflow option', () => {
+      throws(() => parse('2024-02-30', 'yyyy-MM-dd'), /30 out of range 1 to 29 for dd at position 8 of 2024-02-30/);
+      throws(() => parse('2024-13-05', 'yyyy-MM-dd'), /13 out of range 1 to 12 for MM at position 5 of 2024-13-05/);
+      throws(() => parse('2024-02-30', 'yyyy-MM-dd', { overflow: 'reject' }), /for dd at position 8/);
+      throws(() => parse('05/13/2024', 'dd/MM/yyyy'), /13 out of range 1 to 12 for MM at position 3 of 05\/13\/2024/);
+      throws(() => parse('02-30', 'MM-dd'), /30 out of range 1 to 29 for dd at position 3/);
+      throws(() => parse('2024-W54-1', "YYYY-'W'ww-e"), /54 out of range 1 to 52 for ww at position 6/);
+      throws(() => parse('13:05 PM', 'hh:mm a'), /13 out of range 1 to 12 for hh at position 0/);
+      equal(parse('2024-02-30', 'yyyy-MM-dd', { overflow: 'constrain' }), '2024-02-29');
+      equal(parse('2024-13-05', 'yyyy-MM-dd', { overflow: 'constrain' }), '2024-12-05');
+      throws(() => parse('25:00', 'HH:mm'), /25 out of range 0 to 23 for HH at position 0 of 25:00/);
+      throws(() => parse('09:61', 'HH:mm'), /61 out of range 0 to 59 for mm at position 3 of 09:61/);
+      equal(parse('25:00', 'HH:mm', { overflow: 'constrain' }), '23:00:00');
+      throws(() => parse('2024-02-05', 'yyyy-MM-dd', { overflow: 'balance' }), RangeError);
+    });
+    it('accepts variations in lenient mode', () => {
+      throws(() => parse('2024-7-5', 'yyyy-MM-dd'), RangeError);
+      equal(parse('2024-7-5', 'yyyy-MM-dd', { parse: 'lenient' }), '2024-07-05');
+      throws(() => parse('July 5, 2024', 'MMM d, yyyy'), RangeError);
+      equal(parse('july 5,   2024 ', 'MMM d, yyyy', { parse: 'lenient' }), '2024-07-05');
+      equal(
+        parse('2024-07-05T09:03 +05:30', "yyyy-MM-dd'T'HH:mm xx", { parse: 'lenient' }),
+        '2024-07-05T09:03:00+05:30[+05:30]'
+      );
+    });
+    it('reports the position where parsing failed', () => {
+      throws(() => parse('2024-7-05', 'yyyy-MM-dd'), /expected 2 digits for MM at position 5 of 2024-7-05/);
+      throws(() => parse('2024/07/05', 'yyyy-MM-dd'), /expected "-" at position 4 of 2024\/07\/05/);
+      throws(() => parse('2024-07-05x', 'yyyy-MM-dd'), /unexpected text at position 10/);
+      throws(() => parse('Jly 5, 2024', 'MMM d, yyyy'), /expected a name for MMM at position 0/);
+      throws(() => parse('2024-07-05 Mars/Olympus', 'yyyy-MM-dd VV'), /unknown time zone Mars\/Olympus at position 11/);
+    });
+    it('rejects fields that do not agree', () => {
+      throws(() => parse('Thu Jul 5 2024', 'EEE MMM d yyyy'), /day of the week does not match/);
+      throws(() => parse('2024 24', 'yyyy yy'), RangeError);
+      throws(() => parse('09:03 21', 'HH:mm H'), /doesn't match an earlier field/);
+    });
+    it('rejects patterns that do not make a Temporal type', () => {
+      throws(() => parse('5 2024', 'd yyyy'), /part of a date/);
+      throws(() => parse('03:07', 'mm:ss'), /part of a time/);
+      throws(() => parse('9:03', 'h:mm'), /needs AM or PM/);
+      throws(() => parse('2024', 'yyyy'), /fields of any Temporal type/);
+      throws(() => parse('2024-07-05 +02:00', 'yyyy-MM-dd XXX'), /needs a date and a time/);
+    });
+    it('rejects fields that cannot be parsed', () => {
+      throws(() => parse('2024-07-05 CEST', 'yyyy-MM-dd z'), RangeError);
+      throws(() => parse('2024-07-05 iso8601', 'yyyy-MM-dd {calendarId}'), RangeError);
+      throws(() => parse('J 5 2024', 'MMMMM d yyyy'), RangeError);
+      throws(() => parse('2024-07-05', 'yyyy-MM-dd', { parse: 'loose' }), RangeError);
+      throws(() => Patterns.parse(20240705, 'yyyyMMdd'), TypeError);
+    });
+  });
+});
+
+import { normalize } from 'path';
+if (normalize(import.meta.url.slice(8)) === normalize(process.argv[1])) {
+  report(reporter).then((failed) => process.exit(failed ? 1 : 0));
+}
@@ -0,0 +1,108 @@
+import Demitasse from '@pipobscure/demitasse';
+const { describe, it, report } = Demitasse;
+
+import Pretty from '@pipobscure/demitasse-pretty';
+const { reporter } = Pretty;
+
+import { strict as assert } from 'assert';
+const { deepEqual, equal, throws } = assert;
+
+import * as Temporal from 'proposal-temporal';
+
+// Uses names that aren't IANA identifiers, unlike EST5EDT
+const US_EASTERN = 'AAA5BBB,M3.2.0,M11.1.0';
+const IRAN_STANDARD = '<+0330>-3:30';
+const CHILE_MAGALLANES = '<-03>3';
+const EU_CENTRAL = 'CET-1CEST,M3.5.0,M10.5.0/3';
+
+function offsets(timeZone, start, end) {
+  return Array.from(Temporal.TimeZones.getTransitions(timeZone, start, end), ({ instant, offsetAfter }) => [
+    instant.toString(),
+    offsetAfter
+  ]);
+}
+
+describe('POSIX TZ strings as time zone identifiers', () => {
+  it('ZonedDateTime constructor', () => {
+    const zdt = new Temporal.ZonedDateTime(1720000000_000_000_000n, US_EASTERN);
+    equal(zdt.timeZoneId, US_EASTERN);
+    equal(zdt.offset, '-04:00');
+    equal(zdt.toString(), `2024-07-03T05:46:40-04:00[${US_EASTERN}]`);
+    equal(new Temporal.ZonedDateTime(0n, IRAN_STANDARD).toString(), `1970-01-01T03:30:00+03:30[${IRAN_STANDARD}]`);
+  });
+  it('round-trips through the bracketed annotation', () => {
+    for (const timeZone of [US_EASTERN, IRAN_STANDARD, CHILE_MAGALLANES, EU_CENTRAL]) {
+      const zdt = new Temporal.ZonedDateTime(1700000000_000_000_000n, timeZone);
+      const parsed = Temporal.ZonedDateTime.from(zdt.toString());
+      equal(parsed.timeZoneId, timeZone);
+      equal(parsed.equals(zdt), true);
+    }
+  });
+  it('signs of offsets are the opposite of ISO 8601', () => {
+    equal(new Temporal.ZonedDateTime(0n, '<AAA>5').offset, '-05:00');
+    equal(new Temporal.ZonedDateTime(0n, '<AAA>-5:45').offset, '+05:45');
+    equal(new Temporal.ZonedDateTime(0n, CHILE_MAGALLANES).offset, '-03:00');
+  });
+  it('rejects strings without DST unless the name is quoted', () => {
+    for (const timeZone of ['AAA5', 'AAA-5:45', 'EST5', 'UTC+8', 'UTC-5', 'UTC-03', 'GMT+1', 'gmt-2']) {
+      throws(() => new Temporal.ZonedDateTime(0n, timeZone), RangeError, timeZone);
+    }
+  });
+  it('rejects UTC, GMT and UT as names of offsets other than zero', () => {
+    for (const timeZone of ['UTC+8BBB,M3.2.0,M11.1.0', 'GMT-1CEST', '<UTC>+8', '<gmt>-1']) {
+      throws(() => new Temporal.ZonedDateTime(0n, timeZone), RangeError, timeZone);
+    }
+    const london = 'GMT0BST,M3.5.0/1,M10.5.0';
+    equal(Temporal.ZonedDateTime.from(`2024-07-01T12:00[${london}]`).offset, '+01:00');
+    equal(Temporal.ZonedDateTime.from(`2024-01-01T12:00[${london}]`).offset, '+00:00');
+  });
+  it('matches the built-in time zone with the same rules', () => {
+    const start = '2010-01-01T00:00Z';
+    const end = '2030-01-01T00:00Z';
+    deepEqual(offsets(US_EASTERN, start, end), offsets('America/New_York', start, end));
+    deepEqual(offsets(EU_CENTRAL, start, end), offsets('Europe/Berlin', start, end));
+    deepEqual(offsets(IRAN_STANDARD, start, end), []);
+  });
+  it('PlainDateTime.toZonedDateTime() disambiguates', () => {
+    const gap = Temporal.PlainDateTime.from('2024-03-10T02:30');
+    equal(gap.toZonedDateTime(US_EASTERN).toString(), `2024-03-10T03:30:00-04:00[${US_EASTERN}]`);
+    equal(gap.toZonedDateTime(US_EASTERN, { disambiguation: 'earlier' }).hour, 1);
+    throws(() => gap.toZonedDateTime(US_EASTERN, { disambiguation: 'reject' }), RangeError);
+    const overlap = Temporal.PlainDateTime.from('2024-11-03T01:30');
+    equal(overlap.toZonedDateTime(US_EASTERN).offset, '-04:00');
+    equal(overlap.toZonedDateTime(US_EASTERN, { disambiguation: 'later' }).offset, '-05:00');
+  });
+  it('getTimeZoneTransition()', () => {
+    const zdt = Temporal.ZonedDateTime.from(`2024-07-01T12:00[${US_EASTERN}]`);
+    equal(zdt.getTimeZoneTransition('next').toString(), `2024-11-03T01:00:00-05:00[${US_EASTERN}]`);
+    equal(zdt.getTimeZoneTransition('previous').toString(), `2024-03-10T03:00:00-04:00[${US_EASTERN}]`);
+    equal(zdt.withTimeZone(IRAN_STANDARD).getTimeZoneTransition('next'), null);
+  });
+  it('Now', () => {
+    equal(Temporal.Now.zonedDateTimeISO(IRAN_STANDARD).offset, '+03:30');
+    equal(Temporal.Now.plainDateTimeISO(CHILE_MAGALLANES) instanceof Temporal.PlainDateTime, true);
+  });
+  it('TimeZones.getOffsetInfo() uses the abbreviations from the string', () => {
+    const info = Temporal.TimeZones.getOffsetInfo(US_EASTERN, '2024-07-01T00:00Z');
+    equal(info.abbreviation, 'BBB');
+    equal(info.dst, true);
+    equal(info.standardOffset, '-05:00');
+    equal(Temporal.TimeZones.getOffsetInfo(IRAN_STANDARD, '2024-07-01T00:00Z').abbreviation, '+0330');
+  });
+  it('names of time zones take precedence', () => {
+    // EST5EDT follows the historical US rules, including year-round DST in 1974
+    const zdt = Temporal.ZonedDateTime.from('1974-02-01T12:00[EST5EDT]');
+    equal(zdt.offset, '-04:00');
+    equal(zdt.withTimeZone('AAA5BBB').offset, '-05:00');
+  });
+  it('rejects invalid strings', () => {
+    for (const timeZone of ['AAA', 'AA5', 'AAA5BBB,M13.1.0,M11.1.0', 'AAA5BBB,M3.2.0', '<+03>24:00', 'AAA25']) {
+      throws(() => new Temporal.ZonedDateTime(0n, timeZone), RangeError, timeZone);
+    }
+  });
+});
+
+import { normalize } from 'path';
+if (normalize(import.meta.url.slice(8)) === normalize(process.argv[1])) {
+  report(reporter).then((failed) => process.exit(failed ? 1 : 0));
+}
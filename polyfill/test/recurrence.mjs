@@ -0,0 +1,258 @@
+import Demitasse from '@pipobscure/demitasse';
+const { describe, it, report } = Demitasse;
+
+import Pretty from '@pipobscure/demitasse-pretty';
+const { reporter } = Pretty;
+
+import { strict as assert } from 'assert';
+const { deepEqual, equal, throws } = assert;
+
+import * as Temporal from 'proposal-temporal';
+
+const { RecurrenceRule } = Temporal;
+
+function take(rule, start, count = Infinity, options = undefined) {
+  const result = [];
+  for (const occurrence of RecurrenceRule.from(rule).occurrences(start, options)) {
+    if (result.length === count) break;
+    result.push(`${occurrence}`);
+  }
+  return result;
+}
+
+// Examples from RFC 5545 section 3.8.5.3, starting in floating time
+function rfc(rule, start, count = Infinity) {
+  return take(rule, Temporal.PlainDateTime.from(start), count).map((s) => s.slice(0, 10));
+}
+
+describe('Temporal.RecurrenceRule', () => {
+  it('has the right toStringTag', () => {
+    equal(Object.prototype.toString.call(RecurrenceRule.prototype), '[object Temporal.RecurrenceRule]');
+  });
+
+  describe('parsing and serializing', () => {
+    it('parses RRULE values', () => {
+      const rule = RecurrenceRule.from('RRULE:FREQ=MONTHLY;INTERVAL=2;COUNT=10;BYDAY=1SU,-1SU');
+      equal(rule.freq, 'monthly');
+      equal(rule.interval, 2);
+      equal(rule.count, 10);
+      equal(rule.until, undefined);
+      deepEqual(rule.byDay, ['1SU', '-1SU']);
+      equal(rule.byMonthDay, undefined);
+      equal(`${rule}`, 'FREQ=MONTHLY;COUNT=10;INTERVAL=2;BYDAY=1SU,-1SU');
+    });
+    it('is case-insensitive', () => {
+      equal(`${RecurrenceRule.from('freq=monthly;byday=+1mo,we;wkst=su')}`, 'FREQ=MONTHLY;BYDAY=1MO,WE;WKST=SU');
+    });
+    it('parses the three forms of UNTIL', () => {
+      equal(`${RecurrenceRule.from('FREQ=DAILY;UNTIL=19971224').until}`, '1997-12-24');
+      equal(`${RecurrenceRule.from('FREQ=DAILY;UNTIL=19971224T000000').until}`, '1997-12-24T00:00:00');
+      equal(`${RecurrenceRule.from('FREQ=DAILY;UNTIL=19971224T000000Z').until}`, '1997-12-24T00:00:00Z');
+      equal(`${RecurrenceRule.from('FREQ=DAILY;UNTIL=19971224T000000Z')}`, 'FREQ=DAILY;UNTIL=19971224T000000Z');
+    });
+    it('accepts property bags', () => {
+      const rule = RecurrenceRule.from({
+        freq: 'yearly',
+        byMonth: [1, 2],
+        byDay: ['-1fr'],
+        until: Temporal.ZonedDateTime.from('2030-01-01T00:00[Europe/Berlin]')
+      });
+      equal(`${rule}`, 'FREQ=YEARLY;UNTIL=20291231T230000Z;BYDAY=-1FR;BYMONTH=1,2');
+      equal(
+        `${RecurrenceRule.from({ freq: 'daily', until: '2030-01-01', byHour: 9 })}`,
+        'FREQ=DAILY;UNTIL=20300101;BYHOUR=9'
+      );
+    });
+    it('rejects invalid rules', () => {
+      throws(() => RecurrenceRule.from('BYDAY=MO'), RangeError);
+      throws(() => RecurrenceRule.from('FREQ=FORTNIGHTLY'), RangeError);
+      throws(() => RecurrenceRule.from('FREQ=DAILY;COUNT=2;UNTIL=20240101'), RangeError);
+      throws(() => RecurrenceRule.from('FREQ=DAILY;COUNT=2;COUNT=3'), RangeError);
+      throws(() => RecurrenceRule.from('FREQ=DAILY;INTERVAL=0'), RangeError);
+      throws(() => RecurrenceRule.from('FREQ=DAILY;BYHOUR=24'), RangeError);
+      throws(() => RecurrenceRule.from('FREQ=DAILY;BYMONTHDAY=0'), RangeError);
+      throws(() => RecurrenceRule.from('FREQ=DAILY;BYDAY=XX'), RangeError);
+      throws(() => RecurrenceRule.from('FREQ=DAILY;UNTIL=2024-01-01'), RangeError);
+      throws(() => RecurrenceRule.from('FREQ=DAILY;RSCALE=HEBREW'), RangeError);
+      throws(() => RecurrenceRule.from('FREQ=MONTHLY;BYWEEKNO=1'), RangeError);
+      throws(() => RecurrenceRule.from('FREQ=WEEKLY;BYMONTHDAY=1'), RangeError);
+      throws(() => RecurrenceRule.from('FREQ=MONTHLY;BYYEARDAY=1'), RangeError);
+      throws(() => RecurrenceRule.from('FREQ=WEEKLY;BYDAY=1MO'), RangeError);
+      throws(() => RecurrenceRule.from('FREQ=MONTHLY;BYSETPOS=1'), RangeError);
+      throws(() => RecurrenceRule.from({ freq: 'daily', until: '2024-01-01T00:00:00.5' }).toString(), RangeError);
+      throws(() => RecurrenceRule.from(42), TypeError);
+    });
+  });
+
+  describe('occurrences()', () => {
+    it('expands the examples of RFC 5545', () => {
+      deepEqual(rfc('FREQ=DAILY;COUNT=3', '1997-09-02T09:00'), ['1997-09-02', '1997-09-03', '1997-09-04']);
+      deepEqual(rfc('FREQ=DAILY;INTERVAL=10;COUNT=3', '1997-09-02T09:00'), ['1997-09-02', '1997-09-12', '1997-09-22']);
+      deepEqual(rfc('FREQ=WEEKLY;INTERVAL=2;WKST=SU;BYDAY=TU,TH', '1997-09-02T09:00', 6), [
+        '1997-09-02',
+        '1997-09-04',
+        '1997-09-16',
+        '1997-09-18',
+        '1997-09-30',
+        '1997-10-02'
+      ]);
+      deepEqual(rfc('FREQ=MONTHLY;BYDAY=-2MO;COUNT=3', '1997-09-22T09:00'), ['1997-09-22', '1997-10-20', '1997-11-17']);
+      deepEqual(rfc('FREQ=MONTHLY;BYMONTHDAY=-3', '1997-09-28T09:00', 3), ['1997-09-28', '1997-10-29', '1997-11-28']);
+      deepEqual(rfc('FREQ=YEARLY;BYDAY=20MO', '1997-05-19T09:00', 3), ['1997-05-19', '1998-05-18', '1999-05-17']);
+      deepEqual(rfc('FREQ=YEARLY;BYWEEKNO=20;BYDAY=MO', '1997-05-12T09:00', 3), [
+        '1997-05-12',
+        '1998-05-11',
+        '1999-05-17'
+      ]);
+      deepEqual(rfc('FREQ=YEARLY;BYYEARDAY=1,100,200;COUNT=4', '1997-01-01T09:00'), [
+        '1997-01-01',
+        '1997-04-10',
+        '1997-07-19',
+        '1998-01-01'
+      ]);
+      deepEqual(rfc('FREQ=MONTHLY;BYDAY=FR;BYMONTHDAY=13', '1998-02-13T09:00', 3), [
+        '1998-02-13',
+        '1998-03-13',
+        '1998-11-13'
+      ]);
+      deepEqual(rfc('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1', '1997-09-30T09:00', 3), [
+        '1997-09-30',
+        '1997-10-31',
+        '1997-11-28'
+      ]);
+      deepEqual(rfc('FREQ=MONTHLY;COUNT=3;BYDAY=TU,WE,TH;BYSETPOS=3', '1997-09-04T09:00'), [
+        '1997-09-04',
+        '1997-10-07',
+        '1997-11-06'
+      ]);
+      deepEqual(rfc('FREQ=YEARLY;INTERVAL=4;BYMONTH=11;BYDAY=TU;BYMONTHDAY=2,3,4,5,6,7,8', '1996-11-05T09:00', 3), [
+        '1996-11-05',
+        '2000-11-07',
+        '2004-11-02'
+      ]);
+    });
+    it('expands FREQ=HOURLY, MINUTELY, and SECONDLY', () => {
+      deepEqual(take('FREQ=HOURLY;INTERVAL=3;UNTIL=19970902T170000', Temporal.PlainDateTime.from('1997-09-02T09:00')), [
+        '1997-09-02T09:00:00',
+        '1997-09-02T12:00:00',
+        '1997-09-02T15:00:00'
+      ]);
+      deepEqual(take('FREQ=MINUTELY;INTERVAL=90;COUNT=3', Temporal.PlainDateTime.from('1997-09-02T23:00')), [
+        '1997-09-02T23:00:00',
+        '1997-09-03T00:30:00',
+        '1997-09-03T02:00:00'
+      ]);
+      deepEqual(take('FREQ=MINUTELY;INTERVAL=20;BYHOUR=9,10', Temporal.PlainDateTime.from('1997-09-02T10:40'), 3), [
+        '1997-09-02T10:40:00',
+        '1997-09-03T09:00:00',
+        '1997-09-03T09:20:00'
+      ]);
+      deepEqual(take('FREQ=SECONDLY;BYSECOND=0,30;COUNT=3', Temporal.PlainDateTime.from('2024-01-01T00:00:00.5')), [
+        '2024-01-01T00:00:00.5',
+        '2024-01-01T00:00:30.5',
+        '2024-01-01T00:01:00.5'
+      ]);
+    });
+    it('counts the start as the first occurrence', () => {
+      deepEqual(take('FREQ=MONTHLY;BYMONTHDAY=1;COUNT=2', Temporal.PlainDate.from('2024-01-15')), [
+        '2024-01-15',
+        '2024-02-01'
+      ]);
+    });
+    it('skips invalid dates', () => {
+      deepEqual(take('FREQ=MONTHLY;COUNT=3', Temporal.PlainDate.from('2024-01-31')), [
+        '2024-01-31',
+        '2024-03-31',
+        '2024-05-31'
+      ]);
+      deepEqual(take('FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=30', Temporal.PlainDate.from('2024-01-01')), ['2024-01-01']);
+      deepEqual(take('FREQ=SECONDLY;BYSECOND=60', Temporal.PlainDateTime.from('2024-01-01T00:00')), [
+        '2024-01-01T00:00:00'
+      ]);
+    });
+    it('ends rules whose steps never match', () => {
+      const start = Temporal.PlainDateTime.from('2024-01-01T00:00');
+      deepEqual(take('FREQ=SECONDLY;INTERVAL=2;BYSECOND=1', start), ['2024-01-01T00:00:00']);
+      deepEqual(take('FREQ=MINUTELY;INTERVAL=2;BYMINUTE=1', start), ['2024-01-01T00:00:00']);
+      deepEqual(take('FREQ=HOURLY;INTERVAL=2;BYHOUR=1', start), ['2024-01-01T00:00:00']);
+      deepEqual(take('FREQ=SECONDLY;BYMINUTE=5;BYSETPOS=2', start), ['2024-01-01T00:00:00']);
+      deepEqual(take('FREQ=SECONDLY;INTERVAL=7;BYHOUR=0;BYMINUTE=0;BYSECOND=1;BYDAY=MO', start), [
+        '2024-01-01T00:00:00'
+      ]);
+      deepEqual(take('FREQ=SECONDLY;INTERVAL=7;BYHOUR=0;BYMINUTE=0;BYSECOND=1', start, 3), [
+        '2024-01-01T00:00:00',
+        '2024-01-02T00:00:01',
+        '2024-01-09T00:00:01'
+      ]);
+    });
+    it('resolves DST gaps and overlaps with the disambiguation option', () => {
+      const start = Temporal.ZonedDateTime.from('2024-03-09T02:30[America/New_York]');
+      deepEqual(take('FREQ=DAILY;COUNT=3', start), [
+        '2024-03-09T02:30:00-05:00[America/New_York]',
+        '2024-03-10T03:30:00-04:00[America/New_York]',
+        '2024-03-11T02:30:00-04:00[America/New_York]'
+      ]);
+      equal(
+        take('FREQ=DAILY;COUNT=2', start, 2, { disambiguation: 'earlier' })[1],
+        '2024-03-10T01:30:00-05:00[America/New_York]'
+      );
+      throws(() => take('FREQ=DAILY;COUNT=2', start, 2, { disambiguation: 'reject' }), RangeError);
+      const fallBack = Temporal.ZonedDateTime.from('2024-11-02T01:30[America/New_York]');
+      equal(
+        take('FREQ=DAILY', fallBack, 2, { disambiguation: 'later' })[1],
+        '2024-11-03T01:30:00-05:00[America/New_York]'
+      );
+    });
+    it('keeps the wall-clock time of ZonedDateTime starts', () => {
+      const start = Temporal.ZonedDateTime.from('2024-03-25T09:00[Europe/Berlin]');
+      deepEqual(take('FREQ=WEEKLY;BYDAY=MO', start, 2), [
+        '2024-03-25T09:00:00+01:00[Europe/Berlin]',
+        '2024-04-01T09:00:00+02:00[Europe/Berlin]'
+      ]);
+    });
+    it('stops at UNTIL, which is compared to ZonedDateTime starts by exact time', () => {
+      const start = Temporal.ZonedDateTime.from('1997-09-02T09:00[America/New_York]');
+      equal(take('FREQ=HOURLY;INTERVAL=3;UNTIL=19970902T170000Z', start).length, 2);
+      equal(take('FREQ=DAILY;UNTIL=19970904', start).length, 3);
+      deepEqual(take('FREQ=DAILY;UNTIL=19970901', start), []);
+    });
+    it('adds RDATE values and removes EXDATE values', () => {
+      const options = { exdates: ['2024-01-02'], rdates: ['2024-02-01', '2023-12-25', '2024-01-03'] };
+      deepEqual(take('FREQ=DAILY;COUNT=4', Temporal.PlainDate.from('2024-01-01'), Infinity, options), [
+        '2023-12-25',
+        '2024-01-01',
+        '2024-01-03',
+        '2024-01-04',
+        '2024-02-01'
+      ]);
+      const start = Temporal.ZonedDateTime.from('2024-01-01T09:00[Europe/Berlin]');
+      const zonedOptions = {
+        exdates: ['2024-01-02T08:00Z', '2024-01-03T09:00'],
+        rdates: ['2024-01-01T12:00[Asia/Tokyo]']
+      };
+      deepEqual(take('FREQ=DAILY;COUNT=4', start, Infinity, zonedOptions), [
+        '2024-01-01T04:00:00+01:00[Europe/Berlin]',
+        '2024-01-01T09:00:00+01:00[Europe/Berlin]',
+        '2024-01-04T09:00:00+01:00[Europe/Berlin]'
+      ]);
+    });
+    it('is lazy', () => {
+      const iterator = RecurrenceRule.from('FREQ=SECONDLY').occurrences(
+        Temporal.PlainDateTime.from('2024-01-01T00:00')
+      );
+      iterator.next();
+      equal(`${iterator.next().value}`, '2024-01-01T00:00:01');
+    });
+    it('rejects invalid starts', () => {
+      const rule = RecurrenceRule.from('FREQ=HOURLY');
+      throws(() => rule.occurrences(Temporal.PlainDate.from('2024-01-01')), RangeError);
+      throws(() => rule.occurrences(Temporal.Instant.from('2024-01-01T00:00Z')), TypeError);
+      throws(() => rule.occurrences('2024-01-01T00:00'), TypeError);
+    });
+  });
+});
+
+import { normalize } from 'path';
+if (normalize(import.meta.url.slice(8)) === normalize(process.argv[1])) {
+  report(reporter).then((failed) => process.exit(failed ? 1 : 0));
+}
@@ -0,0 +1,171 @@
+import Demitasse from '@pipobscure/demitasse';
+const { describe, it, report } = Demitasse;
+
+import Pretty from '@pipobscure/demitasse-pretty';
+const { reporter } = Pretty;
+
+import { strict as assert } from 'assert';
+const { deepEqual, equal, throws } = assert;
+
+import * as Temporal from 'proposal-temporal';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Temporal.Timers', () => {
+  it('has the right toStringTag', () => {
+    equal(Object.prototype.toString.call(Temporal.Timers), '[object Temporal.Timers]');
+  });
+
+  describe('setTimer() with the system clock', () => {
+    it('fires at the given instant and not before', async () => {
+      const when = Temporal.Now.instant().add({ milliseconds: 20 });
+      let firedAt;
+      const timer = Temporal.Timers.setTimer(when, () => {
+        firedAt = Temporal.Now.instant();
+      });
+      equal(timer.instant.equals(when), true);
+      equal(timer.pending, true);
+      await sleep(5);
+      equal(firedAt, undefined);
+      await sleep(50);
+      equal(timer.pending, false);
+      equal(Temporal.Instant.compare(firedAt, when) >= 0, true);
+    });
+    it('fires instants in the past soon, but not synchronously', async () => {
+      let fired = false;
+      Temporal.Timers.setTimer('2000-01-01T00:00Z', () => {
+        fired = true;
+      });
+      equal(fired, false);
+      await sleep(5);
+      equal(fired, true);
+    });
+    it('accepts ZonedDateTime', () => {
+      const zdt = Temporal.Now.zonedDateTimeISO('Europe/Berlin').add({ years: 1 });
+      const timer = Temporal.Timers.setTimer(zdt, () => {});
+      equal(timer.instant.equals(zdt.toInstant()), true);
+      equal(timer.cancel(), true);
+    });
+    it('can wait longer than the host allows for a single timeout', () => {
+      const timer = Temporal.Timers.setTimer(Temporal.Now.instant().add({ hours: 24 * 365 }), () => {});
+      equal(timer.pending, true);
+      equal(timer.cancel(), true);
+    });
+    it('can be cancelled', async () => {
+      let fired = false;
+      const timer = Temporal.Timers.setTimer(Temporal.Now.instant().add({ milliseconds: 5 }), () => {
+        fired = true;
+      });
+      equal(timer.cancel(), true);
+      equal(timer.pending, false);
+      equal(timer.cancel(), false);
+      await sleep(20);
+      equal(fired, false);
+    });
+    it('rejects invalid arguments', () => {
+      throws(() => Temporal.Timers.setTimer('2024-01-01T00:00', () => {}), RangeError);
+      throws(() => Temporal.Timers.setTimer(Temporal.Now.instant(), {}), TypeError);
+      throws(() => Temporal.Timers.setTimer(undefined, () => {}), TypeError);
+    });
+  });
+
+  describe('setTimer() with a Temporal.Clock', () => {
+    it('fires when the clock is advanced, in order', () => {
+      const clock = new Temporal.Clock({ instant: '2024-01-01T00:00Z', timeZone: 'Asia/Tokyo' });
+      const fired = [];
+      const record = (name) => () => {
+        fired.push(`${name} ${Temporal.Now.instant()} ${Temporal.Now.timeZoneId()}`);
+      };
+      clock.run(() => {
+        Temporal.Timers.setTimer('2024-01-01T02:00Z', record('second'));
+        Temporal.Timers.setTimer('2024-01-01T01:00Z', record('first'));
+        Temporal.Timers.setTimer('2024-01-01T05:00Z', record('third'));
+      });
+      clock.advance({ minutes: 59 });
+      deepEqual(fired, []);
+      clock.advance({ hours: 2 });
+      deepEqual(fired, ['first 2024-01-01T01:00:00Z Asia/Tokyo', 'second 2024-01-01T02:00:00Z Asia/Tokyo']);
+      equal(clock.instant().toString(), '2024-01-01T02:59:00Z');
+      clock.setInstant('2024-01-02T00:00Z');
+      equal(fired.length, 3);
+      equal(fired[2], 'third 2024-01-01T05:00:00Z Asia/Tokyo');
+    });
+    it('follows the installed clock', () => {
+      const clock = new Temporal.Clock({ instant: '2024-01-01T00:00Z' });
+      const previous = Temporal.Clock.install(clock);
+      try {
+        let fired = false;
+        const timer = Temporal.Timers.setTimer('2024-01-01T00:00:01Z', () => {
+          fired = true;
+        });
+        clock.setInstant('2023-01-01T00:00Z');
+        equal(fired, false);
+        equal(timer.pending, true);
+        clock.advance({ hours: 24 * 365, seconds: 1 });
+        equal(fired, true);
+        equal(timer.pending, false);
+      } finally {
+        Temporal.Clock.install(previous);
+      }
+    });
+    it('fires the other timers and sets the clock when a callback throws', () => {
+      const clock = new Temporal.Clock({ instant: '2024-01-01T00:00Z' });
+      const fired = [];
+      clock.run(() => {
+        Temporal.Timers.setTimer('2024-01-01T01:00Z', () => {
+          fired.push('first');
+          throw new Error('first');
+        });
+        Temporal.Timers.setTimer('2024-01-01T02:00Z', () => {
+          fired.push('second');
+          throw new Error('second');
+        });
+        Temporal.Timers.setTimer('2024-01-01T03:00Z', () => fired.push('third'));
+      });
+      throws(() => clock.advance({ hours: 4 }), { message: 'first' });
+      deepEqual(fired, ['first', 'second', 'third']);
+      equal(clock.instant().toString(), '2024-01-01T04:00:00Z');
+    });
+    it('does not fire cancelled timers', () => {
+      const clock = new Temporal.Clock({ instant: '2024-01-01T00:00Z' });
+      let fired = false;
+      const timer = clock.run(() =>
+        Temporal.Timers.setTimer('2024-01-01T00:01Z', () => {
+          fired = true;
+        })
+      );
+      equal(timer.cancel(), true);
+      clock.advance({ minutes: 1 });
+      equal(fired, false);
+    });
+    it('fires with a running clock', async () => {
+      const clock = new Temporal.Clock({ instant: '2024-01-01T00:00Z', rate: 1000 });
+      let firedAt;
+      clock.run(() =>
+        Temporal.Timers.setTimer('2024-01-01T00:00:10Z', () => {
+          firedAt = Temporal.Now.instant();
+        })
+      );
+      await sleep(50);
+      equal(Temporal.Instant.compare(firedAt, '2024-01-01T00:00:10Z') >= 0, true);
+    });
+    it('waits again when the clock rate changes', async () => {
+      const clock = new Temporal.Clock({ instant: '2024-01-01T00:00Z', rate: 1 });
+      let fired = false;
+      clock.run(() =>
+        Temporal.Timers.setTimer('2024-01-01T00:00:10Z', () => {
+          fired = true;
+        })
+      );
+      clock.setRate(0);
+      clock.setRate(1000);
+      await sleep(50);
+      equal(fired, true);
+    });
+  });
+});
+
+import { normalize } from 'path';
+if (normalize(import.meta.url.slice(8)) === normalize(process.argv[1])) {
+  report(reporter).then((failed) => process.exit(failed ? 1 : 0));
+}
@@ -0,0 +1,199 @@
+import Demitasse from '@pipobscure/demitasse';
+const { describe, it, report } = Demitasse;
+
+import Pretty from '@pipobscure/demitasse-pretty';
+const { reporter } = Pretty;
+
+import { strict as assert } from 'assert';
+const { deepEqual, equal, throws } = assert;
+
+import * as Temporal from 'proposal-temporal';
+
+const { TimeScales } = Temporal;
+
+describe('Temporal.TimeScales', () => {
+  describe('toTimeScale()', () => {
+    it('converts to readings of other time scales', () => {
+      const instant = Temporal.Instant.from('2024-01-01T00:00Z');
+      equal(TimeScales.toTimeScale(instant, 'tai').toString(), '2024-01-01T00:00:37');
+      equal(TimeScales.toTimeScale(instant, 'gps').toString(), '2024-01-01T00:00:18');
+      equal(TimeScales.toTimeScale(instant, 'tt').toString(), '2024-01-01T00:01:09.184');
+      equal(TimeScales.toTimeScale(instant, 'utc').toString(), '2024-01-01T00:00:00');
+    });
+    it('uses the offset in effect at the time', () => {
+      equal(TimeScales.toTimeScale('1972-06-30T23:59:59Z', 'tai').toString(), '1972-07-01T00:00:09');
+      equal(TimeScales.toTimeScale('1972-07-01T00:00Z', 'tai').toString(), '1972-07-01T00:00:11');
+      equal(TimeScales.toTimeScale('1980-01-06T00:00Z', 'gps').toString(), '1980-01-06T00:00:00');
+    });
+    it('uses the 1972 offset for earlier times', () => {
+      equal(TimeScales.toTimeScale('1960-01-01T00:00Z', 'tai').toString(), '1960-01-01T00:00:10');
+    });
+    it('accepts ZonedDateTime', () => {
+      const zdt = Temporal.ZonedDateTime.from('2024-01-01T01:00+01:00[Europe/Berlin]');
+      equal(TimeScales.toTimeScale(zdt, 'tai').toString(), '2024-01-01T00:00:37');
+    });
+    it('rejects unknown time scales', () => {
+      throws(() => TimeScales.toTimeScale('2024-01-01T00:00Z', 'TAI'), RangeError);
+      throws(() => TimeScales.toTimeScale('2024-01-01T00:00Z', 'ut1'), RangeError);
+      throws(() => TimeScales.toTimeScale('2024-01-01T00:00Z'), TypeError);
+    });
+  });
+
+  describe('fromTimeScale()', () => {
+    it('converts readings of other time scales', () => {
+      equal(TimeScales.fromTimeScale('2024-01-01T00:00:37', 'tai').toString(), '2024-01-01T00:00:00Z');
+      equal(
+        TimeScales.fromTimeScale({ year: 2024, month: 1, day: 1, second: 18 }, 'gps').toString(),
+        '2024-01-01T00:00:00Z'
+      );
+      equal(TimeScales.fromTimeScale('2024-01-01T00:00', 'utc').toString(), '2024-01-01T00:00:00Z');
+    });
+    it('round-trips', () => {
+      for (const scale of ['gps', 'tai', 'tt', 'utc']) {
+        for (const string of ['1969-07-20T20:17:40Z', '2016-12-31T23:59:59.999999999Z', '2017-01-01T00:00Z']) {
+          const instant = Temporal.Instant.from(string);
+          equal(TimeScales.fromTimeScale(TimeScales.toTimeScale(instant, scale), scale).toString(), instant.toString());
+        }
+      }
+    });
+    it('constrains or rejects readings during a leap second', () => {
+      equal(TimeScales.fromTimeScale('2017-01-01T00:00:36.5', 'tai').toString(), '2016-12-31T23:59:59.5Z');
+      const constrained = TimeScales.fromTimeScale('2017-01-01T00:00:36.5', 'tai', { leapSecond: 'constrain' });
+      equal(constrained.toString(), '2016-12-31T23:59:59.5Z');
+      throws(() => TimeScales.fromTimeScale('2017-01-01T00:00:36.5', 'tai', { leapSecond: 'reject' }), RangeError);
+      throws(() => TimeScales.fromTimeScale('2017-01-01T00:00:17', 'gps', { leapSecond: 'reject' }), RangeError);
+      equal(
+        TimeScales.fromTimeScale('2017-01-01T00:00:37', 'tai', { leapSecond: 'reject' }).toString(),
+        '2017-01-01T00:00:00Z'
+      );
+      throws(() => TimeScales.fromTimeScale('2017-01-01T00:00:37', 'tai', { leapSecond: 'other' }), RangeError);
+    });
+  });
+
+  describe('parse()', () => {
+    it('keeps leap seconds distinct', () => {
+      equal(TimeScales.parse('2016-12-31T23:59:59Z').toString(), '2017-01-01T00:00:35');
+      equal(TimeScales.parse('2016-12-31T23:59:60Z').toString(), '2017-01-01T00:00:36');
+      equal(TimeScales.parse('2017-01-01T00:00:00Z').toString(), '2017-01-01T00:00:37');
+      equal(TimeScales.parse('2016-12-31T23:59:60.25Z', 'gps').toString(), '2017-01-01T00:00:17.25');
+    });
+    it('accepts offsets', () => {
+      equal(TimeScales.parse('2016-12-31T18:59:60-05:00').toString(), '2017-01-01T00:00:36');
+      equal(TimeScales.parse('2017-01-01T05:29:60+05:30[Asia/Kolkata]').toString(), '2017-01-01T00:00:36');
+    });
+    it('rejects seconds that are not leap seconds', () => {
+      throws(() => TimeScales.parse('2016-12-30T23:59:60Z'), RangeError);
+      throws(() => TimeScales.parse('2016-06-30T23:59:60Z'), RangeError);
+      throws(() => TimeScales.parse('2016-12-31T23:58:60Z'), RangeError);
+    });
+    it('rejects leap seconds in UTC readings', () => {
+      throws(() => TimeScales.parse('2016-12-31T23:59:60Z', 'utc'), RangeError);
+      equal(TimeScales.parse('2016-12-31T23:59:59Z', 'utc').toString(), '2016-12-31T23:59:59');
+    });
+    it('requires an exact time', () => {
+      throws(() => TimeScales.parse('2016-12-31T23:59:60'), RangeError);
+      throws(() => TimeScales.parse(Temporal.Instant.from('2017-01-01T00:00Z')), TypeError);
+    });
+    it('Instant.from() still constrains leap seconds', () => {
+      equal(Temporal.Instant.from('2016-12-31T23:59:60Z').toString(), '2016-12-31T23:59:59Z');
+    });
+  });
+
+  describe('elapsed()', () => {
+    it('counts leap seconds', () => {
+      equal(TimeScales.elapsed('2016-12-31T23:59:59Z', '2017-01-01T00:00Z').toString(), 'PT2S');
+      equal(TimeScales.elapsed('2016-12-31T23:59:60Z', '2017-01-01T00:00Z').toString(), 'PT1S');
+      const start = Temporal.Instant.from('1972-01-01T00:00Z');
+      const end = Temporal.Instant.from('2024-01-01T00:00Z');
+      equal(TimeScales.elapsed(start, end, { largestUnit: 'hour' }).toString(), 'PT455832H27S');
+      equal(start.until(end, { largestUnit: 'hour' }).toString(), 'PT455832H');
+      equal(TimeScales.elapsed(end, start).toString(), '-PT1640995227S');
+    });
+    it('rounds like Instant.until()', () => {
+      const result = TimeScales.elapsed('2016-12-31T23:59:00Z', '2017-01-01T00:00:30Z', {
+        largestUnit: 'minute',
+        smallestUnit: 'minute',
+        roundingMode: 'halfExpand'
+      });
+      equal(result.toString(), 'PT2M');
+      throws(() => TimeScales.elapsed('2016-12-31T23:59:00Z', '2017-01-01T00:00Z', { largestUnit: 'day' }), RangeError);
+    });
+  });
+
+  describe('leap second table', () => {
+    it('getLeapSeconds()', () => {
+      const { leapSeconds, expires } = TimeScales.getLeapSeconds();
+      equal(leapSeconds.length, 28);
+      equal(leapSeconds[0].instant.toString(), '1972-01-01T00:00:00Z');
+      equal(leapSeconds[0].taiOffset, 10);
+      equal(leapSeconds[27].instant.toString(), '2017-01-01T00:00:00Z');
+      equal(leapSeconds[27].taiOffset, 37);
+      equal(expires instanceof Temporal.Instant, true);
+    });
+    it('setLeapSeconds() with a leap-seconds.list file', () => {
+      const list = [
+        '#$\t3960835200',
+        '#@\t4000000000',
+        '2272060800\t10\t# 1 Jan 1972',
+        '3692217600\t11\t# 1 Jan 2017',
+        '4102444800\t12\t# 1 Jan 2030',
+        '#h\t00000000 00000000 00000000 00000000 00000000'
+      ].join('\n');
+      const previous = TimeScales.setLeapSeconds(list);
+      try {
+        equal(previous.leapSeconds.length, 28);
+        equal(TimeScales.getLeapSeconds().expires.toString(), '2026-10-03T07:06:40Z');
+        equal(TimeScales.toTimeScale('2031-01-01T00:00Z', 'tai').toString(), '2031-01-01T00:00:12');
+        equal(TimeScales.parse('2029-12-31T23:59:60Z').toString(), '2030-01-01T00:00:11');
+      } finally {
+        TimeScales.setLeapSeconds(previous);
+      }
+      equal(TimeScales.toTimeScale('2031-01-01T00:00Z', 'tai').toString(), '2031-01-01T00:00:37');
+    });
+    it('setLeapSeconds() with a table object', () => {
+      const previous = TimeScales.setLeapSeconds({
+        leapSeconds: [
+          { instant: '1972-01-01T00:00Z', taiOffset: 10 },
+          { instant: '2035-01-01T00:00Z', taiOffset: 9 }
+        ]
+      });
+      try {
+        equal(TimeScales.getLeapSeconds().expires, undefined);
+        equal(TimeScales.toTimeScale('2036-01-01T00:00Z', 'tai').toString(), '2036-01-01T00:00:09');
+        throws(() => TimeScales.parse('2034-12-31T23:59:60Z'), RangeError);
+      } finally {
+        TimeScales.setLeapSeconds(previous);
+      }
+    });
+    it('setLeapSeconds(null) restores the built-in table', () => {
+      TimeScales.setLeapSeconds({ leapSeconds: [{ instant: '1972-01-01T00:00Z', taiOffset: 10 }] });
+      TimeScales.setLeapSeconds(null);
+      deepEqual(
+        TimeScales.getLeapSeconds().leapSeconds.map(({ taiOffset }) => taiOffset),
+        Array.from({ length: 28 }, (_, ix) => ix + 10)
+      );
+    });
+    it('setLeapSeconds() validates the table', () => {
+      throws(() => TimeScales.setLeapSeconds(''), RangeError);
+      throws(() => TimeScales.setLeapSeconds('2272060800 10\nnot a leap second'), RangeError);
+      throws(() => TimeScales.setLeapSeconds('2272060800 10\n2287785600 12'), RangeError);
+      throws(() => TimeScales.setLeapSeconds('2287785600 11\n2272060800 10'), RangeError);
+      throws(
+        () => TimeScales.setLeapSeconds({ leapSeconds: [{ instant: '1972-01-01T00:00:00.5Z', taiOffset: 10 }] }),
+        RangeError
+      );
+      throws(
+        () => TimeScales.setLeapSeconds({ leapSeconds: [{ instant: '1972-01-01T00:00Z', taiOffset: 10.5 }] }),
+        RangeError
+      );
+      throws(() => TimeScales.setLeapSeconds({}), TypeError);
+      throws(() => TimeScales.setLeapSeconds(), TypeError);
+      equal(TimeScales.getLeapSeconds().leapSeconds.length, 28);
+    });
+  });
+});
+
+import { normalize } from 'path';
+if (normalize(import.meta.url.slice(8)) === normalize(process.argv[1])) {
+  report(reporter).then((failed) => process.exit(failed ? 1 : 0));
+}
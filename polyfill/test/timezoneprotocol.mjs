@@ -0,0 +1,192 @@
+import Demitasse from '@pipobscure/demitasse';
+const { describe, it, report } = Demitasse;
+
+import Pretty from '@pipobscure/demitasse-pretty';
+const { reporter } = Pretty;
+
+import { strict as assert } from 'assert';
+const { deepEqual, equal, throws } = assert;
+
+import * as Temporal from 'proposal-temporal';
+
+// A time zone that changes its offset once, at `switchInstant`
+class OneTransitionTimeZone {
+  #switchNs;
+  #beforeNs;
+  #afterNs;
+  constructor(id, switchInstant, beforeHours, afterHours) {
+    this.id = id;
+    this.#switchNs = Temporal.Instant.from(switchInstant).epochNanoseconds;
+    this.#beforeNs = beforeHours * 3600e9;
+    this.#afterNs = afterHours * 3600e9;
+  }
+  getOffsetNanosecondsFor(instant) {
+    return instant.epochNanoseconds < this.#switchNs ? this.#beforeNs : this.#afterNs;
+  }
+  getPossibleInstantsFor(dateTime) {
+    const utcNs = dateTime.toZonedDateTime('UTC').epochNanoseconds;
+    return [this.#beforeNs, this.#afterNs]
+      .filter((offsetNs, ix, offsets) => offsets.indexOf(offsetNs) === ix)
+      .map((offsetNs) => new Temporal.Instant(utcNs - BigInt(offsetNs)))
+      .filter((instant) => this.getOffsetNanosecondsFor(instant) === Number(utcNs - instant.epochNanoseconds))
+      .sort(Temporal.Instant.compare);
+  }
+  getNextTransition(instant) {
+    return instant.epochNanoseconds < this.#switchNs ? new Temporal.Instant(this.#switchNs) : null;
+  }
+  getPreviousTransition(instant) {
+    return instant.epochNanoseconds > this.#switchNs ? new Temporal.Instant(this.#switchNs) : null;
+  }
+}
+
+// Clocks go forward from midnight to 01:00 on 2030-01-01
+const endeavour = new OneTransitionTimeZone('Ship/Endeavour', '2029-12-31T14:00Z', 10, 11);
+// Clocks go back from midnight to 23:00 on 2029-12-31
+const resolution = new OneTransitionTimeZone('Ship/Resolution', '2029-12-31T13:00Z', 11, 10);
+
+function withProvider(provider, fn) {
+  const previous = Temporal.TimeZoneProvider.install(provider);
+  try {
+    return fn();
+  } finally {
+    Temporal.TimeZoneProvider.install(previous);
+  }
+}
+
+describe('Custom time zone protocol', () => {
+  describe('ZonedDateTime with a custom time zone', () => {
+    const zdt = new Temporal.ZonedDateTime(1893456000_000_000_000n, endeavour); // 2030-01-01T00:00Z
+    it('constructor and accessors', () => {
+      equal(zdt.timeZoneId, 'Ship/Endeavour');
+      equal(zdt.offset, '+11:00');
+      equal(zdt.hour, 11);
+      equal(zdt.toString(), '2030-01-01T11:00:00+11:00[Ship/Endeavour]');
+    });
+    it('from() with a property bag', () => {
+      const result = Temporal.ZonedDateTime.from({ year: 2029, month: 12, day: 31, hour: 12, timeZone: endeavour });
+      equal(result.toString(), '2029-12-31T12:00:00+10:00[Ship/Endeavour]');
+    });
+    it('withTimeZone() and Instant conversions', () => {
+      equal(zdt.withTimeZone(resolution).toString(), '2030-01-01T10:00:00+10:00[Ship/Resolution]');
+      equal(zdt.toInstant().toZonedDateTimeISO(endeavour).equals(zdt), true);
+      equal(zdt.toInstant().toString({ timeZone: resolution }), '2030-01-01T10:00:00+10:00');
+      equal(zdt.withTimeZone({ timeZone: endeavour }.timeZone).timeZoneId, 'Ship/Endeavour');
+    });
+    it('disambiguates skipped wall-clock times', () => {
+      const gap = Temporal.PlainDateTime.from('2030-01-01T00:30');
+      equal(gap.toZonedDateTime(endeavour).toString(), '2030-01-01T01:30:00+11:00[Ship/Endeavour]');
+      equal(
+        gap.toZonedDateTime(endeavour, { disambiguation: 'earlier' }).toString(),
+        '2029-12-31T23:30:00+10:00[Ship/Endeavour]'
+      );
+      throws(() => gap.toZonedDateTime(endeavour, { disambiguation: 'reject' }), RangeError);
+    });
+    it('disambiguates repeated wall-clock times', () => {
+      const overlap = Temporal.PlainDateTime.from('2029-12-31T23:30');
+      equal(overlap.toZonedDateTime(resolution).toString(), '2029-12-31T23:30:00+11:00[Ship/Resolution]');
+      equal(
+        overlap.toZonedDateTime(resolution, { disambiguation: 'later' }).toString(),
+        '2029-12-31T23:30:00+10:00[Ship/Resolution]'
+      );
+    });
+    it('startOfDay() and hoursInDay', () => {
+      equal(zdt.startOfDay().toString(), '2030-01-01T01:00:00+11:00[Ship/Endeavour]');
+      equal(zdt.hoursInDay, 23);
+      equal(zdt.withTimeZone(resolution).subtract({ days: 1 }).hoursInDay, 25);
+    });
+    it('getTimeZoneTransition()', () => {
+      const before = Temporal.ZonedDateTime.from({ year: 2029, month: 6, day: 1, timeZone: endeavour });
+      equal(before.getTimeZoneTransition('next').toString(), '2030-01-01T01:00:00+11:00[Ship/Endeavour]');
+      equal(before.getTimeZoneTransition('previous'), null);
+      equal(zdt.getTimeZoneTransition('next'), null);
+      equal(zdt.getTimeZoneTransition('previous').toString(), '2030-01-01T01:00:00+11:00[Ship/Endeavour]');
+    });
+    it('arithmetic across the transition', () => {
+      const start = Temporal.ZonedDateTime.from({ year: 2029, month: 12, day: 31, hour: 12, timeZone: endeavour });
+      equal(start.add({ days: 1 }).toString(), '2030-01-01T12:00:00+11:00[Ship/Endeavour]');
+      equal(start.add({ hours: 24 }).toString(), '2030-01-01T13:00:00+11:00[Ship/Endeavour]');
+      deepEqual(start.until(start.add({ days: 1 }), { largestUnit: 'hours' }).hours, 23);
+    });
+    it('equals() compares time zones by identifier', () => {
+      const copy = new OneTransitionTimeZone('Ship/Endeavour', '2029-12-31T14:00Z', 10, 11);
+      equal(zdt.equals(zdt.withTimeZone(copy)), true);
+      equal(zdt.equals(zdt.withTimeZone(resolution)), false);
+      throws(() => zdt.since(zdt.withTimeZone(resolution), { largestUnit: 'days' }), RangeError);
+    });
+    it('toLocaleString() is not supported', () => {
+      throws(() => zdt.toLocaleString(), RangeError);
+    });
+  });
+
+  describe('round-tripping through strings', () => {
+    const zdt = Temporal.ZonedDateTime.from({ year: 2030, month: 1, day: 1, hour: 12, timeZone: endeavour });
+    it('requires the time zone to be registered', () => {
+      throws(() => Temporal.ZonedDateTime.from(zdt.toString()), RangeError);
+    });
+    it('resolves registered time zones by identifier', () => {
+      const provider = new Temporal.TimeZoneProvider();
+      provider.addTimeZone(endeavour);
+      provider.addLink('Ship/HMB_Endeavour', 'Ship/Endeavour');
+      withProvider(provider, () => {
+        const parsed = Temporal.ZonedDateTime.from(zdt.toString());
+        equal(parsed.equals(zdt), true);
+        equal(parsed.toString(), zdt.toString());
+        equal(Temporal.ZonedDateTime.from('2030-01-01T00:30[ship/endeavour]').hour, 1);
+        equal(new Temporal.ZonedDateTime(0n, 'SHIP/ENDEAVOUR').timeZoneId, 'Ship/Endeavour');
+        equal(zdt.withTimeZone('Ship/HMB_Endeavour').timeZoneId, 'Ship/Endeavour');
+        const duration = Temporal.Duration.from({ hours: 23 });
+        equal(duration.total({ unit: 'days', relativeTo: '2029-12-31T12:00[Ship/Endeavour]' }), 1);
+      });
+    });
+    it('rejects objects that do not implement the protocol', () => {
+      const provider = new Temporal.TimeZoneProvider();
+      throws(() => provider.addTimeZone({ id: 'Ship/Incomplete', getOffsetNanosecondsFor() {} }), TypeError);
+      throws(() => provider.addTimeZone(new OneTransitionTimeZone('+01:00', '2030-01-01T00:00Z', 1, 1)), RangeError);
+      provider.addTimeZone(endeavour);
+      throws(() => provider.addTimeZone(endeavour), RangeError);
+    });
+  });
+
+  describe('validation of protocol results', () => {
+    function brokenZone(overrides) {
+      return Object.assign(new OneTransitionTimeZone('Test/Broken', '2030-01-01T00:00Z', 0, 1), overrides);
+    }
+    it('requires an object implementing the whole protocol', () => {
+      throws(() => new Temporal.ZonedDateTime(0n, { id: 'Test/Partial', getOffsetNanosecondsFor: () => 0 }), TypeError);
+      throws(() => Temporal.Now.zonedDateTimeISO({}), TypeError);
+    });
+    it('getOffsetNanosecondsFor', () => {
+      for (const [value, error] of [
+        ['0', TypeError],
+        [0.5, RangeError],
+        [86400e9, RangeError],
+        [NaN, RangeError]
+      ]) {
+        const zdt = new Temporal.ZonedDateTime(0n, brokenZone({ getOffsetNanosecondsFor: () => value }));
+        throws(() => zdt.hour, error);
+      }
+    });
+    it('getPossibleInstantsFor', () => {
+      const dateTime = Temporal.PlainDateTime.from('2030-06-01T12:00');
+      const notInstants = brokenZone({ getPossibleInstantsFor: () => ['2030-06-01T12:00Z'] });
+      throws(() => dateTime.toZonedDateTime(notInstants), TypeError);
+      const tooFar = brokenZone({ getPossibleInstantsFor: () => [Temporal.Instant.from('2030-06-03T12:00Z')] });
+      throws(() => dateTime.toZonedDateTime(tooFar), RangeError);
+      const notIterable = brokenZone({ getPossibleInstantsFor: () => undefined });
+      throws(() => dateTime.toZonedDateTime(notIterable), TypeError);
+    });
+    it('getNextTransition and getPreviousTransition', () => {
+      const zdt = new Temporal.ZonedDateTime(0n, brokenZone({ getNextTransition: (instant) => instant }));
+      throws(() => zdt.getTimeZoneTransition('next'), RangeError);
+      const wrongType = new Temporal.ZonedDateTime(0n, brokenZone({ getPreviousTransition: () => 0n }));
+      throws(() => wrongType.getTimeZoneTransition('previous'), TypeError);
+      const id = new Temporal.ZonedDateTime(0n, brokenZone({ id: 42 }));
+      throws(() => id.timeZoneId, TypeError);
+    });
+  });
+});
+
+import { normalize } from 'path';
+if (normalize(import.meta.url.slice(8)) === normalize(process.argv[1])) {
+  report(reporter).then((failed) => process.exit(failed ? 1 : 0));
+}
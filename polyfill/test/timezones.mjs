@@ -0,0 +1,522 @@
+import Demitasse from '@pipobscure/demitasse';
+const { describe, it, report } = Demitasse;
+
+import Pretty from '@pipobscure/demitasse-pretty';
+const { reporter } = Pretty;
+
+import { strict as assert } from 'assert';
+const { deepEqual, equal, throws } = assert;
+
+import { readFileSync } from 'fs';
+
+import * as Temporal from 'proposal-temporal';
+
+function transitionsOneByOne(timeZone, start, end) {
+  const result = [];
+  const endInstant = Temporal.Instant.from(end);
+  let zdt = Temporal.Instant.from(start).subtract({ nanoseconds: 1 }).toZonedDateTimeISO(timeZone);
+  while ((zdt = zdt.getTimeZoneTransition('next')) && Temporal.Instant.compare(zdt.toInstant(), endInstant) < 0) {
+    result.push(zdt.toInstant().toString());
+  }
+  return result;
+}
+
+function instants(iterator) {
+  return Array.from(iterator, ({ instant }) => instant.toString());
+}
+
+describe('Temporal.TimeZones', () => {
+  describe('getTransitions()', () => {
+    it('finds the same transitions as getTimeZoneTransition()', () => {
+      for (const id of ['America/New_York', 'America/Sao_Paulo', 'Asia/Kolkata', 'Australia/Lord_Howe']) {
+        const start = '1900-01-01T00:00Z';
+        const end = '2040-01-01T00:00Z';
+        deepEqual(instants(Temporal.TimeZones.getTransitions(id, start, end)), transitionsOneByOne(id, start, end), id);
+      }
+    });
+    it('describes each transition', () => {
+      const [spring, fall, ...rest] = Temporal.TimeZones.getTransitions(
+        'Europe/Berlin',
+        '2024-01-01T00:00+01:00[Europe/Berlin]',
+        '2025-01-01T00:00+01:00[Europe/Berlin]'
+      );
+      equal(rest.length, 0);
+      equal(`${spring.instant}`, '2024-03-31T01:00:00Z');
+      equal(spring.offsetBefore, '+01:00');
+      equal(spring.offsetAfter, '+02:00');
+      equal(spring.offsetNanosecondsBefore, 3600e9);
+      equal(spring.offsetNanosecondsAfter, 7200e9);
+      equal(`${spring.wallClockChange}`, 'PT1H');
+      equal(`${fall.instant}`, '2024-10-27T01:00:00Z');
+      equal(fall.offsetBefore, '+02:00');
+      equal(fall.offsetAfter, '+01:00');
+      equal(`${fall.wallClockChange}`, '-PT1H');
+    });
+    it('accepts Instants, ZonedDateTimes and strings as the range', () => {
+      const start = Temporal.ZonedDateTime.from('2024-01-01T00:00[America/New_York]');
+      const end = start.toInstant().add({ hours: 24 * 366 });
+      const expected = ['2024-03-10T07:00:00Z', '2024-11-03T06:00:00Z'];
+      deepEqual(instants(Temporal.TimeZones.getTransitions(start, start, end)), expected);
+      deepEqual(instants(Temporal.TimeZones.getTransitions('America/New_York', `${start}`, `${end}`)), expected);
+    });
+    it('includes a transition at the start and excludes one at the end', () => {
+      const spring = '2024-03-10T07:00Z';
+      const fall = '2024-11-03T06:00Z';
+      deepEqual(instants(Temporal.TimeZones.getTransitions('America/New_York', spring, fall)), [
+        '2024-03-10T07:00:00Z'
+      ]);
+      deepEqual(instants(Temporal.TimeZones.getTransitions('America/New_York', spring, spring)), []);
+    });
+    it('finds no transitions in UTC or offset time zones', () => {
+      for (const id of ['UTC', '+05:30', '-00:01']) {
+        deepEqual(instants(Temporal.TimeZones.getTransitions(id, '1900-01-01T00:00Z', '2100-01-01T00:00Z')), []);
+      }
+    });
+    it('uses the installed time zone provider', () => {
+      const provider = new Temporal.TimeZoneProvider();
+      provider.addTZif('Test/Kolkata', readFileSync(new URL('./tzif/Asia_Kolkata', import.meta.url)));
+      const previous = Temporal.TimeZoneProvider.install(provider);
+      try {
+        const result = Array.from(
+          Temporal.TimeZones.getTransitions('Test/Kolkata', '1940-01-01T00:00Z', '1950-01-01T00:00Z')
+        );
+        deepEqual(
+          result.map(({ instant, offsetAfter }) => `${instant} ${offsetAfter}`),
+          [
+            '1941-09-30T18:30:00Z +06:30',
+            '1942-05-14T17:30:00Z +05:30',
+            '1942-08-31T18:30:00Z +06:30',
+            '1945-10-14T17:30:00Z +05:30'
+          ]
+        );
+      } finally {
+        Temporal.TimeZoneProvider.install(previous);
+      }
+    });
+    it('uses custom time zone objects', () => {
+      const switches = [0n, 3600_000_000_000n, 7200_000_000_000n].map((ns) => new Temporal.Instant(ns));
+      const timeZone = {
+        id: 'Test/Hourly',
+        getOffsetNanosecondsFor: (instant) =>
+          switches.filter((s) => s.epochNanoseconds <= instant.epochNanoseconds).length * 60e9,
+        getPossibleInstantsFor: () => [],
+        getNextTransition: (instant) => switches.find((s) => s.epochNanoseconds > instant.epochNanoseconds) ?? null,
+        getPreviousTransition: () => null
+      };
+      const result = Array.from(Temporal.TimeZones.getTransitions(timeZone, switches[0], switches[2]));
+      deepEqual(
+        result.map(
+          ({ offsetBefore, offsetAfter, wallClockChange }) => `${offsetBefore} ${offsetAfter} ${wallClockChange}`
+        ),
+        ['+00:00 +00:01 PT1M', '+00:01 +00:02 PT1M']
+      );
+    });
+    it('is a lazy iterator', () => {
+      const iterator = Temporal.TimeZones.getTransitions('Europe/Berlin', '2024-01-01T00:00Z', '2025-01-01T00:00Z');
+      equal(iterator[Symbol.iterator](), iterator);
+      equal(iterator.next().done, false);
+      equal(iterator.next().done, false);
+      deepEqual(iterator.next(), { value: undefined, done: true });
+      deepEqual(iterator.next(), { value: undefined, done: true });
+    });
+    it('rejects invalid arguments', () => {
+      throws(
+        () => Temporal.TimeZones.getTransitions('Europe/Berlin', '2025-01-01T00:00Z', '2024-01-01T00:00Z'),
+        RangeError
+      );
+      throws(
+        () => Temporal.TimeZones.getTransitions('Europe/Berlin', '2024-01-01T00:00', '2025-01-01T00:00Z'),
+        RangeError
+      );
+      throws(
+        () => Temporal.TimeZones.getTransitions('Mars/Olympus_Mons', '2024-01-01T00:00Z', '2025-01-01T00:00Z'),
+        RangeError
+      );
+      throws(() => Temporal.TimeZones.getTransitions(42, '2024-01-01T00:00Z', '2025-01-01T00:00Z'), TypeError);
+    });
+  });
+
+  describe('getLocalTimeInfo()', () => {
+    it('finds wall-clock times skipped by a transition', () => {
+      const info = Temporal.TimeZones.getLocalTimeInfo('America/New_York', '2024-03-10T02:30');
+      equal(info.status, 'gap');
+      deepEqual(info.candidates, []);
+      equal(info.earlier.toString(), '2024-03-10T01:30:00-05:00[America/New_York]');
+      equal(info.later.toString(), '2024-03-10T03:30:00-04:00[America/New_York]');
+      equal(info.transition.instant.toString(), '2024-03-10T07:00:00Z');
+      equal(info.transition.offsetBefore, '-05:00');
+      equal(info.transition.offsetAfter, '-04:00');
+      equal(info.transition.wallClockChange.toString(), 'PT1H');
+    });
+    it('finds wall-clock times repeated by a transition', () => {
+      const info = Temporal.TimeZones.getLocalTimeInfo('America/New_York', '2024-11-03T01:30');
+      equal(info.status, 'overlap');
+      deepEqual(
+        info.candidates.map((zdt) => zdt.toString()),
+        ['2024-11-03T01:30:00-04:00[America/New_York]', '2024-11-03T01:30:00-05:00[America/New_York]']
+      );
+      equal(info.earlier.equals(info.candidates[0]), true);
+      equal(info.later.equals(info.candidates[1]), true);
+      equal(info.transition.instant.toString(), '2024-11-03T06:00:00Z');
+      equal(info.transition.wallClockChange.toString(), '-PT1H');
+    });
+    it('finds unique wall-clock times', () => {
+      for (const timeZone of ['America/New_York', 'UTC', '+05:30']) {
+        const info = Temporal.TimeZones.getLocalTimeInfo(timeZone, '2024-07-01T01:30');
+        equal(info.status, 'unique');
+        equal(info.candidates.length, 1);
+        equal(info.earlier.equals(info.candidates[0]), true);
+        equal(info.later.equals(info.candidates[0]), true);
+        equal(info.transition, null);
+      }
+    });
+    it('matches disambiguation', () => {
+      const dateTime = Temporal.PlainDateTime.from('2011-12-30T12:00');
+      const info = Temporal.TimeZones.getLocalTimeInfo('Pacific/Apia', dateTime);
+      equal(info.status, 'gap');
+      equal(info.earlier.equals(dateTime.toZonedDateTime('Pacific/Apia', { disambiguation: 'earlier' })), true);
+      equal(info.later.equals(dateTime.toZonedDateTime('Pacific/Apia', { disambiguation: 'later' })), true);
+      equal(info.transition.wallClockChange.toString(), 'PT24H');
+    });
+    it('keeps the calendar', () => {
+      const dateTime = Temporal.PlainDateTime.from('2024-03-31T02:00[u-ca=hebrew]');
+      const info = Temporal.TimeZones.getLocalTimeInfo('Europe/Berlin', dateTime);
+      equal(info.earlier.calendarId, 'hebrew');
+      equal(info.later.calendarId, 'hebrew');
+    });
+    it('rejects invalid arguments', () => {
+      throws(() => Temporal.TimeZones.getLocalTimeInfo('Mars/Olympus_Mons', '2024-07-01T01:30'), RangeError);
+      throws(() => Temporal.TimeZones.getLocalTimeInfo('America/New_York', '2024-07-01T01:30Z'), RangeError);
+      throws(() => Temporal.TimeZones.getLocalTimeInfo('America/New_York', 42), TypeError);
+    });
+  });
+
+  describe('getOffsetInfo()', () => {
+    it('reports DST and standard offsets', () => {
+      const summer = Temporal.TimeZones.getOffsetInfo('Europe/Berlin', '2024-07-01T00:00Z', 'en');
+      equal(summer.offset, '+02:00');
+      equal(summer.offsetNanoseconds, 7200e9);
+      equal(summer.standardOffset, '+01:00');
+      equal(summer.standardOffsetNanoseconds, 3600e9);
+      equal(summer.dst, true);
+      equal(summer.abbreviation, 'CEST');
+      equal(summer.name, 'Central European Summer Time');
+      const winter = Temporal.TimeZones.getOffsetInfo('Europe/Berlin', '2024-01-01T00:00Z', 'de');
+      equal(winter.standardOffset, '+01:00');
+      equal(winter.dst, false);
+      equal(winter.abbreviation, 'CET');
+      equal(winter.name, 'Mitteleuropäische Normalzeit');
+    });
+    it('handles the southern hemisphere and time zones without DST', () => {
+      const sydney = Temporal.TimeZones.getOffsetInfo('Australia/Sydney', '2024-01-01T00:00Z');
+      equal(sydney.dst, true);
+      equal(sydney.standardOffset, '+10:00');
+      equal(Temporal.TimeZones.getOffsetInfo('Australia/Sydney', '2024-07-01T00:00Z').dst, false);
+      const kolkata = Temporal.TimeZones.getOffsetInfo('Asia/Kolkata', '2024-07-01T00:00Z');
+      equal(kolkata.dst, false);
+      equal(kolkata.standardOffset, '+05:30');
+    });
+    it('gives the information in effect from a transition onwards', () => {
+      const zdt = Temporal.ZonedDateTime.from('2024-03-31T03:00[Europe/Berlin]');
+      equal(Temporal.TimeZones.getOffsetInfo(zdt, zdt).dst, true);
+      equal(Temporal.TimeZones.getOffsetInfo(zdt, zdt.subtract({ nanoseconds: 1 })).dst, false);
+    });
+    it('handles UTC and offset time zones', () => {
+      const utc = Temporal.TimeZones.getOffsetInfo('UTC', '2024-07-01T00:00Z', 'en');
+      deepEqual(
+        { ...utc, name: undefined },
+        {
+          offset: '+00:00',
+          offsetNanoseconds: 0,
+          standardOffset: '+00:00',
+          standardOffsetNanoseconds: 0,
+          dst: false,
+          abbreviation: 'UTC',
+          name: undefined
+        }
+      );
+      equal(utc.name, 'Coordinated Universal Time');
+      const offset = Temporal.TimeZones.getOffsetInfo('+05:30', '2024-07-01T00:00Z');
+      equal(offset.abbreviation, '+05:30');
+      equal(offset.dst, false);
+      equal(offset.name, undefined);
+    });
+    it('uses TZif data when the provider defines the time zone', () => {
+      const provider = new Temporal.TimeZoneProvider();
+      provider.addTZif('Europe/Berlin', readFileSync(new URL('./tzif/Europe_Berlin', import.meta.url)));
+      provider.addTZif('Test/Lord_Howe', readFileSync(new URL('./tzif/Australia_Lord_Howe', import.meta.url)));
+      const previous = Temporal.TimeZoneProvider.install(provider);
+      try {
+        // Double summer time in 1945
+        const doubleSummer = Temporal.TimeZones.getOffsetInfo('Europe/Berlin', '1945-06-01T00:00Z');
+        equal(doubleSummer.offset, '+03:00');
+        equal(doubleSummer.standardOffset, '+01:00');
+        equal(doubleSummer.dst, true);
+        equal(doubleSummer.abbreviation, 'CEMT');
+        // From the POSIX TZ rule in the footer
+        const future = Temporal.TimeZones.getOffsetInfo('Europe/Berlin', '2100-07-01T00:00Z');
+        equal(future.abbreviation, 'CEST');
+        equal(future.standardOffset, '+01:00');
+        const lordHowe = Temporal.TimeZones.getOffsetInfo('Test/Lord_Howe', '2024-01-01T00:00Z', 'en');
+        equal(lordHowe.offset, '+11:00');
+        equal(lordHowe.standardOffset, '+10:30');
+        equal(lordHowe.dst, true);
+        equal(lordHowe.abbreviation, '+11');
+        equal(lordHowe.name, undefined);
+      } finally {
+        Temporal.TimeZoneProvider.install(previous);
+      }
+    });
+    it('estimates DST for custom time zones', () => {
+      const zdt = Temporal.ZonedDateTime.from('2024-07-01T12:00[America/New_York]');
+      const transition = (instant, direction) =>
+        instant.toZonedDateTimeISO('America/New_York').getTimeZoneTransition(direction)?.toInstant() ?? null;
+      const timeZone = {
+        id: 'Test/Eastern',
+        getOffsetNanosecondsFor: (instant) => instant.toZonedDateTimeISO('America/New_York').offsetNanoseconds,
+        getPossibleInstantsFor: () => [],
+        getNextTransition: (instant) => transition(instant, 'next'),
+        getPreviousTransition: (instant) => transition(instant, 'previous')
+      };
+      const info = Temporal.TimeZones.getOffsetInfo(timeZone, zdt);
+      equal(info.dst, true);
+      equal(info.standardOffset, '-05:00');
+      equal(info.abbreviation, undefined);
+    });
+    it('rejects invalid locales', () => {
+      throws(() => Temporal.TimeZones.getOffsetInfo('Europe/Berlin', '2024-07-01T00:00Z', 'not a locale'), RangeError);
+    });
+  });
+
+  describe('getZoneInfo()', () => {
+    it('gives zone1970.tab data', () => {
+      deepEqual(Temporal.TimeZones.getZoneInfo('america/new_york'), {
+        id: 'America/New_York',
+        primaryId: 'America/New_York',
+        aliases: ['US/Eastern'],
+        countries: ['US'],
+        latitude: 40 + 42 / 60 + 51 / 3600,
+        longitude: -(74 + 0 / 60 + 23 / 3600),
+        comment: 'Eastern (most areas)'
+      });
+      deepEqual(Temporal.TimeZones.getZoneInfo('Europe/Berlin').countries, ['DE', 'DK', 'NO', 'SE', 'SJ']);
+    });
+    it('relates primary identifiers and aliases', () => {
+      const kolkata = Temporal.TimeZones.getZoneInfo('Asia/Kolkata');
+      const calcutta = Temporal.TimeZones.getZoneInfo('Asia/Calcutta');
+      equal(kolkata.primaryId, calcutta.primaryId);
+      deepEqual([kolkata.primaryId, ...kolkata.aliases].sort(), ['Asia/Calcutta', 'Asia/Kolkata']);
+      deepEqual(kolkata.countries, ['IN']);
+      const zdt = Temporal.ZonedDateTime.from('2024-01-01T00:00[Asia/Kolkata]');
+      equal(zdt.equals(zdt.withTimeZone(kolkata.primaryId)), true);
+      const utc = Temporal.TimeZones.getZoneInfo('Etc/UTC');
+      equal(utc.primaryId, 'UTC');
+      equal(utc.aliases.includes('Etc/UTC'), true);
+      deepEqual(utc.countries, []);
+      equal(utc.latitude, undefined);
+    });
+    it('handles offset time zones', () => {
+      deepEqual(Temporal.TimeZones.getZoneInfo('+05:30'), {
+        id: '+05:30',
+        primaryId: '+05:30',
+        aliases: [],
+        countries: [],
+        latitude: undefined,
+        longitude: undefined,
+        comment: undefined
+      });
+    });
+    it('includes links defined in the time zone provider', () => {
+      const provider = new Temporal.TimeZoneProvider();
+      provider.addTZif('Test/Kolkata', readFileSync(new URL('./tzif/Asia_Kolkata', import.meta.url)));
+      provider.addLink('Test/Calcutta', 'Test/Kolkata');
+      const previous = Temporal.TimeZoneProvider.install(provider);
+      try {
+        const info = Temporal.TimeZones.getZoneInfo('Test/Calcutta');
+        equal(info.primaryId, 'Test/Kolkata');
+        deepEqual(info.aliases, ['Test/Calcutta']);
+        deepEqual(info.countries, []);
+      } finally {
+        Temporal.TimeZoneProvider.install(previous);
+      }
+    });
+    it('rejects unknown time zones', () => {
+      throws(() => Temporal.TimeZones.getZoneInfo('Mars/Olympus_Mons'), RangeError);
+    });
+  });
+
+  describe('Windows time zone names', () => {
+    it('fromWindowsZone()', () => {
+      equal(Temporal.TimeZones.fromWindowsZone('Pacific Standard Time'), 'America/Los_Angeles');
+      equal(Temporal.TimeZones.fromWindowsZone('W. Europe Standard Time'), 'Europe/Berlin');
+      equal(Temporal.TimeZones.fromWindowsZone('w. europe standard time'), 'Europe/Berlin');
+      equal(Temporal.TimeZones.fromWindowsZone('UTC-02'), 'Etc/GMT+2');
+    });
+    it('fromWindowsZone() with a territory', () => {
+      equal(Temporal.TimeZones.fromWindowsZone('Pacific Standard Time', 'CA'), 'America/Vancouver');
+      equal(Temporal.TimeZones.fromWindowsZone('W. Europe Standard Time', 'ch'), 'Europe/Zurich');
+      // France uses Romance Standard Time, so this falls back to the default
+      equal(Temporal.TimeZones.fromWindowsZone('W. Europe Standard Time', 'FR'), 'Europe/Berlin');
+      equal(Temporal.TimeZones.fromWindowsZone('Pacific Standard Time', '001'), 'America/Los_Angeles');
+      throws(() => Temporal.TimeZones.fromWindowsZone('Pacific Standard Time', 'Canada'), RangeError);
+      throws(() => Temporal.TimeZones.fromWindowsZone('Pacific Standard Time', 1), TypeError);
+    });
+    it('fromWindowsZone() rejects unknown names', () => {
+      throws(() => Temporal.TimeZones.fromWindowsZone('Mars Standard Time'), RangeError);
+      throws(() => Temporal.TimeZones.fromWindowsZone('America/Los_Angeles'), RangeError);
+      throws(() => Temporal.TimeZones.fromWindowsZone(), TypeError);
+    });
+    it('toWindowsZone()', () => {
+      equal(Temporal.TimeZones.toWindowsZone('America/Vancouver'), 'Pacific Standard Time');
+      equal(Temporal.TimeZones.toWindowsZone('US/Pacific'), 'Pacific Standard Time');
+      equal(Temporal.TimeZones.toWindowsZone('Asia/Kolkata'), 'India Standard Time');
+      equal(Temporal.TimeZones.toWindowsZone('Europe/Kyiv'), 'FLE Standard Time');
+      equal(Temporal.TimeZones.toWindowsZone('UTC'), 'UTC');
+      equal(Temporal.TimeZones.toWindowsZone(Temporal.ZonedDateTime.from('2024-01-01T00:00[Etc/GMT+2]')), 'UTC-02');
+      equal(Temporal.TimeZones.toWindowsZone('+05:00'), undefined);
+      throws(() => Temporal.TimeZones.toWindowsZone('Mars/Olympus_Mons'), RangeError);
+    });
+    it('are accepted where time zones are expected', () => {
+      const zdt = Temporal.ZonedDateTime.from({ year: 2024, month: 7, day: 1, timeZone: 'Pacific Standard Time' });
+      equal(zdt.toString(), '2024-07-01T00:00:00-07:00[America/Los_Angeles]');
+      equal(zdt.withTimeZone('Tokyo Standard Time').timeZoneId, 'Asia/Tokyo');
+      equal(Temporal.PlainDateTime.from('2024-07-01T12:00').toZonedDateTime('GMT Standard Time').offset, '+01:00');
+      equal(Temporal.Now.zonedDateTimeISO('AUS Eastern Standard Time').timeZoneId, 'Australia/Sydney');
+      equal(zdt.equals(zdt.withTimeZone('America/Los_Angeles')), true);
+      throws(() => Temporal.ZonedDateTime.from('2024-07-01T00:00[Pacific Standard Time]'), RangeError);
+    });
+    it('take precedence over POSIX TZ strings', () => {
+      // Read as a POSIX TZ string, this would mean UTC+02:00
+      equal(new Temporal.ZonedDateTime(0n, 'UTC-02').toString(), '1969-12-31T22:00:00-02:00[Etc/GMT+2]');
+    });
+  });
+
+  describe('offset cache', () => {
+    function withCacheLimits(limits, fn) {
+      const previous = Temporal.TimeZones.setCacheLimits(limits);
+      try {
+        return fn();
+      } finally {
+        Temporal.TimeZones.setCacheLimits(previous);
+      }
+    }
+    const START = '1940-01-01T00:00Z';
+    const END = '2030-01-01T00:00Z';
+    it('gives the same results when disabled', () => {
+      for (const id of ['Europe/Berlin', 'America/Sao_Paulo', 'Australia/Lord_Howe']) {
+        const cached = instants(Temporal.TimeZones.getTransitions(id, START, END));
+        const uncached = withCacheLimits({ maxTimeZones: 0 }, () => {
+          Temporal.TimeZones.clearCache();
+          return instants(Temporal.TimeZones.getTransitions(id, START, END));
+        });
+        deepEqual(uncached, cached);
+      }
+    });
+    it('gives the same results with tiny limits', () => {
+      const ids = ['Europe/London', 'America/New_York'];
+      const expected = ids.map((id) => instants(Temporal.TimeZones.getTransitions(id, START, END)));
+      withCacheLimits({ maxTimeZones: 1, maxIntervalsPerTimeZone: 2 }, () => {
+        deepEqual(
+          ids.map((id) => transitionsOneByOne(id, START, END)),
+          expected
+        );
+        const zdt = Temporal.ZonedDateTime.from('2024-03-31T01:30[Europe/London]');
+        equal(zdt.add({ hours: 1 }).toString(), '2024-03-31T03:30:00+01:00[Europe/London]');
+        equal(zdt.withTimeZone('America/New_York').offset, '-04:00');
+        equal(Temporal.PlainDateTime.from('2024-10-27T01:30').toZonedDateTime('Europe/London').offset, '+01:00');
+      });
+    });
+    it('finds transitions a week apart', () => {
+      // DST in Boa Vista lasted from 8 to 15 October 2000
+      deepEqual(
+        instants(Temporal.TimeZones.getTransitions('America/Boa_Vista', '2000-01-01T00:00Z', '2001-01-01T00:00Z')),
+        ['2000-02-27T03:00:00Z', '2000-10-08T04:00:00Z', '2000-10-15T03:00:00Z']
+      );
+    });
+    it('setCacheLimits() returns the previous limits', () => {
+      const previous = Temporal.TimeZones.setCacheLimits({ maxTimeZones: 3 });
+      deepEqual(Temporal.TimeZones.setCacheLimits(previous), { ...previous, maxTimeZones: 3 });
+      deepEqual(Temporal.TimeZones.setCacheLimits({}), previous);
+    });
+    it('setCacheLimits() validates the limits', () => {
+      for (const limits of [{ maxTimeZones: -1 }, { maxIntervalsPerTimeZone: 1 }, { maxTimeZones: Infinity }]) {
+        throws(() => Temporal.TimeZones.setCacheLimits(limits), RangeError);
+      }
+      throws(() => Temporal.TimeZones.setCacheLimits(null), TypeError);
+    });
+    it('warmCache()', () => {
+      Temporal.TimeZones.clearCache();
+      Temporal.TimeZones.warmCache('Europe/Berlin', START, END);
+      deepEqual(
+        transitionsOneByOne('Europe/Berlin', START, END),
+        withCacheLimits({ maxTimeZones: 0 }, () => transitionsOneByOne('Europe/Berlin', START, END))
+      );
+      Temporal.TimeZones.warmCache('+05:30', START, END);
+      Temporal.TimeZones.warmCache('UTC', START, END);
+      throws(() => Temporal.TimeZones.warmCache('Europe/Berlin', END, START), RangeError);
+      throws(() => Temporal.TimeZones.warmCache('Mars/Olympus_Mons', START, END), RangeError);
+    });
+  });
+
+  describe('setTransitionSearchMode()', () => {
+    function withMode(mode, fn) {
+      const previous = Temporal.TimeZones.setTransitionSearchMode(mode);
+      try {
+        return fn();
+      } finally {
+        Temporal.TimeZones.setTransitionSearchMode(previous);
+      }
+    }
+    const manila1850 = Temporal.ZonedDateTime.from('1850-01-01T00:00[Asia/Manila]');
+    it('reports transitions before 1847 in deterministic mode', () => {
+      // Manila moved from the east to the west of the date line at the end of 1844
+      equal(manila1850.getTimeZoneTransition('previous'), null);
+      withMode('deterministic', () => {
+        const transition = manila1850.getTimeZoneTransition('previous');
+        equal(transition.toInstant().toString(), '1844-12-31T15:56:08Z');
+        equal(transition.subtract({ nanoseconds: 1 }).offset, '-15:56:08');
+        const start = Temporal.Instant.from('1800-06-01T00:00Z').toZonedDateTimeISO('Asia/Manila');
+        equal(start.getTimeZoneTransition('next').equals(transition), true);
+        deepEqual(
+          instants(Temporal.TimeZones.getTransitions('Europe/London', '1800-01-01T00:00Z', '1848-01-01T00:00Z')),
+          ['1847-12-01T00:01:15Z']
+        );
+      });
+    });
+    it('gives the same results for the future as the default mode', () => {
+      const start = '2020-01-01T00:00Z';
+      const end = '2040-01-01T00:00Z';
+      for (const id of ['America/New_York', 'Asia/Tokyo', 'Africa/Casablanca']) {
+        deepEqual(
+          withMode('deterministic', () => transitionsOneByOne(id, start, end)),
+          transitionsOneByOne(id, start, end)
+        );
+      }
+      for (const id of ['America/New_York', 'Asia/Tokyo', 'Africa/Casablanca']) {
+        const farFuture = Temporal.ZonedDateTime.from(`+100000-01-01T00:00[${id}]`);
+        equal(
+          withMode('deterministic', () => farFuture.getTimeZoneTransition('previous')?.toString()),
+          farFuture.getTimeZoneTransition('previous')?.toString()
+        );
+      }
+    });
+    it('projects DST rules indefinitely', () => {
+      withMode('deterministic', () => {
+        const zdt = Temporal.ZonedDateTime.from('+100000-01-01T00:00[America/New_York]');
+        equal(zdt.getTimeZoneTransition('next').toString(), '+100000-03-12T03:00:00-04:00[America/New_York]');
+        equal(Temporal.ZonedDateTime.from('2024-01-01T00:00[Asia/Tokyo]').getTimeZoneTransition('next'), null);
+      });
+    });
+    it('returns the previous mode and validates the mode', () => {
+      equal(Temporal.TimeZones.setTransitionSearchMode('deterministic'), 'default');
+      equal(Temporal.TimeZones.setTransitionSearchMode('default'), 'deterministic');
+      throws(() => Temporal.TimeZones.setTransitionSearchMode('fast'), RangeError);
+      throws(() => Temporal.TimeZones.setTransitionSearchMode(), RangeError);
+    });
+  });
+});
+
+import { normalize } from 'path';
+if (normalize(import.meta.url.slice(8)) === normalize(process.argv[1])) {
+  report(reporter).then((failed) => process.exit(failed ? 1 : 0));
+}
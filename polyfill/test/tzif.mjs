@@ -0,0 +1,251 @@
+import Demitasse from '@pipobscure/demitasse';
+const { describe, it, report } = Demitasse;
+
+import Pretty from '@pipobscure/demitasse-pretty';
+const { reporter } = Pretty;
+
+import { strict as assert } from 'assert';
+const { deepEqual, equal, throws } = assert;
+
+import { readFileSync } from 'fs';
+
+import * as Temporal from 'proposal-temporal';
+import {
+  GetPOSIXTZNextTransition,
+  GetPOSIXTZOffsetSeconds,
+  GetPOSIXTZPreviousTransition,
+  ParsePOSIXTZString
+} from '../lib/posixtz.mjs';
+import { ParseTZif } from '../lib/tzif.mjs';
+
+// The files in test/tzif/ are copied from the tzdata 2025b package's
+// /usr/share/zoneinfo (zic "fat" output, so they have both the version 1 and
+// version 2 data blocks), with the slash in the zone name replaced by "_".
+function tzif(id) {
+  return readFileSync(new URL(`./tzif/${id.replace('/', '_')}`, import.meta.url));
+}
+
+function providerWith(...ids) {
+  const provider = new Temporal.TimeZoneProvider();
+  for (const id of ids) provider.addTZif(id, tzif(id));
+  return provider;
+}
+
+function withProvider(provider, fn) {
+  const previous = Temporal.TimeZoneProvider.install(provider);
+  try {
+    return fn();
+  } finally {
+    Temporal.TimeZoneProvider.install(previous);
+  }
+}
+
+function transitions(timeZone, direction, start, end) {
+  const result = [];
+  const startInstant = Temporal.Instant.from(start);
+  const endInstant = Temporal.Instant.from(end);
+  let zdt = (direction === 'next' ? startInstant : endInstant).toZonedDateTimeISO(timeZone);
+  for (;;) {
+    zdt = zdt.getTimeZoneTransition(direction);
+    if (!zdt) break;
+    const instant = zdt.toInstant();
+    if (Temporal.Instant.compare(instant, startInstant) < 0 || Temporal.Instant.compare(instant, endInstant) > 0) break;
+    result.push(zdt.toString());
+  }
+  return direction === 'next' ? result : result.reverse();
+}
+
+const ZONES = ['America/New_York', 'America/Sao_Paulo', 'Asia/Kolkata', 'Australia/Lord_Howe', 'Europe/Berlin'];
+
+describe('TimeZoneProvider', () => {
+  describe('agrees with Intl.DateTimeFormat', () => {
+    for (const id of ZONES) {
+      it(`${id} transitions from 1900 to 2100`, () => {
+        const expected = transitions(id, 'next', '1900-01-01T00:00Z', '2100-01-01T00:00Z');
+        withProvider(providerWith(id), () => {
+          deepEqual(transitions(id, 'next', '1900-01-01T00:00Z', '2100-01-01T00:00Z'), expected);
+          deepEqual(transitions(id, 'previous', '1900-01-01T00:00Z', '2100-01-01T00:00Z'), expected);
+        });
+      });
+      it(`${id} offsets`, () => {
+        const instants = [];
+        for (let ms = Date.UTC(1880, 0, 1); ms < Date.UTC(2200, 0, 1); ms += 86400_000 * 97 + 3600_000 * 7) {
+          instants.push(Temporal.Instant.fromEpochMilliseconds(ms));
+        }
+        const expected = instants.map((instant) => instant.toZonedDateTimeISO(id).offset);
+        withProvider(providerWith(id), () => {
+          deepEqual(
+            instants.map((instant) => instant.toZonedDateTimeISO(id).offset),
+            expected
+          );
+        });
+      });
+    }
+    it('resolves skipped and repeated wall-clock times', () => {
+      const gap = Temporal.PlainDateTime.from('2030-03-10T02:30');
+      const overlap = Temporal.PlainDateTime.from('2030-11-03T01:30');
+      const tz = 'America/New_York';
+      const expected = ['compatible', 'earlier', 'later'].flatMap((disambiguation) => [
+        gap.toZonedDateTime(tz, { disambiguation }).toString(),
+        overlap.toZonedDateTime(tz, { disambiguation }).toString()
+      ]);
+      withProvider(providerWith(tz), () => {
+        const actual = ['compatible', 'earlier', 'later'].flatMap((disambiguation) => [
+          gap.toZonedDateTime(tz, { disambiguation }).toString(),
+          overlap.toZonedDateTime(tz, { disambiguation }).toString()
+        ]);
+        deepEqual(actual, expected);
+        throws(() => gap.toZonedDateTime(tz, { disambiguation: 'reject' }), RangeError);
+        throws(() => overlap.toZonedDateTime(tz, { disambiguation: 'reject' }), RangeError);
+      });
+    });
+    it('computes start of day in a zone with a midnight transition', () => {
+      const date = Temporal.PlainDate.from('2018-11-04');
+      const expected = date.toZonedDateTime('America/Sao_Paulo').toString();
+      withProvider(providerWith('America/Sao_Paulo'), () => {
+        equal(date.toZonedDateTime('America/Sao_Paulo').toString(), expected);
+      });
+    });
+  });
+
+  describe('identifiers', () => {
+    it('can define zones unknown to Intl.DateTimeFormat', () => {
+      const provider = new Temporal.TimeZoneProvider();
+      provider.addTZif('Test/Calcutta_Clock', tzif('Asia/Kolkata'));
+      throws(() => Temporal.ZonedDateTime.from('2020-01-01T00:00[Test/Calcutta_Clock]'), RangeError);
+      withProvider(provider, () => {
+        const zdt = Temporal.ZonedDateTime.from('2020-01-01T00:00[test/calcutta_clock]');
+        equal(zdt.timeZoneId, 'Test/Calcutta_Clock');
+        equal(zdt.toString(), '2020-01-01T00:00:00+05:30[Test/Calcutta_Clock]');
+      });
+    });
+    it('links resolve to their target zone', () => {
+      const provider = new Temporal.TimeZoneProvider();
+      provider.addTZif('Test/Eastern', tzif('America/New_York'));
+      provider.addLink('Test/Eastern_Link', 'test/eastern');
+      withProvider(provider, () => {
+        const zdt = Temporal.ZonedDateTime.from('2020-07-01T12:00[Test/Eastern_Link]');
+        equal(zdt.timeZoneId, 'Test/Eastern_Link');
+        equal(zdt.offset, '-04:00');
+        equal(zdt.equals(zdt.withTimeZone('Test/Eastern')), true);
+      });
+    });
+    it('zones not defined by the provider still use Intl.DateTimeFormat', () => {
+      withProvider(providerWith('Asia/Kolkata'), () => {
+        equal(Temporal.ZonedDateTime.from('2020-07-01T12:00[Europe/London]').offset, '+01:00');
+      });
+    });
+    it('rejects duplicate and offset identifiers', () => {
+      const provider = providerWith('Europe/Berlin');
+      throws(() => provider.addTZif('europe/berlin', tzif('Europe/Berlin')), RangeError);
+      throws(() => provider.addLink('Europe/Berlin', 'Europe/Berlin'), RangeError);
+      throws(() => provider.addTZif('+01:00', tzif('Europe/Berlin')), RangeError);
+      throws(() => provider.addTZif('not a zone', tzif('Europe/Berlin')), RangeError);
+      throws(() => provider.addLink('Europe/Busingen', 'Europe/Zurich'), RangeError);
+    });
+    it('install returns the previous provider', () => {
+      const one = new Temporal.TimeZoneProvider();
+      const two = new Temporal.TimeZoneProvider();
+      equal(Temporal.TimeZoneProvider.install(one), null);
+      equal(Temporal.TimeZoneProvider.install(two), one);
+      equal(Temporal.TimeZoneProvider.install(null), two);
+      equal(Temporal.TimeZoneProvider.install(), null);
+      throws(() => Temporal.TimeZoneProvider.install({}), TypeError);
+    });
+  });
+
+  describe('ParseTZif', () => {
+    it('reads the 64-bit data block and footer', () => {
+      const zone = ParseTZif(tzif('Asia/Kolkata'));
+      deepEqual(
+        zone.types.map(({ offsetSeconds, abbreviation }) => `${offsetSeconds} ${abbreviation}`),
+        ['21208 LMT', '21200 HMT', '19270 MMT', '19800 IST', '23400 +0630']
+      );
+      equal(zone.transitions[0], -3645237208);
+      equal(zone.rule.string, 'IST-5:30');
+    });
+    it('reads version 1 files', () => {
+      const bytes = new Uint8Array(tzif('Europe/Berlin'));
+      const v2 = ParseTZif(bytes);
+      const view = new DataView(bytes.buffer, bytes.byteOffset);
+      const [isut, isstd, leap, time, type, char] = [20, 24, 28, 32, 36, 40].map((pos) => view.getUint32(pos));
+      const v1 = bytes.slice(0, 44 + time * 5 + type * 6 + char + leap * 8 + isstd + isut);
+      v1[4] = 0;
+      const zone = ParseTZif(v1.buffer);
+      equal(zone.rule, undefined);
+      // version 1 data is limited to 32-bit times, and starts with a sentinel
+      // transition at the earliest representable time
+      equal(zone.transitions[0], -(2 ** 31));
+      deepEqual(
+        zone.transitions.slice(1),
+        v2.transitions.filter((t) => t > -(2 ** 31) && t < 2 ** 31)
+      );
+    });
+    it('rejects malformed data', () => {
+      const bytes = new Uint8Array(tzif('Europe/Berlin'));
+      throws(() => ParseTZif('TZif'), TypeError);
+      throws(() => ParseTZif(bytes.slice(0, 40)), RangeError);
+      throws(() => ParseTZif(bytes.slice(0, 1000)), RangeError);
+      throws(() => ParseTZif(bytes.slice(0, -1)), RangeError);
+      const badMagic = bytes.slice();
+      badMagic[0] = 0x74;
+      throws(() => ParseTZif(badMagic), RangeError);
+    });
+  });
+
+  describe('POSIX TZ rules', () => {
+    const utc = (...args) => Date.UTC(...args) / 1000;
+    it('northern hemisphere', () => {
+      const rule = ParsePOSIXTZString('CET-1CEST,M3.5.0,M10.5.0/3');
+      equal(GetPOSIXTZOffsetSeconds(rule, utc(2030, 0, 1)), 3600);
+      equal(GetPOSIXTZOffsetSeconds(rule, utc(2030, 6, 1)), 7200);
+      equal(GetPOSIXTZNextTransition(rule, utc(2030, 0, 1)), utc(2030, 2, 31, 1));
+      equal(GetPOSIXTZPreviousTransition(rule, utc(2030, 0, 1)), utc(2029, 9, 28, 1));
+    });
+    it('southern hemisphere', () => {
+      const rule = ParsePOSIXTZString('AEST-10AEDT,M10.1.0,M4.1.0/3');
+      equal(GetPOSIXTZOffsetSeconds(rule, utc(2030, 0, 1)), 39600);
+      equal(GetPOSIXTZOffsetSeconds(rule, utc(2030, 6, 1)), 36000);
+      equal(GetPOSIXTZNextTransition(rule, utc(2030, 0, 1)), utc(2030, 3, 6, 16));
+    });
+    it('Julian and zero-based days', () => {
+      const julian = ParsePOSIXTZString('XST3XDT,J60/0,J300/0');
+      const zeroBased = ParsePOSIXTZString('XST3XDT,59/0,299/0');
+      // March 1 in both leap and common years for Jn, but Feb 29 for n in a leap year
+      equal(GetPOSIXTZNextTransition(julian, utc(2028, 0, 1)), utc(2028, 2, 1, 3));
+      equal(GetPOSIXTZNextTransition(zeroBased, utc(2028, 0, 1)), utc(2028, 1, 29, 3));
+      equal(GetPOSIXTZNextTransition(zeroBased, utc(2027, 0, 1)), utc(2027, 2, 1, 3));
+    });
+    it('year-round DST', () => {
+      const rule = ParsePOSIXTZString('EST5EDT,0/0,J365/25');
+      equal(GetPOSIXTZOffsetSeconds(rule, utc(2030, 0, 1, 5)), -14400);
+      equal(GetPOSIXTZOffsetSeconds(rule, utc(2030, 11, 31, 23)), -14400);
+      equal(GetPOSIXTZNextTransition(rule, utc(2030, 0, 1)), null);
+      equal(GetPOSIXTZPreviousTransition(rule, utc(2030, 0, 1)), null);
+    });
+    it('fixed offsets', () => {
+      const rule = ParsePOSIXTZString('<-0330>3:30');
+      equal(rule.stdName, '-0330');
+      equal(GetPOSIXTZOffsetSeconds(rule, 0), -12600);
+      equal(GetPOSIXTZNextTransition(rule, 0), null);
+    });
+    it('rejects invalid strings', () => {
+      for (const string of [
+        '',
+        'UTC',
+        'AB0',
+        'EST25',
+        'EST5EDT,M13.1.0,M11.1.0',
+        'EST5EDT,J366,M11.1.0',
+        'EST5EDT,M3.2.0'
+      ]) {
+        throws(() => ParsePOSIXTZString(string), RangeError, string);
+      }
+    });
+  });
+});
+
+import { normalize } from 'path';
+if (normalize(import.meta.url.slice(8)) === normalize(process.argv[1])) {
+  report(reporter).then((failed) => process.exit(failed ? 1 : 0));
+}
@@ -0,0 +1,104 @@
+import Demitasse from '@pipobscure/demitasse';
+const { describe, it, report } = Demitasse;
+
+import Pretty from '@pipobscure/demitasse-pretty';
+const { reporter } = Pretty;
+
+import { strict as assert } from 'assert';
+const { equal, throws } = assert;
+
+import * as Temporal from 'proposal-temporal';
+
+describe('ISO 8601 week dates and ordinal dates', () => {
+  describe('from()', () => {
+    it('accepts week dates in the extended and basic formats', () => {
+      equal(`${Temporal.PlainDate.from('2024-W05-3')}`, '2024-01-31');
+      equal(`${Temporal.PlainDate.from('2024W053')}`, '2024-01-31');
+      equal(`${Temporal.PlainDate.from('+002024-W05-3')}`, '2024-01-31');
+    });
+    it('accepts week dates in a different calendar year', () => {
+      equal(`${Temporal.PlainDate.from('2025-W01-1')}`, '2024-12-30');
+      equal(`${Temporal.PlainDate.from('2020-W53-7')}`, '2021-01-03');
+    });
+    it('accepts ordinal dates in the extended and basic formats', () => {
+      equal(`${Temporal.PlainDate.from('2024-123')}`, '2024-05-02');
+      equal(`${Temporal.PlainDate.from('2024123')}`, '2024-05-02');
+      equal(`${Temporal.PlainDate.from('2024-366')}`, '2024-12-31');
+      equal(`${Temporal.PlainDate.from('2023-001')}`, '2023-01-01');
+    });
+    it('accepts week dates and ordinal dates in every type', () => {
+      equal(`${Temporal.PlainDateTime.from('2024-123T12:00')}`, '2024-05-02T12:00:00');
+      equal(
+        `${Temporal.ZonedDateTime.from('2025-W01-1T10:00+01:00[Europe/Berlin]')}`,
+        '2024-12-30T10:00:00+01:00[Europe/Berlin]'
+      );
+      equal(`${Temporal.Instant.from('2024W053T1000Z')}`, '2024-01-31T10:00:00Z');
+      equal(`${Temporal.PlainYearMonth.from('2024-123')}`, '2024-05');
+      equal(`${Temporal.PlainMonthDay.from('2024-123')}`, '05-02');
+      equal(`${Temporal.PlainTime.from('2024-W05-3T12:00')}`, '12:00:00');
+    });
+    it('keeps the calendar annotation', () => {
+      equal(`${Temporal.PlainDate.from('2024-W05-3[u-ca=hebrew]')}`, '2024-01-31[u-ca=hebrew]');
+    });
+    it('rejects weeks and days that the year does not have', () => {
+      throws(() => Temporal.PlainDate.from('2021-W53-1'), RangeError);
+      throws(() => Temporal.PlainDate.from('2024-W00-1'), RangeError);
+      throws(() => Temporal.PlainDate.from('2024-W54-1'), RangeError);
+      throws(() => Temporal.PlainDate.from('2024-W05-8'), RangeError);
+      throws(() => Temporal.PlainDate.from('2023-366'), RangeError);
+      throws(() => Temporal.PlainDate.from('2024-000'), RangeError);
+      throws(() => Temporal.PlainDate.from('2024-367'), RangeError);
+    });
+    it('rejects mixed and reduced formats', () => {
+      throws(() => Temporal.PlainDate.from('2024-W053'), RangeError);
+      throws(() => Temporal.PlainDate.from('2024W05-3'), RangeError);
+      throws(() => Temporal.PlainDate.from('2024-W5-3'), RangeError);
+      throws(() => Temporal.PlainDate.from('2024-W05'), RangeError);
+      throws(() => Temporal.PlainDate.from('2024-12'), RangeError);
+    });
+  });
+
+  describe('toString()', () => {
+    const date = Temporal.PlainDate.from('2024-12-30');
+    it('writes calendar dates by default', () => {
+      equal(date.toString(), '2024-12-30');
+      equal(date.toString({ dateFormat: 'calendar' }), '2024-12-30');
+    });
+    it('writes week dates', () => {
+      equal(date.toString({ dateFormat: 'week' }), '2025-W01-1');
+      equal(Temporal.PlainDate.from('2021-01-03').toString({ dateFormat: 'week' }), '2020-W53-7');
+      equal(Temporal.PlainDate.from('-000001-01-01').toString({ dateFormat: 'week' }), '-000002-W53-5');
+    });
+    it('writes ordinal dates', () => {
+      equal(date.toString({ dateFormat: 'ordinal' }), '2024-365');
+      equal(Temporal.PlainDate.from('2024-01-05').toString({ dateFormat: 'ordinal' }), '2024-005');
+    });
+    it('writes week dates and ordinal dates in every type with a date', () => {
+      const zdt = Temporal.ZonedDateTime.from('2024-02-01T10:00[Europe/Berlin]');
+      equal(zdt.toString({ dateFormat: 'week' }), '2024-W05-4T10:00:00+01:00[Europe/Berlin]');
+      equal(zdt.toPlainDateTime().toString({ dateFormat: 'ordinal' }), '2024-032T10:00:00');
+      equal(zdt.toInstant().toString({ dateFormat: 'week' }), '2024-W05-4T09:00:00Z');
+      equal(zdt.toInstant().toString({ dateFormat: 'ordinal', timeZone: 'Asia/Tokyo' }), '2024-032T18:00:00+09:00');
+    });
+    it('writes ISO dates in other calendars', () => {
+      const hebrew = Temporal.PlainDate.from('2024-01-31[u-ca=hebrew]');
+      equal(hebrew.toString({ dateFormat: 'week' }), '2024-W05-3[u-ca=hebrew]');
+    });
+    it('round-trips', () => {
+      for (const dateFormat of ['calendar', 'week', 'ordinal']) {
+        for (const string of ['2020-12-31', '2021-01-01', '2024-02-29', '2026-12-28', '-271821-04-19']) {
+          const date = Temporal.PlainDate.from(string);
+          equal(`${Temporal.PlainDate.from(date.toString({ dateFormat }))}`, string);
+        }
+      }
+    });
+    it('rejects unknown formats', () => {
+      throws(() => date.toString({ dateFormat: 'basic' }), RangeError);
+    });
+  });
+});
+
+import { normalize } from 'path';
+if (normalize(import.meta.url.slice(8)) === normalize(process.argv[1])) {
+  report(reporter).then((failed) => process.exit(failed ? 1 : 0));
+}